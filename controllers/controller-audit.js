@@ -0,0 +1,122 @@
+import AuditEntry, { AUDIT_ENTITIES, AUDIT_ACTIONS } from "../models/audit-entry.mjs";
+import { checkParams, parsePagination, parseDate, pageLinks } from "../utils/product-query.mjs";
+import { BadRequestError } from "../utils/errors.mjs";
+
+const AUDIT_PARAMS = ["entity", "entityId", "actor", "action", "from", "to"];
+const OBJECT_ID = /^[0-9a-fA-F]{24}$/;
+
+const CSV_COLUMNS = ["createdAt", "entity", "entityId", "action", "actor", "actorMail", "ip", "requestId", "changes"];
+
+//Filtro de GET /audit, siempre limitado a la compañía del usuario
+function buildAuditFilter(req, allowed) {
+  const { query } = req;
+  const errors = [];
+
+  checkParams(query, allowed, errors);
+  const from = parseDate(query, "from", errors);
+  const to = parseDate(query, "to", errors);
+  if (query.entity !== undefined && !AUDIT_ENTITIES.includes(query.entity)) {
+    errors.push({ field: "entity", message: `must be one of: ${AUDIT_ENTITIES.join(", ")}` });
+  }
+  if (query.action !== undefined && !AUDIT_ACTIONS.includes(query.action)) {
+    errors.push({ field: "action", message: `must be one of: ${AUDIT_ACTIONS.join(", ")}` });
+  }
+  for (const param of ["entityId", "actor"]) {
+    if (query[param] !== undefined && !OBJECT_ID.test(query[param])) {
+      errors.push({ field: param, message: "must be a valid ObjectId" });
+    }
+  }
+
+  const filter = { company: req.user.company };
+  for (const param of ["entity", "entityId", "actor", "action"]) {
+    if (query[param] !== undefined) filter[param] = query[param];
+  }
+  if (from || to) {
+    filter.createdAt = {};
+    if (from) filter.createdAt.$gte = from;
+    if (to) filter.createdAt.$lte = to;
+  }
+  return { errors, filter };
+}
+
+async function getAudit(req, res) {
+  const { errors, filter } = buildAuditFilter(req, [...AUDIT_PARAMS, "page", "limit"]);
+  const { page, limit } = parsePagination(req.query, errors);
+  if (errors.length > 0) {
+    throw new BadRequestError("Invalid query parameters", "INVALID_QUERY", { errors });
+  }
+
+  const [result, total] = await Promise.all([
+    AuditEntry.find(filter).sort({ createdAt: -1, _id: -1 }).skip((page - 1) * limit).limit(limit),
+    AuditEntry.countDocuments(filter),
+  ]);
+  const pages = Math.ceil(total / limit);
+
+  return res.status(200).json({
+    state: true,
+    data: result,
+    meta: { total, page, limit, pages },
+    links: pageLinks(req, page, pages),
+  });
+}
+
+//Escapa el valor para CSV. Los valores que empiezan con = + - @ se prefijan con ' para que
+//una hoja de calculo no los ejecute como formula
+function csvCell(value) {
+  if (value === null || value === undefined) {
+    return "";
+  }
+  let text = value instanceof Date ? value.toISOString() : typeof value === "object" && !value._bsontype ? JSON.stringify(value) : String(value);
+  if (/^[=+\-@]/.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+//Mismos filtros que GET /audit sin paginación. Se envia fila por fila con un cursor
+async function exportAudit(req, res) {
+  const { errors, filter } = buildAuditFilter(req, AUDIT_PARAMS);
+  if (errors.length > 0) {
+    throw new BadRequestError("Invalid query parameters", "INVALID_QUERY", { errors });
+  }
+
+  res.status(200);
+  res.set("Content-Type", "text/csv; charset=utf-8");
+  res.set("Content-Disposition", `attachment; filename="audit-${new Date().toISOString().slice(0, 10)}.csv"`);
+  res.write(CSV_COLUMNS.join(",") + "\r\n");
+
+  //Si el cliente se desconecta, "close" libera la espera de "drain", corta el recorrido y se cierra el cursor
+  let closed = false;
+  res.once("close", () => {
+    closed = true;
+  });
+  const writable = () => new Promise((resolve) => {
+    const done = () => {
+      res.off("drain", done);
+      res.off("close", done);
+      resolve();
+    };
+    res.once("drain", done);
+    res.once("close", done);
+  });
+
+  const cursor = AuditEntry.find(filter).sort({ createdAt: -1, _id: -1 }).lean().cursor();
+  try {
+    for await (const entry of cursor) {
+      if (closed) {
+        break;
+      }
+      const row = CSV_COLUMNS.map((column) => csvCell(entry[column])).join(",");
+      if (!res.write(row + "\r\n")) {
+        await writable();
+      }
+    }
+  } finally {
+    await cursor.close();
+  }
+  if (!closed) {
+    res.end();
+  }
+}
+
+export { getAudit, exportAudit };
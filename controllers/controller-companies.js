@@ -0,0 +1,51 @@
+import Company from "../models/company.mjs";
+import User from "../models/user.mjs";
+import { Product } from "../models/product.mjs";
+import { ConflictError, NotFoundError } from "../utils/errors.mjs";
+
+async function findCompany(id) {
+  const company = await Company.findById(id);
+  if (!company) {
+    throw new NotFoundError("ID Company Not Found", "COMPANY_NOT_FOUND");
+  }
+  return company;
+}
+
+async function getCompanies(req, res) {
+  const result = await Company.find({}).sort({ name: 1 });
+  return res.status(200).json({ state: true, data: result });
+}
+
+async function getCompany(req, res) {
+  const result = await findCompany(req.params.id);
+  return res.status(200).json({ state: true, data: result });
+}
+
+//Un nombre repetido lo responde el manejador central con 409 DUPLICATE_KEY
+async function createCompany(req, res) {
+  const result = await Company.create(req.body);
+  return res.status(201).json({ state: true, data: result });
+}
+
+async function updateCompany(req, res) {
+  const company = await findCompany(req.params.id);
+  company.overwrite(req.body);
+  const result = await company.save();
+  return res.status(200).json({ state: true, data: result });
+}
+
+//Solo se eliminan compañías vacias, para no dejar productos o usuarios sin dueño
+async function deleteCompany(req, res) {
+  const company = await findCompany(req.params.id);
+  const [products, users] = await Promise.all([
+    Product.countDocuments({ company: company._id }).setOptions({ withDeleted: true }),
+    User.countDocuments({ company: company._id }),
+  ]);
+  if (products > 0 || users > 0) {
+    throw new ConflictError("Company still has products or users", "COMPANY_IN_USE", { products, users });
+  }
+  const result = await company.deleteOne();
+  return res.status(200).json({ state: true, data: result });
+}
+
+export { getCompanies, getCompany, createCompany, updateCompany, deleteCompany };
@@ -0,0 +1,92 @@
+import ImportJob from "../models/import-job.mjs";
+import { parseCsv, parseNdjson } from "../utils/import.mjs";
+import { importProducts, runImportJob } from "../jobs/product-import.mjs";
+import { permissionsOf } from "../utils/permissions.mjs";
+import { checkParams } from "../utils/product-query.mjs";
+import { BadRequestError, ForbiddenError, NotFoundError, UnsupportedMediaTypeError } from "../utils/errors.mjs";
+
+//Hasta IMPORT_SYNC_ROWS filas se importan en la misma solicitud, más filas pasan a un job en segundo plano
+const IMPORT_SYNC_ROWS = Number(process.env.IMPORT_SYNC_ROWS) || 100;
+const IMPORT_MAX_ROWS = Number(process.env.IMPORT_MAX_ROWS) || 10000;
+//Un job sin avance en este tiempo se da por interrumpido (la API se reinicio mientras corria)
+const IMPORT_STALE_MINUTES = Number(process.env.IMPORT_STALE_MINUTES) || 10;
+
+function parseBoolean(query, param, errors) {
+  if (query[param] === undefined || query[param] === "false") {
+    return false;
+  }
+  if (query[param] !== "true") {
+    errors.push({ field: param, message: "must be true or false" });
+  }
+  return true;
+}
+
+//Importa productos desde un CSV (encabezado con los nombres de los campos) o un NDJSON (un producto por linea).
+//dryRun solo valida, upsert reemplaza los productos con el mismo id y delimiter separa las listas del CSV
+async function importCatalog(req, res) {
+  const errors = [];
+  checkParams(req.query, ["dryRun", "upsert", "delimiter"], errors);
+  const dryRun = errors.length === 0 && parseBoolean(req.query, "dryRun", errors);
+  const upsert = errors.length === 0 && parseBoolean(req.query, "upsert", errors);
+  const delimiter = req.query.delimiter ?? "|";
+  if (typeof delimiter !== "string" || delimiter.length !== 1) {
+    errors.push({ field: "delimiter", message: "must be a single character" });
+  }
+  if (errors.length > 0) {
+    throw new BadRequestError("Invalid query parameters", "INVALID_QUERY", { errors });
+  }
+
+  //Reemplazar productos exige tambien el permiso de actualizarlos
+  if (upsert && !permissionsOf(req.user.roles).has("product:update")) {
+    throw new ForbiddenError("Missing permissions: product:update", "FORBIDDEN", { missing: ["product:update"] });
+  }
+
+  const format = req.is("text/csv") ? "csv" : req.is("application/x-ndjson") ? "ndjson" : null;
+  if (!format || typeof req.body !== "string") {
+    throw new UnsupportedMediaTypeError("Use text/csv or application/x-ndjson", "UNSUPPORTED_IMPORT_TYPE");
+  }
+  const records = format === "csv" ? parseCsv(req.body) : parseNdjson(req.body);
+  if (records.length === 0) {
+    throw new BadRequestError("The file has no rows", "EMPTY_IMPORT");
+  }
+  if (records.length > IMPORT_MAX_ROWS) {
+    throw new BadRequestError(`The file has ${records.length} rows, the limit is ${IMPORT_MAX_ROWS}`, "TOO_MANY_ROWS");
+  }
+
+  const options = { req, format, delimiter, dryRun, upsert };
+  if (records.length <= IMPORT_SYNC_ROWS) {
+    const report = await importProducts(records, options);
+    return res.status(200).json({ state: true, data: { dryRun, upsert, ...report } });
+  }
+
+  const job = await ImportJob.create({
+    company: req.user.company,
+    format,
+    dryRun,
+    upsert,
+    total: records.length,
+    user: req.user.id,
+  });
+  //La respuesta no espera al job, runImportJob guarda su resultado o su error en el documento
+  setImmediate(() => runImportJob(job, records, options));
+
+  res.set("Location", `${req.baseUrl}/import/${job._id}`);
+  return res.status(202).json({ state: true, data: job });
+}
+
+//Avance y reporte de una importación en segundo plano
+async function getImportJob(req, res) {
+  const job = await ImportJob.findOne({ _id: req.params.jobId, company: req.user.company });
+  if (!job) {
+    throw new NotFoundError("ID Import Job Not Found", "IMPORT_JOB_NOT_FOUND");
+  }
+
+  const stale = new Date(Date.now() - IMPORT_STALE_MINUTES * 60 * 1000);
+  if (["queued", "running"].includes(job.status) && job.updatedAt < stale) {
+    job.set({ status: "failed", error: `No progress in ${IMPORT_STALE_MINUTES} minutes, the import was interrupted`, finishedAt: new Date() });
+    await job.save();
+  }
+  return res.status(200).json({ state: true, data: job });
+}
+
+export { importCatalog, getImportJob };
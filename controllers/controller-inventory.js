@@ -0,0 +1,115 @@
+import { Product } from "../models/product.mjs";
+import InventoryPolicy from "../models/inventory-policy.mjs";
+import Lot from "../models/lot.mjs";
+import { DEFAULT_POLICY } from "../utils/inventory-policy.mjs";
+import { checkParams, parsePagination, pageLinks } from "../utils/product-query.mjs";
+import { BadRequestError, NotFoundError } from "../utils/errors.mjs";
+
+const DAY = 24 * 60 * 60 * 1000;
+const DEFAULT_EXPIRING_DAYS = 7;
+
+//Productos con stock en o bajo su punto de reorden (del producto, de su categoría o el valor por defecto)
+async function lowStockReport(req, res) {
+  const effective = (field) => ({ $ifNull: [`$${field}`, `$policy.${field}`, DEFAULT_POLICY[field]] });
+
+  const result = await Product.aggregate([
+    { $match: { company: req.user.company } },
+    {
+      $lookup: {
+        from: InventoryPolicy.collection.name,
+        let: { category: "$category", company: "$company" },
+        pipeline: [
+          { $match: { $expr: { $and: [{ $eq: ["$category", "$$category"] }, { $eq: ["$company", "$$company"] }] } } },
+        ],
+        as: "policy",
+      },
+    },
+    { $addFields: { policy: { $first: "$policy" } } },
+    {
+      $project: {
+        id: 1,
+        name: 1,
+        category: 1,
+        stock: 1,
+        safetyStock: effective("safetyStock"),
+        reorderPoint: effective("reorderPoint"),
+        reorderQuantity: effective("reorderQuantity"),
+      },
+    },
+    { $match: { $expr: { $lte: ["$stock", "$reorderPoint"] } } },
+    { $addFields: { belowSafetyStock: { $lt: ["$stock", "$safetyStock"] } } },
+    { $sort: { stock: 1, id: 1 } },
+  ]);
+
+  return res.status(200).json({ state: true, data: result });
+}
+
+//Lotes disponibles con unidades que vencen en los proximos withinDays dias, primero los que vencen antes
+async function expiringReport(req, res) {
+  const errors = [];
+  checkParams(req.query, ["withinDays", "page", "limit"], errors);
+  const { page, limit } = parsePagination(req.query, errors);
+  const withinDays = req.query.withinDays === undefined ? DEFAULT_EXPIRING_DAYS : Number(req.query.withinDays);
+  if (!Number.isInteger(withinDays) || withinDays < 0) {
+    errors.push({ field: "withinDays", message: "must be a non-negative integer" });
+  }
+  if (errors.length > 0) {
+    throw new BadRequestError("Invalid query parameters", "INVALID_QUERY", { errors });
+  }
+
+  const filter = {
+    company: req.user.company,
+    status: "available",
+    quantity: { $gt: 0 },
+    expiresAt: { $lte: new Date(Date.now() + withinDays * DAY) },
+  };
+  const [result, total] = await Promise.all([
+    Lot.find(filter).sort({ expiresAt: 1, _id: 1 }).skip((page - 1) * limit).limit(limit).populate("product", "id name"),
+    Lot.countDocuments(filter),
+  ]);
+  const pages = Math.ceil(total / limit);
+
+  return res.status(200).json({
+    state: true,
+    withinDays,
+    data: result,
+    meta: { total, page, limit, pages },
+    links: pageLinks(req, page, pages),
+  });
+}
+
+//Lotes de un producto, disponibles y en cuarentena, por vencimiento
+async function getLots(req, res) {
+  if (!await Product.exists({ _id: req.params.id, company: req.user.company })) {
+    throw new NotFoundError("ID Product Not Found", "PRODUCT_NOT_FOUND");
+  }
+  const result = await Lot.find({ product: req.params.id }).sort({ expiresAt: 1, _id: 1 });
+  return res.status(200).json({ state: true, data: result });
+}
+
+async function getPolicies(req, res) {
+  const result = await InventoryPolicy.find({ company: req.user.company }).sort({ category: 1 });
+  return res.status(200).json({ state: true, defaults: DEFAULT_POLICY, data: result });
+}
+
+//Crea o reemplaza la politica de una categoría
+async function savePolicy(req, res) {
+  const { category } = req.params;
+  const result = await InventoryPolicy.findOneAndReplace(
+    { company: req.user.company, category },
+    { company: req.user.company, category, ...req.body },
+    { new: true, upsert: true, runValidators: true }
+  );
+  return res.status(200).json({ state: true, data: result });
+}
+
+async function deletePolicy(req, res) {
+  const { category } = req.params;
+  const result = await InventoryPolicy.findOneAndDelete({ company: req.user.company, category });
+  if (!result) {
+    throw new NotFoundError("Category Policy Not Found", "POLICY_NOT_FOUND");
+  }
+  return res.status(200).json({ state: true, data: result });
+}
+
+export { lowStockReport, expiringReport, getLots, getPolicies, savePolicy, deletePolicy };
@@ -0,0 +1,140 @@
+import mongoose from "mongoose";
+import { Product } from "../models/product.mjs";
+import StockMovement, { MOVEMENT_TYPES } from "../models/stock-movement.mjs";
+import { checkParams, parsePagination, parseDate, pageLinks } from "../utils/product-query.mjs";
+import { recordMovement } from "../utils/ledger.mjs";
+import { BadRequestError, NotFoundError, ValidationError } from "../utils/errors.mjs";
+import { versionTag } from "../utils/etag.mjs";
+import { recordAudit } from "../utils/audit.mjs";
+import { stockUpdate, variantFilter } from "../utils/stock.mjs";
+import { pickVariant, variantDetails } from "../utils/variants.mjs";
+import { productType } from "../utils/product-types.mjs";
+import { createLot, consumeLots } from "../utils/lots.mjs";
+
+const MOVEMENT_PARAMS = ["from", "to", "type", "page", "limit"];
+
+async function getMovements(req, res) {
+  const { id } = req.params;
+  const errors = [];
+
+  checkParams(req.query, MOVEMENT_PARAMS, errors);
+  const { page, limit } = parsePagination(req.query, errors);
+  const from = parseDate(req.query, "from", errors);
+  const to = parseDate(req.query, "to", errors);
+  if (req.query.type !== undefined && !MOVEMENT_TYPES.includes(req.query.type)) {
+    errors.push({ field: "type", message: `must be one of: ${MOVEMENT_TYPES.join(", ")}` });
+  }
+  if (errors.length > 0) {
+    throw new BadRequestError("Invalid query parameters", "INVALID_QUERY", { errors });
+  }
+
+  if (!await Product.exists({ _id: id, company: req.user.company })) {
+    throw new NotFoundError("ID Product Not Found", "PRODUCT_NOT_FOUND");
+  }
+
+  const filter = { product: id };
+  if (from || to) {
+    filter.createdAt = {};
+    if (from) filter.createdAt.$gte = from;
+    if (to) filter.createdAt.$lte = to;
+  }
+  if (req.query.type !== undefined) {
+    filter.type = req.query.type;
+  }
+
+  const [result, total] = await Promise.all([
+    StockMovement.find(filter).sort({ createdAt: -1, _id: -1 }).skip((page - 1) * limit).limit(limit),
+    StockMovement.countDocuments(filter),
+  ]);
+  const pages = Math.ceil(total / limit);
+
+  return res.status(200).json({
+    state: true,
+    data: result,
+    meta: { total, page, limit, pages },
+    links: pageLinks(req, page, pages),
+  });
+}
+
+//Ajuste manual (mermas, conteo fisico...). Igual que las ventas es atomico y no deja el stock negativo.
+//En productos con variantes se ajusta una variante y el total del producto en la misma actualización.
+//En productos con lotes un ajuste positivo crea un lote y uno negativo descuenta de los que vencen antes
+async function adjustStock(req, res) {
+  const { id } = req.params;
+  const { quantity, reason } = req.body;
+
+  if (quantity === 0) {
+    throw new ValidationError([{ field: "quantity", message: "must be different from 0" }]);
+  }
+
+  const product = await Product.findOne({ _id: id, company: req.user.company });
+  if (!product) {
+    throw new NotFoundError("ID Product Not Found", "PRODUCT_NOT_FOUND");
+  }
+  const { variant, error } = pickVariant(product, req.body.variant);
+  if (error) {
+    throw new ValidationError([{ field: "variant", message: error }]);
+  }
+
+  const { lots } = await productType(product.numberCategory);
+
+  const condition = { _id: id, company: req.user.company, stock: { $gte: -quantity } };
+  if (variant) {
+    condition.variants = { $elemMatch: { _id: variant._id, stock: { $gte: -quantity } } };
+  }
+  const { result, movement } = await mongoose.connection.transaction(async (session) => {
+    const updated = await Product.findOneAndUpdate(condition, stockUpdate(quantity, variant?._id), {
+      new: true,
+      session,
+      arrayFilters: variantFilter(variant?._id),
+    });
+    if (!updated) {
+      throw new BadRequestError(variant ? `Stock of variant ${variant.sku} can't be negative` : "Stock can't be negative", "INSUFFICIENT_STOCK");
+    }
+    const details = variantDetails(variant);
+    if (lots) {
+      details.lots = quantity > 0
+        ? await createLot(updated, quantity, { session, variant: variant?._id, sku: variant?.sku })
+        : await consumeLots(updated._id, -quantity, { session, variant: variant?._id, strict: true });
+    }
+    return { result: updated, movement: await recordMovement(updated, "adjustment", quantity, req.user, reason, { session, details }) };
+  });
+  await recordAudit(req, "product", "adjust", { entityId: result._id, before: { stock: result.stock - quantity }, after: { stock: result.stock } });
+
+  res.set("ETag", versionTag(result));
+  return res.status(201).json({ state: true, data: result, movement: movement });
+}
+
+//Recalcula el stock de cada producto sumando su historial y devuelve los que no coinciden
+async function reconcile(req, res) {
+  const result = await Product.aggregate([
+    { $match: { company: req.user.company } },
+    {
+      $lookup: {
+        from: StockMovement.collection.name,
+        let: { productId: "$_id" },
+        pipeline: [
+          { $match: { $expr: { $eq: ["$product", "$$productId"] } } },
+          { $group: { _id: null, total: { $sum: "$quantity" }, count: { $sum: 1 } } },
+        ],
+        as: "ledger",
+      },
+    },
+    {
+      $project: {
+        id: 1,
+        name: 1,
+        stock: 1,
+        ledgerStock: { $ifNull: [{ $first: "$ledger.total" }, 0] },
+        movements: { $ifNull: [{ $first: "$ledger.count" }, 0] },
+      },
+    },
+    { $addFields: { drift: { $subtract: ["$stock", "$ledgerStock"] } } },
+    { $match: { drift: { $ne: 0 } } },
+    { $sort: { id: 1 } },
+  ]);
+
+  return res.status(200).json({ state: true, consistent: result.length === 0, data: result });
+}
+
+export { getMovements, adjustStock, reconcile };
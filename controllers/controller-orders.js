@@ -0,0 +1,248 @@
+import mongoose from "mongoose";
+import { Product } from "../models/product.mjs";
+import Order, { ORDER_STATUSES, ORDER_TRANSITIONS } from "../models/order.mjs";
+import Warranty from "../models/warranty.mjs";
+import { resolvePolicy } from "../utils/inventory-policy.mjs";
+import { takeStock, addStock, notifyReorder } from "../utils/stock.mjs";
+import { recordMovement } from "../utils/ledger.mjs";
+import { pickVariant, variantDetails } from "../utils/variants.mjs";
+import { productType } from "../utils/product-types.mjs";
+import { consumeLots, restoreLots } from "../utils/lots.mjs";
+import { checkSerialNumbers, createWarranties } from "../utils/warranties.mjs";
+import { activePromotions, bestPromotion, discounted } from "../utils/pricing.mjs";
+import { loadRates, exchangeRate, roundMoney } from "../utils/currency.mjs";
+import { loadTaxRules, taxRateOf, taxAmounts } from "../utils/tax.mjs";
+import { checkParams, parsePagination, pageLinks } from "../utils/product-query.mjs";
+import { BadRequestError, ConflictError, NotFoundError, ValidationError } from "../utils/errors.mjs";
+
+async function findOrder(id, company) {
+  const order = await Order.findOne({ _id: id, company });
+  if (!order) {
+    throw new NotFoundError("ID Order Not Found", "ORDER_NOT_FOUND");
+  }
+  return order;
+}
+
+async function getOrders(req, res) {
+  const errors = [];
+  checkParams(req.query, ["status", "page", "limit"], errors);
+  const { page, limit } = parsePagination(req.query, errors);
+  if (req.query.status !== undefined && !ORDER_STATUSES.includes(req.query.status)) {
+    errors.push({ field: "status", message: `must be one of: ${ORDER_STATUSES.join(", ")}` });
+  }
+  if (errors.length > 0) {
+    throw new BadRequestError("Invalid query parameters", "INVALID_QUERY", { errors });
+  }
+
+  const filter = { company: req.user.company };
+  if (req.query.status) filter.status = req.query.status;
+  const [result, total] = await Promise.all([
+    Order.find(filter).sort({ createdAt: -1, _id: -1 }).skip((page - 1) * limit).limit(limit),
+    Order.countDocuments(filter),
+  ]);
+  const pages = Math.ceil(total / limit);
+
+  return res.status(200).json({
+    state: true,
+    data: result,
+    meta: { total, page, limit, pages },
+    links: pageLinks(req, page, pages),
+  });
+}
+
+async function getOrder(req, res) {
+  const result = await findOrder(req.params.id, req.user.company);
+  return res.status(200).json({ state: true, data: result });
+}
+
+//Valida todas las lineas y descuenta el inventario de todas en una sola transacción:
+//o se venden todas o ninguna. En productos con variantes cada linea indica la variante.
+//En productos con garantia cada unidad queda con su garantia, igual que en PUT /product/sell/:id
+async function createOrder(req, res) {
+  //Las lineas repetidas del mismo producto y variante se suman, con sus números de serie
+  const requested = new Map();
+  req.body.items.forEach(({ product, variant, quantity, serialNumbers }, index) => {
+    const key = `${product}:${variant ?? ""}`;
+    const line = requested.get(key) ?? { index, productId: product, variantId: variant, quantity: 0 };
+    line.quantity += quantity;
+    if (serialNumbers) {
+      line.serialNumbers = [...(line.serialNumbers ?? []), ...serialNumbers];
+    }
+    requested.set(key, line);
+  });
+
+  const ids = [...new Set(req.body.items.map((item) => item.product))];
+  const products = await Product.find({ _id: { $in: ids }, company: req.user.company });
+  const byId = new Map(products.map((product) => [product._id.toString(), product]));
+
+  const missing = [];
+  const shortages = [];
+  const lines = [];
+  for (const { index, productId, variantId, quantity, serialNumbers } of requested.values()) {
+    const product = byId.get(productId);
+    if (!product) {
+      missing.push({ field: `items[${index}].product`, message: "ID Product Not Found" });
+      continue;
+    }
+    const { variant, error } = pickVariant(product, variantId);
+    if (error) {
+      missing.push({ field: `items[${index}].variant`, message: error });
+      continue;
+    }
+    const policy = await resolvePolicy(product);
+    if (policy.backorderPolicy === "reject" && product.stock - quantity < policy.safetyStock) {
+      shortages.push({ field: `items[${index}].quantity`, message: `only ${Math.max(0, product.stock - policy.safetyStock)} available` });
+    } else if (policy.backorderPolicy === "reject" && variant && variant.stock < quantity) {
+      shortages.push({ field: `items[${index}].quantity`, message: `only ${Math.max(0, variant.stock)} available of ${variant.sku}` });
+    }
+    const type = await productType(product.numberCategory);
+    const warranty = type.warranty && product.warrantyYears > 0;
+    if (serialNumbers) {
+      checkSerialNumbers(serialNumbers, quantity, warranty, `items[${index}].serialNumbers`);
+    }
+    lines.push({ index, product, variant, quantity, policy, lots: type.lots, warranty, serialNumbers });
+  }
+  if (missing.length > 0) {
+    throw new ValidationError(missing);
+  }
+  if (shortages.length > 0) {
+    throw new BadRequestError("Insufficient stock", "INSUFFICIENT_STOCK", { errors: shortages });
+  }
+
+  //Cada linea se cobra con la mejor promoción vigente del producto sobre su precio (o el de la variante),
+  //convertido a la moneda de la orden (la indicada o la del primer producto) y con el impuesto de su categoría
+  const [promotions, rates, taxRules] = await Promise.all([
+    activePromotions(req.user.company),
+    loadRates(req.user.company),
+    loadTaxRules(req.user.company),
+  ]);
+  const currency = req.body.currency ?? lines[0].product.currency;
+  const orderId = new mongoose.Types.ObjectId();
+  const items = lines.map(({ index, product, variant, quantity }) => {
+    const rate = exchangeRate(rates, product.currency, currency, `items[${index}].product`);
+    const listPrice = variant?.price ?? product.price;
+    const promotion = bestPromotion(product, promotions, listPrice, rates);
+    const unitPrice = roundMoney(discounted(listPrice, promotion, product.currency, rates) * rate, currency);
+    const { net, taxRate, tax, gross } = taxAmounts(unitPrice * quantity, taxRateOf(taxRules, product), currency);
+    return {
+      product: product._id,
+      id: product.id,
+      name: product.name,
+      ...variantDetails(variant),
+      quantity,
+      listPrice: roundMoney(listPrice * rate, currency),
+      unitPrice,
+      promotion: promotion?._id,
+      lineTotal: net,
+      taxRate,
+      tax,
+      gross,
+    };
+  });
+  //Los totales suman las lineas ya redondeadas, total es el bruto (neto + impuesto)
+  const net = roundMoney(items.reduce((sum, item) => sum + item.lineTotal, 0), currency);
+  const tax = roundMoney(items.reduce((sum, item) => sum + item.tax, 0), currency);
+  const total = roundMoney(net + tax, currency);
+
+  const updated = [];
+  const result = await mongoose.connection.transaction(async (session) => {
+    updated.length = 0;
+    for (const [i, line] of lines.entries()) {
+      //Otra venta pudo entrar despues de la validación, la condición se revisa de nuevo al descontar
+      const product = await takeStock(line.product._id, line.quantity, line.policy, { session, variant: line.variant?._id });
+      if (!product) {
+        throw new BadRequestError("Insufficient stock", "INSUFFICIENT_STOCK", {
+          errors: [{ field: `items[${line.index}].quantity`, message: "stock changed, not enough available" }],
+        });
+      }
+      //Los lotes consumidos quedan en la linea para devolverlos si la orden se cancela
+      items[i].lots = line.lots
+        ? await consumeLots(product._id, line.quantity, { session, variant: line.variant?._id, strict: line.policy.backorderPolicy === "reject" })
+        : undefined;
+      const movement = await recordMovement(product, "sale", -line.quantity, req.user, `Order ${orderId}`, {
+        session,
+        details: { ...variantDetails(line.variant), lots: items[i].lots },
+      });
+      //Un número de serie repetido en la compañía responde 409 DUPLICATE_KEY y deshace la orden
+      const warranties = line.warranty
+        ? await createWarranties(product, line.quantity, {
+          session,
+          variant: line.variant,
+          serialNumbers: line.serialNumbers,
+          movement: movement._id,
+          order: orderId,
+          user: req.user,
+        })
+        : undefined;
+      items[i].serialNumbers = warranties?.map((warranty) => warranty.serialNumber);
+      updated.push({ product, line });
+    }
+
+    const [order] = await Order.create([{
+      _id: orderId,
+      company: req.user.company,
+      items,
+      currency,
+      net,
+      tax,
+      total,
+      statusHistory: [{ status: "pending", user: req.user.id }],
+      user: req.user.id,
+    }], { session });
+    return order;
+  });
+
+  for (const { product, line } of updated) {
+    notifyReorder(product, line.quantity, line.policy);
+  }
+
+  return res.status(201).json({ state: true, data: result });
+}
+
+//Cambia el estado segun ORDER_TRANSITIONS. Al cancelar se devuelve el stock en la misma transacción,
+//salvo las unidades de lotes que vencieron mientras tanto: vuelven a su lote pero no al stock.
+//Las garantias de la orden se eliminan porque sus unidades vuelven al inventario
+async function changeStatus(req, res) {
+  const { id } = req.params;
+  const { status } = req.body;
+
+  //La orden se lee dentro de la transacción para que un reintento parta del estado guardado
+  const result = await mongoose.connection.transaction(async (session) => {
+    const order = await Order.findOne({ _id: id, company: req.user.company }).session(session);
+    if (!order) {
+      throw new NotFoundError("ID Order Not Found", "ORDER_NOT_FOUND");
+    }
+
+    const allowed = ORDER_TRANSITIONS[order.status];
+    if (!allowed.includes(status)) {
+      throw new ConflictError(`Order can't change from ${order.status} to ${status}`, "INVALID_TRANSITION", { allowed });
+    }
+
+    if (status === "cancelled") {
+      for (const item of order.items) {
+        const quantity = item.quantity - await restoreLots(item.lots, { session });
+        if (quantity === 0) {
+          continue;
+        }
+        const product = await addStock(item.product, quantity, { session, variant: item.variant });
+        //Si el producto o la variante ya no existen no hay inventario que devolver
+        if (product) {
+          await recordMovement(product, "cancellation", quantity, req.user, `Order ${order._id} cancelled`, {
+            session,
+            details: { ...(item.variant ? { variant: item.variant, sku: item.sku } : {}), lots: item.lots?.length > 0 ? item.lots : undefined },
+          });
+        }
+      }
+      await Warranty.deleteMany({ order: order._id }, { session });
+    }
+
+    order.status = status;
+    order.statusHistory.push({ status, user: req.user.id });
+    //optimisticConcurrency evita que dos cambios simultaneos devuelvan el stock dos veces
+    return order.save({ session });
+  });
+
+  return res.status(200).json({ state: true, data: result });
+}
+
+export { getOrders, getOrder, createOrder, changeStatus };
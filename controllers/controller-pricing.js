@@ -0,0 +1,279 @@
+import { Product } from "../models/product.mjs";
+import PriceHistory from "../models/price-history.mjs";
+import ScheduledPrice from "../models/scheduled-price.mjs";
+import Promotion from "../models/promotion.mjs";
+import ExchangeRate from "../models/exchange-rate.mjs";
+import TaxRule from "../models/tax-rule.mjs";
+import { BASE_CURRENCY, CURRENCY_PATTERN } from "../utils/currency.mjs";
+import { DEFAULT_TAX_RATE } from "../utils/tax.mjs";
+import { productType } from "../utils/product-types.mjs";
+import { checkParams, parsePagination, pageLinks } from "../utils/product-query.mjs";
+import { BadRequestError, ConflictError, NotFoundError, ValidationError } from "../utils/errors.mjs";
+
+const PROMOTION_STATUSES = ["active", "upcoming", "ended"];
+const SCOPE_FIELDS = { product: "product", category: "category", type: "numberCategory" };
+
+async function checkProduct(id, company) {
+  if (!await Product.exists({ _id: id, company })) {
+    throw new NotFoundError("ID Product Not Found", "PRODUCT_NOT_FOUND");
+  }
+}
+
+//Cambios del precio de lista del producto, del más reciente al más antiguo
+async function getPriceHistory(req, res) {
+  const errors = [];
+  checkParams(req.query, ["page", "limit"], errors);
+  const { page, limit } = parsePagination(req.query, errors);
+  if (errors.length > 0) {
+    throw new BadRequestError("Invalid query parameters", "INVALID_QUERY", { errors });
+  }
+  await checkProduct(req.params.id, req.user.company);
+
+  const filter = { product: req.params.id };
+  const [result, total] = await Promise.all([
+    PriceHistory.find(filter).sort({ createdAt: -1, _id: -1 }).skip((page - 1) * limit).limit(limit),
+    PriceHistory.countDocuments(filter),
+  ]);
+  const pages = Math.ceil(total / limit);
+
+  return res.status(200).json({
+    state: true,
+    data: result,
+    meta: { total, page, limit, pages },
+    links: pageLinks(req, page, pages),
+  });
+}
+
+async function getScheduledPrices(req, res) {
+  await checkProduct(req.params.id, req.user.company);
+  const result = await ScheduledPrice.find({ product: req.params.id }).sort({ effectiveAt: 1, _id: 1 });
+  return res.status(200).json({ state: true, data: result });
+}
+
+//El cambio queda pendiente hasta effectiveAt, cuando jobs/scheduled-prices.mjs actualiza el precio de lista
+async function schedulePrice(req, res) {
+  const effectiveAt = new Date(req.body.effectiveAt);
+  if (!(effectiveAt.getTime() > Date.now())) {
+    throw new ValidationError([{ field: "effectiveAt", message: "must be a valid future date" }]);
+  }
+  await checkProduct(req.params.id, req.user.company);
+
+  const result = await ScheduledPrice.create({
+    company: req.user.company,
+    product: req.params.id,
+    price: req.body.price,
+    effectiveAt,
+    user: req.user.id,
+  });
+  return res.status(201).json({ state: true, data: result });
+}
+
+//Solo los pendientes, la condición evita cancelar uno que el job aplico al mismo tiempo
+async function cancelScheduledPrice(req, res) {
+  const filter = { _id: req.params.scheduleId, product: req.params.id, company: req.user.company };
+  const scheduled = await ScheduledPrice.findOne(filter);
+  if (!scheduled) {
+    throw new NotFoundError("ID Scheduled Price Not Found", "SCHEDULED_PRICE_NOT_FOUND");
+  }
+
+  const result = await ScheduledPrice.findOneAndUpdate({ ...filter, status: "pending" }, { status: "cancelled" }, { new: true });
+  if (!result) {
+    throw new ConflictError(`Scheduled price is already ${scheduled.status === "pending" ? "applied" : scheduled.status}`, "SCHEDULED_PRICE_NOT_PENDING");
+  }
+  return res.status(200).json({ state: true, data: result });
+}
+
+//Errores de una promoción que el esquema de entrada no puede detectar
+async function checkPromotion(body, company) {
+  const errors = [];
+  const startsAt = new Date(body.startsAt);
+  const endsAt = new Date(body.endsAt);
+  if (Number.isNaN(startsAt.getTime())) {
+    errors.push({ field: "startsAt", message: "must be a valid date (ISO 8601)" });
+  }
+  if (Number.isNaN(endsAt.getTime())) {
+    errors.push({ field: "endsAt", message: "must be a valid date (ISO 8601)" });
+  } else if (endsAt <= startsAt) {
+    errors.push({ field: "endsAt", message: "must be after startsAt" });
+  }
+
+  if (body.value === 0 || (body.discountType === "percent" && body.value > 100)) {
+    errors.push({ field: "value", message: body.discountType === "percent" ? "must be greater than 0 and at most 100" : "must be greater than 0" });
+  }
+  if (body.discountType === "percent" && body.currency !== undefined) {
+    errors.push({ field: "currency", message: "is only allowed when discountType is fixed" });
+  }
+
+  //Solo el campo del alcance, y es obligatorio
+  for (const [scope, field] of Object.entries(SCOPE_FIELDS)) {
+    if (scope === body.scope && body[field] === undefined) {
+      errors.push({ field, message: `is required when scope is ${scope}` });
+    } else if (scope !== body.scope && body[field] !== undefined) {
+      errors.push({ field, message: `is only allowed when scope is ${scope}` });
+    }
+  }
+  if (errors.length > 0) {
+    throw new ValidationError(errors);
+  }
+
+  if (body.scope === "product" && !await Product.exists({ _id: body.product, company })) {
+    throw new ValidationError([{ field: "product", message: "ID Product Not Found" }]);
+  }
+  if (body.scope === "type") {
+    await productType(body.numberCategory);
+  }
+  return { startsAt, endsAt };
+}
+
+async function findPromotion(id, company) {
+  const promotion = await Promotion.findOne({ _id: id, company });
+  if (!promotion) {
+    throw new NotFoundError("ID Promotion Not Found", "PROMOTION_NOT_FOUND");
+  }
+  return promotion;
+}
+
+//Promociones de la compañía por estado: active (vigentes), upcoming (aun no empiezan) o ended
+async function getPromotions(req, res) {
+  const errors = [];
+  checkParams(req.query, ["status", "page", "limit"], errors);
+  const { page, limit } = parsePagination(req.query, errors);
+  if (req.query.status !== undefined && !PROMOTION_STATUSES.includes(req.query.status)) {
+    errors.push({ field: "status", message: `must be one of: ${PROMOTION_STATUSES.join(", ")}` });
+  }
+  if (errors.length > 0) {
+    throw new BadRequestError("Invalid query parameters", "INVALID_QUERY", { errors });
+  }
+
+  const now = new Date();
+  const filter = { company: req.user.company };
+  if (req.query.status === "active") Object.assign(filter, { startsAt: { $lte: now }, endsAt: { $gt: now } });
+  if (req.query.status === "upcoming") filter.startsAt = { $gt: now };
+  if (req.query.status === "ended") filter.endsAt = { $lte: now };
+  const [result, total] = await Promise.all([
+    Promotion.find(filter).sort({ startsAt: -1, _id: -1 }).skip((page - 1) * limit).limit(limit),
+    Promotion.countDocuments(filter),
+  ]);
+  const pages = Math.ceil(total / limit);
+
+  return res.status(200).json({
+    state: true,
+    data: result,
+    meta: { total, page, limit, pages },
+    links: pageLinks(req, page, pages),
+  });
+}
+
+async function getPromotion(req, res) {
+  const result = await findPromotion(req.params.id, req.user.company);
+  return res.status(200).json({ state: true, data: result });
+}
+
+async function createPromotion(req, res) {
+  const dates = await checkPromotion(req.body, req.user.company);
+  const result = await Promotion.create({ ...req.body, ...dates, company: req.user.company, user: req.user.id });
+  return res.status(201).json({ state: true, data: result });
+}
+
+//Reemplaza la promoción completa, los campos de otro alcance quedan sin valor
+async function updatePromotion(req, res) {
+  const promotion = await findPromotion(req.params.id, req.user.company);
+  const dates = await checkPromotion(req.body, req.user.company);
+  promotion.overwrite({ ...req.body, ...dates, company: promotion.company, user: promotion.user });
+  const result = await promotion.save();
+  return res.status(200).json({ state: true, data: result });
+}
+
+async function deletePromotion(req, res) {
+  const result = await Promotion.findOneAndDelete({ _id: req.params.id, company: req.user.company });
+  if (!result) {
+    throw new NotFoundError("ID Promotion Not Found", "PROMOTION_NOT_FOUND");
+  }
+  return res.status(200).json({ state: true, data: result });
+}
+
+//Tasas de cambio de la compañía respecto a BASE_CURRENCY
+async function getExchangeRates(req, res) {
+  const result = await ExchangeRate.find({ company: req.user.company }).sort({ currency: 1 });
+  return res.status(200).json({ state: true, base: BASE_CURRENCY, data: result });
+}
+
+function currencyParam(req) {
+  const currency = req.params.currency.toUpperCase();
+  if (!new RegExp(CURRENCY_PATTERN).test(currency)) {
+    throw new ValidationError([{ field: "currency", message: "must be an ISO 4217 currency code" }]);
+  }
+  if (currency === BASE_CURRENCY) {
+    throw new ValidationError([{ field: "currency", message: `${BASE_CURRENCY} is the base currency, its rate is always 1` }]);
+  }
+  return currency;
+}
+
+//Crea o reemplaza la tasa de una moneda, los precios se convierten con la tasa vigente al consultarlos
+async function saveExchangeRate(req, res) {
+  const currency = currencyParam(req);
+  if (req.body.rate === 0) {
+    throw new ValidationError([{ field: "rate", message: "must be greater than 0" }]);
+  }
+  const result = await ExchangeRate.findOneAndReplace(
+    { company: req.user.company, currency },
+    { company: req.user.company, currency, rate: req.body.rate, user: req.user.id },
+    { new: true, upsert: true, runValidators: true }
+  );
+  return res.status(200).json({ state: true, data: result });
+}
+
+async function deleteExchangeRate(req, res) {
+  const currency = currencyParam(req);
+  const result = await ExchangeRate.findOneAndDelete({ company: req.user.company, currency });
+  if (!result) {
+    throw new NotFoundError("Exchange Rate Not Found", "EXCHANGE_RATE_NOT_FOUND");
+  }
+  return res.status(200).json({ state: true, data: result });
+}
+
+async function getTaxRules(req, res) {
+  const result = await TaxRule.find({ company: req.user.company }).sort({ category: 1 });
+  return res.status(200).json({ state: true, defaultRate: DEFAULT_TAX_RATE, data: result });
+}
+
+//Crea o reemplaza el impuesto de una categoría, las ordenes ya creadas conservan el suyo
+async function saveTaxRule(req, res) {
+  const { category } = req.params;
+  if (req.body.rate > 100) {
+    throw new ValidationError([{ field: "rate", message: "must be at most 100" }]);
+  }
+  const result = await TaxRule.findOneAndReplace(
+    { company: req.user.company, category },
+    { company: req.user.company, category, ...req.body },
+    { new: true, upsert: true, runValidators: true }
+  );
+  return res.status(200).json({ state: true, data: result });
+}
+
+async function deleteTaxRule(req, res) {
+  const { category } = req.params;
+  const result = await TaxRule.findOneAndDelete({ company: req.user.company, category });
+  if (!result) {
+    throw new NotFoundError("Category Tax Rule Not Found", "TAX_RULE_NOT_FOUND");
+  }
+  return res.status(200).json({ state: true, data: result });
+}
+
+export {
+  getPriceHistory,
+  getScheduledPrices,
+  schedulePrice,
+  cancelScheduledPrice,
+  getPromotions,
+  getPromotion,
+  createPromotion,
+  updatePromotion,
+  deletePromotion,
+  getExchangeRates,
+  saveExchangeRate,
+  deleteExchangeRate,
+  getTaxRules,
+  saveTaxRule,
+  deleteTaxRule,
+};
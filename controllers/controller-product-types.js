@@ -0,0 +1,60 @@
+import mongoose from "mongoose";
+import ProductType from "../models/product-type.mjs";
+import { PRODUCT_TYPES, checkDefinition, registerProductType } from "../utils/product-types.mjs";
+import { ConflictError, ValidationError } from "../utils/errors.mjs";
+
+function describe(type) {
+  return {
+    numberCategory: type.numberCategory,
+    name: type.name,
+    label: type.label,
+    custom: type.custom,
+    variants: Object.keys(type.variants ?? {}),
+    lots: type.lots,
+    warranty: type.warranty,
+    schema: type.schema,
+  };
+}
+
+//Tipos predefinidos y los creados en POST /product-types, con el esquema que valida sus productos
+async function getProductTypes(req, res) {
+  const result = [...PRODUCT_TYPES.values()]
+    .sort((a, b) => a.numberCategory - b.numberCategory)
+    .map(describe);
+  return res.status(200).json({ state: true, data: result });
+}
+
+//El tipo se guarda y se registra como discriminador; desde ese momento POST y PUT /product lo aceptan.
+//numberCategory y name no pueden repetir los de otro tipo (tampoco los predefinidos)
+async function createProductType(req, res) {
+  const { numberCategory, name } = req.body;
+  const taken = [...PRODUCT_TYPES.values()].find((type) => type.numberCategory === numberCategory || type.name === name);
+  if (taken) {
+    throw new ConflictError(`Product type ${taken.name} (${taken.numberCategory}) already exists`, "PRODUCT_TYPE_EXISTS");
+  }
+
+  //El discriminador es un modelo de mongoose más, no puede usar el nombre de otro (User, Order, Lot...)
+  if (mongoose.modelNames().includes(name)) {
+    throw new ConflictError(`${name} is already used by another model`, "PRODUCT_TYPE_NAME_RESERVED");
+  }
+
+  const errors = checkDefinition(req.body);
+  if (errors.length > 0) {
+    throw new ValidationError(errors);
+  }
+
+  //Si otra instancia lo creo antes, el indice unico responde 409 DUPLICATE_KEY
+  //Si no se puede registrar, la definición no queda guardada para no fallar en cada inicio de la API
+  const definition = await ProductType.create({ ...req.body, user: req.user.id });
+  let result;
+  try {
+    result = registerProductType(definition);
+  } catch (err) {
+    await ProductType.deleteOne({ _id: definition._id });
+    throw err;
+  }
+
+  return res.status(201).json({ state: true, data: describe(result) });
+}
+
+export { getProductTypes, createProductType };
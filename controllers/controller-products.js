@@ -1,224 +1,479 @@
+import mongoose from "mongoose";
+import { Product } from "../models/product.mjs";
+import { buildProductQuery, buildSearchQuery, priceFilter, checkParams, parsePagination, parseCurrency, pageLinks } from "../utils/product-query.mjs";
 import {
-  Product,
-  ElectronicsProduct,
-  FoodProduct,
-  AutomotiveProduct,
-  ClothingProduct,
-} from "../models/product.mjs";
-import jwt from "jsonwebtoken";
-
-const key = process.env.SECRET;
-
-function validate(aux) {
-  let token = aux;
-  if (token != undefined) {
-    token = aux.split(" ")[1];
-
-    const payload = jwt.verify(token, key);
-    if (Date.now() > payload.exp) {
-      return "Session Expired";
-    } else {
-      return true;
-    }
-  } else {
-    return "The session has not been logged in or the token has not been entered.";
+  BadRequestError,
+  ConflictError,
+  NotFoundError,
+  PreconditionFailedError,
+  UnsupportedMediaTypeError,
+  ValidationError,
+} from "../utils/errors.mjs";
+import { versionTag, matchesVersion } from "../utils/etag.mjs";
+import { recordMovement } from "../utils/ledger.mjs";
+import { resolvePolicy, lowStockFilter } from "../utils/inventory-policy.mjs";
+import { takeStock, notifyReorder } from "../utils/stock.mjs";
+import { pickVariant, variantDetails } from "../utils/variants.mjs";
+import { createLot, consumeLots } from "../utils/lots.mjs";
+import { checkSerialNumbers, createWarranties } from "../utils/warranties.mjs";
+import { recordPrice, activePromotions, bestPromotion, discounted, withPricing } from "../utils/pricing.mjs";
+import { BASE_CURRENCY, loadRates, priceExpression } from "../utils/currency.mjs";
+import { loadTaxRules, taxRateOf, taxAmounts } from "../utils/tax.mjs";
+import { snapshot, recordAudit } from "../utils/audit.mjs";
+import { applyMergePatch, applyJsonPatch } from "../utils/patch.mjs";
+import { validateSchema } from "../utils/validator.mjs";
+import { productType, buildProduct, typeFields } from "../utils/product-types.mjs";
+import { JsonPatchInput } from "../schemas/product.mjs";
+
+//Los errores (BD, validación, ids) llegan al manejador central de index.js.
+//Todas las consultas filtran por req.user.company (middleware tenant): una compañía solo ve sus productos
+
+//Moneda en que se comparan los precios (minPrice, maxPrice, sort=price y facetas de precio): la de ?currency,
+//la del catálogo si tiene una sola o BASE_CURRENCY, con la expresión del precio convertido a ella
+async function comparablePrice(company, currency) {
+  const currencies = (await Product.aggregate([
+    { $match: { company } },
+    { $group: { _id: { $ifNull: ["$currency", BASE_CURRENCY] } } },
+  ])).map(({ _id }) => _id);
+  const target = currency ?? (currencies.length === 1 ? currencies[0] : BASE_CURRENCY);
+  const rates = currencies.some((item) => item !== target) ? await loadRates(company) : undefined;
+  return { currency: target, price: priceExpression(currencies, rates, target) };
+}
+
+//Con sort=price sobre varias monedas se ordena por el precio convertido, que solo se calcula en una agregación
+async function findPage(filter, sort, price, page, limit) {
+  if (sort.price === undefined || price === "$price") {
+    return Product.find(filter).sort(sort).skip((page - 1) * limit).limit(limit);
   }
+  const documents = await Product.aggregate([
+    { $match: filter },
+    { $addFields: { comparablePrice: price } },
+    { $sort: Object.fromEntries(Object.entries(sort).map(([field, order]) => [field === "price" ? "comparablePrice" : field, order])) },
+    { $skip: (page - 1) * limit },
+    { $limit: limit },
+    { $project: { comparablePrice: 0 } },
+  ]);
+  return documents.map((document) => Product.hydrate(document));
 }
 
 async function getAll(req, res) {
-  try {
-    const result = await Product.find({});
-    return res.status(200).json({ state: true, data: result });
-  } catch (err) {
-    return res.status(500).json({ state: false, message: err.mesagge });
+  const { errors, filter, sort, page, limit, currency, lowStock } = buildProductQuery(req.query);
+  if (errors) {
+    throw new BadRequestError("Invalid query parameters", "INVALID_QUERY", { errors });
+  }
+
+  filter.company = req.user.company;
+  //En $and para no chocar con el $expr del rango de precios convertido
+  if (lowStock) {
+    filter.$and = [await lowStockFilter(req.user.company)];
+  }
+  const { price } = filter.price || sort.price ? await comparablePrice(req.user.company, currency) : { price: "$price" };
+  const query = priceFilter(filter, price);
+  const [result, total, promotions, rates] = await Promise.all([
+    findPage(query, sort, price, page, limit),
+    Product.countDocuments(query),
+    activePromotions(req.user.company),
+    loadRates(req.user.company),
+  ]);
+  const pages = Math.ceil(total / limit);
+
+  //Cada producto con su precio de lista y su precio efectivo (con la mejor promoción vigente),
+  //convertidos a ?currency si se indica. Las tasas convierten tambien las promociones fixed de otra moneda
+  return res.status(200).json({
+    state: true,
+    data: result.map((product) => withPricing(product, promotions, { currency, rates })),
+    meta: { total, page, limit, pages },
+    links: pageLinks(req, page, pages),
+  });
+}
+
+const PRICE_BUCKETS = [0, 10, 50, 100, 500, 1000, 5000];
+
+async function search(req, res) {
+  const { errors, text, filter, page, limit, currency } = buildSearchQuery(req.query);
+  if (errors) {
+    throw new BadRequestError("Invalid query parameters", "INVALID_QUERY", { errors });
   }
+
+  //El rango y las facetas de precio usan el precio convertido a una sola moneda
+  const compared = await comparablePrice(req.user.company, currency);
+  const [promotions, rates] = await Promise.all([activePromotions(req.user.company), loadRates(req.user.company)]);
+
+  //$text tiene que ser la primera etapa del pipeline
+  const [result] = await Product.aggregate([
+    { $match: { $text: { $search: text }, ...priceFilter(filter, compared.price), company: req.user.company } },
+    { $addFields: { score: { $meta: "textScore" } } },
+    { $project: { specValues: 0 } },
+    {
+      $facet: {
+        data: [
+          { $sort: { score: -1, _id: 1 } },
+          { $skip: (page - 1) * limit },
+          { $limit: limit },
+        ],
+        total: [{ $count: "count" }],
+        category: [{ $sortByCount: "$category" }],
+        type: [{ $sortByCount: "$__t" }],
+        price: [
+          {
+            $bucket: {
+              groupBy: compared.price,
+              boundaries: PRICE_BUCKETS,
+              default: `${PRICE_BUCKETS[PRICE_BUCKETS.length - 1]}+`,
+              output: { count: { $sum: 1 } },
+            },
+          },
+        ],
+      },
+    },
+  ]);
+
+  const total = result.total[0]?.count ?? 0;
+  const pages = Math.ceil(total / limit);
+
+  //Igual que GET /product, cada resultado con su precio de lista y efectivo (en ?currency si se indica)
+  return res.status(200).json({
+    state: true,
+    data: result.data.map((document) => ({ ...withPricing(Product.hydrate(document), promotions, { currency, rates }), score: document.score })),
+    facets: {
+      category: result.category.map((f) => ({ value: f._id, count: f.count })),
+      type: result.type.map((f) => ({ value: f._id ?? "Product", count: f.count })),
+      price: result.price.map((f) => {
+        const index = PRICE_BUCKETS.indexOf(f._id);
+        return {
+          min: index === -1 ? PRICE_BUCKETS[PRICE_BUCKETS.length - 1] : f._id,
+          max: index === -1 ? null : PRICE_BUCKETS[index + 1],
+          currency: compared.currency,
+          count: f.count,
+        };
+      }),
+    },
+    meta: { total, page, limit, pages },
+    links: pageLinks(req, page, pages),
+  });
+}
+
+async function findProduct(id, company) {
+  const product = await Product.findOne({ _id: id, company });
+  if (!product) {
+    throw new NotFoundError("ID Product Not Found", "PRODUCT_NOT_FOUND");
+  }
+  return product;
 }
 
 async function getById(req, res) {
-  const { id } = req.params;
-  try {
-    const result = await Product.findById(id);
-    return res.status(200).json({ state: true, data: result });
-  } catch (err) {
-    return res.status(500).json({ state: false, error: err.message });
+  const errors = [];
+  checkParams(req.query, ["currency"], errors);
+  const currency = errors.length === 0 ? parseCurrency(req.query, errors) : undefined;
+  if (errors.length > 0) {
+    throw new BadRequestError("Invalid query parameters", "INVALID_QUERY", { errors });
   }
+
+  const { id } = req.params;
+  const result = await findProduct(id, req.user.company);
+  const [promotions, rates] = await Promise.all([
+    activePromotions(req.user.company),
+    loadRates(req.user.company),
+  ]);
+  res.set("ETag", versionTag(result));
+  return res.status(200).json({ state: true, data: withPricing(result, promotions, { currency, rates }) });
 }
 
 async function save(req, res) {
-  try {
-    const token = req.headers.authorization;
-    const valid = validate(token);
-    if (valid == true) {
-        let product = new Product(req.body);
-        switch (product.numberCategory) {
-          case 1:
-            product = new ElectronicsProduct(req.body);
-            break;
-          case 2:
-            product = new FoodProduct(req.body);
-            break;
-          case 3:
-            product = new AutomotiveProduct(req.body);
-            break;
-          case 4:
-            product = new ClothingProduct(req.body);
-            break;
-          default:
-            console.log(
-              "No se encuentra el tipo de producto, se dejará en la clase base"
-            );
-            break;
-        }
-
-        const result = await product.save();
-
-        return res.status(201).json({ state: true, data: result });
-    } else {
-      return res.status(401).json({ error: valid });
-    }
-  } catch (err) {
-    return res.status(500).json({ state: false, message: err.message });
-  }
+  const type = await productType(req.body.numberCategory);
+  const product = new type.model({ ...req.body, company: req.user.company });
+
+  const result = await product.save();
+  //En productos con lotes el stock inicial entra como el primer lote
+  const lots = type.lots && result.stock > 0 ? await createLot(result, result.stock) : undefined;
+  await recordMovement(result, "initial", result.stock, req.user, "Product created", { details: { lots } });
+  await recordPrice(result, null, "create", req.user);
+  await recordAudit(req, "product", "create", { entityId: result._id, after: result });
+
+  return res.status(201).json({ state: true, data: result });
 }
 
+//Envia el producto a la papelera. Deja de aparecer en las consultas pero se puede restaurar
 async function eliminate(req, res) {
   const { id } = req.params;
-  try {
-    const token = req.headers.authorization;
-    const valid = validate(token);
-    if (valid == true) {
-      const product = await Product.findById(id);
-      if (product) {
-        const result = await product.deleteOne();
-        return res.status(200).json({ state: true, data: result });
-      } else {
-        return res
-          .status(404)
-          .json({ state: false, message: "ID Company Not Found", data: null });
-      }
-    } else {
-      return res.status(401).json({ error: valid });
-    }
-  } catch (err) {
-    return res.status(500).json({ state: false, message: err.message });
+  const result = await Product.findOneAndUpdate(
+    { _id: id, company: req.user.company },
+    { deletedAt: new Date(), deletedBy: req.user.id, $inc: { __v: 1 } },
+    { new: true }
+  );
+  if (!result) {
+    throw new NotFoundError("ID Product Not Found", "PRODUCT_NOT_FOUND");
+  }
+  await recordAudit(req, "product", "delete", {
+    entityId: result._id,
+    before: { deletedAt: null, deletedBy: null },
+    after: { deletedAt: result.deletedAt, deletedBy: result.deletedBy },
+  });
+  return res.status(200).json({ state: true, data: result });
+}
+
+async function getTrash(req, res) {
+  const errors = [];
+  checkParams(req.query, ["page", "limit"], errors);
+  const { page, limit } = parsePagination(req.query, errors);
+  if (errors.length > 0) {
+    throw new BadRequestError("Invalid query parameters", "INVALID_QUERY", { errors });
+  }
+
+  const filter = { company: req.user.company, deletedAt: { $ne: null } };
+  const [result, total] = await Promise.all([
+    Product.find(filter).sort({ deletedAt: -1, _id: 1 }).skip((page - 1) * limit).limit(limit),
+    Product.countDocuments(filter),
+  ]);
+  const pages = Math.ceil(total / limit);
+
+  return res.status(200).json({
+    state: true,
+    data: result,
+    meta: { total, page, limit, pages },
+    links: pageLinks(req, page, pages),
+  });
+}
+
+async function findTrashed(id, company) {
+  const product = await Product.findOne({ _id: id, company }).setOptions({ withDeleted: true });
+  if (!product) {
+    throw new NotFoundError("ID Product Not Found", "PRODUCT_NOT_FOUND");
+  }
+  if (!product.deletedAt) {
+    throw new ConflictError("Product is not in the trash", "PRODUCT_NOT_IN_TRASH");
+  }
+  return product;
+}
+
+async function restore(req, res) {
+  const product = await findTrashed(req.params.id, req.user.company);
+  const before = snapshot(product);
+  product.deletedAt = null;
+  product.deletedBy = null;
+  const result = await product.save();
+  await recordAudit(req, "product", "restore", { entityId: result._id, before, after: result });
+
+  res.set("ETag", versionTag(result));
+  return res.status(200).json({ state: true, data: result });
+}
+
+//Eliminación definitiva, solo de productos que ya estan en la papelera. El historial de stock se conserva
+async function purge(req, res) {
+  const product = await findTrashed(req.params.id, req.user.company);
+  const result = await product.deleteOne();
+  await recordAudit(req, "product", "purge", { entityId: product._id, before: product });
+  return res.status(200).json({ state: true, data: result });
+}
+
+//Con If-Match solo se actualiza si nadie mas modifico el producto desde que se leyo
+function checkVersion(req, product) {
+  const ifMatch = req.get("If-Match");
+  if (ifMatch && !matchesVersion(ifMatch, product)) {
+    throw new PreconditionFailedError("Product was modified, reload it and try again", "VERSION_MISMATCH", { etag: versionTag(product) });
   }
 }
 
 async function actualize(req, res) {
   const { id } = req.params;
-  try {
-    const token = req.headers.authorization;
-    const valid = validate(token);
-    if (valid == true) {
-      const product = await Product.findById(id);
-
-      if (product) {
-
-        let productN = new Product(req.body);
-
-        switch (productN.numberCategory) {
-          case 1:
-            productN = new ElectronicsProduct(req.body);
-            break;
-          case 2:
-            productN = new FoodProduct(req.body);
-            break;
-          case 3:
-            productN = new AutomotiveProduct(req.body);
-            break;
-          case 4:
-            productN = new ClothingProduct(req.body);
-            break;
-          default:
-            console.log(
-              "No se encuentra el tipo de producto, se dejará en la clase base"
-            );
-            break;
-        }
-
-        await product.overwrite(productN);
-
-        const result = await product.save();
-
-        return res.status(201).json({ state: true, data: result });
-      } else {
-        return res
-          .status(404)
-          .json({ state: false, message: "ID Company Not Found", data: null });
-      }
-    } else {
-      return res.status(401).json({ error: valid });
-    }
-  } catch (err) {
-    return res.status(500).json({ state: false, message: err.message });
+  const product = await findProduct(id, req.user.company);
+  checkVersion(req, product);
+
+  //PUT reemplaza los campos pero no el discriminador, el cambio de tipo tiene su propia operación
+  const type = await productType(req.body.numberCategory);
+  if (product.__t !== type.name) {
+    throw new ConflictError("PUT can't change the product type, use POST /product/:id/type", "PRODUCT_TYPE_CHANGE_REQUIRED");
+  }
+
+  //El stock solo cambia con los endpoints de inventario (recepciones, ventas y ajustes): PUT lo conserva
+  //aunque no se envie, igual que las variantes
+  if (req.body.stock !== undefined && req.body.stock !== product.stock) {
+    throw new ValidationError([{ field: "stock", message: "can't change with PUT, use the inventory endpoints" }]);
   }
+
+  //El producto sigue en la compañía del usuario, el body no puede cambiarla
+  const productN = await buildProduct({ ...req.body, company: req.user.company });
+  productN.set({ stock: product.stock, variants: product.variants?.map((variant) => variant.toObject()) });
+
+  const before = snapshot(product);
+  await product.overwrite(productN);
+
+  //optimisticConcurrency: si otro cambio entra entre la lectura y el save se responde 409
+  const result = await product.save();
+  if (result.price !== before.price || result.currency !== before.currency) {
+    await recordPrice(result, before.price, "update", req.user);
+  }
+  await recordAudit(req, "product", "overwrite", { entityId: result._id, before, after: result });
+
+  res.set("ETag", versionTag(result));
+  return res.status(201).json({ state: true, data: result });
 }
 
 
-async function providerProducts(req, res) {
+//Actualización parcial con JSON Merge Patch (application/merge-patch+json o application/json) o
+//JSON Patch (application/json-patch+json). El patch se aplica sobre los campos editables del producto
+//y el resultado se valida con el esquema de su tipo. stock solo cambia con los endpoints de inventario
+async function patchProduct(req, res) {
   const { id } = req.params;
-  try {
-    const token = req.headers.authorization;
-    const valid = validate(token);
-    if (valid == true) {
-      const product = await Product.findById(id);
+  const product = await findProduct(id, req.user.company);
+  checkVersion(req, product);
 
-      if (product) {
+  const type = await productType(product.numberCategory);
+  const { schema } = type;
+  const before = snapshot(product);
+  const current = {};
+  for (const field of typeFields(type)) {
+    if (before[field] !== undefined) current[field] = before[field];
+  }
 
-        const {nStock} = req.body;
+  let patched;
+  if (req.is("application/json-patch+json")) {
+    const errors = validateSchema(JsonPatchInput, req.body ?? null);
+    if (errors.length > 0) {
+      throw new ValidationError(errors, "Invalid Patch", "INVALID_PATCH");
+    }
+    patched = applyJsonPatch(current, req.body);
+  } else if (req.is("application/merge-patch+json") || req.is("application/json")) {
+    if (req.body === null || typeof req.body !== "object" || Array.isArray(req.body)) {
+      throw new ValidationError([{ field: "(body)", message: "must be of type object" }], "Invalid Patch", "INVALID_PATCH");
+    }
+    patched = applyMergePatch(current, req.body);
+  } else {
+    throw new UnsupportedMediaTypeError("Use application/merge-patch+json or application/json-patch+json", "UNSUPPORTED_PATCH_TYPE");
+  }
 
-        product.stock = product.stock + nStock;
+  const errors = [];
+  if (patched?.stock !== current.stock) {
+    errors.push({ field: "stock", message: "can't be patched, use the inventory endpoints" });
+  }
+  if (patched?.numberCategory !== current.numberCategory) {
+    errors.push({ field: "numberCategory", message: "can't be patched" });
+  }
+  errors.push(...validateSchema(schema, patched));
+  if (errors.length > 0) {
+    throw new ValidationError(errors);
+  }
 
-        const result = await product.save();
+  //Los campos que el patch elimino quedan sin valor
+  for (const field of typeFields(type)) {
+    product.set(field, patched[field]);
+  }
+  const result = await product.save();
+  if (result.price !== before.price || result.currency !== before.currency) {
+    await recordPrice(result, before.price, "update", req.user);
+  }
+  await recordAudit(req, "product", "update", { entityId: result._id, before, after: result });
 
-        return res.status(201).json({ state: true, data: result });
-      } else {
-        return res
-          .status(404)
-          .json({ state: false, message: "ID Product Not Found", data: null });
-      }
-    } else {
-      return res.status(401).json({ error: valid });
-    }
-  } catch (err) {
-    return res.status(500).json({ state: false, message: err.message });
+  res.set("ETag", versionTag(result));
+  return res.status(200).json({ state: true, data: result });
+}
+
+//Cambio de tipo (discriminador). __t no se puede cambiar con save, asi que el documento se reemplaza por uno
+//del nuevo tipo con el mismo _id: se conservan los campos que el nuevo tipo tambien tiene, se agregan los del
+//body y se descartan los demas. El borrado filtra por __v, si otro cambio entro antes se responde 409
+async function changeType(req, res) {
+  const { id } = req.params;
+  const product = await findProduct(id, req.user.company);
+  checkVersion(req, product);
+
+  const type = await productType(req.body.numberCategory);
+  if (product.__t === type.name) {
+    throw new ConflictError(`Product is already of type ${type.name}`, "PRODUCT_TYPE_UNCHANGED");
+  }
+  //Los atributos de las variantes dependen del tipo
+  if (product.variants?.length > 0) {
+    throw new ConflictError("Product has variants, delete them before changing its type", "PRODUCT_HAS_VARIANTS");
+  }
+  //Un tipo con lotes necesita que todo su stock este en lotes, y uno sin lotes dejaria los lotes sin uso
+  const { lots } = await productType(product.numberCategory);
+  if ((lots || type.lots) && product.stock !== 0) {
+    throw new ConflictError("Product stock must be 0 to change from or to a type with lots", "PRODUCT_HAS_STOCK", { stock: product.stock });
+  }
+
+  const before = snapshot(product);
+  const changed = {};
+  for (const field of typeFields(type)) {
+    if (before[field] !== undefined) changed[field] = before[field];
+  }
+  Object.assign(changed, req.body);
+
+  const errors = [];
+  if (changed.stock !== before.stock) {
+    errors.push({ field: "stock", message: "can't change with the product type, use the inventory endpoints" });
+  }
+  errors.push(...validateSchema(type.schema, changed));
+  if (errors.length > 0) {
+    throw new ValidationError(errors);
   }
+
+  const result = await mongoose.connection.transaction(async (session) => {
+    const { deletedCount } = await Product.deleteOne({ _id: product._id, company: req.user.company, __v: product.__v }, { session });
+    if (deletedCount === 0) {
+      throw new ConflictError("The document was modified by another request, reload it and try again", "VERSION_CONFLICT");
+    }
+    const replacement = new type.model({ ...changed, _id: product._id, company: product.company, __v: product.__v + 1 });
+    return replacement.save({ session });
+  });
+  await recordAudit(req, "product", "change_type", { entityId: result._id, before, after: result });
+
+  res.set("ETag", versionTag(result));
+  return res.status(200).json({ state: true, data: result });
 }
 
 
+//La venta es una sola actualización condicional ($inc), sin leer y luego guardar,
+//asi dos solicitudes simultaneas no pierden cambios ni dejan el stock bajo el minimo.
+//__v tambien se incrementa para invalidar los ETag de quien leyo el producto antes.
+//En productos con garantia cada unidad vendida queda con su garantia y número de serie.
+//amounts es el importe de la venta en la moneda del producto: precio efectivo, neto, impuesto y bruto
 async function sellProducts(req, res) {
   const { id } = req.params;
-  try {
-    const token = req.headers.authorization;
-    const valid = validate(token);
-    if (valid == true) {
-      const product = await Product.findById(id);
-
-      if (product) {
-
-        const {sStock} = req.body;
-
-        if((product.stock-sStock)<5){
-          return res.status(400).json({ state: false, message: "Stock is less than 5", data: null });
-        }else{
-          product.stock = product.stock - sStock;
-          const result = await product.save();
-          return res.status(201).json({ state: true, data: result });
-        }
-
-        
-      } else {
-        return res
-          .status(404)
-          .json({ state: false, message: "ID Product Not Found", data: null });
-      }
-    } else {
-      return res.status(401).json({ error: valid });
-    }
-  } catch (err) {
-    return res.status(500).json({ state: false, message: err.message });
+  const { sStock, serialNumbers } = req.body;
+
+  const product = await findProduct(id, req.user.company);
+  const { variant, error } = pickVariant(product, req.body.variant);
+  if (error) {
+    throw new ValidationError([{ field: "variant", message: error }]);
   }
+  const policy = await resolvePolicy(product);
+  const type = await productType(product.numberCategory);
+  const warranty = type.warranty && product.warrantyYears > 0;
+  if (serialNumbers) {
+    checkSerialNumbers(serialNumbers, sStock, warranty);
+  }
+  const [promotions, rates, taxRules] = await Promise.all([
+    activePromotions(req.user.company),
+    loadRates(req.user.company),
+    loadTaxRules(req.user.company),
+  ]);
+
+  //Con lotes el descuento del producto y el de sus lotes (FEFO) van en la misma transacción, igual que las garantias
+  let warranties;
+  const result = await mongoose.connection.transaction(async (session) => {
+    const updated = await takeStock(product._id, sStock, policy, { session, variant: variant?._id });
+    if (!updated) {
+      throw new BadRequestError(variant ? `Variant ${variant.sku} doesn't have ${sStock} units or stock is less than ${policy.safetyStock}` : `Stock is less than ${policy.safetyStock}`, "INSUFFICIENT_STOCK");
+    }
+    const lots = type.lots
+      ? await consumeLots(product._id, sStock, { session, variant: variant?._id, strict: policy.backorderPolicy === "reject" })
+      : undefined;
+    const movement = await recordMovement(updated, "sale", -sStock, req.user, null, { session, details: { ...variantDetails(variant), lots } });
+    //Un número de serie repetido en la compañía responde 409 DUPLICATE_KEY y deshace la venta
+    warranties = warranty
+      ? await createWarranties(updated, sStock, { session, variant, serialNumbers, movement: movement._id, user: req.user })
+      : undefined;
+    return updated;
+  });
+  await recordAudit(req, "product", "sell", { entityId: result._id, before: { stock: result.stock + sStock }, after: { stock: result.stock } });
+  notifyReorder(result, sStock, policy);
+
+  const listPrice = variant?.price ?? product.price;
+  const unitPrice = discounted(listPrice, bestPromotion(product, promotions, listPrice, rates), product.currency, rates);
+  const amounts = { currency: product.currency, unitPrice, quantity: sStock, ...taxAmounts(unitPrice * sStock, taxRateOf(taxRules, product), product.currency) };
+
+  res.set("ETag", versionTag(result));
+  return res.status(201).json({ state: true, data: result, backordered: Math.max(0, -result.stock), warranties, amounts });
 }
 
 
-export { getAll, save, getById, eliminate, actualize, providerProducts, sellProducts};
+export { getAll, search, save, getById, eliminate, getTrash, restore, purge, actualize, patchProduct, changeType, sellProducts};
@@ -0,0 +1,209 @@
+import mongoose from "mongoose";
+import { Product } from "../models/product.mjs";
+import Supplier from "../models/supplier.mjs";
+import PurchaseOrder, { PURCHASE_ORDER_STATUSES, PURCHASE_ORDER_TRANSITIONS } from "../models/purchase-order.mjs";
+import { addStock } from "../utils/stock.mjs";
+import { recordMovement } from "../utils/ledger.mjs";
+import { recordAudit } from "../utils/audit.mjs";
+import { pickVariant } from "../utils/variants.mjs";
+import { productType } from "../utils/product-types.mjs";
+import { createLot } from "../utils/lots.mjs";
+import { checkParams, parsePagination, pageLinks } from "../utils/product-query.mjs";
+import { BadRequestError, ConflictError, NotFoundError, ValidationError } from "../utils/errors.mjs";
+
+const round = (value) => Math.round(value * 100) / 100;
+const OBJECT_ID = /^[0-9a-fA-F]{24}$/;
+
+async function findPurchaseOrder(id, company) {
+  const purchaseOrder = await PurchaseOrder.findOne({ _id: id, company });
+  if (!purchaseOrder) {
+    throw new NotFoundError("ID Purchase Order Not Found", "PURCHASE_ORDER_NOT_FOUND");
+  }
+  return purchaseOrder;
+}
+
+async function getPurchaseOrders(req, res) {
+  const errors = [];
+  checkParams(req.query, ["status", "supplier", "page", "limit"], errors);
+  const { page, limit } = parsePagination(req.query, errors);
+  if (req.query.status !== undefined && !PURCHASE_ORDER_STATUSES.includes(req.query.status)) {
+    errors.push({ field: "status", message: `must be one of: ${PURCHASE_ORDER_STATUSES.join(", ")}` });
+  }
+  if (req.query.supplier !== undefined && !OBJECT_ID.test(req.query.supplier)) {
+    errors.push({ field: "supplier", message: "must be a valid ObjectId" });
+  }
+  if (errors.length > 0) {
+    throw new BadRequestError("Invalid query parameters", "INVALID_QUERY", { errors });
+  }
+
+  const filter = { company: req.user.company };
+  if (req.query.status) filter.status = req.query.status;
+  if (req.query.supplier) filter.supplier = req.query.supplier;
+
+  const [result, total] = await Promise.all([
+    PurchaseOrder.find(filter).sort({ createdAt: -1, _id: -1 }).skip((page - 1) * limit).limit(limit),
+    PurchaseOrder.countDocuments(filter),
+  ]);
+  const pages = Math.ceil(total / limit);
+
+  return res.status(200).json({
+    state: true,
+    data: result,
+    meta: { total, page, limit, pages },
+    links: pageLinks(req, page, pages),
+  });
+}
+
+async function getPurchaseOrder(req, res) {
+  const result = await findPurchaseOrder(req.params.id, req.user.company);
+  return res.status(200).json({ state: true, data: result });
+}
+
+//La orden de compra empieza en draft y no mueve inventario hasta que se recibe mercancia
+async function createPurchaseOrder(req, res) {
+  const { supplier: supplierId, lines, notes } = req.body;
+  const errors = [];
+
+  const supplier = await Supplier.findOne({ _id: supplierId, company: req.user.company });
+  if (!supplier) {
+    errors.push({ field: "supplier", message: "ID Supplier Not Found" });
+  } else if (!supplier.active) {
+    errors.push({ field: "supplier", message: "Supplier is not active" });
+  }
+
+  const products = await Product.find({ _id: { $in: lines.map((line) => line.product) }, company: req.user.company });
+  const byId = new Map(products.map((product) => [product._id.toString(), product]));
+  //En productos con variantes cada linea pide una variante
+  const variants = lines.map((line, index) => {
+    const product = byId.get(line.product);
+    if (!product) {
+      errors.push({ field: `lines[${index}].product`, message: "ID Product Not Found" });
+      return null;
+    }
+    const { variant, error } = pickVariant(product, line.variant);
+    if (error) {
+      errors.push({ field: `lines[${index}].variant`, message: error });
+    }
+    return variant;
+  });
+  if (errors.length > 0) {
+    throw new ValidationError(errors);
+  }
+
+  const result = await PurchaseOrder.create({
+    company: req.user.company,
+    supplier: supplier._id,
+    lines: lines.map(({ product, quantity, unitCost }, index) => ({
+      product,
+      id: byId.get(product).id,
+      name: byId.get(product).name,
+      variant: variants[index]?._id,
+      sku: variants[index]?.sku,
+      quantity,
+      unitCost,
+    })),
+    total: round(lines.reduce((sum, line) => sum + line.quantity * line.unitCost, 0)),
+    statusHistory: [{ status: "draft", user: req.user.id }],
+    notes,
+    user: req.user.id,
+  });
+
+  return res.status(201).json({ state: true, data: result });
+}
+
+async function changeStatus(req, res) {
+  const { status } = req.body;
+  const purchaseOrder = await findPurchaseOrder(req.params.id, req.user.company);
+
+  const allowed = PURCHASE_ORDER_TRANSITIONS[purchaseOrder.status];
+  if (!allowed.includes(status)) {
+    throw new ConflictError(`Purchase order can't change from ${purchaseOrder.status} to ${status}`, "INVALID_TRANSITION", { allowed });
+  }
+
+  purchaseOrder.status = status;
+  purchaseOrder.statusHistory.push({ status, user: req.user.id });
+  const result = await purchaseOrder.save();
+  return res.status(200).json({ state: true, data: result });
+}
+
+//Recepción de mercancia: unica forma de aumentar el stock. Cada recepción suma al inventario,
+//queda en el historial como 'receipt' con su costo y actualiza lo recibido de la linea, todo en una transacción.
+//En productos con lotes cada item recibido es un lote nuevo, con el vencimiento indicado o el del producto
+async function receive(req, res) {
+  const { id } = req.params;
+
+  const restocked = [];
+  //La orden se lee dentro de la transacción para que un reintento parta del estado guardado
+  const result = await mongoose.connection.transaction(async (session) => {
+    restocked.length = 0;
+    const purchaseOrder = await PurchaseOrder.findOne({ _id: id, company: req.user.company }).session(session);
+    if (!purchaseOrder) {
+      throw new NotFoundError("ID Purchase Order Not Found", "PURCHASE_ORDER_NOT_FOUND");
+    }
+    if (!["sent", "partially_received"].includes(purchaseOrder.status)) {
+      throw new ConflictError(`Purchase order in ${purchaseOrder.status} can't receive goods`, "PURCHASE_ORDER_NOT_RECEIVABLE");
+    }
+
+    const errors = [];
+    const pending = new Map(purchaseOrder.lines.map((line) => [line._id.toString(), line.quantity - line.received]));
+    req.body.items.forEach(({ line, quantity, expiresAt }, index) => {
+      if (expiresAt !== undefined && !(Date.parse(expiresAt) > Date.now())) {
+        errors.push({ field: `items[${index}].expiresAt`, message: "must be a valid future date" });
+      }
+      if (!pending.has(line)) {
+        errors.push({ field: `items[${index}].line`, message: "is not a line of this purchase order" });
+      } else if (quantity > pending.get(line)) {
+        errors.push({ field: `items[${index}].quantity`, message: `exceeds pending quantity (${pending.get(line)})` });
+      } else {
+        pending.set(line, pending.get(line) - quantity);
+      }
+    });
+    if (errors.length > 0) {
+      throw new ValidationError(errors);
+    }
+
+    for (const { line: lineId, quantity, unitCost, expiresAt } of req.body.items) {
+      const line = purchaseOrder.lines.id(lineId);
+      const cost = unitCost ?? line.unitCost;
+
+      const product = await addStock(line.product, quantity, { session, variant: line.variant });
+      if (!product) {
+        throw new NotFoundError(`Product or variant of line ${lineId} no longer exists`, "PRODUCT_NOT_FOUND");
+      }
+      const { lots } = await productType(product.numberCategory);
+      const received = lots
+        ? await createLot(product, quantity, {
+          session,
+          variant: line.variant,
+          sku: line.sku,
+          purchaseOrder: purchaseOrder._id,
+          expiresAt: expiresAt ? new Date(expiresAt) : undefined,
+        })
+        : undefined;
+      await recordMovement(product, "receipt", quantity, req.user, `Purchase order ${purchaseOrder._id}`, {
+        session,
+        details: { purchaseOrder: purchaseOrder._id, unitCost: cost, variant: line.variant, sku: line.sku, lots: received },
+      });
+
+      restocked.push({ product, quantity });
+      line.received += quantity;
+      purchaseOrder.receipts.push({ line: line._id, product: line.product, variant: line.variant, quantity, unitCost: cost, user: req.user.id });
+    }
+
+    const status = purchaseOrder.lines.every((line) => line.received === line.quantity) ? "received" : "partially_received";
+    if (status !== purchaseOrder.status) {
+      purchaseOrder.status = status;
+      purchaseOrder.statusHistory.push({ status, user: req.user.id });
+    }
+    //optimisticConcurrency evita que dos recepciones simultaneas superen lo pedido
+    return purchaseOrder.save({ session });
+  });
+
+  for (const { product, quantity } of restocked) {
+    await recordAudit(req, "product", "restock", { entityId: product._id, before: { stock: product.stock - quantity }, after: { stock: product.stock } });
+  }
+
+  return res.status(201).json({ state: true, data: result });
+}
+
+export { getPurchaseOrders, getPurchaseOrder, createPurchaseOrder, changeStatus, receive };
@@ -1,32 +1,118 @@
-import User from '../models/user.mjs';
-import jwt from 'jsonwebtoken';
+import User, { MAIL_REGEX } from '../models/user.mjs';
+import RefreshToken from '../models/refresh-token.mjs';
+import RevokedToken from '../models/revoked-token.mjs';
+import { checkPasswordPolicy, isHashed, hashPassword, verifyPassword } from '../utils/password.mjs';
+import { hashToken, signAccessToken, issueRefreshToken, revokeFamily } from '../utils/tokens.mjs';
+import { ConflictError, UnauthorizedError, ValidationError } from '../utils/errors.mjs';
+import { recordAudit } from '../utils/audit.mjs';
 
-const key = process.env.SECRET;
+async function signup(req, res) {
+    const{mail, password} = req.body ?? {};
 
-async function loggin(req, res) {
-    const{mail, password} = req.body;
-    const userlog = await User.findOne({ mail: mail })
+    const errors = checkPasswordPolicy(password).map((message) => ({ field: 'password', message }));
+    if(typeof mail !== 'string' || !MAIL_REGEX.test(mail)){
+        errors.unshift({ field: 'mail', message: 'Mail format is not valid' });
+    }
+    if(errors.length > 0){
+        throw new ValidationError(errors);
+    }
+
+    //El registro siempre crea un viewer, los demas roles los asigna un admin o scripts/grant-role.mjs
+    const user = new User({ mail: mail, password: await hashPassword(password), roles: ['viewer'] });
     try{
-        if(userlog){
-            if(userlog.password == password){
-                const token = jwt.sign({
-                    sub: 'Token',
-                    password,
-                    exp: Date.now() + 60 * 30000 //30 minutes of expiration (60000 ms = 1 minute)
-                }, key)
-                console.log('You access')
-                return res.status(200).json({state:true, message: "Logged In", token: token});
-            }else{
-                return res.status(404).json({ state: false, message: "Password is Wrong", token: null });
-            }
-        }else{
-            return res.status(403).json({ state: false, message: "User Don't Exist", token: null });
-        }
-        
+        await user.save();
     }catch(err){
-        return res.status(500).json({"state":false,"message":err.message})
+        if(err.code === 11000){
+            throw new ConflictError("Mail Already Registered", 'MAIL_TAKEN');
+        }
+        throw err;
     }
-    
+
+    return res.status(201).json({ state: true, message: "User Created", data: { _id: user._id, mail: user.mail, roles: user.roles } });
+}
+
+async function loggin(req, res) {
+    const{mail, password} = req.body ?? {};
+    const userlog = typeof mail === 'string' ? await User.findOne({ mail: mail }) : null;
+
+    //El mismo error para correo inexistente y contraseña incorrecta, asi no se revela que correos existen
+    if(!userlog || !await verifyPassword(password, userlog.password)){
+        await recordAudit(req, 'user', 'login_failed', {
+            entityId: userlog?._id,
+            actor: { id: userlog?._id, mail: typeof mail === 'string' ? mail : null, company: userlog?.company }
+        });
+        throw new UnauthorizedError("Mail or Password is Wrong", 'INVALID_CREDENTIALS');
+    }
+
+    //Los usuarios con contraseña en texto plano se migran al iniciar sesión
+    if(!isHashed(userlog.password)){
+        userlog.password = await hashPassword(password);
+    }
+    if(userlog.isModified()){
+        await userlog.save();
+    }
+    const token = signAccessToken(userlog) //30 minutes of expiration
+    const refresh = await issueRefreshToken(userlog._id)
+    await recordAudit(req, 'user', 'login', { entityId: userlog._id, actor: { id: userlog._id, mail: userlog.mail, company: userlog.company } });
+    console.log('You access')
+    return res.status(200).json({state:true, message: "Logged In", token: token, refreshToken: refresh.token});
+}
+
+async function refresh(req, res) {
+    const{refreshToken} = req.body ?? {};
+    if(typeof refreshToken !== 'string'){
+        throw new ValidationError([{ field: 'refreshToken', message: 'is required' }]);
+    }
+
+    const hash = hashToken(refreshToken);
+    //Se marca como usado en la misma operación para que dos solicitudes no roten el mismo token
+    const current = await RefreshToken.findOneAndUpdate(
+        { tokenHash: hash, revokedAt: null, expiresAt: { $gt: new Date() } },
+        { revokedAt: new Date() }
+    );
+
+    if(!current){
+        const used = await RefreshToken.findOne({ tokenHash: hash });
+        if(used && used.revokedAt){
+            //Reuso de un token ya rotado: se revoca toda la familia
+            await revokeFamily(used.family);
+            throw new UnauthorizedError("Refresh token reuse detected, session revoked", 'REFRESH_REUSED');
+        }
+        throw new UnauthorizedError("Invalid or expired refresh token", 'REFRESH_INVALID');
+    }
+
+    const user = await User.findById(current.user);
+    if(!user){
+        await revokeFamily(current.family);
+        throw new UnauthorizedError("User Don't Exist", 'REFRESH_INVALID');
+    }
+
+    const next = await issueRefreshToken(user._id, current.family);
+    current.replacedBy = next.hash;
+    await current.save();
+
+    return res.status(200).json({ state: true, message: "Token Refreshed", token: signAccessToken(user), refreshToken: next.token });
+}
+
+async function logout(req, res) {
+    const{refreshToken} = req.body ?? {};
+    await RevokedToken.updateOne(
+        { jti: req.user.jti },
+        { jti: req.user.jti, expiresAt: new Date(req.user.exp * 1000) },
+        { upsert: true }
+    );
+
+    if(typeof refreshToken === 'string'){
+        const stored = await RefreshToken.findOne({ tokenHash: hashToken(refreshToken), user: req.user.id });
+        if(stored){
+            await revokeFamily(stored.family);
+        }
+    }
+
+    const user = await User.findById(req.user.id).select('company');
+    await recordAudit(req, 'user', 'logout', { entityId: req.user.id, company: user?.company });
+
+    return res.status(200).json({ state: true, message: "Logged Out" });
 }
 
-export default loggin;
\ No newline at end of file
+export { loggin, signup, refresh, logout };
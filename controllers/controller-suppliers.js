@@ -0,0 +1,46 @@
+import Supplier from "../models/supplier.mjs";
+import PurchaseOrder from "../models/purchase-order.mjs";
+import { ConflictError, NotFoundError } from "../utils/errors.mjs";
+
+async function findSupplier(id, company) {
+  const supplier = await Supplier.findOne({ _id: id, company });
+  if (!supplier) {
+    throw new NotFoundError("ID Supplier Not Found", "SUPPLIER_NOT_FOUND");
+  }
+  return supplier;
+}
+
+async function getSuppliers(req, res) {
+  const result = await Supplier.find({ company: req.user.company }).sort({ name: 1 });
+  return res.status(200).json({ state: true, data: result });
+}
+
+async function getSupplier(req, res) {
+  const result = await findSupplier(req.params.id, req.user.company);
+  return res.status(200).json({ state: true, data: result });
+}
+
+//Un nombre repetido en la compañía lo responde el manejador central con 409 DUPLICATE_KEY
+async function createSupplier(req, res) {
+  const result = await Supplier.create({ ...req.body, company: req.user.company });
+  return res.status(201).json({ state: true, data: result });
+}
+
+async function updateSupplier(req, res) {
+  const supplier = await findSupplier(req.params.id, req.user.company);
+  supplier.overwrite({ ...req.body, company: req.user.company });
+  const result = await supplier.save();
+  return res.status(200).json({ state: true, data: result });
+}
+
+//Un proveedor con ordenes de compra no se elimina para no perder el historial, se desactiva
+async function deleteSupplier(req, res) {
+  const supplier = await findSupplier(req.params.id, req.user.company);
+  if (await PurchaseOrder.exists({ supplier: supplier._id })) {
+    throw new ConflictError("Supplier has purchase orders, set active to false instead", "SUPPLIER_IN_USE");
+  }
+  const result = await supplier.deleteOne();
+  return res.status(200).json({ state: true, data: result });
+}
+
+export { getSuppliers, getSupplier, createSupplier, updateSupplier, deleteSupplier };
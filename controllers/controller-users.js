@@ -0,0 +1,89 @@
+import User from '../models/user.mjs';
+import Company from '../models/company.mjs';
+import { permissionsOf } from '../utils/permissions.mjs';
+import { BadRequestError, ForbiddenError, NotFoundError } from '../utils/errors.mjs';
+import { snapshot, recordAudit } from '../utils/audit.mjs';
+
+//Roles que un usuario no se puede quitar a si mismo, asi siempre queda al menos uno de cada uno
+const MANAGER_ROLES = ['admin', 'platform_admin'];
+
+//platform_admin (user:manage-any) administra los usuarios de todas las compañías
+function crossTenant(req) {
+    return permissionsOf(req.user.roles).has('user:manage-any');
+}
+
+//Un admin solo ve y modifica los usuarios de su compañía
+function userScope(req) {
+    if(crossTenant(req)){
+        return {};
+    }
+    if(!req.user.company){
+        throw new ForbiddenError('User does not belong to a company', 'COMPANY_REQUIRED');
+    }
+    return { company: req.user.company };
+}
+
+async function findUser(req, scope = userScope(req)) {
+    const user = await User.findOne({ _id: req.params.id, ...scope }).select('mail roles company');
+    if(!user){
+        throw new NotFoundError("ID User Not Found", 'USER_NOT_FOUND');
+    }
+    return user;
+}
+
+async function getUsers(req, res) {
+    const result = await User.find(userScope(req)).select('mail roles company');
+    return res.status(200).json({ state: true, data: result });
+}
+
+async function assignRoles(req, res) {
+    const { id } = req.params;
+    const { roles } = req.body;
+
+    const removed = MANAGER_ROLES.find((role) => req.user.roles.includes(role) && !roles.includes(role));
+    if(id === req.user.id && removed){
+        throw new BadRequestError(`You can't remove your own ${removed} role`, 'SELF_DEMOTION');
+    }
+
+    const user = await findUser(req);
+    //Solo un platform_admin da o quita el rol platform_admin
+    if(!crossTenant(req) && (roles.includes('platform_admin') || user.roles.includes('platform_admin'))){
+        throw new ForbiddenError('Only a platform admin can grant or remove the platform_admin role', 'PLATFORM_ADMIN_REQUIRED');
+    }
+
+    return updateUser(req, res, user, { roles: [...new Set(roles)] });
+}
+
+//Aplica el cambio y lo registra en la auditoria con la compañía del usuario modificado
+async function updateUser(req, res, user, changes) {
+    const before = snapshot(user);
+    user.set(changes);
+    const result = await user.save();
+    await recordAudit(req, 'user', 'update', { entityId: result._id, company: result.company, before, after: result });
+
+    return res.status(200).json({ state: true, data: result });
+}
+
+//Asigna la compañía a la que pertenece el usuario, desde ese momento solo ve los datos de esa compañía.
+//Un admin solo puede sumar a su compañía usuarios que aun no tienen una; cambiar de compañía a un
+//usuario o asignar otra compañía lo hace un platform_admin
+async function assignCompany(req, res) {
+    const { company } = req.body;
+
+    if(!crossTenant(req)){
+        const { company: own } = userScope(req);
+        if(String(company) !== String(own)){
+            throw new ForbiddenError('Only a platform admin can assign another company', 'PLATFORM_ADMIN_REQUIRED');
+        }
+        const user = await findUser(req, { company: { $in: [null, own] } });
+        return updateUser(req, res, user, { company: own });
+    }
+
+    if(!await Company.exists({ _id: company })){
+        throw new NotFoundError("ID Company Not Found", 'COMPANY_NOT_FOUND');
+    }
+    const user = await findUser(req);
+    return updateUser(req, res, user, { company: company });
+}
+
+export { getUsers, assignRoles, assignCompany };
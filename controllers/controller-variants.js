@@ -0,0 +1,117 @@
+import mongoose from "mongoose";
+import { Product } from "../models/product.mjs";
+import { productType } from "../utils/product-types.mjs";
+import { checkVariant, variantDetails } from "../utils/variants.mjs";
+import { recordMovement } from "../utils/ledger.mjs";
+import { createLot } from "../utils/lots.mjs";
+import { snapshot, recordAudit } from "../utils/audit.mjs";
+import { versionTag } from "../utils/etag.mjs";
+import { ConflictError, NotFoundError, ValidationError } from "../utils/errors.mjs";
+
+//Las variantes se guardan dentro del producto: cada cambio es un save() del producto, asi optimisticConcurrency
+//responde 409 si una venta o recepción lo modifico al mismo tiempo
+
+async function findProduct(id, company) {
+  const product = await Product.findOne({ _id: id, company });
+  if (!product) {
+    throw new NotFoundError("ID Product Not Found", "PRODUCT_NOT_FOUND");
+  }
+  return product;
+}
+
+function findVariant(product, variantId) {
+  const variant = product.variants?.id(variantId);
+  if (!variant) {
+    throw new NotFoundError("ID Variant Not Found", "VARIANT_NOT_FOUND");
+  }
+  return variant;
+}
+
+async function checkInput(product, body, current = null) {
+  const errors = [];
+  if (Object.keys(body.attributes).length === 0) {
+    errors.push({ field: "attributes", message: "must have at least one attribute" });
+  }
+  errors.push(...checkVariant(product, await productType(product.numberCategory), body, current));
+  if (errors.length > 0) {
+    throw new ValidationError(errors);
+  }
+}
+
+async function getVariants(req, res) {
+  const product = await findProduct(req.params.id, req.user.company);
+  res.set("ETag", versionTag(product));
+  return res.status(200).json({ state: true, data: product.variants ?? [] });
+}
+
+//Desde la primera variante el stock del producto es la suma del de sus variantes, por eso el producto
+//debe tener stock 0 antes de agregarla (ajustarlo o recibirlo despues en las variantes)
+async function createVariant(req, res) {
+  const product = await findProduct(req.params.id, req.user.company);
+  await checkInput(product, req.body);
+
+  if (!(product.variants?.length > 0) && product.stock !== 0) {
+    throw new ConflictError("Product stock must be 0 before adding the first variant", "PRODUCT_STOCK_NOT_ASSIGNED", { stock: product.stock });
+  }
+
+  const before = snapshot(product);
+  const { stock = 0, ...fields } = req.body;
+  product.variants = [...(product.variants ?? []), { ...fields, stock }];
+  product.stock += stock;
+
+  //La variante con su stock inicial, su lote y el movimiento se guardan juntos o no se guarda ninguno
+  const { lots } = await productType(product.numberCategory);
+  const result = await mongoose.connection.transaction(async (session) => {
+    const saved = await product.save({ session });
+    const variant = saved.variants[saved.variants.length - 1];
+    if (stock > 0) {
+      const details = variantDetails(variant);
+      if (lots) {
+        details.lots = await createLot(saved, stock, { session, variant: variant._id, sku: variant.sku });
+      }
+      await recordMovement(saved, "initial", stock, req.user, `Variant ${variant.sku} created`, { session, details });
+    }
+    return saved;
+  });
+  const variant = result.variants[result.variants.length - 1];
+  await recordAudit(req, "product", "update", { entityId: result._id, before, after: result });
+
+  res.set("ETag", versionTag(result));
+  return res.status(201).json({ state: true, data: variant });
+}
+
+//Reemplaza SKU, código de barras, atributos y precio. El stock solo cambia con los endpoints de inventario
+async function updateVariant(req, res) {
+  const product = await findProduct(req.params.id, req.user.company);
+  const variant = findVariant(product, req.params.variantId);
+  await checkInput(product, req.body, variant);
+
+  const before = snapshot(product);
+  variant.set({ sku: req.body.sku, barcode: req.body.barcode, attributes: req.body.attributes, price: req.body.price });
+
+  const result = await product.save();
+  await recordAudit(req, "product", "update", { entityId: result._id, before, after: result });
+
+  res.set("ETag", versionTag(result));
+  return res.status(200).json({ state: true, data: result.variants.id(variant._id) });
+}
+
+//Solo variantes sin stock, para que el total del producto siga siendo la suma de sus variantes
+async function deleteVariant(req, res) {
+  const product = await findProduct(req.params.id, req.user.company);
+  const variant = findVariant(product, req.params.variantId);
+  if (variant.stock !== 0) {
+    throw new ConflictError("Variant still has stock, adjust it to 0 first", "VARIANT_HAS_STOCK", { stock: variant.stock });
+  }
+
+  const before = snapshot(product);
+  variant.deleteOne();
+
+  const result = await product.save();
+  await recordAudit(req, "product", "update", { entityId: result._id, before, after: result });
+
+  res.set("ETag", versionTag(result));
+  return res.status(200).json({ state: true, data: result.variants });
+}
+
+export { getVariants, createVariant, updateVariant, deleteVariant };
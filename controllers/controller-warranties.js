@@ -0,0 +1,141 @@
+import Warranty from "../models/warranty.mjs";
+import WarrantyClaim, { CLAIM_STATUSES, CLAIM_TRANSITIONS, OPEN_CLAIM_STATUSES } from "../models/warranty-claim.mjs";
+import { warrantyStatus } from "../utils/warranties.mjs";
+import { checkParams, parsePagination, pageLinks } from "../utils/product-query.mjs";
+import { BadRequestError, ConflictError, NotFoundError } from "../utils/errors.mjs";
+
+const WARRANTY_STATUSES = ["active", "expired"];
+const OBJECT_ID = /^[0-9a-fA-F]{24}$/;
+
+async function findWarranty(serialNumber, company) {
+  const warranty = await Warranty.findOne({ serialNumber, company });
+  if (!warranty) {
+    throw new NotFoundError("Serial Number Not Found", "WARRANTY_NOT_FOUND");
+  }
+  return warranty;
+}
+
+function describe(warranty, now = new Date()) {
+  return { ...warranty.toJSON(), status: warrantyStatus(warranty, now) };
+}
+
+//Garantias de la compañía, filtradas por producto y por estado (active o expired)
+async function getWarranties(req, res) {
+  const errors = [];
+  checkParams(req.query, ["product", "status", "page", "limit"], errors);
+  const { page, limit } = parsePagination(req.query, errors);
+  if (req.query.product !== undefined && !OBJECT_ID.test(req.query.product)) {
+    errors.push({ field: "product", message: "must be a valid ObjectId" });
+  }
+  if (req.query.status !== undefined && !WARRANTY_STATUSES.includes(req.query.status)) {
+    errors.push({ field: "status", message: `must be one of: ${WARRANTY_STATUSES.join(", ")}` });
+  }
+  if (errors.length > 0) {
+    throw new BadRequestError("Invalid query parameters", "INVALID_QUERY", { errors });
+  }
+
+  const now = new Date();
+  const filter = { company: req.user.company };
+  if (req.query.product) filter.product = req.query.product;
+  if (req.query.status === "active") filter.endsAt = { $gt: now };
+  if (req.query.status === "expired") filter.endsAt = { $lte: now };
+  const [result, total] = await Promise.all([
+    Warranty.find(filter).sort({ startsAt: -1, _id: -1 }).skip((page - 1) * limit).limit(limit),
+    Warranty.countDocuments(filter),
+  ]);
+  const pages = Math.ceil(total / limit);
+
+  return res.status(200).json({
+    state: true,
+    data: result.map((warranty) => describe(warranty, now)),
+    meta: { total, page, limit, pages },
+    links: pageLinks(req, page, pages),
+  });
+}
+
+//Estado de la garantia de una unidad con sus reclamos
+async function getWarranty(req, res) {
+  const warranty = await findWarranty(req.params.serialNumber, req.user.company);
+  const claims = await WarrantyClaim.find({ warranty: warranty._id }).sort({ createdAt: -1 });
+  return res.status(200).json({ state: true, data: { ...describe(warranty), claims } });
+}
+
+//Solo con la garantia vigente y sin otro reclamo abierto de la misma unidad
+async function createClaim(req, res) {
+  const warranty = await findWarranty(req.params.serialNumber, req.user.company);
+  if (warrantyStatus(warranty) === "expired") {
+    throw new ConflictError(`Warranty expired on ${warranty.endsAt.toISOString()}`, "WARRANTY_EXPIRED", { endsAt: warranty.endsAt });
+  }
+  const open = await WarrantyClaim.findOne({ warranty: warranty._id, status: { $in: OPEN_CLAIM_STATUSES } });
+  if (open) {
+    throw new ConflictError("Warranty already has an open claim", "CLAIM_ALREADY_OPEN", { claim: open._id });
+  }
+
+  //Si otro reclamo se abrio entre la consulta y el insert, el indice unico de los reclamos abiertos lo rechaza
+  try {
+    const result = await WarrantyClaim.create({
+      company: req.user.company,
+      warranty: warranty._id,
+      serialNumber: warranty.serialNumber,
+      product: warranty.product,
+      description: req.body.description,
+      statusHistory: [{ status: "submitted", user: req.user.id }],
+      user: req.user.id,
+    });
+    return res.status(201).json({ state: true, data: result });
+  } catch (err) {
+    if (err.code === 11000) {
+      throw new ConflictError("Warranty already has an open claim", "CLAIM_ALREADY_OPEN");
+    }
+    throw err;
+  }
+}
+
+async function getClaims(req, res) {
+  const errors = [];
+  checkParams(req.query, ["status", "page", "limit"], errors);
+  const { page, limit } = parsePagination(req.query, errors);
+  if (req.query.status !== undefined && !CLAIM_STATUSES.includes(req.query.status)) {
+    errors.push({ field: "status", message: `must be one of: ${CLAIM_STATUSES.join(", ")}` });
+  }
+  if (errors.length > 0) {
+    throw new BadRequestError("Invalid query parameters", "INVALID_QUERY", { errors });
+  }
+
+  const filter = { company: req.user.company };
+  if (req.query.status) filter.status = req.query.status;
+  const [result, total] = await Promise.all([
+    WarrantyClaim.find(filter).sort({ createdAt: -1, _id: -1 }).skip((page - 1) * limit).limit(limit),
+    WarrantyClaim.countDocuments(filter),
+  ]);
+  const pages = Math.ceil(total / limit);
+
+  return res.status(200).json({
+    state: true,
+    data: result,
+    meta: { total, page, limit, pages },
+    links: pageLinks(req, page, pages),
+  });
+}
+
+//Cambia el estado segun CLAIM_TRANSITIONS, la nota queda en el historial
+async function changeClaimStatus(req, res) {
+  const { status, note } = req.body;
+  const claim = await WarrantyClaim.findOne({ _id: req.params.id, company: req.user.company });
+  if (!claim) {
+    throw new NotFoundError("ID Claim Not Found", "CLAIM_NOT_FOUND");
+  }
+
+  const allowed = CLAIM_TRANSITIONS[claim.status];
+  if (!allowed.includes(status)) {
+    throw new ConflictError(`Claim can't change from ${claim.status} to ${status}`, "INVALID_TRANSITION", { allowed });
+  }
+
+  claim.status = status;
+  claim.statusHistory.push({ status, note, user: req.user.id });
+  //optimisticConcurrency responde 409 si otro usuario lo cambio al mismo tiempo
+  const result = await claim.save();
+  return res.status(200).json({ state: true, data: result });
+}
+
+export { getWarranties, getWarranty, createClaim, getClaims, changeClaimStatus };
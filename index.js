@@ -1,9 +1,30 @@
 import express from 'express'
 import 'dotenv/config'
 import swaggerUI from 'swagger-ui-express'
-import swaggerSpec from './swagger.js'
+import { currentSpec } from './swagger.js'
 import routeProduct from './routes/products.mjs'
 import routeSignin from './routes/signin.mjs'
+import routeSignup from './routes/signup.mjs'
+import routeUsers from './routes/users.mjs'
+import routeCompanies from './routes/companies.mjs'
+import routeProductTypes from './routes/product-types.mjs'
+import routeAudit from './routes/audit.mjs'
+import routeInventoryPolicies from './routes/inventory-policies.mjs'
+import routeOrders from './routes/orders.mjs'
+import routeSuppliers from './routes/suppliers.mjs'
+import routePurchaseOrders from './routes/purchase-orders.mjs'
+import routeWarranties from './routes/warranties.mjs'
+import routePromotions from './routes/promotions.mjs'
+import routeExchangeRates from './routes/exchange-rates.mjs'
+import routeTaxRules from './routes/tax-rules.mjs'
+import { correlation } from './middlewares/correlation.mjs'
+import { notFound, errorHandler } from './middlewares/error-handler.mjs'
+import { startTrashRetention } from './jobs/trash-retention.mjs'
+import { startLotQuarantine } from './jobs/lot-quarantine.mjs'
+import { startScheduledPrices } from './jobs/scheduled-prices.mjs'
+import { createOpeningLots } from './jobs/opening-lots.mjs'
+import { createOpeningMovements } from './jobs/opening-movements.mjs'
+import { loadProductTypes } from './utils/product-types.mjs'
 
 import './driver/connect-db.mjs'
 
@@ -11,16 +32,52 @@ const app = new express()
 
 //Setters
 app.set('PORT',process.env.PORT || 4500)
+//Numero de proxies delante de la API (Render usa 1), para que req.ip sea la IP del cliente
+app.set('trust proxy', Number(process.env.TRUST_PROXY) || false)
 
 //use
-app.use(express.json())
+app.use(correlation)
+//Tambien los tipos +json de PATCH (merge-patch y json-patch)
+app.use(express.json({ type: ['application/json', 'application/*+json'] }))
 
-//Swagger
-app.use('/docs', swaggerUI.serve, swaggerUI.setup(swaggerSpec));
+//Swagger, la spec se arma en cada consulta para incluir los tipos de producto creados en tiempo de ejecución
+app.use('/docs', (req, res, next) => {
+    req.swaggerDoc = currentSpec();
+    next();
+}, swaggerUI.serveFiles(), swaggerUI.setup());
 
 //middlewares
 app.use('/product',routeProduct);
 app.use('/signin', routeSignin);
+app.use('/signup', routeSignup);
+app.use('/users', routeUsers);
+app.use('/companies', routeCompanies);
+app.use('/product-types', routeProductTypes);
+app.use('/audit', routeAudit);
+app.use('/inventory-policies', routeInventoryPolicies);
+app.use('/orders', routeOrders);
+app.use('/suppliers', routeSuppliers);
+app.use('/purchase-orders', routePurchaseOrders);
+app.use('/warranties', routeWarranties);
+app.use('/promotions', routePromotions);
+app.use('/exchange-rates', routeExchangeRates);
+app.use('/tax-rules', routeTaxRules);
 
+//errores: rutas inexistentes y manejador central (siempre al final)
+app.use(notFound);
+app.use(errorHandler);
+
+
+//tipos de producto creados con POST /product-types
+await loadProductTypes().catch((err) => console.log(err));
+//lotes de apertura para el stock de productos creados antes de los lotes
+await createOpeningLots().catch((err) => console.log('Opening lots failed:', err.message));
+//movimientos de apertura para el stock de productos creados antes del historial
+await createOpeningMovements().catch((err) => console.log('Opening movements failed:', err.message));
+
+//tareas periodicas
+startTrashRetention();
+startLotQuarantine();
+startScheduledPrices();
 
 app.listen(app.get('PORT'),()=>console.log(`Server Ready at Port ${app.get('PORT')}`));
@@ -0,0 +1,55 @@
+import mongoose from 'mongoose'
+import Lot from '../models/lot.mjs'
+import { addStock } from '../utils/stock.mjs'
+import { recordMovement } from '../utils/ledger.mjs'
+
+const LOT_QUARANTINE_INTERVAL_MINUTES = Number(process.env.LOT_QUARANTINE_INTERVAL_MINUTES) || 60
+
+//Los lotes vencidos pasan a cuarentena y sus unidades salen del stock del producto (y de la variante)
+//con un movimiento 'quarantine'. Cada lote va en su propia transacción para que un error no frene a los demas
+async function quarantineExpiredLots(now = new Date()) {
+    const expired = await Lot.find({ status: 'available', expiresAt: { $lte: now } }).select('_id')
+
+    let count = 0
+    for (const { _id } of expired) {
+        const quarantined = await mongoose.connection.transaction(async (session) => {
+            //Otra instancia pudo ponerlo en cuarentena antes
+            const lot = await Lot.findOneAndUpdate(
+                { _id, status: 'available' },
+                { status: 'quarantined', quarantinedAt: now },
+                { new: true, session }
+            )
+            if (!lot) {
+                return false
+            }
+            if (lot.quantity > 0) {
+                const product = await addStock(lot.product, -lot.quantity, { session, variant: lot.variant })
+                if (product) {
+                    await recordMovement(product, 'quarantine', -lot.quantity, null, `Lot ${lot._id} expired`, {
+                        session,
+                        details: { variant: lot.variant, sku: lot.sku, lots: [{ lot: lot._id, quantity: lot.quantity }] }
+                    })
+                }
+            }
+            return true
+        })
+        if (quarantined) {
+            count++
+        }
+    }
+
+    if (count > 0) {
+        console.log(`Lot quarantine: ${count} expired lots quarantined`)
+    }
+    return count
+}
+
+//Revisa los vencimientos periodicamente. unref() para que el temporizador no mantenga vivo el proceso
+function startLotQuarantine() {
+    const run = () => quarantineExpiredLots().catch((err) => console.log('Lot quarantine failed:', err.message))
+    const timer = setInterval(run, LOT_QUARANTINE_INTERVAL_MINUTES * 60 * 1000)
+    timer.unref()
+    return timer
+}
+
+export { quarantineExpiredLots, startLotQuarantine }
@@ -0,0 +1,32 @@
+import { Product } from '../models/product.mjs'
+import Lot from '../models/lot.mjs'
+import { PRODUCT_TYPES } from '../utils/product-types.mjs'
+import { createLot } from '../utils/lots.mjs'
+
+//Los productos con lotes creados antes de que existieran los lotes tienen stock pero ningún lote: con
+//backorder "reject" no se podrian vender ni ajustar. Al iniciar la API se les crea un lote de apertura con
+//ese stock (uno por variante si tienen), que vence expirationDays despues. Solo toca productos y variantes
+//sin ningún lote, asi volver a correrlo no cambia nada
+async function createOpeningLots() {
+    const types = [...PRODUCT_TYPES.values()].filter((type) => type.lots).map((type) => type.name)
+    const products = await Product.find({ __t: { $in: types }, stock: { $gt: 0 } }).setOptions({ withDeleted: true })
+
+    let created = 0
+    for (const product of products) {
+        const entries = product.variants?.length > 0
+            ? product.variants.filter((variant) => variant.stock > 0).map((variant) => ({ quantity: variant.stock, variant: variant._id, sku: variant.sku }))
+            : [{ quantity: product.stock }]
+        for (const { quantity, ...options } of entries) {
+            if (!await Lot.exists({ product: product._id, variant: options.variant ?? null })) {
+                await createLot(product, quantity, options)
+                created++
+            }
+        }
+    }
+    if (created > 0) {
+        console.log(`Opening lots: created ${created} lots for stock without lots`)
+    }
+    return created
+}
+
+export { createOpeningLots }
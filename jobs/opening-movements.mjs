@@ -0,0 +1,46 @@
+import { Product } from '../models/product.mjs'
+import StockMovement from '../models/stock-movement.mjs'
+
+//Los productos creados antes del historial de stock no tienen movimiento 'initial' y su stock no coincide
+//con la suma de su historial, asi GET /product/reconciliation siempre los mostraria con diferencia. Al iniciar
+//la API se les registra un movimiento 'opening' con el stock que tenian antes del historial (el stock menos lo
+//que suman sus movimientos), fechado al crear el producto. Solo toca productos sin 'initial' ni 'opening',
+//asi volver a correrlo no cambia nada
+async function createOpeningMovements() {
+    //El 'initial' de una variante nueva tiene variant, el de la creación del producto no
+    const ledger = await StockMovement.aggregate([
+        {
+            $group: {
+                _id: '$product',
+                total: { $sum: '$quantity' },
+                opened: { $max: { $or: [{ $eq: ['$type', 'opening'] }, { $and: [{ $eq: ['$type', 'initial'] }, { $not: ['$variant'] }] }] } }
+            }
+        }
+    ])
+    const byProduct = new Map(ledger.map((entry) => [String(entry._id), entry]))
+    const products = await Product.find({}).select('stock').setOptions({ withDeleted: true })
+
+    let created = 0
+    for (const product of products) {
+        const entry = byProduct.get(String(product._id))
+        const quantity = product.stock - (entry?.total ?? 0)
+        if (entry?.opened || quantity === 0) {
+            continue
+        }
+        await StockMovement.create({
+            product: product._id,
+            type: 'opening',
+            quantity: quantity,
+            balance: quantity,
+            reason: 'Stock recorded before the stock ledger',
+            createdAt: product._id.getTimestamp()
+        })
+        created++
+    }
+    if (created > 0) {
+        console.log(`Opening movements: created ${created} movements for stock recorded before the ledger`)
+    }
+    return created
+}
+
+export { createOpeningMovements }
@@ -0,0 +1,126 @@
+import { Product } from '../models/product.mjs'
+import ImportJob from '../models/import-job.mjs'
+import { productType } from '../utils/product-types.mjs'
+import { validateSchema } from '../utils/validator.mjs'
+import { coerceRow } from '../utils/import.mjs'
+import { recordMovement } from '../utils/ledger.mjs'
+import { createLot } from '../utils/lots.mjs'
+import { recordPrice } from '../utils/pricing.mjs'
+import { snapshot, recordAudit } from '../utils/audit.mjs'
+import { ConflictError, ValidationError } from '../utils/errors.mjs'
+import { toHttpError } from '../middlewares/error-handler.mjs'
+
+//Cada cuantas filas el job guarda su avance
+const IMPORT_PROGRESS_ROWS = Number(process.env.IMPORT_PROGRESS_ROWS) || 50
+
+//Crea el producto de una fila o, con upsert, reemplaza el que tiene el mismo id. Hace lo mismo que
+//POST /product y PUT /product/:id (historial de stock y de precio, lotes y auditoria); con dryRun solo valida
+async function importRow(record, options) {
+    const { req, format, delimiter, dryRun, upsert } = options
+    const numberCategory = format === 'csv' ? Number(record.data.numberCategory) : record.data.numberCategory
+    const type = await productType(numberCategory)
+    const body = format === 'csv' ? coerceRow(record.data, type.schema, delimiter) : record.data
+
+    const errors = validateSchema(type.schema, body)
+    if (errors.length > 0) {
+        throw new ValidationError(errors)
+    }
+
+    const company = req.user.company
+    const existing = await Product.findOne({ company, id: body.id }).setOptions({ withDeleted: true })
+    if (existing?.deletedAt) {
+        throw new ConflictError(`Product ${body.id} is in the trash, restore or purge it first`, 'PRODUCT_IN_TRASH')
+    }
+    if (existing && !upsert) {
+        throw new ConflictError(`Product ${body.id} already exists, use upsert=true to replace it`, 'PRODUCT_EXISTS')
+    }
+
+    if (!existing) {
+        const product = new type.model({ ...body, company })
+        if (dryRun) {
+            await product.validate()
+            return 'created'
+        }
+        const result = await product.save()
+        const lots = type.lots && result.stock > 0 ? await createLot(result, result.stock) : undefined
+        await recordMovement(result, 'initial', result.stock, req.user, 'Product imported', { details: { lots } })
+        await recordPrice(result, null, 'create', req.user)
+        await recordAudit(req, 'product', 'create', { entityId: result._id, after: result })
+        return 'created'
+    }
+
+    if (existing.__t !== type.name) {
+        throw new ConflictError("Import can't change the product type, use POST /product/:id/type", 'PRODUCT_TYPE_CHANGE_REQUIRED')
+    }
+    //Igual que en PUT, el stock y las variantes se conservan y solo cambian con los endpoints de inventario
+    if (body.stock !== undefined && body.stock !== existing.stock) {
+        throw new ValidationError([{ field: 'stock', message: "can't change with upsert, use the inventory endpoints" }])
+    }
+    const productN = new type.model({ ...body, company })
+    productN.set({ stock: existing.stock, variants: existing.variants?.map((variant) => variant.toObject()) })
+    if (dryRun) {
+        await productN.validate()
+        return 'updated'
+    }
+
+    const before = snapshot(existing)
+    await existing.overwrite(productN)
+    const result = await existing.save()
+    if (result.price !== before.price || result.currency !== before.currency) {
+        await recordPrice(result, before.price, 'update', req.user)
+    }
+    await recordAudit(req, 'product', 'overwrite', { entityId: result._id, before, after: result })
+    return 'updated'
+}
+
+//Importa las filas en orden. Los errores de una fila (validación, id repetido, tipo) quedan en el reporte
+//y no detienen la importación; cualquier otro error (BD) si. onProgress recibe el reporte parcial
+async function importProducts(records, options, onProgress) {
+    const report = { total: records.length, processed: 0, created: 0, updated: 0, failed: 0, rowErrors: [] }
+    const seen = new Map()
+
+    for (const record of records) {
+        const id = options.format === 'csv' && /^\d+$/.test(record.data?.id) ? Number(record.data.id) : record.data?.id ?? null
+        try {
+            if (record.errors) {
+                throw new ValidationError(record.errors)
+            }
+            //Una fila repetida reemplazaria a la anterior del mismo archivo
+            if (id !== null && seen.has(String(id))) {
+                throw new ConflictError(`id is repeated, first used on row ${seen.get(String(id))}`, 'DUPLICATE_ROW')
+            }
+            if (id !== null) {
+                seen.set(String(id), record.row)
+            }
+            report[await importRow(record, options)]++
+        } catch (err) {
+            const known = toHttpError(err)
+            if (!known) {
+                throw err
+            }
+            report.failed++
+            report.rowErrors.push({ row: record.row, id, code: known.code, message: known.message, errors: known.extra?.errors })
+        }
+        report.processed++
+        if (onProgress && report.processed % IMPORT_PROGRESS_ROWS === 0) {
+            await onProgress(report)
+        }
+    }
+    return report
+}
+
+//Corre la importación de un job despues de responder la solicitud, guardando el avance para que se pueda consultar
+async function runImportJob(job, records, options) {
+    const progress = (report) => ImportJob.updateOne({ _id: job._id }, report)
+    try {
+        await ImportJob.updateOne({ _id: job._id }, { status: 'running', startedAt: new Date() })
+        const report = await importProducts(records, options, progress)
+        await ImportJob.updateOne({ _id: job._id }, { ...report, status: 'completed', finishedAt: new Date() })
+    } catch (err) {
+        console.log(`Import ${job._id} failed:`, err.message)
+        await ImportJob.updateOne({ _id: job._id }, { status: 'failed', error: err.message, finishedAt: new Date() })
+            .catch((error) => console.log(`Import ${job._id} status not saved:`, error.message))
+    }
+}
+
+export { importProducts, runImportJob }
@@ -0,0 +1,61 @@
+import mongoose from 'mongoose'
+import { Product } from '../models/product.mjs'
+import ScheduledPrice from '../models/scheduled-price.mjs'
+import { recordPrice } from '../utils/pricing.mjs'
+
+const SCHEDULED_PRICE_INTERVAL_MINUTES = Number(process.env.SCHEDULED_PRICE_INTERVAL_MINUTES) || 5
+
+//Aplica los cambios de precio pendientes cuya fecha ya llego, del más antiguo al más reciente para que
+//el ultimo programado quede como precio de lista. Cada cambio va en su propia transacción con su historial
+async function applyScheduledPrices(now = new Date()) {
+    const due = await ScheduledPrice.find({ status: 'pending', effectiveAt: { $lte: now } }).sort({ effectiveAt: 1, _id: 1 }).select('_id')
+
+    let count = 0
+    for (const { _id } of due) {
+        const applied = await mongoose.connection.transaction(async (session) => {
+            //Pudo cancelarse o aplicarlo otra instancia despues de la consulta
+            const scheduled = await ScheduledPrice.findOneAndUpdate(
+                { _id, status: 'pending' },
+                { status: 'applied', appliedAt: now },
+                { new: true, session }
+            )
+            if (!scheduled) {
+                return false
+            }
+            //Tambien en la papelera, para que el producto tenga el precio correcto si se restaura
+            const previous = await Product.findOneAndUpdate(
+                { _id: scheduled.product },
+                { $set: { price: scheduled.price }, $inc: { __v: 1 } },
+                { session, withDeleted: true }
+            )
+            if (!previous) {
+                scheduled.status = 'cancelled'
+                await scheduled.save({ session })
+                return false
+            }
+            await recordPrice({ ...previous.toObject(), price: scheduled.price }, previous.price, 'scheduled', { id: scheduled.user }, {
+                session,
+                details: { scheduledPrice: scheduled._id }
+            })
+            return true
+        })
+        if (applied) {
+            count++
+        }
+    }
+
+    if (count > 0) {
+        console.log(`Scheduled prices: ${count} price changes applied`)
+    }
+    return count
+}
+
+//Revisa los cambios pendientes periodicamente. unref() para que el temporizador no mantenga vivo el proceso
+function startScheduledPrices() {
+    const run = () => applyScheduledPrices().catch((err) => console.log('Scheduled prices failed:', err.message))
+    const timer = setInterval(run, SCHEDULED_PRICE_INTERVAL_MINUTES * 60 * 1000)
+    timer.unref()
+    return timer
+}
+
+export { applyScheduledPrices, startScheduledPrices }
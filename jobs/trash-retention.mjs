@@ -0,0 +1,39 @@
+import { Product } from '../models/product.mjs'
+import { recordAudit } from '../utils/audit.mjs'
+
+const DAY = 24 * 60 * 60 * 1000
+
+//Dias que un producto permanece en la papelera antes de eliminarse definitivamente
+const TRASH_RETENTION_DAYS = Number(process.env.TRASH_RETENTION_DAYS) || 30
+const TRASH_PURGE_INTERVAL_MINUTES = Number(process.env.TRASH_PURGE_INTERVAL_MINUTES) || 60
+
+//Cada producto purgado queda en la auditoria igual que con DELETE /product/:id/purge, sin actor porque lo
+//hace la API. Se elimina solo si sigue vencido en la papelera, por si alguien lo restauro entretanto
+async function purgeExpiredTrash(now = new Date()) {
+    const cutoff = new Date(now.getTime() - TRASH_RETENTION_DAYS * DAY)
+    const expired = { deletedAt: { $ne: null, $lte: cutoff } }
+    const products = await Product.find(expired)
+
+    let purged = 0
+    for (const product of products) {
+        const { deletedCount } = await Product.deleteOne({ _id: product._id, ...expired })
+        if (deletedCount > 0) {
+            await recordAudit({}, 'product', 'purge', { entityId: product._id, company: product.company, before: product, actor: {} })
+            purged++
+        }
+    }
+    if (purged > 0) {
+        console.log(`Trash retention: purged ${purged} products deleted before ${cutoff.toISOString()}`)
+    }
+    return purged
+}
+
+//Revisa la papelera periodicamente. unref() para que el temporizador no mantenga vivo el proceso
+function startTrashRetention() {
+    const run = () => purgeExpiredTrash().catch((err) => console.log('Trash retention failed:', err.message))
+    const timer = setInterval(run, TRASH_PURGE_INTERVAL_MINUTES * 60 * 1000)
+    timer.unref()
+    return timer
+}
+
+export { TRASH_RETENTION_DAYS, purgeExpiredTrash, startTrashRetention }
@@ -0,0 +1,75 @@
+import jwt from 'jsonwebtoken'
+import RevokedToken from '../models/revoked-token.mjs'
+import User from '../models/user.mjs'
+import { permissionsOf } from '../utils/permissions.mjs'
+import { UnauthorizedError, ForbiddenError } from '../utils/errors.mjs'
+
+const key = process.env.SECRET
+
+//Valida el token Bearer y deja el usuario decodificado en req.user
+async function authenticate(req, res, next) {
+    const header = req.headers.authorization
+
+    if (!header) {
+        throw new UnauthorizedError('The session has not been logged in or the token has not been entered.', 'TOKEN_MISSING')
+    }
+
+    const [scheme, token] = header.split(' ')
+    if (scheme !== 'Bearer' || !token) {
+        throw new UnauthorizedError('Authorization header must use the format: Bearer <token>', 'TOKEN_INVALID')
+    }
+
+    //Los errores de jwt.verify (vencido, firma invalida) los traduce el manejador central
+    const payload = jwt.verify(token, key)
+
+    //Los tokens sin jti son del formato anterior y no se pueden revocar
+    if (!payload.jti) {
+        throw new UnauthorizedError('Invalid Token', 'TOKEN_INVALID')
+    }
+
+    if (await RevokedToken.exists({ jti: payload.jti })) {
+        throw new UnauthorizedError('Session Closed', 'TOKEN_REVOKED')
+    }
+
+    req.user = { id: payload.sub, mail: payload.mail, jti: payload.jti, exp: payload.exp }
+    return next()
+}
+
+//Roles y compañía se leen de la BD (una vez por solicitud) para que un cambio aplique de inmediato
+async function loadUser(req) {
+    if (req.user.roles === undefined) {
+        const user = await User.findById(req.user.id).select('roles company')
+        if (!user) {
+            throw new UnauthorizedError("User Don't Exist", 'TOKEN_INVALID')
+        }
+        req.user.roles = user.roles
+        req.user.company = user.company
+    }
+    return req.user
+}
+
+//Se usa despues de authenticate
+function authorize(...permissions) {
+    return async function (req, res, next) {
+        const user = await loadUser(req)
+        const granted = permissionsOf(user.roles)
+        const missing = permissions.filter((permission) => !granted.has(permission))
+
+        if (missing.length > 0) {
+            throw new ForbiddenError(`Missing permissions: ${missing.join(', ')}`, 'FORBIDDEN', { missing })
+        }
+        return next()
+    }
+}
+
+//Se usa despues de authenticate en las rutas con datos de una compañía. Los controladores
+//filtran por req.user.company, asi un usuario nunca ve ni modifica datos de otra compañía
+async function tenant(req, res, next) {
+    const user = await loadUser(req)
+    if (!user.company) {
+        throw new ForbiddenError('User does not belong to a company', 'COMPANY_REQUIRED')
+    }
+    return next()
+}
+
+export { authenticate, authorize, tenant }
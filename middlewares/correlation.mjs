@@ -0,0 +1,14 @@
+import crypto from 'crypto'
+
+const HEADER = 'X-Correlation-ID'
+const VALID_ID = /^[A-Za-z0-9._-]{1,128}$/
+
+//Reutiliza el ID que envie el cliente (si es valido) o genera uno, y lo devuelve en la respuesta
+function correlation(req, res, next) {
+    const incoming = req.get(HEADER)
+    req.id = incoming && VALID_ID.test(incoming) ? incoming : crypto.randomUUID()
+    res.set(HEADER, req.id)
+    return next()
+}
+
+export { correlation }
@@ -0,0 +1,85 @@
+import mongoose from 'mongoose'
+import jwt from 'jsonwebtoken'
+import { HttpError, NotFoundError, UnauthorizedError, ValidationError, ConflictError, BadRequestError, PayloadTooLargeError } from '../utils/errors.mjs'
+
+const TITLES = {
+    400: 'Bad Request',
+    401: 'Unauthorized',
+    403: 'Forbidden',
+    404: 'Not Found',
+    409: 'Conflict',
+    412: 'Precondition Failed',
+    413: 'Payload Too Large',
+    415: 'Unsupported Media Type',
+    422: 'Unprocessable Entity',
+    428: 'Precondition Required',
+    500: 'Internal Server Error'
+}
+
+//Convierte errores conocidos de Mongoose, Mongo, JWT y express.json/express.text en HttpError
+function toHttpError(err) {
+    if (err instanceof HttpError) {
+        return err
+    }
+    if (err instanceof mongoose.Error.CastError) {
+        return new ValidationError([{ field: err.path, message: `must be a valid ${err.kind}` }])
+    }
+    if (err instanceof mongoose.Error.ValidationError) {
+        return new ValidationError(Object.values(err.errors).map((e) => ({ field: e.path, message: e.message })))
+    }
+    if (err instanceof mongoose.Error.VersionError) {
+        return new ConflictError('The document was modified by another request, reload it and try again', 'VERSION_CONFLICT')
+    }
+    if (err?.code === 11000) {
+        const fields = Object.keys(err.keyValue ?? err.keyPattern ?? {})
+        return new ConflictError(`Duplicate value for: ${fields.join(', ') || 'unique field'}`, 'DUPLICATE_KEY', { fields })
+    }
+    if (err instanceof jwt.TokenExpiredError) {
+        return new UnauthorizedError('Session Expired', 'TOKEN_EXPIRED')
+    }
+    if (err instanceof jwt.JsonWebTokenError) {
+        return new UnauthorizedError('Invalid Token', 'TOKEN_INVALID')
+    }
+    if (err?.type === 'entity.parse.failed') {
+        return new BadRequestError('Request body is not valid JSON', 'MALFORMED_JSON')
+    }
+    if (err?.type === 'entity.too.large') {
+        return new PayloadTooLargeError(`Request body is larger than ${err.limit} bytes`, 'PAYLOAD_TOO_LARGE', { limit: err.limit })
+    }
+    return null
+}
+
+//Rutas que no existen
+function notFound(req, res, next) {
+    return next(new NotFoundError(`Route ${req.method} ${req.originalUrl} Not Found`, 'ROUTE_NOT_FOUND'))
+}
+
+function errorHandler(err, req, res, next) {
+    //Si la respuesta ya empezo (exportaciones por streaming) solo se puede cortar
+    if (res.headersSent) {
+        console.log(`[${req.id}]`, err)
+        return res.destroy(err)
+    }
+
+    const known = toHttpError(err)
+
+    if (!known) {
+        console.log(`[${req.id}]`, err)
+    }
+
+    const status = known?.status ?? 500
+    const problem = {
+        type: 'about:blank',
+        title: TITLES[status] ?? 'Error',
+        status: status,
+        code: known?.code ?? 'INTERNAL_ERROR',
+        detail: known?.message ?? 'Unexpected error, use the correlationId to report it',
+        instance: req.originalUrl,
+        correlationId: req.id,
+        ...known?.extra
+    }
+
+    return res.status(status).type('application/problem+json').json(problem)
+}
+
+export { toHttpError, notFound, errorHandler }
@@ -0,0 +1,39 @@
+import { validateSchema } from '../utils/validator.mjs'
+import { ValidationError } from '../utils/errors.mjs'
+import { OBJECT_ID_PATTERN } from '../schemas/product.mjs'
+import { productType } from '../utils/product-types.mjs'
+
+//Valida el body contra un esquema fijo
+function validateBody(schema) {
+    return function (req, res, next) {
+        const errors = validateSchema(schema, req.body ?? null)
+        if (errors.length > 0) {
+            throw new ValidationError(errors)
+        }
+        return next()
+    }
+}
+
+//El esquema del producto depende de numberCategory
+async function validateProduct(req, res, next) {
+    const body = req.body ?? null
+    const { schema } = await productType(body?.numberCategory)
+
+    const errors = validateSchema(schema, body)
+    if (errors.length > 0) {
+        throw new ValidationError(errors)
+    }
+    return next()
+}
+
+function validateObjectId(param = 'id') {
+    const pattern = new RegExp(OBJECT_ID_PATTERN)
+    return function (req, res, next) {
+        if (!pattern.test(req.params[param])) {
+            throw new ValidationError([{ field: param, message: 'must be a valid ObjectId' }])
+        }
+        return next()
+    }
+}
+
+export { validateBody, validateProduct, validateObjectId }
@@ -0,0 +1,74 @@
+import mongoose from 'mongoose'
+
+const {Schema} = mongoose
+
+const AUDIT_ENTITIES = ['product', 'user']
+const AUDIT_ACTIONS = ['create', 'update', 'overwrite', 'change_type', 'delete', 'restore', 'purge', 'restock', 'sell', 'adjust', 'login', 'login_failed', 'logout']
+
+//Registro de auditoria. Solo se agregan documentos: las actualizaciones y eliminaciones se rechazan
+const AuditEntrySchema = new Schema({
+
+    entity:{
+        type: String,
+        enum: AUDIT_ENTITIES,
+        required: true
+    },
+    entityId:{
+        type: Schema.Types.ObjectId,
+        required: false,
+        default: null //null en inicios de sesión fallidos de correos inexistentes
+    },
+    action:{
+        type: String,
+        enum: AUDIT_ACTIONS,
+        required: true
+    },
+    //Cambios campo a campo, before no existe en create y after no existe en purge
+    changes:[{
+        _id: false,
+        field: { type: String, required: true },
+        before: { type: Schema.Types.Mixed },
+        after: { type: Schema.Types.Mixed }
+    }],
+    actor:{
+        type: Schema.Types.ObjectId,
+        ref: 'User',
+        default: null
+    },
+    actorMail:{
+        type: String,
+        default: null
+    },
+    company:{
+        type: Schema.Types.ObjectId,
+        ref: 'Company',
+        default: null
+    },
+    ip:{
+        type: String,
+        default: null
+    },
+    requestId:{
+        type: String,
+        default: null
+    }
+
+}, { timestamps: { createdAt: true, updatedAt: false } })
+
+AuditEntrySchema.index({ company: 1, createdAt: -1 })
+AuditEntrySchema.index({ company: 1, entity: 1, entityId: 1, createdAt: -1 })
+AuditEntrySchema.index({ company: 1, actor: 1, createdAt: -1 })
+
+function appendOnly() {
+    throw new Error('Audit entries are append-only')
+}
+
+AuditEntrySchema.pre(['updateOne', 'updateMany', 'findOneAndUpdate', 'findOneAndReplace', 'replaceOne', 'deleteOne', 'deleteMany', 'findOneAndDelete'], appendOnly)
+AuditEntrySchema.pre('save', function () {
+    if (!this.isNew) {
+        appendOnly()
+    }
+})
+
+export { AUDIT_ENTITIES, AUDIT_ACTIONS }
+export default mongoose.model('AuditEntry', AuditEntrySchema)
@@ -0,0 +1,34 @@
+import mongoose from 'mongoose'
+import { MAIL_REGEX } from './user.mjs'
+
+const {Schema} = mongoose
+
+//Compañía dueña de un catalogo de productos. Usuarios, productos, ordenes y proveedores pertenecen a una
+const CompanySchema = new Schema({
+
+    name:{
+        type: String,
+        required: [true, 'name required'],
+        unique: true
+    },
+    nit:{
+        type: String,
+        required: false
+    },
+    mail:{
+        type: String,
+        required: false,
+        match: [MAIL_REGEX, 'mail format is not valid']
+    },
+    phone:{
+        type: String,
+        required: false
+    },
+    address:{
+        type: String,
+        required: false
+    }
+
+}, { timestamps: true })
+
+export default mongoose.model('Company', CompanySchema)
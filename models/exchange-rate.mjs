@@ -0,0 +1,35 @@
+import mongoose from 'mongoose'
+
+const {Schema} = mongoose
+
+//Tasa de cambio de una moneda en una compañía: cuanto vale una unidad de la moneda en BASE_CURRENCY
+//(utils/currency.mjs). Con dos tasas se convierte entre cualquier par de monedas
+const ExchangeRateSchema = new Schema({
+
+    company:{
+        type: Schema.Types.ObjectId,
+        ref: 'Company',
+        required: [true, 'company required']
+    },
+    currency:{
+        type: String,
+        required: [true, 'currency required'],
+        uppercase: true
+    },
+    rate:{
+        type: Number,
+        required: true,
+        min: 0
+    },
+    user:{
+        type: Schema.Types.ObjectId,
+        ref: 'User',
+        required: false,
+        default: null
+    }
+
+}, { timestamps: true })
+
+ExchangeRateSchema.index({ company: 1, currency: 1 }, { unique: true })
+
+export default mongoose.model('ExchangeRate', ExchangeRateSchema)
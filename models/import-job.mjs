@@ -0,0 +1,91 @@
+import mongoose from 'mongoose'
+
+const {Schema} = mongoose
+
+const IMPORT_STATUSES = ['queued', 'running', 'completed', 'failed']
+
+//Importación de productos que corre en segundo plano (jobs/product-import.mjs). Se consulta su avance
+//con GET /product/import/:jobId. rowErrors es el reporte de las filas que no se importaron
+const ImportJobSchema = new Schema({
+
+    company:{
+        type: Schema.Types.ObjectId,
+        ref: 'Company',
+        required: [true, 'company required']
+    },
+    format:{
+        type: String,
+        enum: ['csv', 'ndjson'],
+        required: true
+    },
+    dryRun:{
+        type: Boolean,
+        required: true,
+        default: false
+    },
+    upsert:{
+        type: Boolean,
+        required: true,
+        default: false
+    },
+    status:{
+        type: String,
+        enum: IMPORT_STATUSES,
+        required: true,
+        default: 'queued'
+    },
+    total:{
+        type: Number,
+        required: true
+    },
+    processed:{
+        type: Number,
+        required: true,
+        default: 0
+    },
+    created:{
+        type: Number,
+        required: true,
+        default: 0
+    },
+    updated:{
+        type: Number,
+        required: true,
+        default: 0
+    },
+    failed:{
+        type: Number,
+        required: true,
+        default: 0
+    },
+    //Cada fila fallida: { row, id, code, message, errors } (errors con la lista de { field, message })
+    rowErrors:{
+        type: [Schema.Types.Mixed],
+        default: []
+    },
+    //Solo si el job fallo por un error que no es de una fila (BD caida, reinicio de la API)
+    error:{
+        type: String,
+        default: null
+    },
+    startedAt:{
+        type: Date,
+        default: null
+    },
+    finishedAt:{
+        type: Date,
+        default: null
+    },
+    user:{
+        type: Schema.Types.ObjectId,
+        ref: 'User',
+        required: false,
+        default: null
+    }
+
+}, { timestamps: true })
+
+ImportJobSchema.index({ company: 1, createdAt: -1 })
+
+export { IMPORT_STATUSES }
+export default mongoose.model('ImportJob', ImportJobSchema)
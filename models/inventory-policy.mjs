@@ -0,0 +1,45 @@
+import mongoose from 'mongoose'
+
+const {Schema} = mongoose
+
+const BACKORDER_POLICIES = ['reject', 'allow']
+
+//Valores por defecto de reabastecimiento para una categoría de una compañía. Cada producto puede reemplazarlos
+const InventoryPolicySchema = new Schema({
+
+    company:{
+        type: Schema.Types.ObjectId,
+        ref: 'Company',
+        required: [true, 'company required']
+    },
+    category:{
+        type: String,
+        required: [true, 'category required']
+    },
+    safetyStock:{
+        type: Number,
+        required: false,
+        min: 0
+    },
+    reorderPoint:{
+        type: Number,
+        required: false,
+        min: 0
+    },
+    reorderQuantity:{
+        type: Number,
+        required: false,
+        min: 1
+    },
+    backorderPolicy:{
+        type: String,
+        enum: BACKORDER_POLICIES,
+        required: false
+    }
+
+}, { timestamps: true })
+
+InventoryPolicySchema.index({ company: 1, category: 1 }, { unique: true })
+
+export { BACKORDER_POLICIES }
+export default mongoose.model('InventoryPolicy', InventoryPolicySchema)
@@ -0,0 +1,76 @@
+import mongoose from 'mongoose'
+
+const {Schema} = mongoose
+
+const LOT_STATUSES = ['available', 'quarantined']
+
+//Lote de un producto con vencimiento (tipos con lots en utils/product-types.mjs). El stock del producto
+//es la suma de sus lotes disponibles: las ventas los consumen por vencimiento (FEFO) y los vencidos
+//pasan a cuarentena (jobs/lot-quarantine.mjs) y salen del stock
+const LotSchema = new Schema({
+
+    company:{
+        type: Schema.Types.ObjectId,
+        ref: 'Company',
+        required: [true, 'company required']
+    },
+    product:{
+        type: Schema.Types.ObjectId,
+        ref: 'product',
+        required: true
+    },
+    //Solo en productos con variantes
+    variant:{
+        type: Schema.Types.ObjectId,
+        required: false
+    },
+    sku:{
+        type: String,
+        required: false
+    },
+    //Unidades que quedan y unidades con que entro
+    quantity:{
+        type: Number,
+        required: true,
+        min: 0
+    },
+    received:{
+        type: Number,
+        required: true,
+        min: 1
+    },
+    receivedAt:{
+        type: Date,
+        required: true,
+        default: Date.now
+    },
+    expiresAt:{
+        type: Date,
+        required: true
+    },
+    status:{
+        type: String,
+        enum: LOT_STATUSES,
+        required: true,
+        default: 'available'
+    },
+    quarantinedAt:{
+        type: Date,
+        required: false,
+        default: null
+    },
+    purchaseOrder:{
+        type: Schema.Types.ObjectId,
+        ref: 'PurchaseOrder',
+        required: false
+    }
+
+}, { timestamps: true })
+
+//Consumo FEFO por producto y reportes o cuarentena por vencimiento
+LotSchema.index({ product: 1, status: 1, expiresAt: 1 })
+LotSchema.index({ company: 1, status: 1, expiresAt: 1 })
+LotSchema.index({ status: 1, expiresAt: 1 })
+
+export { LOT_STATUSES }
+export default mongoose.model('Lot', LotSchema)
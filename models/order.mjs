@@ -0,0 +1,146 @@
+import mongoose from 'mongoose'
+
+const {Schema} = mongoose
+
+const ORDER_STATUSES = ['pending', 'paid', 'shipped', 'cancelled', 'refunded']
+
+//Estados a los que se puede pasar desde cada estado
+const ORDER_TRANSITIONS = {
+    pending: ['paid', 'cancelled'],
+    paid: ['shipped', 'cancelled', 'refunded'],
+    shipped: ['refunded'],
+    cancelled: [],
+    refunded: []
+}
+
+//Cada linea guarda una copia del producto y su precio al momento de la compra
+const OrderItemSchema = new Schema({
+    product:{
+        type: Schema.Types.ObjectId,
+        ref: 'product',
+        required: true
+    },
+    id:{
+        type: Number,
+        required: true
+    },
+    name:{
+        type: String,
+        required: true
+    },
+    //Solo en productos con variantes
+    variant:{
+        type: Schema.Types.ObjectId,
+        required: false
+    },
+    sku:{
+        type: String,
+        required: false
+    },
+    quantity:{
+        type: Number,
+        required: true,
+        min: 1
+    },
+    //Solo en productos con lotes: lotes consumidos, se restauran si la orden se cancela
+    lots:{
+        type: [{
+            _id: false,
+            lot: { type: Schema.Types.ObjectId, ref: 'Lot', required: true },
+            quantity: { type: Number, required: true }
+        }],
+        default: undefined
+    },
+    //Solo en productos con garantia: números de serie de las garantias de la linea
+    serialNumbers:{
+        type: [String],
+        default: undefined
+    },
+    //Precio de lista y precio cobrado (en la moneda de la orden), con la promoción vigente al momento de la compra
+    listPrice:{
+        type: Number,
+        required: false
+    },
+    unitPrice:{
+        type: Number,
+        required: true
+    },
+    promotion:{
+        type: Schema.Types.ObjectId,
+        ref: 'Promotion',
+        required: false
+    },
+    //Neto de la linea, sin impuestos
+    lineTotal:{
+        type: Number,
+        required: true
+    },
+    //Impuesto de la categoría del producto (porcentaje), su importe y el bruto de la linea
+    taxRate:{
+        type: Number,
+        required: false
+    },
+    tax:{
+        type: Number,
+        required: false
+    },
+    gross:{
+        type: Number,
+        required: false
+    }
+}, { _id: false })
+
+const OrderSchema = new Schema({
+
+    company:{
+        type: Schema.Types.ObjectId,
+        ref: 'Company',
+        required: [true, 'company required']
+    },
+    items:{
+        type: [OrderItemSchema],
+        required: true
+    },
+    //Moneda de todos los importes de la orden (ISO 4217)
+    currency:{
+        type: String,
+        required: false
+    },
+    net:{
+        type: Number,
+        required: false
+    },
+    tax:{
+        type: Number,
+        required: false
+    },
+    //Bruto: net + tax
+    total:{
+        type: Number,
+        required: true
+    },
+    status:{
+        type: String,
+        enum: ORDER_STATUSES,
+        required: true,
+        default: 'pending'
+    },
+    statusHistory:[{
+        _id: false,
+        status: { type: String, enum: ORDER_STATUSES, required: true },
+        at: { type: Date, required: true, default: Date.now },
+        user: { type: Schema.Types.ObjectId, ref: 'User', default: null }
+    }],
+    user:{
+        type: Schema.Types.ObjectId,
+        ref: 'User',
+        required: false,
+        default: null
+    }
+
+}, { timestamps: true, optimisticConcurrency: true })
+
+OrderSchema.index({ company: 1, status: 1, createdAt: -1 })
+
+export { ORDER_STATUSES, ORDER_TRANSITIONS }
+export default mongoose.model('Order', OrderSchema)
@@ -0,0 +1,57 @@
+import mongoose from 'mongoose'
+
+const {Schema} = mongoose
+
+const PRICE_SOURCES = ['create', 'update', 'scheduled']
+
+//Registro (solo se agregan documentos) de cada cambio del precio de lista de un producto
+const PriceHistorySchema = new Schema({
+
+    company:{
+        type: Schema.Types.ObjectId,
+        ref: 'Company',
+        required: [true, 'company required']
+    },
+    product:{
+        type: Schema.Types.ObjectId,
+        ref: 'product',
+        required: true
+    },
+    price:{
+        type: Number,
+        required: true
+    },
+    currency:{
+        type: String,
+        required: false
+    },
+    //null en el precio con que se creo el producto
+    previousPrice:{
+        type: Number,
+        required: false,
+        default: null
+    },
+    source:{
+        type: String,
+        enum: PRICE_SOURCES,
+        required: true
+    },
+    //Solo en source scheduled, cambio programado que se aplico
+    scheduledPrice:{
+        type: Schema.Types.ObjectId,
+        ref: 'ScheduledPrice',
+        required: false
+    },
+    user:{
+        type: Schema.Types.ObjectId,
+        ref: 'User',
+        required: false,
+        default: null
+    }
+
+}, { timestamps: { createdAt: true, updatedAt: false } })
+
+PriceHistorySchema.index({ product: 1, createdAt: -1 })
+
+export { PRICE_SOURCES }
+export default mongoose.model('PriceHistory', PriceHistorySchema)
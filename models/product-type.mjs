@@ -0,0 +1,46 @@
+import mongoose from 'mongoose'
+
+const {Schema} = mongoose
+
+const FIELD_TYPES = ['string', 'number', 'integer', 'boolean', 'date', 'array']
+const ITEM_TYPES = ['string', 'number', 'integer', 'boolean']
+
+//Tipo de producto definido en tiempo de ejecución (POST /product-types). Al iniciar la API y al crearlo
+//se registra como discriminador de Product (utils/product-types.mjs). Los tipos son comunes a todas las compañías
+const ProductTypeSchema = new Schema({
+
+    numberCategory:{
+        type: Number,
+        required: [true, 'numberCategory required'],
+        unique: true
+    },
+    //Nombre del discriminador (__t de los productos)
+    name:{
+        type: String,
+        required: [true, 'name required'],
+        unique: true
+    },
+    label:{
+        type: String,
+        required: [true, 'label required']
+    },
+    fields:[{
+        _id: false,
+        name: { type: String, required: true },
+        type: { type: String, enum: FIELD_TYPES, required: true },
+        //Tipo de los elementos cuando type es array
+        items: { type: String, enum: ITEM_TYPES, required: false },
+        required: { type: Boolean, default: false },
+        default: { type: Schema.Types.Mixed, required: false },
+        description: { type: String, required: false }
+    }],
+    user:{
+        type: Schema.Types.ObjectId,
+        ref: 'User',
+        required: false
+    }
+
+}, { timestamps: true })
+
+export { FIELD_TYPES, ITEM_TYPES }
+export default mongoose.model('ProductType', ProductTypeSchema)
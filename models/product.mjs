@@ -1,12 +1,40 @@
 import mongoose from "mongoose"
+import { BASE_CURRENCY } from "../utils/currency.mjs"
 
 const {Schema} = mongoose
 
+//Variante de un producto (talla y color, sabor y peso...) con su propio SKU, precio y stock
+const VariantSchema = new Schema({
+    sku:{
+        type: String,
+        required: [true, 'sku required'] //unico dentro de cada compañía
+    },
+    barcode:{
+        type: String,
+        required: false
+    },
+    attributes:{
+        type: Map,
+        of: String,
+        required: true
+    },
+    //Si no se define se vende al precio del producto
+    price:{
+        type: Number,
+        required: false,
+        min: 0
+    },
+    stock:{
+        type: Number,
+        required: true,
+        default: 0
+    }
+})
+
 const ProductSchema = new Schema({
     id:{
         type :Number,
-        required : [true, 'id required'], //constraint y se atrapa en catch
-        unique: true
+        required : [true, 'id required'] //unico dentro de cada compañía (indice company + id)
     },
     name:{
         type: String,
@@ -29,14 +57,125 @@ const ProductSchema = new Schema({
         type: Number,
         required: true
     },
+    //Moneda del precio (ISO 4217), la de BASE_CURRENCY si no se indica
+    currency:{
+        type: String,
+        required: true,
+        uppercase: true,
+        default: BASE_CURRENCY
+    },
     stock:{
         type: Number,
         required: false,
         default: 50
+    },
+    //Reabastecimiento: si no se definen se usan los de la categoría (InventoryPolicy) o los valores por defecto
+    safetyStock:{
+        type: Number,
+        required: false,
+        min: 0
+    },
+    reorderPoint:{
+        type: Number,
+        required: false,
+        min: 0
+    },
+    reorderQuantity:{
+        type: Number,
+        required: false,
+        min: 1
+    },
+    backorderPolicy:{
+        type: String,
+        required: false,
+        enum: ['reject', 'allow']
+    },
+    //Si el producto tiene variantes su stock es la suma del stock de ellas
+    variants:{
+        type: [VariantSchema],
+        default: undefined
+    },
+    company:{
+        type: Schema.Types.ObjectId,
+        ref: 'Company',
+        required: [true, 'company required']
+    },
+    //Papelera: DELETE solo marca el producto, se elimina definitivamente al purgarlo
+    deletedAt:{
+        type: Date,
+        required: false,
+        default: null
+    },
+    deletedBy:{
+        type: Schema.Types.ObjectId,
+        ref: 'User',
+        required: false,
+        default: null
     }
     
+}, {
+    //save() filtra por __v y lo incrementa, asi una escritura con datos viejos falla en vez de pisar otra
+    optimisticConcurrency: true
 });
 
+//Cada compañía tiene su propia numeración de id
+ProductSchema.index({ company: 1, id: 1 }, { unique: true })
+
+//Indices para los ordenamientos y filtros de GET /product, siempre filtrado por compañía
+ProductSchema.index({ company: 1, price: 1 })
+ProductSchema.index({ company: 1, stock: 1 })
+ProductSchema.index({ company: 1, name: 1 })
+ProductSchema.index({ company: 1, category: 1 })
+ProductSchema.index({ company: 1, deletedAt: 1 })
+
+//SKU y código de barras de las variantes, unicos dentro de cada compañía
+ProductSchema.index({ company: 1, 'variants.sku': 1 }, { unique: true, partialFilterExpression: { 'variants.sku': { $exists: true } } })
+ProductSchema.index({ company: 1, 'variants.barcode': 1 }, { unique: true, partialFilterExpression: { 'variants.barcode': { $type: 'string' } } })
+
+//Los productos en la papelera no aparecen en ninguna consulta, salvo que el filtro use deletedAt
+//o la consulta tenga la opción withDeleted (restaurar, purgar, devolver stock)
+ProductSchema.pre(['find', 'findOne', 'findOneAndUpdate', 'countDocuments', 'updateOne', 'updateMany'], function () {
+    if (!this.getOptions().withDeleted && this.getFilter().deletedAt === undefined) {
+        this.where({ deletedAt: null })
+    }
+})
+
+ProductSchema.pre('aggregate', function () {
+    if (this.options.withDeleted) {
+        return
+    }
+    //$text tiene que quedar en la primera etapa, asi que la condición se agrega a ese $match
+    const [first] = this.pipeline()
+    if (first?.$match && first.$match.deletedAt === undefined) {
+        first.$match.deletedAt = null
+    } else if (!first?.$match) {
+        this.pipeline().unshift({ $match: { deletedAt: null } })
+    }
+})
+
+//Indice de texto para GET /product/search. Incluye los campos de los discriminadores porque
+//todos los tipos comparten la misma coleccion (solo puede existir un indice de texto)
+ProductSchema.index({
+    name: 'text',
+    description: 'text',
+    features: 'text',
+    ingredients: 'text',
+    material: 'text',
+    colors: 'text',
+    specValues: 'text'
+}, {
+    name: 'product_text_search',
+    weights: {
+        name: 10,
+        features: 5,
+        ingredients: 5,
+        material: 4,
+        colors: 3,
+        specValues: 3,
+        description: 2
+    }
+})
+
 const Product = mongoose.model('product', ProductSchema)
 
 const ElectronicsProduct = Product.discriminator('Electronics', new Schema({
@@ -72,12 +211,18 @@ const FoodProduct = Product.discriminator('Food', new Schema({
     }
 }))
 
-const AutomotiveProduct = Product.discriminator('Automotive', new Schema({
+const AutomotiveSchema = new Schema({
     specs:{
         type: Map,
         of: String,
         required: true
     },
+    //Copia de los valores de specs, los Map no se pueden incluir en el indice de texto
+    specValues:{
+        type: [String],
+        required: false,
+        select: false
+    },
     warrantyYears:{
         type: Number,
         required: false,
@@ -87,7 +232,13 @@ const AutomotiveProduct = Product.discriminator('Automotive', new Schema({
         type: Number,
         required: true
     }
-}))
+})
+
+AutomotiveSchema.pre('save', function () {
+    this.specValues = this.specs ? [...this.specs.values()] : []
+})
+
+const AutomotiveProduct = Product.discriminator('Automotive', AutomotiveSchema)
 
 const ClothingProduct = Product.discriminator('Clothing', new Schema({
     sizesAvaiable:{
@@ -0,0 +1,80 @@
+import mongoose from 'mongoose'
+import { BASE_CURRENCY } from '../utils/currency.mjs'
+
+const {Schema} = mongoose
+
+const DISCOUNT_TYPES = ['percent', 'fixed']
+const PROMOTION_SCOPES = ['product', 'category', 'type']
+
+//Descuento por un periodo (startsAt incluido, endsAt excluido) sobre un producto, una categoría o un tipo
+//(numberCategory). Si varias aplican al mismo producto se usa la que deja el menor precio, no se acumulan
+const PromotionSchema = new Schema({
+
+    company:{
+        type: Schema.Types.ObjectId,
+        ref: 'Company',
+        required: [true, 'company required']
+    },
+    name:{
+        type: String,
+        required: true,
+        trim: true
+    },
+    //percent: porcentaje del precio (1 a 100), fixed: valor que se resta al precio
+    discountType:{
+        type: String,
+        enum: DISCOUNT_TYPES,
+        required: true
+    },
+    value:{
+        type: Number,
+        required: true,
+        min: 0
+    },
+    //Moneda de value en las promociones fixed, se convierte a la del producto con las tasas de cambio
+    currency:{
+        type: String,
+        required: function () { return this.discountType === 'fixed' },
+        uppercase: true,
+        default: function () { return this.discountType === 'fixed' ? BASE_CURRENCY : undefined }
+    },
+    scope:{
+        type: String,
+        enum: PROMOTION_SCOPES,
+        required: true
+    },
+    //Solo el del alcance (scope) de la promoción
+    product:{
+        type: Schema.Types.ObjectId,
+        ref: 'product',
+        required: false
+    },
+    category:{
+        type: String,
+        required: false
+    },
+    numberCategory:{
+        type: Number,
+        required: false
+    },
+    startsAt:{
+        type: Date,
+        required: true
+    },
+    endsAt:{
+        type: Date,
+        required: true
+    },
+    user:{
+        type: Schema.Types.ObjectId,
+        ref: 'User',
+        required: false,
+        default: null
+    }
+
+}, { timestamps: true })
+
+PromotionSchema.index({ company: 1, startsAt: 1, endsAt: 1 })
+
+export { DISCOUNT_TYPES, PROMOTION_SCOPES }
+export default mongoose.model('Promotion', PromotionSchema)
@@ -0,0 +1,147 @@
+import mongoose from 'mongoose'
+
+const {Schema} = mongoose
+
+const PURCHASE_ORDER_STATUSES = ['draft', 'sent', 'partially_received', 'received']
+
+//Estados a los que se puede pasar desde cada estado. partially_received y received
+//los asigna la recepción de mercancia, no se cambian a mano
+const PURCHASE_ORDER_TRANSITIONS = {
+    draft: ['sent'],
+    sent: ['partially_received', 'received'],
+    partially_received: ['partially_received', 'received'],
+    received: []
+}
+
+//Cada linea conserva su _id para poder recibir mercancia contra ella
+const PurchaseOrderLineSchema = new Schema({
+    product:{
+        type: Schema.Types.ObjectId,
+        ref: 'product',
+        required: true
+    },
+    id:{
+        type: Number,
+        required: true
+    },
+    name:{
+        type: String,
+        required: true
+    },
+    //Solo en productos con variantes, la mercancia recibida entra al stock de la variante
+    variant:{
+        type: Schema.Types.ObjectId,
+        required: false
+    },
+    sku:{
+        type: String,
+        required: false
+    },
+    quantity:{
+        type: Number,
+        required: true,
+        min: 1
+    },
+    unitCost:{
+        type: Number,
+        required: true,
+        min: 0
+    },
+    received:{
+        type: Number,
+        required: true,
+        default: 0,
+        min: 0
+    }
+})
+
+const ReceiptSchema = new Schema({
+    line:{
+        type: Schema.Types.ObjectId,
+        required: true
+    },
+    product:{
+        type: Schema.Types.ObjectId,
+        ref: 'product',
+        required: true
+    },
+    variant:{
+        type: Schema.Types.ObjectId,
+        required: false
+    },
+    quantity:{
+        type: Number,
+        required: true,
+        min: 1
+    },
+    unitCost:{
+        type: Number,
+        required: true,
+        min: 0 //costo real de la recepción, puede diferir del pactado en la linea
+    },
+    at:{
+        type: Date,
+        required: true,
+        default: Date.now
+    },
+    user:{
+        type: Schema.Types.ObjectId,
+        ref: 'User',
+        default: null
+    }
+}, { _id: false })
+
+const PurchaseOrderSchema = new Schema({
+
+    company:{
+        type: Schema.Types.ObjectId,
+        ref: 'Company',
+        required: [true, 'company required']
+    },
+    supplier:{
+        type: Schema.Types.ObjectId,
+        ref: 'Supplier',
+        required: true
+    },
+    lines:{
+        type: [PurchaseOrderLineSchema],
+        required: true
+    },
+    total:{
+        type: Number,
+        required: true
+    },
+    status:{
+        type: String,
+        enum: PURCHASE_ORDER_STATUSES,
+        required: true,
+        default: 'draft'
+    },
+    statusHistory:[{
+        _id: false,
+        status: { type: String, enum: PURCHASE_ORDER_STATUSES, required: true },
+        at: { type: Date, required: true, default: Date.now },
+        user: { type: Schema.Types.ObjectId, ref: 'User', default: null }
+    }],
+    receipts:{
+        type: [ReceiptSchema],
+        default: []
+    },
+    notes:{
+        type: String,
+        required: false
+    },
+    user:{
+        type: Schema.Types.ObjectId,
+        ref: 'User',
+        required: false,
+        default: null
+    }
+
+}, { timestamps: true, optimisticConcurrency: true })
+
+PurchaseOrderSchema.index({ company: 1, status: 1, createdAt: -1 })
+PurchaseOrderSchema.index({ company: 1, supplier: 1, createdAt: -1 })
+
+export { PURCHASE_ORDER_STATUSES, PURCHASE_ORDER_TRANSITIONS }
+export default mongoose.model('PurchaseOrder', PurchaseOrderSchema)
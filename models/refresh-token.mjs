@@ -0,0 +1,43 @@
+import mongoose from 'mongoose'
+
+const {Schema} = mongoose
+
+//Refresh token opaco, solo se guarda el hash. Todos los tokens que nacen de un mismo login comparten "family"
+const RefreshTokenSchema = new Schema({
+
+    tokenHash:{
+        type: String,
+        required: true,
+        unique: true
+    },
+    user:{
+        type: Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    family:{
+        type: String,
+        required: true,
+        index: true
+    },
+    expiresAt:{
+        type: Date,
+        required: true
+    },
+    revokedAt:{
+        type: Date,
+        required: false,
+        default: null
+    },
+    replacedBy:{
+        type: String,
+        required: false,
+        default: null
+    }
+
+}, { timestamps: true })
+
+//Mongo elimina los documentos vencidos
+RefreshTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 })
+
+export default mongoose.model('RefreshToken', RefreshTokenSchema)
@@ -0,0 +1,22 @@
+import mongoose from 'mongoose'
+
+const {Schema} = mongoose
+
+//Lista de access tokens (jti) revocados antes de su expiración
+const RevokedTokenSchema = new Schema({
+
+    jti:{
+        type: String,
+        required: true,
+        unique: true
+    },
+    expiresAt:{
+        type: Date,
+        required: true
+    }
+
+})
+
+RevokedTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 })
+
+export default mongoose.model('RevokedToken', RevokedTokenSchema)
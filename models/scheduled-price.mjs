@@ -0,0 +1,53 @@
+import mongoose from 'mongoose'
+
+const {Schema} = mongoose
+
+const SCHEDULED_PRICE_STATUSES = ['pending', 'applied', 'cancelled']
+
+//Cambio del precio de lista programado para una fecha. jobs/scheduled-prices.mjs lo aplica cuando llega effectiveAt
+const ScheduledPriceSchema = new Schema({
+
+    company:{
+        type: Schema.Types.ObjectId,
+        ref: 'Company',
+        required: [true, 'company required']
+    },
+    product:{
+        type: Schema.Types.ObjectId,
+        ref: 'product',
+        required: true
+    },
+    price:{
+        type: Number,
+        required: true,
+        min: 0
+    },
+    effectiveAt:{
+        type: Date,
+        required: true
+    },
+    status:{
+        type: String,
+        enum: SCHEDULED_PRICE_STATUSES,
+        required: true,
+        default: 'pending'
+    },
+    appliedAt:{
+        type: Date,
+        required: false,
+        default: null
+    },
+    user:{
+        type: Schema.Types.ObjectId,
+        ref: 'User',
+        required: false,
+        default: null
+    }
+
+}, { timestamps: true })
+
+ScheduledPriceSchema.index({ status: 1, effectiveAt: 1 })
+ScheduledPriceSchema.index({ product: 1, effectiveAt: 1 })
+
+export { SCHEDULED_PRICE_STATUSES }
+export default mongoose.model('ScheduledPrice', ScheduledPriceSchema)
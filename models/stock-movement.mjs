@@ -0,0 +1,74 @@
+import mongoose from 'mongoose'
+
+const {Schema} = mongoose
+
+const MOVEMENT_TYPES = ['initial', 'opening', 'restock', 'sale', 'adjustment', 'overwrite', 'cancellation', 'receipt', 'quarantine']
+
+//Registro (solo se agregan documentos) de cada cambio de stock de un producto
+const StockMovementSchema = new Schema({
+
+    product:{
+        type: Schema.Types.ObjectId,
+        ref: 'product',
+        required: true
+    },
+    type:{
+        type: String,
+        enum: MOVEMENT_TYPES,
+        required: true
+    },
+    quantity:{
+        type: Number,
+        required: true //positivo entra al inventario, negativo sale
+    },
+    balance:{
+        type: Number,
+        required: true //stock despues del movimiento
+    },
+    reason:{
+        type: String,
+        required: false,
+        default: null
+    },
+    user:{
+        type: Schema.Types.ObjectId,
+        ref: 'User',
+        required: false,
+        default: null
+    },
+    //Variante que cambio, en productos con variantes (balance sigue siendo el stock total del producto)
+    variant:{
+        type: Schema.Types.ObjectId,
+        required: false
+    },
+    sku:{
+        type: String,
+        required: false
+    },
+    //Solo en productos con lotes: lotes que entraron, se consumieron o pasaron a cuarentena
+    lots:{
+        type: [{
+            _id: false,
+            lot: { type: Schema.Types.ObjectId, ref: 'Lot', required: true },
+            quantity: { type: Number, required: true }
+        }],
+        default: undefined
+    },
+    //Solo en recepciones: orden de compra y costo unitario de las unidades recibidas
+    purchaseOrder:{
+        type: Schema.Types.ObjectId,
+        ref: 'PurchaseOrder',
+        required: false
+    },
+    unitCost:{
+        type: Number,
+        required: false,
+        min: 0
+    }
+
+}, { timestamps: { createdAt: true, updatedAt: false } })
+
+StockMovementSchema.index({ product: 1, createdAt: -1 })
+
+export { MOVEMENT_TYPES }
+export default mongoose.model('StockMovement', StockMovementSchema)
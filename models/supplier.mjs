@@ -0,0 +1,40 @@
+import mongoose from 'mongoose'
+import { MAIL_REGEX } from './user.mjs'
+
+const {Schema} = mongoose
+
+const SupplierSchema = new Schema({
+
+    company:{
+        type: Schema.Types.ObjectId,
+        ref: 'Company',
+        required: [true, 'company required']
+    },
+    name:{
+        type: String,
+        required: [true, 'name required'] //unico dentro de cada compañía
+    },
+    mail:{
+        type: String,
+        required: false,
+        match: [MAIL_REGEX, 'mail format is not valid']
+    },
+    phone:{
+        type: String,
+        required: false
+    },
+    address:{
+        type: String,
+        required: false
+    },
+    active:{
+        type: Boolean,
+        required: true,
+        default: true //los proveedores inactivos no reciben ordenes nuevas
+    }
+
+}, { timestamps: true })
+
+SupplierSchema.index({ company: 1, name: 1 }, { unique: true })
+
+export default mongoose.model('Supplier', SupplierSchema)
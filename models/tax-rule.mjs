@@ -0,0 +1,33 @@
+import mongoose from 'mongoose'
+
+const {Schema} = mongoose
+
+//Impuesto de una categoría de una compañía. Las categorías sin regla usan DEFAULT_TAX_RATE (utils/tax.mjs)
+const TaxRuleSchema = new Schema({
+
+    company:{
+        type: Schema.Types.ObjectId,
+        ref: 'Company',
+        required: [true, 'company required']
+    },
+    category:{
+        type: String,
+        required: [true, 'category required']
+    },
+    name:{
+        type: String,
+        required: false
+    },
+    //Porcentaje que se suma al precio neto
+    rate:{
+        type: Number,
+        required: true,
+        min: 0,
+        max: 100
+    }
+
+}, { timestamps: true })
+
+TaxRuleSchema.index({ company: 1, category: 1 }, { unique: true })
+
+export default mongoose.model('TaxRule', TaxRuleSchema)
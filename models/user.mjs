@@ -1,19 +1,35 @@
 import mongoose from 'mongoose'
+import { ROLES } from '../utils/permissions.mjs'
 
 const {Schema} = mongoose
 
+const MAIL_REGEX = /^[^\s@]+@[^\s@]+\.[^\s@]+$/
+
 const UserSchema = new Schema({
 
     mail:{
         type: String,
         required: [true, 'mail required'],
-        unique: true
+        unique: true,
+        match: [MAIL_REGEX, 'mail format is not valid']
     },
     password:{
         type: String,
         required: true
+    },
+    roles:{
+        type: [{ type: String, enum: ROLES }],
+        required: false,
+        default: ['viewer']
+    },
+    company:{
+        type: Schema.Types.ObjectId,
+        ref: 'Company',
+        required: false,
+        default: null //sin compañía no tiene acceso a productos, un admin la asigna
     }
 
 }) 
 
+export { MAIL_REGEX }
 export default mongoose.model('User', UserSchema)
@@ -0,0 +1,84 @@
+import mongoose from 'mongoose'
+
+const {Schema} = mongoose
+
+const CLAIM_STATUSES = ['submitted', 'in_review', 'approved', 'rejected', 'resolved']
+
+//Estados a los que se puede pasar desde cada estado
+const CLAIM_TRANSITIONS = {
+    submitted: ['in_review', 'rejected'],
+    in_review: ['approved', 'rejected'],
+    approved: ['resolved'],
+    rejected: [],
+    resolved: []
+}
+
+//Estados en que el reclamo sigue abierto, una garantia solo puede tener uno abierto a la vez
+const OPEN_CLAIM_STATUSES = ['submitted', 'in_review', 'approved']
+
+const WarrantyClaimSchema = new Schema({
+
+    company:{
+        type: Schema.Types.ObjectId,
+        ref: 'Company',
+        required: [true, 'company required']
+    },
+    warranty:{
+        type: Schema.Types.ObjectId,
+        ref: 'Warranty',
+        required: true
+    },
+    serialNumber:{
+        type: String,
+        required: true
+    },
+    product:{
+        type: Schema.Types.ObjectId,
+        ref: 'product',
+        required: true
+    },
+    description:{
+        type: String,
+        required: true,
+        trim: true
+    },
+    status:{
+        type: String,
+        enum: CLAIM_STATUSES,
+        required: true,
+        default: 'submitted'
+    },
+    //true mientras status es uno de OPEN_CLAIM_STATUSES (lo mantiene el hook de validate). Su indice unico
+    //parcial impide un segundo reclamo abierto de la garantia aunque dos solicitudes lleguen a la vez
+    open:{
+        type: Boolean,
+        required: true,
+        default: true
+    },
+    //Cada cambio de estado con su nota (diagnostico, motivo del rechazo, solución)
+    statusHistory:[{
+        _id: false,
+        status: { type: String, enum: CLAIM_STATUSES, required: true },
+        note: { type: String, default: null },
+        at: { type: Date, required: true, default: Date.now },
+        user: { type: Schema.Types.ObjectId, ref: 'User', default: null }
+    }],
+    user:{
+        type: Schema.Types.ObjectId,
+        ref: 'User',
+        required: false,
+        default: null
+    }
+
+}, { timestamps: true, optimisticConcurrency: true })
+
+WarrantyClaimSchema.index({ company: 1, status: 1, createdAt: -1 })
+WarrantyClaimSchema.index({ warranty: 1, createdAt: -1 })
+WarrantyClaimSchema.index({ warranty: 1 }, { unique: true, partialFilterExpression: { open: true } })
+
+WarrantyClaimSchema.pre('validate', function () {
+    this.open = OPEN_CLAIM_STATUSES.includes(this.status)
+})
+
+export { CLAIM_STATUSES, CLAIM_TRANSITIONS, OPEN_CLAIM_STATUSES }
+export default mongoose.model('WarrantyClaim', WarrantyClaimSchema)
@@ -0,0 +1,80 @@
+import mongoose from 'mongoose'
+
+const {Schema} = mongoose
+
+//Garantia de una unidad vendida de un producto con warrantyYears (tipos con warranty en utils/product-types.mjs).
+//Guarda una copia del producto al momento de la venta, igual que las lineas de las ordenes
+const WarrantySchema = new Schema({
+
+    company:{
+        type: Schema.Types.ObjectId,
+        ref: 'Company',
+        required: [true, 'company required']
+    },
+    serialNumber:{
+        type: String,
+        required: true,
+        trim: true
+    },
+    product:{
+        type: Schema.Types.ObjectId,
+        ref: 'product',
+        required: true
+    },
+    id:{
+        type: Number,
+        required: true
+    },
+    name:{
+        type: String,
+        required: true
+    },
+    //Solo en productos con variantes
+    variant:{
+        type: Schema.Types.ObjectId,
+        required: false
+    },
+    sku:{
+        type: String,
+        required: false
+    },
+    warrantyYears:{
+        type: Number,
+        required: true,
+        min: 1
+    },
+    startsAt:{
+        type: Date,
+        required: true
+    },
+    endsAt:{
+        type: Date,
+        required: true
+    },
+    //Movimiento 'sale' de la venta
+    movement:{
+        type: Schema.Types.ObjectId,
+        ref: 'StockMovement',
+        required: false
+    },
+    //Solo en ventas de POST /orders
+    order:{
+        type: Schema.Types.ObjectId,
+        ref: 'Order',
+        required: false
+    },
+    user:{
+        type: Schema.Types.ObjectId,
+        ref: 'User',
+        required: false,
+        default: null
+    }
+
+}, { timestamps: true })
+
+//El número de serie identifica la unidad dentro de la compañía
+WarrantySchema.index({ company: 1, serialNumber: 1 }, { unique: true })
+WarrantySchema.index({ company: 1, product: 1, endsAt: 1 })
+WarrantySchema.index({ order: 1 }, { sparse: true })
+
+export default mongoose.model('Warranty', WarrantySchema)
@@ -0,0 +1,186 @@
+import express from 'express'
+import { getAudit, exportAudit } from '../controllers/controller-audit.js'
+import { authenticate, authorize, tenant } from '../middlewares/auth.mjs'
+
+const route = express.Router()
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     AuditEntry:
+ *       type: object
+ *       properties:
+ *         _id:
+ *           type: string
+ *           example: 6612a0c4e1b2c3d4e5f60750
+ *         entity:
+ *           type: string
+ *           enum: [product, user]
+ *           example: product
+ *         entityId:
+ *           type: string
+ *           example: 60f5b9f9f8db4f32fdsds4
+ *         action:
+ *           type: string
+ *           enum: [create, update, overwrite, change_type, delete, restore, purge, restock, sell, adjust, login, login_failed, logout]
+ *           example: overwrite
+ *         changes:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               field:
+ *                 type: string
+ *                 example: price
+ *               before:
+ *                 example: 1299.99
+ *               after:
+ *                 example: 1199.99
+ *         actor:
+ *           type: string
+ *           description: Usuario del token que hizo el cambio
+ *           example: 60d5ec9a1f2a4a3d98765432
+ *         actorMail:
+ *           type: string
+ *           example: example@gmail.com
+ *         ip:
+ *           type: string
+ *           example: 181.49.10.20
+ *         requestId:
+ *           type: string
+ *           description: Correlation ID de la solicitud
+ *           example: 3ca965da-ea1f-45df-977a-faa9e9c6af71
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ *           example: 2025-04-08T15:30:00.000Z
+ *   parameters:
+ *     AuditEntity:
+ *       in: query
+ *       name: entity
+ *       schema:
+ *         type: string
+ *         enum: [product, user]
+ *     AuditEntityId:
+ *       in: query
+ *       name: entityId
+ *       schema:
+ *         type: string
+ *       description: Identificador del producto o usuario
+ *     AuditActor:
+ *       in: query
+ *       name: actor
+ *       schema:
+ *         type: string
+ *       description: Identificador del usuario que hizo el cambio
+ *     AuditAction:
+ *       in: query
+ *       name: action
+ *       schema:
+ *         type: string
+ *         enum: [create, update, overwrite, change_type, delete, restore, purge, restock, sell, adjust, login, login_failed, logout]
+ *     AuditFrom:
+ *       in: query
+ *       name: from
+ *       schema:
+ *         type: string
+ *         format: date-time
+ *     AuditTo:
+ *       in: query
+ *       name: to
+ *       schema:
+ *         type: string
+ *         format: date-time
+ */
+
+/**
+ * @swagger
+ * /:
+ * /audit/:
+ *  get:
+ *      tags: [Audit Controller]
+ *      summary: Consultar auditoria
+ *      description: Cambios de productos y usuarios e inicios de sesión de la compañía, del más reciente al más antiguo. Rol requerido admin (permiso audit:read)
+ *      parameters:
+ *         - $ref: '#/components/parameters/AuditEntity'
+ *         - $ref: '#/components/parameters/AuditEntityId'
+ *         - $ref: '#/components/parameters/AuditActor'
+ *         - $ref: '#/components/parameters/AuditAction'
+ *         - $ref: '#/components/parameters/AuditFrom'
+ *         - $ref: '#/components/parameters/AuditTo'
+ *         -    in: query
+ *              name: page
+ *              schema:
+ *                  type: integer
+ *                  minimum: 1
+ *                  default: 1
+ *         -    in: query
+ *              name: limit
+ *              schema:
+ *                  type: integer
+ *                  minimum: 1
+ *                  maximum: 100
+ *                  default: 20
+ *      responses:
+ *         '200':
+ *              description: Respuesta exitosa
+ *              content:
+ *                  application/json:
+ *                      schema:
+ *                          type: object
+ *                          properties:
+ *                              state:
+ *                                  type: boolean
+ *                                  example: true
+ *                              data:
+ *                                  type: array
+ *                                  items:
+ *                                      $ref: '#/components/schemas/AuditEntry'
+ *         '400':
+ *              $ref: '#/components/responses/BadRequest'
+ *         '401':
+ *              $ref: '#/components/responses/Unauthorized'
+ *         '403':
+ *              $ref: '#/components/responses/Forbidden'
+ *         '500':
+ *              $ref: '#/components/responses/ServerError'
+ */
+route.get('/', authenticate, tenant, authorize('audit:read'), getAudit)
+
+/**
+ * @swagger
+ * /:
+ * /audit/export:
+ *  get:
+ *      tags: [Audit Controller]
+ *      summary: Exportar auditoria en CSV
+ *      description: Mismos filtros que GET /audit, sin paginación. Rol requerido admin (permiso audit:read)
+ *      parameters:
+ *         - $ref: '#/components/parameters/AuditEntity'
+ *         - $ref: '#/components/parameters/AuditEntityId'
+ *         - $ref: '#/components/parameters/AuditActor'
+ *         - $ref: '#/components/parameters/AuditAction'
+ *         - $ref: '#/components/parameters/AuditFrom'
+ *         - $ref: '#/components/parameters/AuditTo'
+ *      responses:
+ *         '200':
+ *              description: Archivo CSV (createdAt, entity, entityId, action, actor, actorMail, ip, requestId, changes)
+ *              content:
+ *                  text/csv:
+ *                      schema:
+ *                          type: string
+ *                          example: "createdAt,entity,entityId,action,actor,actorMail,ip,requestId,changes"
+ *         '400':
+ *              $ref: '#/components/responses/BadRequest'
+ *         '401':
+ *              $ref: '#/components/responses/Unauthorized'
+ *         '403':
+ *              $ref: '#/components/responses/Forbidden'
+ *         '500':
+ *              $ref: '#/components/responses/ServerError'
+ */
+route.get('/export', authenticate, tenant, authorize('audit:read'), exportAudit)
+
+
+export default route
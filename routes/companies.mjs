@@ -0,0 +1,188 @@
+import express from 'express'
+import { getCompanies, getCompany, createCompany, updateCompany, deleteCompany } from '../controllers/controller-companies.js'
+import { authenticate, authorize } from '../middlewares/auth.mjs'
+import { validateBody, validateObjectId } from '../middlewares/validate.mjs'
+import { CompanyInput } from '../schemas/company.mjs'
+
+const route = express.Router()
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Company:
+ *       type: object
+ *       properties:
+ *         _id:
+ *           type: string
+ *           example: 60d5ec9a1f2a4a3d98765432
+ *         name:
+ *           type: string
+ *           example: Quantum Tech S.A.S.
+ *         nit:
+ *           type: string
+ *           example: 900123456-7
+ *         mail:
+ *           type: string
+ *           example: contacto@quantum.com
+ *         phone:
+ *           type: string
+ *           example: +57 601 555 0100
+ *         address:
+ *           type: string
+ *           example: Carrera 7 # 71-21, Bogotá
+ */
+
+/**
+ * @swagger
+ * /:
+ * /companies/:
+ *  get:
+ *      tags: [Company Controller]
+ *      summary: Listar compañías
+ *      description: Rol requerido platform_admin (permiso company:manage)
+ *      responses:
+ *         '200':
+ *              description: Respuesta exitosa
+ *              content:
+ *                  application/json:
+ *                      schema:
+ *                          type: object
+ *                          properties:
+ *                              state:
+ *                                  type: boolean
+ *                                  example: true
+ *                              data:
+ *                                  type: array
+ *                                  items:
+ *                                      $ref: '#/components/schemas/Company'
+ *         '401':
+ *              $ref: '#/components/responses/Unauthorized'
+ *         '403':
+ *              $ref: '#/components/responses/Forbidden'
+ *         '500':
+ *              $ref: '#/components/responses/ServerError'
+ *  post:
+ *      tags: [Company Controller]
+ *      summary: Crear compañía
+ *      description: El nombre es unico. Los usuarios se asignan a la compañía con PUT /users/{id}/company. Rol requerido platform_admin (permiso company:manage)
+ *      requestBody:
+ *          required: true
+ *          content:
+ *              application/json:
+ *                  schema:
+ *                      $ref: '#/components/schemas/CompanyInput'
+ *      responses:
+ *         '201':
+ *              description: Compañía creada
+ *              content:
+ *                  application/json:
+ *                      schema:
+ *                          type: object
+ *                          properties:
+ *                              state:
+ *                                  type: boolean
+ *                                  example: true
+ *                              data:
+ *                                  $ref: '#/components/schemas/Company'
+ *         '401':
+ *              $ref: '#/components/responses/Unauthorized'
+ *         '403':
+ *              $ref: '#/components/responses/Forbidden'
+ *         '409':
+ *              $ref: '#/components/responses/Conflict'
+ *         '422':
+ *              $ref: '#/components/responses/ValidationError'
+ *         '500':
+ *              $ref: '#/components/responses/ServerError'
+ */
+route.get('/', authenticate, authorize('company:manage'), getCompanies)
+route.post('/', authenticate, authorize('company:manage'), validateBody(CompanyInput), createCompany)
+
+/**
+ * @swagger
+ * /:
+ * /companies/{id}:
+ *  get:
+ *      tags: [Company Controller]
+ *      summary: Buscar compañía por ID
+ *      description: Rol requerido platform_admin (permiso company:manage)
+ *      parameters:
+ *         -    in: path
+ *              name: id
+ *              schema:
+ *                  type: string
+ *              required: true
+ *              description: Identificador de la compañía en la BD
+ *      responses:
+ *         '200':
+ *              description: Respuesta exitosa
+ *         '401':
+ *              $ref: '#/components/responses/Unauthorized'
+ *         '403':
+ *              $ref: '#/components/responses/Forbidden'
+ *         '404':
+ *              $ref: '#/components/responses/NotFound'
+ *         '500':
+ *              $ref: '#/components/responses/ServerError'
+ *  put:
+ *      tags: [Company Controller]
+ *      summary: Actualizar compañía
+ *      description: Reemplaza los datos de la compañía. Rol requerido platform_admin (permiso company:manage)
+ *      parameters:
+ *         -    in: path
+ *              name: id
+ *              schema:
+ *                  type: string
+ *              required: true
+ *      requestBody:
+ *          required: true
+ *          content:
+ *              application/json:
+ *                  schema:
+ *                      $ref: '#/components/schemas/CompanyInput'
+ *      responses:
+ *         '200':
+ *              description: Compañía actualizada
+ *         '401':
+ *              $ref: '#/components/responses/Unauthorized'
+ *         '403':
+ *              $ref: '#/components/responses/Forbidden'
+ *         '404':
+ *              $ref: '#/components/responses/NotFound'
+ *         '409':
+ *              $ref: '#/components/responses/Conflict'
+ *         '422':
+ *              $ref: '#/components/responses/ValidationError'
+ *         '500':
+ *              $ref: '#/components/responses/ServerError'
+ *  delete:
+ *      tags: [Company Controller]
+ *      summary: Eliminar compañía
+ *      description: Solo se eliminan compañías sin productos ni usuarios, si no se responde 409 COMPANY_IN_USE. Rol requerido platform_admin (permiso company:manage)
+ *      parameters:
+ *         -    in: path
+ *              name: id
+ *              schema:
+ *                  type: string
+ *              required: true
+ *      responses:
+ *         '200':
+ *              description: Compañía eliminada
+ *         '401':
+ *              $ref: '#/components/responses/Unauthorized'
+ *         '403':
+ *              $ref: '#/components/responses/Forbidden'
+ *         '404':
+ *              $ref: '#/components/responses/NotFound'
+ *         '409':
+ *              $ref: '#/components/responses/Conflict'
+ *         '500':
+ *              $ref: '#/components/responses/ServerError'
+ */
+route.get('/:id', authenticate, authorize('company:manage'), validateObjectId(), getCompany)
+route.put('/:id', authenticate, authorize('company:manage'), validateObjectId(), validateBody(CompanyInput), updateCompany)
+route.delete('/:id', authenticate, authorize('company:manage'), validateObjectId(), deleteCompany)
+
+
+export default route
@@ -0,0 +1,129 @@
+import express from 'express'
+import { getExchangeRates, saveExchangeRate, deleteExchangeRate } from '../controllers/controller-pricing.js'
+import { authenticate, authorize, tenant } from '../middlewares/auth.mjs'
+import { validateBody } from '../middlewares/validate.mjs'
+import { ExchangeRateInput } from '../schemas/pricing.mjs'
+
+const route = express.Router()
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     ExchangeRate:
+ *       type: object
+ *       properties:
+ *         _id:
+ *           type: string
+ *           example: 6612a0c4e1b2c3d4e5f607c1
+ *         currency:
+ *           type: string
+ *           example: EUR
+ *         rate:
+ *           type: number
+ *           description: Valor de una unidad de la moneda en BASE_CURRENCY
+ *           example: 1.08
+ *         user:
+ *           type: string
+ *           example: 60d5ec9a1f2a4a3d98765432
+ *         updatedAt:
+ *           type: string
+ *           format: date-time
+ *           example: 2026-10-19T15:30:00.000Z
+ */
+
+/**
+ * @swagger
+ * /:
+ * /exchange-rates/:
+ *  get:
+ *      tags: [Pricing Controller]
+ *      summary: Listar tasas de cambio
+ *      description: Tasas de la compañía, cada una es el valor de una unidad de la moneda en la moneda base (BASE_CURRENCY). Con ellas GET /product acepta ?currency= y las ordenes cobran en otra moneda
+ *      responses:
+ *         '200':
+ *              description: Respuesta exitosa
+ *              content:
+ *                  application/json:
+ *                      schema:
+ *                          type: object
+ *                          properties:
+ *                              state:
+ *                                  type: boolean
+ *                                  example: true
+ *                              base:
+ *                                  type: string
+ *                                  example: USD
+ *                              data:
+ *                                  type: array
+ *                                  items:
+ *                                      $ref: '#/components/schemas/ExchangeRate'
+ *         '401':
+ *              $ref: '#/components/responses/Unauthorized'
+ *         '500':
+ *              $ref: '#/components/responses/ServerError'
+ */
+route.get('/', authenticate, tenant, getExchangeRates)
+
+/**
+ * @swagger
+ * /:
+ * /exchange-rates/{currency}:
+ *  put:
+ *      tags: [Pricing Controller]
+ *      summary: Guardar tasa de cambio de una moneda
+ *      description: Crea o reemplaza la tasa. La moneda base no se puede configurar (siempre vale 1). Rol requerido admin (permiso pricing:configure)
+ *      parameters:
+ *         -    in: path
+ *              name: currency
+ *              schema:
+ *                  type: string
+ *              required: true
+ *              description: Código ISO 4217
+ *              example: EUR
+ *      requestBody:
+ *          required: true
+ *          content:
+ *              application/json:
+ *                  schema:
+ *                      $ref: '#/components/schemas/ExchangeRateInput'
+ *      responses:
+ *         '200':
+ *              description: Tasa guardada
+ *         '401':
+ *              $ref: '#/components/responses/Unauthorized'
+ *         '403':
+ *              $ref: '#/components/responses/Forbidden'
+ *         '422':
+ *              $ref: '#/components/responses/ValidationError'
+ *         '500':
+ *              $ref: '#/components/responses/ServerError'
+ *  delete:
+ *      tags: [Pricing Controller]
+ *      summary: Eliminar tasa de cambio de una moneda
+ *      description: Los productos y ordenes en esa moneda responden 422 EXCHANGE_RATE_NOT_FOUND al convertirlos. Rol requerido admin (permiso pricing:configure)
+ *      parameters:
+ *         -    in: path
+ *              name: currency
+ *              schema:
+ *                  type: string
+ *              required: true
+ *      responses:
+ *         '200':
+ *              description: Tasa eliminada
+ *         '401':
+ *              $ref: '#/components/responses/Unauthorized'
+ *         '403':
+ *              $ref: '#/components/responses/Forbidden'
+ *         '404':
+ *              $ref: '#/components/responses/NotFound'
+ *         '422':
+ *              $ref: '#/components/responses/ValidationError'
+ *         '500':
+ *              $ref: '#/components/responses/ServerError'
+ */
+route.put('/:currency', authenticate, tenant, authorize('pricing:configure'), validateBody(ExchangeRateInput), saveExchangeRate)
+route.delete('/:currency', authenticate, tenant, authorize('pricing:configure'), deleteExchangeRate)
+
+
+export default route
@@ -0,0 +1,108 @@
+import express from 'express'
+import { getPolicies, savePolicy, deletePolicy } from '../controllers/controller-inventory.js'
+import { authenticate, authorize, tenant } from '../middlewares/auth.mjs'
+import { validateBody } from '../middlewares/validate.mjs'
+import { InventoryPolicyInput } from '../schemas/product.mjs'
+
+const route = express.Router()
+
+/**
+ * @swagger
+ * /:
+ * /inventory-policies/:
+ *  get:
+ *      tags: [Inventory Controller]
+ *      summary: Listar politicas de reabastecimiento
+ *      description: Politicas por categoría y valores por defecto. Rol requerido admin o inventory_manager (permiso inventory:read)
+ *      responses:
+ *         '200':
+ *              description: Respuesta exitosa
+ *              content:
+ *                  application/json:
+ *                      schema:
+ *                          type: object
+ *                          properties:
+ *                              state:
+ *                                  type: boolean
+ *                                  example: true
+ *                              defaults:
+ *                                  $ref: '#/components/schemas/InventoryPolicyInput'
+ *                              data:
+ *                                  type: array
+ *                                  items:
+ *                                      allOf:
+ *                                          - type: object
+ *                                            properties:
+ *                                              category:
+ *                                                  type: string
+ *                                                  example: Snacks
+ *                                          - $ref: '#/components/schemas/InventoryPolicyInput'
+ *         '401':
+ *              $ref: '#/components/responses/Unauthorized'
+ *         '403':
+ *              $ref: '#/components/responses/Forbidden'
+ *         '500':
+ *              $ref: '#/components/responses/ServerError'
+ */
+route.get('/', authenticate, tenant, authorize('inventory:read'), getPolicies)
+
+/**
+ * @swagger
+ * /:
+ * /inventory-policies/{category}:
+ *  put:
+ *      tags: [Inventory Controller]
+ *      summary: Guardar politica de una categoría
+ *      description: Crea o reemplaza los valores de reabastecimiento de la categoría. Los campos que no se envian usan el valor por defecto. backorderPolicy allow no se aplica a los productos con lotes (Food), que siempre usan reject. Rol requerido admin o inventory_manager (permiso inventory:configure)
+ *      parameters:
+ *         -    in: path
+ *              name: category
+ *              schema:
+ *                  type: string
+ *              required: true
+ *              description: Categoría del producto (campo category)
+ *              example: Snacks
+ *      requestBody:
+ *          required: true
+ *          content:
+ *              application/json:
+ *                  schema:
+ *                      $ref: '#/components/schemas/InventoryPolicyInput'
+ *      responses:
+ *         '200':
+ *              description: Politica guardada
+ *         '401':
+ *              $ref: '#/components/responses/Unauthorized'
+ *         '403':
+ *              $ref: '#/components/responses/Forbidden'
+ *         '422':
+ *              $ref: '#/components/responses/ValidationError'
+ *         '500':
+ *              $ref: '#/components/responses/ServerError'
+ *  delete:
+ *      tags: [Inventory Controller]
+ *      summary: Eliminar politica de una categoría
+ *      description: Los productos de la categoría vuelven a los valores por defecto. Rol requerido admin o inventory_manager (permiso inventory:configure)
+ *      parameters:
+ *         -    in: path
+ *              name: category
+ *              schema:
+ *                  type: string
+ *              required: true
+ *      responses:
+ *         '200':
+ *              description: Politica eliminada
+ *         '401':
+ *              $ref: '#/components/responses/Unauthorized'
+ *         '403':
+ *              $ref: '#/components/responses/Forbidden'
+ *         '404':
+ *              $ref: '#/components/responses/NotFound'
+ *         '500':
+ *              $ref: '#/components/responses/ServerError'
+ */
+route.put('/:category', authenticate, tenant, authorize('inventory:configure'), validateBody(InventoryPolicyInput), savePolicy)
+route.delete('/:category', authenticate, tenant, authorize('inventory:configure'), deletePolicy)
+
+
+export default route
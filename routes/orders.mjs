@@ -0,0 +1,308 @@
+import express from 'express'
+import { getOrders, getOrder, createOrder, changeStatus } from '../controllers/controller-orders.js'
+import { authenticate, authorize, tenant } from '../middlewares/auth.mjs'
+import { validateBody, validateObjectId } from '../middlewares/validate.mjs'
+import { OrderInput, OrderStatusInput } from '../schemas/order.mjs'
+
+const route = express.Router()
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Order:
+ *       type: object
+ *       properties:
+ *         _id:
+ *           type: string
+ *           example: 6612a0c4e1b2c3d4e5f60720
+ *         items:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               product:
+ *                 type: string
+ *                 example: 60f5b9f9f8db4f32fdsds4
+ *               id:
+ *                 type: integer
+ *                 example: 1001
+ *               name:
+ *                 type: string
+ *                 example: Q-Phone Pro
+ *               variant:
+ *                 type: string
+ *                 description: Solo en productos con variantes
+ *                 example: 6612a0c4e1b2c3d4e5f60761
+ *               sku:
+ *                 type: string
+ *                 example: ADI-TSH-M-NEG
+ *               quantity:
+ *                 type: integer
+ *                 example: 2
+ *               listPrice:
+ *                 type: number
+ *                 description: Precio de lista del producto (o de la variante) al momento de la compra, en la moneda de la orden
+ *                 example: 1299.99
+ *               unitPrice:
+ *                 type: number
+ *                 description: Precio cobrado (neto), listPrice con la mejor promoción vigente
+ *                 example: 1299.99
+ *               promotion:
+ *                 type: string
+ *                 description: Solo si se aplico una promoción
+ *                 example: 6612a0c4e1b2c3d4e5f607b1
+ *               lineTotal:
+ *                 type: number
+ *                 description: Neto de la linea (unitPrice por quantity)
+ *                 example: 2599.98
+ *               taxRate:
+ *                 type: number
+ *                 description: Porcentaje de impuesto de la categoría del producto
+ *                 example: 19
+ *               tax:
+ *                 type: number
+ *                 example: 494
+ *               gross:
+ *                 type: number
+ *                 description: lineTotal + tax
+ *                 example: 3093.98
+ *               lots:
+ *                 type: array
+ *                 description: Solo en productos con lotes, lotes de los que salieron las unidades
+ *                 items:
+ *                   $ref: '#/components/schemas/LotQuantity'
+ *               serialNumbers:
+ *                 type: array
+ *                 description: Solo en productos con garantia, números de serie de las garantias de la linea
+ *                 items:
+ *                   type: string
+ *                 example: [QP-2025-000981]
+ *         currency:
+ *           type: string
+ *           description: Moneda de todos los importes de la orden (ISO 4217)
+ *           example: USD
+ *         net:
+ *           type: number
+ *           description: Suma de lineTotal
+ *           example: 2599.98
+ *         tax:
+ *           type: number
+ *           description: Suma del impuesto de las lineas
+ *           example: 494
+ *         total:
+ *           type: number
+ *           description: Bruto, net + tax
+ *           example: 3093.98
+ *         status:
+ *           type: string
+ *           enum: [pending, paid, shipped, cancelled, refunded]
+ *           example: pending
+ *         statusHistory:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               status:
+ *                 type: string
+ *                 example: pending
+ *               at:
+ *                 type: string
+ *                 format: date-time
+ *                 example: 2025-04-08T15:30:00.000Z
+ *               user:
+ *                 type: string
+ *                 example: 60d5ec9a1f2a4a3d98765432
+ *         user:
+ *           type: string
+ *           description: Usuario que creo la orden
+ *           example: 60d5ec9a1f2a4a3d98765432
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ *           example: 2025-04-08T15:30:00.000Z
+ *         updatedAt:
+ *           type: string
+ *           format: date-time
+ *           example: 2025-04-08T15:30:00.000Z
+ */
+
+/**
+ * @swagger
+ * /:
+ * /orders/:
+ *  get:
+ *      tags: [Order Controller]
+ *      summary: Listar ordenes
+ *      description: Ordenes de la más reciente a la más antigua. Rol requerido admin, inventory_manager o seller (permiso order:read)
+ *      parameters:
+ *         -    in: query
+ *              name: status
+ *              schema:
+ *                  type: string
+ *                  enum: [pending, paid, shipped, cancelled, refunded]
+ *         -    in: query
+ *              name: page
+ *              schema:
+ *                  type: integer
+ *                  minimum: 1
+ *                  default: 1
+ *         -    in: query
+ *              name: limit
+ *              schema:
+ *                  type: integer
+ *                  minimum: 1
+ *                  maximum: 100
+ *                  default: 20
+ *      responses:
+ *         '200':
+ *              description: Respuesta exitosa
+ *              content:
+ *                  application/json:
+ *                      schema:
+ *                          type: object
+ *                          properties:
+ *                              state:
+ *                                  type: boolean
+ *                                  example: true
+ *                              data:
+ *                                  type: array
+ *                                  items:
+ *                                      $ref: '#/components/schemas/Order'
+ *         '400':
+ *              $ref: '#/components/responses/BadRequest'
+ *         '401':
+ *              $ref: '#/components/responses/Unauthorized'
+ *         '403':
+ *              $ref: '#/components/responses/Forbidden'
+ *         '500':
+ *              $ref: '#/components/responses/ServerError'
+ *  post:
+ *      tags: [Order Controller]
+ *      summary: Crear orden
+ *      description: Vende varios productos en una sola operación. Se valida el stock de todas las lineas y se descuenta en una transacción, si alguna linea no tiene stock suficiente no se vende ninguna. El precio de cada linea se copia del producto al momento de la compra, convertido a la moneda de la orden (currency o la del primer producto) con las tasas de /exchange-rates (sin tasa responde 422 EXCHANGE_RATE_NOT_FOUND), y cada linea suma el impuesto de su categoría (/tax-rules). Los importes se redondean a los decimales de la moneda por linea y los totales suman las lineas. Las lineas repetidas del mismo producto se suman. En productos con garantia (Electronics, Automotive o tipos con warrantyYears) cada unidad queda con una garantia y su número de serie (serialNumbers de la linea, uno por unidad, o generado), igual que en PUT /product/sell/:id. Rol requerido admin o seller (permiso order:create)
+ *      requestBody:
+ *          required: true
+ *          content:
+ *              application/json:
+ *                  schema:
+ *                      $ref: '#/components/schemas/OrderInput'
+ *      responses:
+ *         '201':
+ *              description: Orden creada en estado pending
+ *              content:
+ *                  application/json:
+ *                      schema:
+ *                          type: object
+ *                          properties:
+ *                              state:
+ *                                  type: boolean
+ *                                  example: true
+ *                              data:
+ *                                  $ref: '#/components/schemas/Order'
+ *         '400':
+ *              $ref: '#/components/responses/BadRequest'
+ *         '401':
+ *              $ref: '#/components/responses/Unauthorized'
+ *         '403':
+ *              $ref: '#/components/responses/Forbidden'
+ *         '422':
+ *              $ref: '#/components/responses/ValidationError'
+ *         '500':
+ *              $ref: '#/components/responses/ServerError'
+ */
+route.get('/', authenticate, tenant, authorize('order:read'), getOrders)
+route.post('/', authenticate, tenant, authorize('order:create'), validateBody(OrderInput), createOrder)
+
+/**
+ * @swagger
+ * /:
+ * /orders/{id}:
+ *  get:
+ *      tags: [Order Controller]
+ *      summary: Buscar orden por ID
+ *      description: Rol requerido admin, inventory_manager o seller (permiso order:read)
+ *      parameters:
+ *         -    in: path
+ *              name: id
+ *              schema:
+ *                  type: string
+ *              required: true
+ *              description: Identificador de la orden en la BD
+ *      responses:
+ *         '200':
+ *              description: Respuesta exitosa
+ *              content:
+ *                  application/json:
+ *                      schema:
+ *                          type: object
+ *                          properties:
+ *                              state:
+ *                                  type: boolean
+ *                                  example: true
+ *                              data:
+ *                                  $ref: '#/components/schemas/Order'
+ *         '401':
+ *              $ref: '#/components/responses/Unauthorized'
+ *         '403':
+ *              $ref: '#/components/responses/Forbidden'
+ *         '404':
+ *              $ref: '#/components/responses/NotFound'
+ *         '422':
+ *              $ref: '#/components/responses/ValidationError'
+ *         '500':
+ *              $ref: '#/components/responses/ServerError'
+ */
+route.get('/:id', authenticate, tenant, authorize('order:read'), validateObjectId(), getOrder)
+
+/**
+ * @swagger
+ * /:
+ * /orders/{id}/status:
+ *  put:
+ *      tags: [Order Controller]
+ *      summary: Cambiar estado de la orden
+ *      description: "Transiciones permitidas: pending a paid o cancelled; paid a shipped, cancelled o refunded; shipped a refunded. Al cancelar se devuelve el stock de cada linea al inventario y queda un movimiento cancellation. En productos con lotes las unidades vuelven a sus lotes, y las de lotes que vencieron mientras tanto no vuelven al stock. Las garantias de la orden se eliminan. Rol requerido admin o seller (permiso order:update)"
+ *      parameters:
+ *         -    in: path
+ *              name: id
+ *              schema:
+ *                  type: string
+ *              required: true
+ *              description: Identificador de la orden en la BD
+ *      requestBody:
+ *          required: true
+ *          content:
+ *              application/json:
+ *                  schema:
+ *                      $ref: '#/components/schemas/OrderStatusInput'
+ *      responses:
+ *         '200':
+ *              description: Estado actualizado
+ *              content:
+ *                  application/json:
+ *                      schema:
+ *                          type: object
+ *                          properties:
+ *                              state:
+ *                                  type: boolean
+ *                                  example: true
+ *                              data:
+ *                                  $ref: '#/components/schemas/Order'
+ *         '401':
+ *              $ref: '#/components/responses/Unauthorized'
+ *         '403':
+ *              $ref: '#/components/responses/Forbidden'
+ *         '404':
+ *              $ref: '#/components/responses/NotFound'
+ *         '409':
+ *              $ref: '#/components/responses/Conflict'
+ *         '422':
+ *              $ref: '#/components/responses/ValidationError'
+ *         '500':
+ *              $ref: '#/components/responses/ServerError'
+ */
+route.put('/:id/status', authenticate, tenant, authorize('order:update'), validateObjectId(), validateBody(OrderStatusInput), changeStatus)
+
+
+export default route
@@ -0,0 +1,127 @@
+import express from 'express'
+import { getProductTypes, createProductType } from '../controllers/controller-product-types.js'
+import { authenticate, authorize } from '../middlewares/auth.mjs'
+import { validateBody } from '../middlewares/validate.mjs'
+import { ProductTypeInput } from '../schemas/product-type.mjs'
+
+const route = express.Router()
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     ProductType:
+ *       type: object
+ *       properties:
+ *         numberCategory:
+ *           type: integer
+ *           example: 5
+ *         name:
+ *           type: string
+ *           description: Discriminador (__t) de los productos del tipo
+ *           example: Appliance
+ *         label:
+ *           type: string
+ *           example: Electrodomestico
+ *         custom:
+ *           type: boolean
+ *           description: false en los tipos predefinidos (1 a 4)
+ *           example: true
+ *         variants:
+ *           type: array
+ *           description: Atributos que aceptan las variantes de sus productos, vacio si el tipo no tiene variantes
+ *           items:
+ *             type: string
+ *           example: [size, color]
+ *         lots:
+ *           type: boolean
+ *           description: Si el stock de sus productos se lleva por lotes con vencimiento
+ *           example: false
+ *         warranty:
+ *           type: boolean
+ *           description: Si sus ventas registran una garantia por unidad (campo warrantyYears)
+ *           example: true
+ *         schema:
+ *           type: object
+ *           description: Esquema con el que se validan POST y PUT /product de este tipo
+ */
+
+/**
+ * @swagger
+ * /:
+ * /product-types/:
+ *  get:
+ *      tags: [Product Controller]
+ *      summary: Listar tipos de producto
+ *      description: Tipos predefinidos y los creados con POST /product-types, con el esquema que valida sus productos. Cualquier usuario autenticado
+ *      responses:
+ *         '200':
+ *              description: Respuesta exitosa
+ *              content:
+ *                  application/json:
+ *                      schema:
+ *                          type: object
+ *                          properties:
+ *                              state:
+ *                                  type: boolean
+ *                                  example: true
+ *                              data:
+ *                                  type: array
+ *                                  items:
+ *                                      $ref: '#/components/schemas/ProductType'
+ *         '401':
+ *              $ref: '#/components/responses/Unauthorized'
+ *         '500':
+ *              $ref: '#/components/responses/ServerError'
+ *  post:
+ *      tags: [Product Controller]
+ *      summary: Crear tipo de producto
+ *      description: "Define un nuevo tipo con sus campos (tipo, obligatorio y valor por defecto). Se registra como discriminador y desde ese momento POST y PUT /product aceptan su numberCategory, y su esquema aparece en esta documentación como <name>ProductInput. Los tipos son comunes a todas las compañías. Los campos comunes (id, name, price, stock...) no se pueden redefinir. El name no puede ser el de otro modelo de la API (User, Order, Lot...), responde 409. Rol requerido admin (permiso product-type:manage)"
+ *      requestBody:
+ *          required: true
+ *          content:
+ *              application/json:
+ *                  schema:
+ *                      $ref: '#/components/schemas/ProductTypeInput'
+ *                  example:
+ *                      numberCategory: 5
+ *                      name: Appliance
+ *                      label: Electrodomestico
+ *                      fields:
+ *                          - name: voltage
+ *                            type: integer
+ *                            required: true
+ *                          - name: energyRating
+ *                            type: string
+ *                            default: A
+ *                          - name: accessories
+ *                            type: array
+ *                            items: string
+ *      responses:
+ *         '201':
+ *              description: Tipo creado y registrado
+ *              content:
+ *                  application/json:
+ *                      schema:
+ *                          type: object
+ *                          properties:
+ *                              state:
+ *                                  type: boolean
+ *                                  example: true
+ *                              data:
+ *                                  $ref: '#/components/schemas/ProductType'
+ *         '401':
+ *              $ref: '#/components/responses/Unauthorized'
+ *         '403':
+ *              $ref: '#/components/responses/Forbidden'
+ *         '409':
+ *              $ref: '#/components/responses/Conflict'
+ *         '422':
+ *              $ref: '#/components/responses/ValidationError'
+ *         '500':
+ *              $ref: '#/components/responses/ServerError'
+ */
+route.get('/', authenticate, getProductTypes)
+route.post('/', authenticate, authorize('product-type:manage'), validateBody(ProductTypeInput), createProductType)
+
+export default route
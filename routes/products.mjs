@@ -1,13 +1,30 @@
 import express from 'express'
 import {
     getAll,
+    search,
     save,
     getById,
     eliminate,
+    getTrash,
+    restore,
+    purge,
     actualize,
-    providerProducts,
+    patchProduct,
+    changeType,
     sellProducts
 } from '../controllers/controller-products.js'
+import { getVariants, createVariant, updateVariant, deleteVariant } from '../controllers/controller-variants.js'
+import { getMovements, adjustStock, reconcile } from '../controllers/controller-movements.js'
+import { lowStockReport, expiringReport, getLots } from '../controllers/controller-inventory.js'
+import { getPriceHistory, getScheduledPrices, schedulePrice, cancelScheduledPrice } from '../controllers/controller-pricing.js'
+import { importCatalog, getImportJob } from '../controllers/controller-import.js'
+import { authenticate, authorize, tenant } from '../middlewares/auth.mjs'
+import { validateBody, validateProduct, validateObjectId } from '../middlewares/validate.mjs'
+import { StockSaleInput, StockAdjustmentInput, ProductTypeChangeInput, VariantInput, VariantUpdateInput } from '../schemas/product.mjs'
+import { ScheduledPriceInput } from '../schemas/pricing.mjs'
+
+//Tamaño maximo del archivo de POST /product/import
+const IMPORT_MAX_SIZE = process.env.IMPORT_MAX_SIZE || '5mb'
 
 const routes = express.Router()
 
@@ -45,20 +62,66 @@ const routes = express.Router()
  *           example: Electrónica
  *         numberCategory:
  *           type: integer
- *           description: Número de categoría del producto (1 = Tecnologia, 2 = Comida, 3 = Automovil, 4 = Ropa)
+ *           description: Número de categoría del producto (1 = Tecnologia, 2 = Comida, 3 = Automovil, 4 = Ropa o el de un tipo creado en POST /product-types)
  *           example: 1
  *         price:
  *           type: number
  *           format: float
- *           description: Precio del producto
+ *           description: Precio de lista del producto (neto, sin impuestos) en su moneda
  *           example: 1299.99
+ *         currency:
+ *           type: string
+ *           description: Moneda del precio (ISO 4217)
+ *           example: USD
+ *         priceCurrency:
+ *           type: string
+ *           description: Solo en GET /product, GET /product/search y GET /product/{id}, moneda de listPrice y effectivePrice (la de ?currency o la del producto)
+ *           example: EUR
+ *         listPrice:
+ *           type: number
+ *           description: Solo en GET /product, GET /product/search y GET /product/{id}, price convertido a priceCurrency
+ *           example: 1203.7
+ *         effectivePrice:
+ *           type: number
+ *           description: Solo en GET /product, GET /product/search y GET /product/{id}, precio con la mejor promoción vigente (listPrice si ninguna aplica) en priceCurrency
+ *           example: 1023.14
+ *         exchangeRate:
+ *           type: number
+ *           description: Solo si ?currency es distinta de la moneda del producto, factor usado en la conversión
+ *           example: 0.9259
+ *         promotion:
+ *           type: object
+ *           nullable: true
+ *           description: Solo en GET /product, GET /product/search y GET /product/{id}, promoción aplicada en effectivePrice
+ *           properties:
+ *             _id:
+ *               type: string
+ *               example: 6612a0c4e1b2c3d4e5f607b1
+ *             name:
+ *               type: string
+ *               example: Black Friday Tecnologia
+ *             discountType:
+ *               type: string
+ *               example: percent
+ *             value:
+ *               type: number
+ *               example: 15
+ *             endsAt:
+ *               type: string
+ *               format: date-time
+ *               example: 2026-11-30T05:00:00.000Z
  *         stock:
  *           type: integer
  *           description: Cantidad disponible en inventario
  *           example: 1500
+ *         variants:
+ *           type: array
+ *           description: Solo en productos con variantes; stock es la suma del stock de ellas
+ *           items:
+ *             $ref: '#/components/schemas/Variant'
  *         company:
  *           type: string
- *           description: Referencia a la compañía dueña del producto
+ *           description: Compañía dueña del producto, se toma del usuario que lo crea
  *           example: 60d5ec9a1f2a4a3d98765432
  *         __v:
  *           type: integer
@@ -140,6 +203,144 @@ const routes = express.Router()
  *             material:
  *               type: string
  *               example: Algodón orgánico
+ *
+ *     Variant:
+ *       type: object
+ *       properties:
+ *         _id:
+ *           type: string
+ *           example: 6612a0c4e1b2c3d4e5f60761
+ *         sku:
+ *           type: string
+ *           example: ADI-TSH-M-NEG
+ *         barcode:
+ *           type: string
+ *           example: '7701234567890'
+ *         attributes:
+ *           type: object
+ *           additionalProperties:
+ *             type: string
+ *           example:
+ *             size: M
+ *             color: Negro
+ *         price:
+ *           type: number
+ *           description: Si se omite la variante se vende al precio del producto
+ *           example: 49.9
+ *         stock:
+ *           type: integer
+ *           example: 20
+ *
+ *     StockMovement:
+ *       type: object
+ *       properties:
+ *         _id:
+ *           type: string
+ *           example: 6612a0c4e1b2c3d4e5f60718
+ *         product:
+ *           type: string
+ *           example: 60f5b9f9f8db4f32fdsds4
+ *         type:
+ *           type: string
+ *           enum: [initial, opening, restock, sale, adjustment, overwrite, cancellation, receipt, quarantine]
+ *           example: sale
+ *         quantity:
+ *           type: integer
+ *           description: Positivo entra al inventario, negativo sale
+ *           example: -10
+ *         balance:
+ *           type: integer
+ *           description: Stock despues del movimiento
+ *           example: 4490
+ *         reason:
+ *           type: string
+ *           nullable: true
+ *           example: null
+ *         user:
+ *           type: string
+ *           description: Usuario que hizo el movimiento
+ *           example: 60d5ec9a1f2a4a3d98765432
+ *         variant:
+ *           type: string
+ *           description: Solo en productos con variantes, variante que cambio (balance es el stock total del producto)
+ *           example: 6612a0c4e1b2c3d4e5f60761
+ *         sku:
+ *           type: string
+ *           example: ADI-TSH-M-NEG
+ *         purchaseOrder:
+ *           type: string
+ *           description: Solo en receipt, orden de compra recibida
+ *           example: 6612a0c4e1b2c3d4e5f60740
+ *         unitCost:
+ *           type: number
+ *           description: Solo en receipt, costo unitario de las unidades recibidas
+ *           example: 850.5
+ *         lots:
+ *           type: array
+ *           description: Solo en productos con lotes, lotes que crearon o de los que salieron las unidades
+ *           items:
+ *             $ref: '#/components/schemas/LotQuantity'
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ *           example: 2025-04-08T15:30:00.000Z
+ *     LotQuantity:
+ *       type: object
+ *       properties:
+ *         lot:
+ *           type: string
+ *           example: 6612a0c4e1b2c3d4e5f60781
+ *         quantity:
+ *           type: integer
+ *           example: 10
+ *     Lot:
+ *       type: object
+ *       description: Unidades de un producto con vencimiento (tipo Food) recibidas juntas
+ *       properties:
+ *         _id:
+ *           type: string
+ *           example: 6612a0c4e1b2c3d4e5f60781
+ *         product:
+ *           type: string
+ *           example: 60f5b9f9f8db4f32fdsds5
+ *         variant:
+ *           type: string
+ *           description: Solo en productos con variantes
+ *           example: 6612a0c4e1b2c3d4e5f60761
+ *         sku:
+ *           type: string
+ *           example: BAR-CHOC-50
+ *         quantity:
+ *           type: integer
+ *           description: Unidades que quedan en el lote
+ *           example: 35
+ *         received:
+ *           type: integer
+ *           description: Unidades con que entro el lote
+ *           example: 50
+ *         receivedAt:
+ *           type: string
+ *           format: date-time
+ *           example: 2025-04-08T15:30:00.000Z
+ *         expiresAt:
+ *           type: string
+ *           format: date-time
+ *           description: Por defecto receivedAt mas expirationDays del producto
+ *           example: 2025-10-05T15:30:00.000Z
+ *         status:
+ *           type: string
+ *           enum: [available, quarantined]
+ *           description: Los lotes vencidos pasan a quarantined y sus unidades salen del stock
+ *           example: available
+ *         quarantinedAt:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *           example: null
+ *         purchaseOrder:
+ *           type: string
+ *           description: Orden de compra con que se recibio, si entro por una recepción
+ *           example: 6612a0c4e1b2c3d4e5f60740
  */
 
 
@@ -149,7 +350,66 @@ const routes = express.Router()
  *   get:
  *     tags: [Product Controller]
  *     summary: Obtener todos los productos
- *     description: Retorna una lista de todos los productos, incluyendo sus variantes específicas
+ *     description: Retorna una lista paginada de los productos de la compañía del usuario, incluyendo sus variantes específicas. Cada producto trae su precio de lista (listPrice) y su precio efectivo con la mejor promoción vigente (effectivePrice y promotion). Solo se aceptan los parametros listados, cualquier otro responde 400
+ *     parameters:
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           default: 1
+ *         description: Pagina a consultar
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 100
+ *           default: 20
+ *         description: Cantidad de productos por pagina
+ *       - in: query
+ *         name: sort
+ *         schema:
+ *           type: string
+ *         description: Campos de orden separados por coma (price, stock, name). Con prefijo - el orden es descendente
+ *         example: -price,name
+ *       - in: query
+ *         name: category
+ *         schema:
+ *           type: string
+ *         description: Categoría exacta del producto
+ *       - in: query
+ *         name: type
+ *         schema:
+ *           type: string
+ *           enum: [Electronics, Food, Automotive, Clothing]
+ *         description: Tipo (discriminador) del producto
+ *       - in: query
+ *         name: minPrice
+ *         schema:
+ *           type: number
+ *         description: Precio minimo, en la moneda de ?currency, en la del catálogo si todos sus productos usan la misma o en BASE_CURRENCY; los precios de otras monedas se convierten con las tasas de /exchange-rates (igual en maxPrice y sort=price)
+ *       - in: query
+ *         name: maxPrice
+ *         schema:
+ *           type: number
+ *         description: Precio maximo, en la misma moneda que minPrice
+ *       - in: query
+ *         name: lowStock
+ *         schema:
+ *           type: boolean
+ *         description: Solo productos con stock en o bajo su punto de reorden (del producto, de su categoría o DEFAULT_REORDER_POINT), los mismos de /product/alerts/low-stock
+ *       - in: query
+ *         name: q
+ *         schema:
+ *           type: string
+ *         description: Texto a buscar en el nombre y la descripción
+ *       - in: query
+ *         name: currency
+ *         schema:
+ *           type: string
+ *         description: Moneda (ISO 4217) en que se muestran listPrice y effectivePrice, con las tasas de /exchange-rates. Sin tasa para alguna moneda responde 422 EXCHANGE_RATE_NOT_FOUND
+ *         example: EUR
  *     responses:
  *       '200':
  *         description: Respuesta exitosa
@@ -169,6 +429,35 @@ const routes = express.Router()
  *                       - $ref: '#/components/schemas/FoodProduct'
  *                       - $ref: '#/components/schemas/AutomotiveProduct'
  *                       - $ref: '#/components/schemas/ClothingProduct'
+ *                 meta:
+ *                   type: object
+ *                   properties:
+ *                     total:
+ *                       type: integer
+ *                       example: 57
+ *                     page:
+ *                       type: integer
+ *                       example: 2
+ *                     limit:
+ *                       type: integer
+ *                       example: 20
+ *                     pages:
+ *                       type: integer
+ *                       example: 3
+ *                 links:
+ *                   type: object
+ *                   properties:
+ *                     self:
+ *                       type: string
+ *                       example: /product?page=2&limit=20
+ *                     next:
+ *                       type: string
+ *                       nullable: true
+ *                       example: /product?page=3&limit=20
+ *                     prev:
+ *                       type: string
+ *                       nullable: true
+ *                       example: /product?page=1&limit=20
  *             examples:
  *               electronics:
  *                 value:
@@ -309,56 +598,158 @@ const routes = express.Router()
  *                       company: 60d5ec9a1f2a4a3d98765435
  *                       __v: 0 
  *       '500':
- *              description: Error en el servidor
- *              content:
- *                  application/json:
- *                      schema:
- *                          type: object
- *                          properties:
- *                            state:
- *                              type: boolean
- *                              description: Indica si hubo error en el servidor
- *                              example: false
- *                            message:
- *                              type: string
- *                              description: Indica el resultado de la solicitud
- *                              example: E11000 duplicate key error collection 
+ *            $ref: '#/components/responses/ServerError'
+ *       '400':
+ *            $ref: '#/components/responses/BadRequest'
  *       '401':
- *              description: Es necesario autenticar para obtener la respuesta solicitada
+ *            $ref: '#/components/responses/Unauthorized'
+ *       '403':
+ *            $ref: '#/components/responses/Forbidden'
+ */
+routes.get('/', authenticate, tenant, getAll)
+
+/**
+ * @swagger
+ * /:
+ * /product/search:
+ *  get:
+ *      tags: [Product Controller]
+ *      summary: Buscar productos por texto
+ *      description: Busqueda de texto con pesos sobre name, description y los campos de cada tipo (features, ingredients, material, colors y los valores de specs). Solo busca en los productos de la compañía del usuario. Los resultados se ordenan por relevancia, traen su precio de lista y efectivo igual que GET /product y se entregan conteos por categoría, tipo y rango de precio para armar filtros
+ *      parameters:
+ *         -    in: query
+ *              name: q
+ *              schema:
+ *                  type: string
+ *              required: true
+ *              description: Texto a buscar
+ *              example: algodón
+ *         -    in: query
+ *              name: category
+ *              schema:
+ *                  type: string
+ *              description: Categoría exacta del producto
+ *         -    in: query
+ *              name: type
+ *              schema:
+ *                  type: string
+ *                  enum: [Electronics, Food, Automotive, Clothing]
+ *              description: Tipo (discriminador) del producto
+ *         -    in: query
+ *              name: minPrice
+ *              schema:
+ *                  type: number
+ *              description: Precio minimo en la moneda de las facetas de precio
+ *         -    in: query
+ *              name: maxPrice
+ *              schema:
+ *                  type: number
+ *              description: Precio maximo en la moneda de las facetas de precio
+ *         -    in: query
+ *              name: currency
+ *              schema:
+ *                  type: string
+ *              description: Moneda (ISO 4217) de listPrice y effectivePrice, de minPrice y maxPrice y de las facetas de precio. Si se omite, los precios se comparan en la moneda del catálogo si todos sus productos usan la misma o en BASE_CURRENCY. Sin tasa para alguna moneda responde 422 EXCHANGE_RATE_NOT_FOUND
+ *              example: EUR
+ *         -    in: query
+ *              name: page
+ *              schema:
+ *                  type: integer
+ *                  default: 1
+ *         -    in: query
+ *              name: limit
+ *              schema:
+ *                  type: integer
+ *                  default: 20
+ *      responses:
+ *         '200':
+ *              description: Resultados de la busqueda
  *              content:
  *                  application/json:
  *                      schema:
  *                          type: object
  *                          properties:
- *                            state:
- *                              type: boolean
- *                              description: Indica si se inicio sesión o no
- *                              example: false
- *                            error:
- *                              type: string
- *                              description: Indica que error se presento
- *                              example: Session Expired
+ *                              state:
+ *                                  type: boolean
+ *                                  example: true
+ *                              data:
+ *                                  type: array
+ *                                  items:
+ *                                      allOf:
+ *                                          - $ref: '#/components/schemas/BaseProduct'
+ *                                          - type: object
+ *                                            properties:
+ *                                              score:
+ *                                                  type: number
+ *                                                  description: Relevancia del resultado
+ *                                                  example: 11.5
+ *                              facets:
+ *                                  type: object
+ *                                  properties:
+ *                                      category:
+ *                                          type: array
+ *                                          items:
+ *                                              type: object
+ *                                              properties:
+ *                                                  value:
+ *                                                      type: string
+ *                                                  count:
+ *                                                      type: integer
+ *                                          example: [{ value: Prenda de Vestir, count: 12 }]
+ *                                      type:
+ *                                          type: array
+ *                                          items:
+ *                                              type: object
+ *                                              properties:
+ *                                                  value:
+ *                                                      type: string
+ *                                                  count:
+ *                                                      type: integer
+ *                                          example: [{ value: Clothing, count: 12 }, { value: Food, count: 1 }]
+ *                                      price:
+ *                                          type: array
+ *                                          items:
+ *                                              type: object
+ *                                              properties:
+ *                                                  min:
+ *                                                      type: number
+ *                                                  max:
+ *                                                      type: number
+ *                                                      nullable: true
+ *                                                  currency:
+ *                                                      type: string
+ *                                                      description: Moneda de min y max
+ *                                                  count:
+ *                                                      type: integer
+ *                                          example: [{ min: 10, max: 50, currency: USD, count: 8 }, { min: 5000, max: null, currency: USD, count: 1 }]
+ *                              meta:
+ *                                  type: object
+ *                                  example: { total: 13, page: 1, limit: 20, pages: 1 }
+ *                              links:
+ *                                  type: object
+ *                                  example: { self: /product/search?q=algodón&page=1, next: null, prev: null }
+ *         '400':
+ *              $ref: '#/components/responses/BadRequest'
+ *         '401':
+ *              $ref: '#/components/responses/Unauthorized'
+ *         '403':
+ *              $ref: '#/components/responses/Forbidden'
+ *         '500':
+ *              $ref: '#/components/responses/ServerError'
  */
-routes.get('/', getAll)
+routes.get('/search', authenticate, tenant, search)
 
 /**
  * @swagger
  * /:
- * /product/{id}:
+ * /product/reconciliation:
  *  get:
  *      tags: [Product Controller]
- *      summary: Recuperar un producto por ID
- *      description: Obtener un producto segun el id de la base de datos
- *      parameters:
- *         -    in: path
- *              name: id
- *              schema:
- *                  type: string
- *              required: true
- *              description: Identificador del producto en la BD
+ *      summary: Conciliar stock con el historial
+ *      description: Recalcula el stock de cada producto sumando sus movimientos y lista los productos donde no coincide con el stock guardado. El stock de los productos creados antes del historial entra con el movimiento opening que se registra al iniciar la API. Rol requerido admin o inventory_manager (permiso inventory:read)
  *      responses:
- *          '200':
- *              description: Respuesta exitosa
+ *         '200':
+ *              description: Resultado de la conciliación
  *              content:
  *                  application/json:
  *                      schema:
@@ -367,203 +758,477 @@ routes.get('/', getAll)
  *                              state:
  *                                  type: boolean
  *                                  example: true
+ *                              consistent:
+ *                                  type: boolean
+ *                                  description: true si ningun producto tiene diferencia
+ *                                  example: false
  *                              data:
  *                                  type: array
- *                                  oneOf:
- *                                      - $ref: '#/components/schemas/ElectronicsProduct'
- *                                      - $ref: '#/components/schemas/FoodProduct'
- *                                      - $ref: '#/components/schemas/AutomotiveProduct'
- *                                      - $ref: '#/components/schemas/ClothingProduct'
- *                                  
- *                      examples:
- *                          electronics:
- *                              value:
- *                                  state: true
- *                                  data:
- *                                     -  _id: 60f5b9f9f8db4f32fdsds4
- *                                        id: 1001
- *                                        name: Q-Phone Pro
- *                                        description: Smartphone con procesador cuántico
- *                                        category: Electrónica
- *                                        numberCategory: 1
- *                                        price: 1299.99
- *                                        stock: 4500
- *                                        __t: Electronics
- *                                        features: [Pantalla 6.7\" AMOLED, 256GB almacenamiento]
- *                                        warrantyYears: 2
- *                                        company: 60d5ec9a1f2a4a3d98765432
- *                                        __v: 0
- *                          food:
- *                              value:
- *                                  state: true
- *                                  data:
- *                                     -  _id: 60f5b9f9f8db4f32fdsds5
- *                                        id: 2001
- *                                        name: Barrita Energética
- *                                        description: Barrita con 20g de proteína vegana
- *                                        category: Snacks
- *                                        numberCategory: 2
- *                                        price: 2.99
- *                                        stock: 25000
- *                                        __t: Food
- *                                        ingredients: [Proteína de guisante, Dátiles, Almendras]
- *                                        weightOrVolume: 50g
- *                                        flavors: [Original, Chocolate]
- *                                        expirationDays: 90
- *                                        company: 60d5ec9a1f2a4a3d98765433
- *                                        __v: 0
- *                          automotive:
- *                              value:
- *                                  state: true
- *                                  data:  
- *                                      - _id: 60f5b9f9f8db4f32fdsds6
- *                                        id: 3001
- *                                        name: Eco-Sedan 2024
- *                                        description: Vehículo eléctrico de alto rendimiento
- *                                        category: Automóvil
- *                                        numberCategory: 3
- *                                        price: 45900.00
- *                                        stock: 350
- *                                        __t: Automotive
- *                                        specs:
- *                                          range: 450km
- *                                          acceleration: 4.2s 0-100km/h
- *                                          battery: "85kWh"
- *                                        warrantyYears: 3
- *                                        modelYear: 2024  
- *                                        company: 60d5ec9a1f2a4a3d98765434
- *                                        __v: 0   
- *                          clothing:
- *                              value:
- *                                  state: true
- *                                  data:    
- *                                      - _id: 60f5b9f9f8db4f32fdsds7
- *                                        id: 4001
- *                                        name: Adidas sport-Tshirt
- *                                        description: Camiseta Deportiva
- *                                        category: Prenda de Vestir
- *                                        numberCategory: 4
- *                                        price: 45900.00
- *                                        stock: 350
- *                                        __t: Clothing
- *                                        sizesAvaiable: [S, M, L, XL]
- *                                        colors: [Negro, Naranja, Azul]
- *                                        material: Algodón Sintetico
- *                                        company: 60d5ec9a1f2a4a3d98765435
- *                                        __v: 0       
- *                                                                            
- *          
- *          '500':
- *              description: Error en el servidor
+ *                                  items:
+ *                                      type: object
+ *                                      properties:
+ *                                          _id:
+ *                                              type: string
+ *                                              example: 60f5b9f9f8db4f32fdsds4
+ *                                          id:
+ *                                              type: integer
+ *                                              example: 1001
+ *                                          name:
+ *                                              type: string
+ *                                              example: Q-Phone Pro
+ *                                          stock:
+ *                                              type: integer
+ *                                              example: 4500
+ *                                          ledgerStock:
+ *                                              type: integer
+ *                                              description: Stock calculado con el historial
+ *                                              example: 4490
+ *                                          movements:
+ *                                              type: integer
+ *                                              example: 12
+ *                                          drift:
+ *                                              type: integer
+ *                                              description: stock - ledgerStock
+ *                                              example: 10
+ *         '401':
+ *              $ref: '#/components/responses/Unauthorized'
+ *         '403':
+ *              $ref: '#/components/responses/Forbidden'
+ *         '500':
+ *              $ref: '#/components/responses/ServerError'
+ */
+routes.get('/reconciliation', authenticate, tenant, authorize('inventory:read'), reconcile)
+
+/**
+ * @swagger
+ * /:
+ * /product/alerts/low-stock:
+ *  get:
+ *      tags: [Product Controller]
+ *      summary: Reporte de productos con poco stock
+ *      description: Productos con stock en o bajo su punto de reorden. Cada valor sale del producto, si no de la politica de su categoría y si no del valor por defecto. Rol requerido admin o inventory_manager (permiso inventory:read)
+ *      responses:
+ *         '200':
+ *              description: Productos a reabastecer, primero los de menor stock
  *              content:
  *                  application/json:
  *                      schema:
  *                          type: object
  *                          properties:
- *                            state:
- *                              type: boolean
- *                              description: Indica si hubo error en el servidor
- *                              example: false
- *                            message:
- *                              type: string
- *                              description: Indica el resultado de la solicitud
- *                              example: E11000 duplicate key error collection 
- *          '401':
- *              description: Es necesario autenticar para obtener la respuesta solicitada
+ *                              state:
+ *                                  type: boolean
+ *                                  example: true
+ *                              data:
+ *                                  type: array
+ *                                  items:
+ *                                      type: object
+ *                                      properties:
+ *                                          _id:
+ *                                              type: string
+ *                                              example: 60f5b9f9f8db4f32fdsds5
+ *                                          id:
+ *                                              type: integer
+ *                                              example: 2001
+ *                                          name:
+ *                                              type: string
+ *                                              example: Barrita Energética
+ *                                          category:
+ *                                              type: string
+ *                                              example: Snacks
+ *                                          stock:
+ *                                              type: integer
+ *                                              example: 4
+ *                                          safetyStock:
+ *                                              type: integer
+ *                                              example: 5
+ *                                          reorderPoint:
+ *                                              type: integer
+ *                                              example: 20
+ *                                          reorderQuantity:
+ *                                              type: integer
+ *                                              example: 100
+ *                                          belowSafetyStock:
+ *                                              type: boolean
+ *                                              example: true
+ *         '401':
+ *              $ref: '#/components/responses/Unauthorized'
+ *         '403':
+ *              $ref: '#/components/responses/Forbidden'
+ *         '500':
+ *              $ref: '#/components/responses/ServerError'
+ */
+routes.get('/alerts/low-stock', authenticate, tenant, authorize('inventory:read'), lowStockReport)
+
+/**
+ * @swagger
+ * /:
+ * /product/expiring:
+ *  get:
+ *      tags: [Product Controller]
+ *      summary: Lotes proximos a vencer
+ *      description: Lotes disponibles con unidades que vencen en los proximos withinDays dias (o ya vencidos y aun no en cuarentena), primero los que vencen antes. Rol requerido admin o inventory_manager (permiso inventory:read)
+ *      parameters:
+ *         -    in: query
+ *              name: withinDays
+ *              schema:
+ *                  type: integer
+ *                  minimum: 0
+ *                  default: 7
+ *         -    in: query
+ *              name: page
+ *              schema:
+ *                  type: integer
+ *                  minimum: 1
+ *                  default: 1
+ *         -    in: query
+ *              name: limit
+ *              schema:
+ *                  type: integer
+ *                  minimum: 1
+ *                  maximum: 100
+ *                  default: 20
+ *      responses:
+ *         '200':
+ *              description: Respuesta exitosa, product trae id y name del producto
  *              content:
  *                  application/json:
  *                      schema:
  *                          type: object
  *                          properties:
- *                            state:
- *                              type: boolean
- *                              description: Indica si se inicio sesión o no
- *                              example: false
- *                            error:
- *                              type: string
- *                              description: Indica que error se presento
- *                              example: Session Expired 
- *                 
+ *                              state:
+ *                                  type: boolean
+ *                                  example: true
+ *                              withinDays:
+ *                                  type: integer
+ *                                  example: 7
+ *                              data:
+ *                                  type: array
+ *                                  items:
+ *                                      $ref: '#/components/schemas/Lot'
+ *         '400':
+ *              $ref: '#/components/responses/BadRequest'
+ *         '401':
+ *              $ref: '#/components/responses/Unauthorized'
+ *         '403':
+ *              $ref: '#/components/responses/Forbidden'
+ *         '500':
+ *              $ref: '#/components/responses/ServerError'
  */
-routes.get('/:id', getById)
+routes.get('/expiring', authenticate, tenant, authorize('inventory:read'), expiringReport)
 
 /**
  * @swagger
  * /:
- * /product/:
- *  post:
+ * /product/trash:
+ *  get:
  *      tags: [Product Controller]
- *      summary: Guardar Producto
- *      description: Guardar un producto de una compañia
- *      requestBody:
- *          description: Crea un nuevo producto
- *          required: true
- *          content:
- *              application/json:
- *                  schema:
- *                      oneOf:
- *                          - $ref: '#/components/schemas/ElectronicsProduct'
- *                          - $ref: '#/components/schemas/FoodProduct'
- *                          - $ref: '#/components/schemas/AutomotiveProduct'
- *                          - $ref: '#/components/schemas/ClothingProduct'
- *                  examples:
- *                          electronics:
- *                              value:
- *                                  id: 1001
- *                                  name: Q-Phone Pro
- *                                  description: Smartphone con procesador cuántico
- *                                  category: Electrónica
- *                                  numberCategory: 1
- *                                  price: 1299.99
- *                                  stock: 4500
- *                                  features: [Pantalla 6.7\" AMOLED, 256GB almacenamiento]
- *                                  warrantyYears: 2
- *                                        
- *                          food:
- *                              value:
- *                                  id: 2001
- *                                  name: Barrita Energética
- *                                  description: Barrita con 20g de proteína vegana
- *                                  category: Snacks
- *                                  numberCategory: 2
- *                                  price: 2.99
- *                                  stock: 25000
- *                                  ingredients: [Proteína de guisante, Dátiles, Almendras]
- *                                  weightOrVolume: 50g
- *                                  flavors: [Original, Chocolate]
- *                                  expirationDays: 90
- *                                        
- *                          automotive:
- *                              value:
- *                                  id: 3001
- *                                  name: Eco-Sedan 2024
- *                                  description: Vehículo eléctrico de alto rendimiento
- *                                  category: Automóvil
- *                                  numberCategory: 3
- *                                  price: 45900.00
- *                                  stock: 350
- *                                  specs:
- *                                      range: 450km
- *                                      acceleration: 4.2s 0-100km/h
- *                                      battery: "85kWh"
- *                                  warrantyYears: 3
- *                                  modelYear: 2024  
- *                                          
- *                          clothing:
- *                              value:
- *                                  id: 4001
- *                                  name: Adidas sport-Tshirt
- *                                  description: Camiseta Deportiva
- *                                  category: Prenda de Vestir
- *                                  numberCategory: 4
- *                                  price: 45900.00
- *                                  stock: 350
- *                                  sizesAvaiable: [S, M, L, XL]
- *                                  colors: [Negro, Naranja, Azul]
- *                                  material: Algodón Sintetico   
+ *      summary: Papelera de productos
+ *      description: Productos eliminados de la compañía, del más reciente al más antiguo. Rol requerido admin (permiso product:delete)
+ *      parameters:
+ *         -    in: query
+ *              name: page
+ *              schema:
+ *                  type: integer
+ *                  minimum: 1
+ *                  default: 1
+ *         -    in: query
+ *              name: limit
+ *              schema:
+ *                  type: integer
+ *                  minimum: 1
+ *                  maximum: 100
+ *                  default: 20
  *      responses:
- *         '201':
- *              description: Producto creado y guardado
+ *         '200':
+ *              description: Respuesta exitosa
+ *              content:
+ *                  application/json:
+ *                      schema:
+ *                          type: object
+ *                          properties:
+ *                              state:
+ *                                  type: boolean
+ *                                  example: true
+ *                              data:
+ *                                  type: array
+ *                                  items:
+ *                                      allOf:
+ *                                          - $ref: '#/components/schemas/BaseProduct'
+ *                                          - type: object
+ *                                            properties:
+ *                                              deletedAt:
+ *                                                  type: string
+ *                                                  format: date-time
+ *                                                  example: 2025-04-08T15:30:00.000Z
+ *                                              deletedBy:
+ *                                                  type: string
+ *                                                  example: 60d5ec9a1f2a4a3d98765432
+ *         '400':
+ *              $ref: '#/components/responses/BadRequest'
+ *         '401':
+ *              $ref: '#/components/responses/Unauthorized'
+ *         '403':
+ *              $ref: '#/components/responses/Forbidden'
+ *         '500':
+ *              $ref: '#/components/responses/ServerError'
+ */
+routes.get('/trash', authenticate, tenant, authorize('product:delete'), getTrash)
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     ImportRowError:
+ *       type: object
+ *       properties:
+ *         row:
+ *           type: integer
+ *           description: Linea del archivo (en CSV el encabezado es la linea 1)
+ *           example: 3
+ *         id:
+ *           description: id del producto de la fila, si lo tiene
+ *           example: 1001
+ *         code:
+ *           type: string
+ *           example: VALIDATION_FAILED
+ *         message:
+ *           type: string
+ *           example: Validation Failed
+ *         errors:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               field:
+ *                 type: string
+ *                 example: price
+ *               message:
+ *                 type: string
+ *                 example: must be a number
+ *     ImportReport:
+ *       type: object
+ *       properties:
+ *         dryRun:
+ *           type: boolean
+ *           example: false
+ *         upsert:
+ *           type: boolean
+ *           example: true
+ *         total:
+ *           type: integer
+ *           example: 3
+ *         processed:
+ *           type: integer
+ *           example: 3
+ *         created:
+ *           type: integer
+ *           description: Productos creados (con dryRun, los que se crearian)
+ *           example: 1
+ *         updated:
+ *           type: integer
+ *           description: Productos reemplazados por upsert (con dryRun, los que se reemplazarian)
+ *           example: 1
+ *         failed:
+ *           type: integer
+ *           example: 1
+ *         rowErrors:
+ *           type: array
+ *           items:
+ *             $ref: '#/components/schemas/ImportRowError'
+ *     ImportJob:
+ *       allOf:
+ *         - $ref: '#/components/schemas/ImportReport'
+ *         - type: object
+ *           properties:
+ *             _id:
+ *               type: string
+ *               example: 6612a0c4e1b2c3d4e5f607e1
+ *             format:
+ *               type: string
+ *               enum: [csv, ndjson]
+ *               example: csv
+ *             status:
+ *               type: string
+ *               enum: [queued, running, completed, failed]
+ *               example: running
+ *             error:
+ *               type: string
+ *               nullable: true
+ *               description: Solo si el job fallo por un error que no es de una fila
+ *               example: null
+ *             startedAt:
+ *               type: string
+ *               format: date-time
+ *               example: 2026-10-19T15:30:00.000Z
+ *             finishedAt:
+ *               type: string
+ *               format: date-time
+ *               nullable: true
+ *               example: null
+ */
+
+/**
+ * @swagger
+ * /:
+ * /product/import:
+ *  post:
+ *      tags: [Product Controller]
+ *      summary: Importar productos desde CSV o NDJSON
+ *      description: "Crea productos desde un archivo. En CSV la primera linea es el encabezado con los nombres de los campos (los comunes y los del tipo segun numberCategory); las listas (features, colors, ingredients...) se separan con delimiter y los objetos se arman con columnas con punto (specs.range). En NDJSON cada linea es un producto en JSON. Cada fila se valida con el esquema de su tipo y hace lo mismo que POST /product (historial de stock y de precio, lotes y auditoria). Con upsert=true las filas cuyo id ya existe reemplazan el producto como PUT /product/{id}, conservando su stock (requiere tambien product:update). Las filas con errores no detienen la importación y quedan en rowErrors. Con dryRun=true solo se valida y se informa lo que se crearia o reemplazaria. Hasta IMPORT_SYNC_ROWS filas (100 por defecto) se responde 200 con el reporte; con más filas se responde 202 con un job que corre en segundo plano y se consulta en GET /product/import/{jobId} (header Location). Rol requerido admin o inventory_manager (permiso product:create)"
+ *      parameters:
+ *         -    in: query
+ *              name: dryRun
+ *              schema:
+ *                  type: boolean
+ *                  default: false
+ *              description: Solo validar, no se guarda nada
+ *         -    in: query
+ *              name: upsert
+ *              schema:
+ *                  type: boolean
+ *                  default: false
+ *              description: Reemplazar los productos con el mismo id en vez de reportar la fila como error
+ *         -    in: query
+ *              name: delimiter
+ *              schema:
+ *                  type: string
+ *                  default: '|'
+ *              description: Caracter que separa los valores de las listas en CSV
+ *      requestBody:
+ *          required: true
+ *          content:
+ *              text/csv:
+ *                  schema:
+ *                      type: string
+ *                  example: "id,name,category,numberCategory,price,stock,sizesAvaiable,colors,material\n4001,Camiseta Básica,Ropa,4,19.9,100,S|M|L,Negro|Blanco,Algodón"
+ *              application/x-ndjson:
+ *                  schema:
+ *                      type: string
+ *                  example: "{\"id\":1001,\"name\":\"Q-Phone Pro\",\"category\":\"Electrónica\",\"numberCategory\":1,\"price\":1299.99,\"stock\":50,\"features\":[\"256GB\"]}"
+ *      responses:
+ *         '200':
+ *              description: Archivo importado (o validado con dryRun), con el reporte por fila
+ *              content:
+ *                  application/json:
+ *                      schema:
+ *                          type: object
+ *                          properties:
+ *                              state:
+ *                                  type: boolean
+ *                                  example: true
+ *                              data:
+ *                                  $ref: '#/components/schemas/ImportReport'
+ *         '202':
+ *              description: Importación en segundo plano
+ *              headers:
+ *                  Location:
+ *                      description: Ruta para consultar el avance
+ *                      schema:
+ *                          type: string
+ *                          example: /product/import/6612a0c4e1b2c3d4e5f607e1
+ *              content:
+ *                  application/json:
+ *                      schema:
+ *                          type: object
+ *                          properties:
+ *                              state:
+ *                                  type: boolean
+ *                                  example: true
+ *                              data:
+ *                                  $ref: '#/components/schemas/ImportJob'
+ *         '400':
+ *              $ref: '#/components/responses/BadRequest'
+ *         '401':
+ *              $ref: '#/components/responses/Unauthorized'
+ *         '403':
+ *              $ref: '#/components/responses/Forbidden'
+ *         '413':
+ *              description: El archivo supera IMPORT_MAX_SIZE (5mb por defecto)
+ *              content:
+ *                  application/problem+json:
+ *                      schema:
+ *                          $ref: '#/components/schemas/Problem'
+ *         '415':
+ *              description: Content-Type distinto de text/csv o application/x-ndjson
+ *              content:
+ *                  application/problem+json:
+ *                      schema:
+ *                          $ref: '#/components/schemas/Problem'
+ *         '500':
+ *              $ref: '#/components/responses/ServerError'
+ */
+routes.post('/import', authenticate, tenant, authorize('product:create'), express.text({ type: ['text/csv', 'application/x-ndjson'], limit: IMPORT_MAX_SIZE }), importCatalog)
+
+/**
+ * @swagger
+ * /:
+ * /product/import/{jobId}:
+ *  get:
+ *      tags: [Product Controller]
+ *      summary: Consultar una importación en segundo plano
+ *      description: Estado (queued, running, completed o failed), avance y reporte por fila del job. Un job sin avance en IMPORT_STALE_MINUTES minutos (10 por defecto) se marca failed. Rol requerido admin o inventory_manager (permiso product:create)
+ *      parameters:
+ *         -    in: path
+ *              name: jobId
+ *              schema:
+ *                  type: string
+ *              required: true
+ *      responses:
+ *         '200':
+ *              description: Respuesta exitosa
+ *              content:
+ *                  application/json:
+ *                      schema:
+ *                          type: object
+ *                          properties:
+ *                              state:
+ *                                  type: boolean
+ *                                  example: true
+ *                              data:
+ *                                  $ref: '#/components/schemas/ImportJob'
+ *         '401':
+ *              $ref: '#/components/responses/Unauthorized'
+ *         '403':
+ *              $ref: '#/components/responses/Forbidden'
+ *         '404':
+ *              $ref: '#/components/responses/NotFound'
+ *         '422':
+ *              $ref: '#/components/responses/ValidationError'
+ *         '500':
+ *              $ref: '#/components/responses/ServerError'
+ */
+routes.get('/import/:jobId', authenticate, tenant, authorize('product:create'), validateObjectId('jobId'), getImportJob)
+
+/**
+ * @swagger
+ * /:
+ * /product/{id}:
+ *  get:
+ *      tags: [Product Controller]
+ *      summary: Recuperar un producto por ID
+ *      description: Obtener un producto segun el id de la base de datos, con su precio de lista (listPrice) y su precio efectivo con la mejor promoción vigente (effectivePrice y promotion). Los productos de otra compañía responden 404
+ *      parameters:
+ *         -    in: path
+ *              name: id
+ *              schema:
+ *                  type: string
+ *              required: true
+ *              description: Identificador del producto en la BD
+ *         -    in: query
+ *              name: currency
+ *              schema:
+ *                  type: string
+ *              description: Moneda (ISO 4217) en que se muestran listPrice y effectivePrice, sin tasa responde 422 EXCHANGE_RATE_NOT_FOUND
+ *              example: EUR
+ *      responses:
+ *          '200':
+ *              description: Respuesta exitosa
+ *              headers:
+ *                  ETag:
+ *                      description: Versión actual del producto, se envia en If-Match al actualizar
+ *                      schema:
+ *                          type: string
+ *                          example: '"3"'
  *              content:
  *                  application/json:
  *                      schema:
@@ -655,75 +1320,30 @@ routes.get('/:id', getById)
  *                                        colors: [Negro, Naranja, Azul]
  *                                        material: Algodón Sintetico
  *                                        company: 60d5ec9a1f2a4a3d98765435
- *                                        __v: 0
- *                            
- *         '500':
- *              description: Error en el servidor
- *              content:
- *                  application/json:
- *                      schema:
- *                          type: object
- *                          properties:
- *                            state:
- *                              type: boolean
- *                              description: Indica si hubo error en el servidor
- *                              example: false
- *                            message:
- *                              type: string
- *                              description: Indica el resultado de la solicitud
- *                              example: E11000 duplicate key error collection 
- *         '401':
- *              description: Es necesario autenticar para obtener la respuesta solicitada
- *              content:
- *                  application/json:
- *                      schema:
- *                          type: object
- *                          properties:
- *                            state:
- *                              type: boolean
- *                              description: Indica si se inicio sesión o no
- *                              example: false
- *                            error:
- *                              type: string
- *                              description: Indica que error se presento
- *                              example: Session Expired
- *  
- *         '404':
- *              description: El servidor no pudo encontrar el contenido solicitado
- *              content:
- *                  application/json:
- *                      schema:
- *                          type: object
- *                          properties:
- *                            state:
- *                              type: boolean
- *                              description: Indica si se encontro el ID o no
- *                              example: false     
- *                            message:
- *                              type: string
- *                              description: Indica que error se presento
- *                              example: ID Company Not Found        
- *                              
- *                               
- *                                               
+ *                                        __v: 0       
+ *                                                                            
+ *          
+ *          '500':
+ *               $ref: '#/components/responses/ServerError'
+ *          '404':
+ *               $ref: '#/components/responses/NotFound'
+ *          '422':
+ *               $ref: '#/components/responses/ValidationError'
+ *          '401':
+ *               $ref: '#/components/responses/Unauthorized'
+ *          '403':
+ *               $ref: '#/components/responses/Forbidden'
  */
-routes.post('/', save)
+routes.get('/:id', authenticate, tenant, validateObjectId(), getById)
 
 /**
  * @swagger
  * /:
- * /product/{id}:
- *  put:
+ * /product/:
+ *  post:
  *      tags: [Product Controller]
- *      summary: Actualizar Produtcos
- *      description: Actualizar los datos de un producto según el id que se pase
- *      parameters:
- *         -    in: path
- *              name: id
- *              schema:
- *                  type: string
- *              required: true
- *              description: Identificador del producto en la BD
+ *      summary: Guardar Producto
+ *      description: Guardar un producto de una compañia. Rol requerido admin o inventory_manager (permiso product:create)
  *      requestBody:
  *          description: Crea un nuevo producto
  *          required: true
@@ -731,10 +1351,10 @@ routes.post('/', save)
  *              application/json:
  *                  schema:
  *                      oneOf:
- *                          - $ref: '#/components/schemas/ElectronicsProduct'
- *                          - $ref: '#/components/schemas/FoodProduct'
- *                          - $ref: '#/components/schemas/AutomotiveProduct'
- *                          - $ref: '#/components/schemas/ClothingProduct'
+ *                          - $ref: '#/components/schemas/ElectronicsProductInput'
+ *                          - $ref: '#/components/schemas/FoodProductInput'
+ *                          - $ref: '#/components/schemas/AutomotiveProductInput'
+ *                          - $ref: '#/components/schemas/ClothingProductInput'
  *                  examples:
  *                          electronics:
  *                              value:
@@ -742,6 +1362,7 @@ routes.post('/', save)
  *                                  name: Q-Phone Pro
  *                                  description: Smartphone con procesador cuántico
  *                                  category: Electrónica
+ *                                  numberCategory: 1
  *                                  price: 1299.99
  *                                  stock: 4500
  *                                  features: [Pantalla 6.7\" AMOLED, 256GB almacenamiento]
@@ -753,6 +1374,7 @@ routes.post('/', save)
  *                                  name: Barrita Energética
  *                                  description: Barrita con 20g de proteína vegana
  *                                  category: Snacks
+ *                                  numberCategory: 2
  *                                  price: 2.99
  *                                  stock: 25000
  *                                  ingredients: [Proteína de guisante, Dátiles, Almendras]
@@ -766,6 +1388,7 @@ routes.post('/', save)
  *                                  name: Eco-Sedan 2024
  *                                  description: Vehículo eléctrico de alto rendimiento
  *                                  category: Automóvil
+ *                                  numberCategory: 3
  *                                  price: 45900.00
  *                                  stock: 350
  *                                  specs:
@@ -781,6 +1404,7 @@ routes.post('/', save)
  *                                  name: Adidas sport-Tshirt
  *                                  description: Camiseta Deportiva
  *                                  category: Prenda de Vestir
+ *                                  numberCategory: 4
  *                                  price: 45900.00
  *                                  stock: 350
  *                                  sizesAvaiable: [S, M, L, XL]
@@ -883,65 +1507,26 @@ routes.post('/', save)
  *                                        __v: 0
  *                            
  *         '500':
- *              description: Error en el servidor
- *              content:
- *                  application/json:
- *                      schema:
- *                          type: object
- *                          properties:
- *                            state:
- *                              type: boolean
- *                              description: Indica si hubo error en el servidor
- *                              example: false
- *                            message:
- *                              type: string
- *                              description: Indica el resultado de la solicitud
- *                              example: E11000 duplicate key error collection 
+ *              $ref: '#/components/responses/ServerError'
+ *         '403':
+ *              $ref: '#/components/responses/Forbidden'
+ *         '422':
+ *              $ref: '#/components/responses/ValidationError'
  *         '401':
- *              description: Es necesario autenticar para obtener la respuesta solicitada
- *              content:
- *                  application/json:
- *                      schema:
- *                          type: object
- *                          properties:
- *                            state:
- *                              type: boolean
- *                              description: Indica si se inicio sesión o no
- *                              example: false
- *                            error:
- *                              type: string
- *                              description: Indica que error se presento
- *                              example: Session Expired
- *  
- *         '404':
- *              description: El servidor no pudo encontrar el contenido solicitado
- *              content:
- *                  application/json:
- *                      schema:
- *                          type: object
- *                          properties:
- *                            state:
- *                              type: boolean
- *                              description: Indica si se encontro el ID o no
- *                              example: false     
- *                            message:
- *                              type: string
- *                              description: Indica que error se presento
- *                              example: ID Company Not Found        
- *                              
- *                               
- *                                               
+ *              $ref: '#/components/responses/Unauthorized'
+ *         '409':
+ *              $ref: '#/components/responses/Conflict'
  */
-routes.put('/:id', actualize)
+routes.post('/', authenticate, tenant, authorize('product:create'), validateProduct, save)
 
 /**
  * @swagger
  * /:
  * /product/{id}:
- *  delete:
+ *  put:
  *      tags: [Product Controller]
- *      summary: Eliminar un Producto por ID
- *      description: Eliminar un producto segun el id de la base de datos
+ *      summary: Actualizar Produtcos
+ *      description: Actualizar los datos de un producto según el id que se pase. Rol requerido admin o inventory_manager (permiso product:update). Si se envia If-Match solo se actualiza cuando coincide con el ETag actual. Reemplaza el producto completo, los campos que no se envian vuelven a su valor por defecto salvo stock, que se conserva y solo cambia con los endpoints de inventario (si se envia distinto al actual se responde 422); para cambiar solo algunos campos usar PATCH. numberCategory debe corresponder al tipo actual del producto (si no se responde 409 PRODUCT_TYPE_CHANGE_REQUIRED); para cambiar de tipo usar POST /product/{id}/type
  *      parameters:
  *         -    in: path
  *              name: id
@@ -949,112 +1534,78 @@ routes.put('/:id', actualize)
  *                  type: string
  *              required: true
  *              description: Identificador del producto en la BD
- *      responses:
- *          '200':
- *              description: Respuesta exitosa.
- *              content:
- *                  application/json:
- *                     schema:
- *                         type: object
- *                         properties:
- *                            state:
- *                              type: boolean
- *                              description: Indica que la consulta de los datos fue satisfactoria
- *                              example: true
- *                            data:
- *                             type: object
- *                             properties:
- *                                  acknowledged:
- *                                     type: boolean
- *                                     description: Si se admitio la eliminación
- *                                     example: true
- *                                  deletedCount:
- *                                      type: int
- *                                      description: Muestra el conteo de elementos borrados
- *                                      example: 1
- *                                                                            
- *          
- *          '500':
- *              description: Error en el servidor
- *              content:
- *                  application/json:
- *                      schema:
- *                          type: object
- *                          properties:
- *                            state:
- *                              type: boolean
- *                              description: Indica si hubo error en el servidor
- *                              example: false
- *                            message:
- *                              type: string
- *                              description: Indica el resultado de la solicitud
- *                              example: E11000 duplicate key error collection 
- *          '401':
- *              description: Es necesario autenticar para obtener la respuesta solicitada
- *              content:
- *                  application/json:
- *                      schema:
- *                          type: object
- *                          properties:
- *                            state:
- *                              type: boolean
- *                              description: Indica si se inicio sesión o no
- *                              example: false
- *                            error:
- *                              type: string
- *                              description: Indica que error se presento
- *                              example: Session Expired
- *  
- *          '404':
- *              description: El servidor no pudo encontrar el contenido solicitado
- *              content:
- *                  application/json:
- *                      schema:
- *                          type: object
- *                          properties:
- *                            state:
- *                              type: boolean
- *                              description: Indica si se encontro el ID o no
- *                              example: false     
- *                            message:
- *                              type: string
- *                              description: Indica que error se presento
- *                              example: ID Product Not Found  
- *                 
- */
-routes.delete('/:id', eliminate)
-
-/**
- * @swagger
- * /:
- * /product/provider/{id}:
- *  put:
- *      tags: [Product Controller]
- *      summary: Agregar Productos al inventario
- *      description: Se agregan productos al stock del inventario del iventario del producto
- *      parameters:
- *         -    in: path
- *              name: id
+ *         -    in: header
+ *              name: If-Match
  *              schema:
  *                  type: string
- *              required: true
- *              description: Identificador del producto en la BD
+ *              required: false
+ *              description: ETag obtenido al consultar el producto
+ *              example: '"3"'
  *      requestBody:
- *          description: Agrega mas productos al inventario
+ *          description: Crea un nuevo producto
  *          required: true
  *          content:
  *              application/json:
  *                  schema:
- *                      type: object    
- *                      properties:
- *                          nStock:
- *                              type: number
- *                              description: Numero de productos a agregar al inventario
- *                              example: 10
- *                  
+ *                      oneOf:
+ *                          - $ref: '#/components/schemas/ElectronicsProductInput'
+ *                          - $ref: '#/components/schemas/FoodProductInput'
+ *                          - $ref: '#/components/schemas/AutomotiveProductInput'
+ *                          - $ref: '#/components/schemas/ClothingProductInput'
+ *                  examples:
+ *                          electronics:
+ *                              value:
+ *                                  id: 1001
+ *                                  name: Q-Phone Pro
+ *                                  description: Smartphone con procesador cuántico
+ *                                  category: Electrónica
+ *                                  price: 1299.99
+ *                                  stock: 4500
+ *                                  features: [Pantalla 6.7\" AMOLED, 256GB almacenamiento]
+ *                                  warrantyYears: 2
+ *                                        
+ *                          food:
+ *                              value:
+ *                                  id: 2001
+ *                                  name: Barrita Energética
+ *                                  description: Barrita con 20g de proteína vegana
+ *                                  category: Snacks
+ *                                  price: 2.99
+ *                                  stock: 25000
+ *                                  ingredients: [Proteína de guisante, Dátiles, Almendras]
+ *                                  weightOrVolume: 50g
+ *                                  flavors: [Original, Chocolate]
+ *                                  expirationDays: 90
+ *                                        
+ *                          automotive:
+ *                              value:
+ *                                  id: 3001
+ *                                  name: Eco-Sedan 2024
+ *                                  description: Vehículo eléctrico de alto rendimiento
+ *                                  category: Automóvil
+ *                                  price: 45900.00
+ *                                  stock: 350
+ *                                  specs:
+ *                                      range: 450km
+ *                                      acceleration: 4.2s 0-100km/h
+ *                                      battery: "85kWh"
+ *                                  warrantyYears: 3
+ *                                  modelYear: 2024  
+ *                                          
+ *                          clothing:
+ *                              value:
+ *                                  id: 4001
+ *                                  name: Adidas sport-Tshirt
+ *                                  description: Camiseta Deportiva
+ *                                  category: Prenda de Vestir
+ *                                  price: 45900.00
+ *                                  stock: 350
+ *                                  sizesAvaiable: [S, M, L, XL]
+ *                                  colors: [Negro, Naranja, Azul]
+ *                                  material: Algodón Sintetico   
  *      responses:
  *         '201':
- *              description: Stock de productos actualizado
+ *              description: Producto creado y guardado
  *              content:
  *                  application/json:
  *                      schema:
@@ -1149,66 +1700,166 @@ routes.delete('/:id', eliminate)
  *                                        __v: 0
  *                            
  *         '500':
- *              description: Error en el servidor
- *              content:
- *                  application/json:
- *                      schema:
- *                          type: object
- *                          properties:
- *                            state:
- *                              type: boolean
- *                              description: Indica si hubo error en el servidor
- *                              example: false
- *                            message:
- *                              type: string
- *                              description: Indica el resultado de la solicitud
- *                              example: E11000 duplicate key error collection 
+ *              $ref: '#/components/responses/ServerError'
+ *         '403':
+ *              $ref: '#/components/responses/Forbidden'
+ *         '422':
+ *              $ref: '#/components/responses/ValidationError'
  *         '401':
- *              description: Es necesario autenticar para obtener la respuesta solicitada
- *              content:
- *                  application/json:
- *                      schema:
- *                          type: object
- *                          properties:
- *                            state:
- *                              type: boolean
- *                              description: Indica si se inicio sesión o no
- *                              example: false
- *                            error:
- *                              type: string
- *                              description: Indica que error se presento
- *                              example: Session Expired
- *  
+ *              $ref: '#/components/responses/Unauthorized'
+ *         '404':
+ *              $ref: '#/components/responses/NotFound'
+ *         '409':
+ *              $ref: '#/components/responses/Conflict'
+ *         '412':
+ *              $ref: '#/components/responses/PreconditionFailed'
+ */
+routes.put('/:id', authenticate, tenant, authorize('product:update'), validateObjectId(), validateProduct, actualize)
+
+/**
+ * @swagger
+ * /:
+ * /product/{id}:
+ *  patch:
+ *      tags: [Product Controller]
+ *      summary: Actualizar parcialmente un Producto
+ *      description: "Cambia solo los campos indicados. Con Content-Type application/merge-patch+json (o application/json) el body es un JSON Merge Patch (RFC 7396): los campos enviados se reemplazan y los enviados en null se eliminan. Con application/json-patch+json el body es una lista de operaciones JSON Patch (RFC 6902); si una operación test falla se responde 409 y no se aplica ninguna. El resultado se valida con el esquema del tipo del producto. stock y numberCategory no se pueden cambiar con PATCH. Si se envia If-Match solo se actualiza cuando coincide con el ETag actual. Rol requerido admin o inventory_manager (permiso product:update)"
+ *      parameters:
+ *         -    in: path
+ *              name: id
+ *              schema:
+ *                  type: string
+ *              required: true
+ *              description: Identificador del producto en la BD
+ *         -    in: header
+ *              name: If-Match
+ *              schema:
+ *                  type: string
+ *              required: false
+ *              description: ETag obtenido en GET /product/{id}
+ *      requestBody:
+ *          required: true
+ *          content:
+ *              application/merge-patch+json:
+ *                  schema:
+ *                      type: object
+ *                      example: { price: 1199.99, description: null }
+ *              application/json-patch+json:
+ *                  schema:
+ *                      $ref: '#/components/schemas/JsonPatchInput'
+ *      responses:
+ *         '200':
+ *              description: Producto actualizado, con el nuevo ETag
+ *         '401':
+ *              $ref: '#/components/responses/Unauthorized'
+ *         '403':
+ *              $ref: '#/components/responses/Forbidden'
  *         '404':
- *              description: El servidor no pudo encontrar el contenido solicitado
+ *              $ref: '#/components/responses/NotFound'
+ *         '409':
+ *              $ref: '#/components/responses/Conflict'
+ *         '412':
+ *              $ref: '#/components/responses/PreconditionFailed'
+ *         '415':
+ *              description: Content-Type no soportado
  *              content:
- *                  application/json:
+ *                  application/problem+json:
  *                      schema:
- *                          type: object
- *                          properties:
- *                            state:
- *                              type: boolean
- *                              description: Indica si se encontro el ID o no
- *                              example: false     
- *                            message:
- *                              type: string
- *                              description: Indica que error se presento
- *                              example: ID Company Not Found        
- *                              
- *                               
- *                                               
+ *                          $ref: '#/components/schemas/Problem'
+ *         '422':
+ *              $ref: '#/components/responses/ValidationError'
+ *         '500':
+ *              $ref: '#/components/responses/ServerError'
  */
-routes.put('/provider/:id', providerProducts)
+routes.patch('/:id', authenticate, tenant, authorize('product:update'), validateObjectId(), patchProduct)
 
+/**
+ * @swagger
+ * /:
+ * /product/{id}/type:
+ *  post:
+ *      tags: [Product Controller]
+ *      summary: Cambiar el tipo de un Producto
+ *      description: "Migra el producto a otro tipo (numberCategory y discriminador) conservando su _id, su stock y su historial. Se mantienen los campos que el nuevo tipo tambien tiene, se toman los del body y se descartan los que el nuevo tipo no tiene; el resultado se valida con el esquema del nuevo tipo. Un numberCategory desconocido responde 422 UNKNOWN_PRODUCT_TYPE y el mismo tipo actual 409 PRODUCT_TYPE_UNCHANGED. Si el tipo actual o el nuevo maneja lotes el stock debe ser 0 (409 PRODUCT_HAS_STOCK). Si se envia If-Match solo se cambia cuando coincide con el ETag actual. Rol requerido admin o inventory_manager (permiso product:update)"
+ *      parameters:
+ *         -    in: path
+ *              name: id
+ *              schema:
+ *                  type: string
+ *              required: true
+ *              description: Identificador del producto en la BD
+ *         -    in: header
+ *              name: If-Match
+ *              schema:
+ *                  type: string
+ *              required: false
+ *              description: ETag obtenido en GET /product/{id}
+ *      requestBody:
+ *          required: true
+ *          content:
+ *              application/json:
+ *                  schema:
+ *                      $ref: '#/components/schemas/ProductTypeChangeInput'
+ *      responses:
+ *         '200':
+ *              description: Producto con el nuevo tipo, con el nuevo ETag
+ *         '401':
+ *              $ref: '#/components/responses/Unauthorized'
+ *         '403':
+ *              $ref: '#/components/responses/Forbidden'
+ *         '404':
+ *              $ref: '#/components/responses/NotFound'
+ *         '409':
+ *              $ref: '#/components/responses/Conflict'
+ *         '412':
+ *              $ref: '#/components/responses/PreconditionFailed'
+ *         '422':
+ *              $ref: '#/components/responses/ValidationError'
+ *         '500':
+ *              $ref: '#/components/responses/ServerError'
+ */
+routes.post('/:id/type', authenticate, tenant, authorize('product:update'), validateObjectId(), validateBody(ProductTypeChangeInput), changeType)
 
 /**
  * @swagger
  * /:
- * /product/sell/{id}:
- *  put:
+ * /product/{id}/variants:
+ *  get:
  *      tags: [Product Controller]
- *      summary: Quitar Productos al inventario
- *      description: Se restan productos al stock del iventario del producto
+ *      summary: Listar variantes de un Producto
+ *      description: Variantes del producto con su SKU, precio y stock. Cualquier usuario de la compañía
+ *      parameters:
+ *         -    in: path
+ *              name: id
+ *              schema:
+ *                  type: string
+ *              required: true
+ *              description: Identificador del producto en la BD
+ *      responses:
+ *         '200':
+ *              description: Respuesta exitosa
+ *              content:
+ *                  application/json:
+ *                      schema:
+ *                          type: object
+ *                          properties:
+ *                              state:
+ *                                  type: boolean
+ *                                  example: true
+ *                              data:
+ *                                  type: array
+ *                                  items:
+ *                                      $ref: '#/components/schemas/Variant'
+ *         '401':
+ *              $ref: '#/components/responses/Unauthorized'
+ *         '404':
+ *              $ref: '#/components/responses/NotFound'
+ *         '500':
+ *              $ref: '#/components/responses/ServerError'
+ *  post:
+ *      tags: [Product Controller]
+ *      summary: Crear variante
+ *      description: "Agrega una variante (Ropa: size y color, Comida: flavor y weight) con su SKU, código de barras, precio y stock inicial. Los valores de size, color y flavor deben estar en sizesAvaiable, colors y flavors del producto. SKU y código de barras son unicos en la compañía. Desde la primera variante el stock del producto es la suma del de sus variantes, por eso el producto debe tener stock 0 antes de agregarla (409 PRODUCT_STOCK_NOT_ASSIGNED). Rol requerido admin o inventory_manager (permiso product:update)"
  *      parameters:
  *         -    in: path
  *              name: id
@@ -1217,21 +1868,14 @@ routes.put('/provider/:id', providerProducts)
  *              required: true
  *              description: Identificador del producto en la BD
  *      requestBody:
- *          description: Resta productos al inventario
  *          required: true
  *          content:
  *              application/json:
  *                  schema:
- *                      type: object    
- *                      properties:
- *                          sStock:
- *                              type: number
- *                              description: Numero de productos a restar al inventario
- *                              example: 10
- *                  
+ *                      $ref: '#/components/schemas/VariantInput'
  *      responses:
  *         '201':
- *              description: Stock de productos actualizado
+ *              description: Variante creada
  *              content:
  *                  application/json:
  *                      schema:
@@ -1241,30 +1885,304 @@ routes.put('/provider/:id', providerProducts)
  *                                  type: boolean
  *                                  example: true
  *                              data:
- *                                  type: array
- *                                  oneOf:
- *                                      - $ref: '#/components/schemas/ElectronicsProduct'
- *                                      - $ref: '#/components/schemas/FoodProduct'
- *                                      - $ref: '#/components/schemas/AutomotiveProduct'
- *                                      - $ref: '#/components/schemas/ClothingProduct'
- *                                  
- *                      examples:
- *                          electronics:
- *                              value:
- *                                  state: true
- *                                  data:
- *                                     -  _id: 60f5b9f9f8db4f32fdsds4
- *                                        id: 1001
- *                                        name: Q-Phone Pro
- *                                        description: Smartphone con procesador cuántico
- *                                        category: Electrónica
- *                                        numberCategory: 1
- *                                        price: 1299.99
- *                                        stock: 4500
- *                                        __t: Electronics
- *                                        features: [Pantalla 6.7\" AMOLED, 256GB almacenamiento]
- *                                        warrantyYears: 2
- *                                        company: 60d5ec9a1f2a4a3d98765432
+ *                                  $ref: '#/components/schemas/Variant'
+ *         '401':
+ *              $ref: '#/components/responses/Unauthorized'
+ *         '403':
+ *              $ref: '#/components/responses/Forbidden'
+ *         '404':
+ *              $ref: '#/components/responses/NotFound'
+ *         '409':
+ *              $ref: '#/components/responses/Conflict'
+ *         '422':
+ *              $ref: '#/components/responses/ValidationError'
+ *         '500':
+ *              $ref: '#/components/responses/ServerError'
+ */
+routes.get('/:id/variants', authenticate, tenant, validateObjectId(), getVariants)
+routes.post('/:id/variants', authenticate, tenant, authorize('product:update'), validateObjectId(), validateBody(VariantInput), createVariant)
+
+/**
+ * @swagger
+ * /:
+ * /product/{id}/variants/{variantId}:
+ *  put:
+ *      tags: [Product Controller]
+ *      summary: Actualizar variante
+ *      description: Reemplaza SKU, código de barras, atributos y precio de la variante. Su stock no cambia, se mueve con ventas, ordenes, recepciones y ajustes. Rol requerido admin o inventory_manager (permiso product:update)
+ *      parameters:
+ *         -    in: path
+ *              name: id
+ *              schema:
+ *                  type: string
+ *              required: true
+ *              description: Identificador del producto en la BD
+ *         -    in: path
+ *              name: variantId
+ *              schema:
+ *                  type: string
+ *              required: true
+ *              description: Identificador (_id) de la variante
+ *      requestBody:
+ *          required: true
+ *          content:
+ *              application/json:
+ *                  schema:
+ *                      $ref: '#/components/schemas/VariantUpdateInput'
+ *      responses:
+ *         '200':
+ *              description: Variante actualizada
+ *         '401':
+ *              $ref: '#/components/responses/Unauthorized'
+ *         '403':
+ *              $ref: '#/components/responses/Forbidden'
+ *         '404':
+ *              $ref: '#/components/responses/NotFound'
+ *         '409':
+ *              $ref: '#/components/responses/Conflict'
+ *         '422':
+ *              $ref: '#/components/responses/ValidationError'
+ *         '500':
+ *              $ref: '#/components/responses/ServerError'
+ *  delete:
+ *      tags: [Product Controller]
+ *      summary: Eliminar variante
+ *      description: Solo variantes con stock 0 (si no se responde 409 VARIANT_HAS_STOCK). Rol requerido admin o inventory_manager (permiso product:update)
+ *      parameters:
+ *         -    in: path
+ *              name: id
+ *              schema:
+ *                  type: string
+ *              required: true
+ *              description: Identificador del producto en la BD
+ *         -    in: path
+ *              name: variantId
+ *              schema:
+ *                  type: string
+ *              required: true
+ *              description: Identificador (_id) de la variante
+ *      responses:
+ *         '200':
+ *              description: Variante eliminada, se devuelven las variantes restantes
+ *         '401':
+ *              $ref: '#/components/responses/Unauthorized'
+ *         '403':
+ *              $ref: '#/components/responses/Forbidden'
+ *         '404':
+ *              $ref: '#/components/responses/NotFound'
+ *         '409':
+ *              $ref: '#/components/responses/Conflict'
+ *         '500':
+ *              $ref: '#/components/responses/ServerError'
+ */
+routes.put('/:id/variants/:variantId', authenticate, tenant, authorize('product:update'), validateObjectId(), validateObjectId('variantId'), validateBody(VariantUpdateInput), updateVariant)
+routes.delete('/:id/variants/:variantId', authenticate, tenant, authorize('product:update'), validateObjectId(), validateObjectId('variantId'), deleteVariant)
+
+/**
+ * @swagger
+ * /:
+ * /product/{id}:
+ *  delete:
+ *      tags: [Product Controller]
+ *      summary: Eliminar un Producto por ID
+ *      description: Envia el producto a la papelera (deletedAt y deletedBy). Deja de aparecer en las consultas y se puede restaurar; pasados TRASH_RETENTION_DAYS dias (30 por defecto) se elimina definitivamente. Rol requerido admin (permiso product:delete)
+ *      parameters:
+ *         -    in: path
+ *              name: id
+ *              schema:
+ *                  type: string
+ *              required: true
+ *              description: Identificador del producto en la BD
+ *      responses:
+ *          '200':
+ *              description: Respuesta exitosa.
+ *              content:
+ *                  application/json:
+ *                     schema:
+ *                         type: object
+ *                         properties:
+ *                            state:
+ *                              type: boolean
+ *                              description: Indica que la consulta de los datos fue satisfactoria
+ *                              example: true
+ *                            data:
+ *                             type: object
+ *                             properties:
+ *                                  acknowledged:
+ *                                     type: boolean
+ *                                     description: Si se admitio la eliminación
+ *                                     example: true
+ *                                  deletedCount:
+ *                                      type: int
+ *                                      description: Muestra el conteo de elementos borrados
+ *                                      example: 1
+ *                                                                            
+ *          
+ *          '500':
+ *               $ref: '#/components/responses/ServerError'
+ *          '403':
+ *               $ref: '#/components/responses/Forbidden'
+ *          '422':
+ *               $ref: '#/components/responses/ValidationError'
+ *          '401':
+ *               $ref: '#/components/responses/Unauthorized'
+ *          '404':
+ *               $ref: '#/components/responses/NotFound'
+ */
+routes.delete('/:id', authenticate, tenant, authorize('product:delete'), validateObjectId(), eliminate)
+
+/**
+ * @swagger
+ * /:
+ * /product/{id}/restore:
+ *  post:
+ *      tags: [Product Controller]
+ *      summary: Restaurar un producto de la papelera
+ *      description: El producto vuelve a aparecer en las consultas con el stock que tenga. Rol requerido admin (permiso product:delete)
+ *      parameters:
+ *         -    in: path
+ *              name: id
+ *              schema:
+ *                  type: string
+ *              required: true
+ *      responses:
+ *         '200':
+ *              description: Producto restaurado
+ *         '401':
+ *              $ref: '#/components/responses/Unauthorized'
+ *         '403':
+ *              $ref: '#/components/responses/Forbidden'
+ *         '404':
+ *              $ref: '#/components/responses/NotFound'
+ *         '409':
+ *              $ref: '#/components/responses/Conflict'
+ *         '500':
+ *              $ref: '#/components/responses/ServerError'
+ */
+routes.post('/:id/restore', authenticate, tenant, authorize('product:delete'), validateObjectId(), restore)
+
+/**
+ * @swagger
+ * /:
+ * /product/{id}/purge:
+ *  delete:
+ *      tags: [Product Controller]
+ *      summary: Eliminar definitivamente un producto
+ *      description: Solo para productos en la papelera (si no se responde 409 PRODUCT_NOT_IN_TRASH). No se puede deshacer; el historial de stock se conserva. Rol requerido admin (permiso product:purge)
+ *      parameters:
+ *         -    in: path
+ *              name: id
+ *              schema:
+ *                  type: string
+ *              required: true
+ *      responses:
+ *         '200':
+ *              description: Producto eliminado
+ *         '401':
+ *              $ref: '#/components/responses/Unauthorized'
+ *         '403':
+ *              $ref: '#/components/responses/Forbidden'
+ *         '404':
+ *              $ref: '#/components/responses/NotFound'
+ *         '409':
+ *              $ref: '#/components/responses/Conflict'
+ *         '500':
+ *              $ref: '#/components/responses/ServerError'
+ */
+routes.delete('/:id/purge', authenticate, tenant, authorize('product:purge'), validateObjectId(), purge)
+
+
+/**
+ * @swagger
+ * /:
+ * /product/sell/{id}:
+ *  put:
+ *      tags: [Product Controller]
+ *      summary: Quitar Productos al inventario
+ *      description: Se restan productos al stock del iventario del producto. Rol requerido admin o seller (permiso product:sell). La venta es atomica; con backorderPolicy reject nunca deja el stock por debajo de safetyStock (5 por defecto) aunque lleguen ventas simultaneas, con allow la venta pasa y se informa en backordered la cantidad pendiente. Si la venta cruza el punto de reorden se genera un evento low-stock. En productos con variantes se indica la variante vendida (variant), se descuenta de ella y del total, y con reject la variante tambien debe tener las unidades. En productos con lotes (Food) se descuenta de los lotes sin vencer que vencen antes (FEFO) y esos lotes deben tener las unidades (estos productos siempre usan reject). En productos con garantia (Electronics, Automotive o tipos con warrantyYears) cada unidad vendida queda con una garantia de warrantyYears años y su número de serie (serialNumbers, uno por unidad, o generado), que se devuelven en warranties. amounts es el importe de la venta en la moneda del producto con el precio efectivo (mejor promoción vigente) y el impuesto de su categoría (/tax-rules)
+ *      parameters:
+ *         -    in: path
+ *              name: id
+ *              schema:
+ *                  type: string
+ *              required: true
+ *              description: Identificador del producto en la BD
+ *      requestBody:
+ *          description: Resta productos al inventario
+ *          required: true
+ *          content:
+ *              application/json:
+ *                  schema:
+ *                      $ref: '#/components/schemas/StockSaleInput'
+ *                  
+ *      responses:
+ *         '201':
+ *              description: Stock de productos actualizado
+ *              content:
+ *                  application/json:
+ *                      schema:
+ *                          type: object
+ *                          properties:
+ *                              state:
+ *                                  type: boolean
+ *                                  example: true
+ *                              data:
+ *                                  type: array
+ *                                  oneOf:
+ *                                      - $ref: '#/components/schemas/ElectronicsProduct'
+ *                                      - $ref: '#/components/schemas/FoodProduct'
+ *                                      - $ref: '#/components/schemas/AutomotiveProduct'
+ *                                      - $ref: '#/components/schemas/ClothingProduct'
+ *                              warranties:
+ *                                  type: array
+ *                                  description: Solo en productos con garantia, una por unidad vendida
+ *                                  items:
+ *                                      $ref: '#/components/schemas/Warranty'
+ *                              amounts:
+ *                                  type: object
+ *                                  properties:
+ *                                      currency:
+ *                                          type: string
+ *                                          example: USD
+ *                                      unitPrice:
+ *                                          type: number
+ *                                          description: Precio efectivo por unidad
+ *                                          example: 1104.99
+ *                                      quantity:
+ *                                          type: integer
+ *                                          example: 2
+ *                                      net:
+ *                                          type: number
+ *                                          example: 2209.98
+ *                                      taxRate:
+ *                                          type: number
+ *                                          description: Porcentaje de la categoría
+ *                                          example: 19
+ *                                      tax:
+ *                                          type: number
+ *                                          example: 419.9
+ *                                      gross:
+ *                                          type: number
+ *                                          description: net + tax
+ *                                          example: 2629.88
+ *                                  
+ *                      examples:
+ *                          electronics:
+ *                              value:
+ *                                  state: true
+ *                                  data:
+ *                                     -  _id: 60f5b9f9f8db4f32fdsds4
+ *                                        id: 1001
+ *                                        name: Q-Phone Pro
+ *                                        description: Smartphone con procesador cuántico
+ *                                        category: Electrónica
+ *                                        numberCategory: 1
+ *                                        price: 1299.99
+ *                                        stock: 4500
+ *                                        __t: Electronics
+ *                                        features: [Pantalla 6.7\" AMOLED, 256GB almacenamiento]
+ *                                        warrantyYears: 2
+ *                                        company: 60d5ec9a1f2a4a3d98765432
  *                                        __v: 0
  *                          food:
  *                              value:
@@ -1326,70 +2244,442 @@ routes.put('/provider/:id', providerProducts)
  *                                        __v: 0
  *                            
  *         '500':
- *              description: Error en el servidor
+ *              $ref: '#/components/responses/ServerError'
+ *         '403':
+ *              $ref: '#/components/responses/Forbidden'
+ *         '422':
+ *              $ref: '#/components/responses/ValidationError'
+ *         '401':
+ *              $ref: '#/components/responses/Unauthorized'
+ *         '404':
+ *              $ref: '#/components/responses/NotFound'
+ *         '400':
+ *              $ref: '#/components/responses/BadRequest'
+ */
+routes.put('/sell/:id', authenticate, tenant, authorize('product:sell'), validateObjectId(), validateBody(StockSaleInput), sellProducts)
+
+/**
+ * @swagger
+ * /:
+ * /product/{id}/movements:
+ *  get:
+ *      tags: [Product Controller]
+ *      summary: Historial de movimientos de stock
+ *      description: Lista los movimientos (initial, restock, sale, adjustment, overwrite, cancellation, receipt, quarantine) del producto, del mas reciente al mas antiguo. Rol requerido admin o inventory_manager (permiso inventory:read)
+ *      parameters:
+ *         -    in: path
+ *              name: id
+ *              schema:
+ *                  type: string
+ *              required: true
+ *              description: Identificador del producto en la BD
+ *         -    in: query
+ *              name: from
+ *              schema:
+ *                  type: string
+ *                  format: date-time
+ *              description: Fecha inicial (ISO 8601)
+ *              example: 2025-04-01
+ *         -    in: query
+ *              name: to
+ *              schema:
+ *                  type: string
+ *                  format: date-time
+ *              description: Fecha final (ISO 8601)
+ *              example: 2025-04-30T23:59:59Z
+ *         -    in: query
+ *              name: type
+ *              schema:
+ *                  type: string
+ *                  enum: [initial, opening, restock, sale, adjustment, overwrite, cancellation, receipt, quarantine]
+ *         -    in: query
+ *              name: page
+ *              schema:
+ *                  type: integer
+ *                  default: 1
+ *         -    in: query
+ *              name: limit
+ *              schema:
+ *                  type: integer
+ *                  default: 20
+ *      responses:
+ *         '200':
+ *              description: Movimientos del producto
  *              content:
  *                  application/json:
  *                      schema:
  *                          type: object
  *                          properties:
- *                            state:
- *                              type: boolean
- *                              description: Indica si hubo error en el servidor
- *                              example: false
- *                            message:
- *                              type: string
- *                              description: Indica el resultado de la solicitud
- *                              example: E11000 duplicate key error collection 
+ *                              state:
+ *                                  type: boolean
+ *                                  example: true
+ *                              data:
+ *                                  type: array
+ *                                  items:
+ *                                      $ref: '#/components/schemas/StockMovement'
+ *                              meta:
+ *                                  type: object
+ *                                  example: { total: 1, page: 1, limit: 20, pages: 1 }
+ *                              links:
+ *                                  type: object
+ *                                  example: { self: /product/60f5b9f9f8db4f32fdsds4/movements?page=1, next: null, prev: null }
+ *         '400':
+ *              $ref: '#/components/responses/BadRequest'
  *         '401':
- *              description: Es necesario autenticar para obtener la respuesta solicitada
+ *              $ref: '#/components/responses/Unauthorized'
+ *         '403':
+ *              $ref: '#/components/responses/Forbidden'
+ *         '404':
+ *              $ref: '#/components/responses/NotFound'
+ *         '422':
+ *              $ref: '#/components/responses/ValidationError'
+ *         '500':
+ *              $ref: '#/components/responses/ServerError'
+ */
+routes.get('/:id/movements', authenticate, tenant, authorize('inventory:read'), validateObjectId(), getMovements)
+
+/**
+ * @swagger
+ * /:
+ * /product/{id}/lots:
+ *  get:
+ *      tags: [Product Controller]
+ *      summary: Lotes de un producto
+ *      description: Lotes disponibles y en cuarentena de un producto con vencimiento, primero los que vencen antes. Vacio en los tipos sin lotes. Rol requerido admin o inventory_manager (permiso inventory:read)
+ *      parameters:
+ *         -    in: path
+ *              name: id
+ *              schema:
+ *                  type: string
+ *              required: true
+ *              description: Identificador del producto en la BD
+ *      responses:
+ *         '200':
+ *              description: Respuesta exitosa
  *              content:
  *                  application/json:
  *                      schema:
  *                          type: object
  *                          properties:
- *                            state:
- *                              type: boolean
- *                              description: Indica si se inicio sesión o no
- *                              example: false
- *                            error:
- *                              type: string
- *                              description: Indica que error se presento
- *                              example: Session Expired
- *  
+ *                              state:
+ *                                  type: boolean
+ *                                  example: true
+ *                              data:
+ *                                  type: array
+ *                                  items:
+ *                                      $ref: '#/components/schemas/Lot'
+ *         '401':
+ *              $ref: '#/components/responses/Unauthorized'
+ *         '403':
+ *              $ref: '#/components/responses/Forbidden'
  *         '404':
- *              description: El servidor no pudo encontrar el contenido solicitado
+ *              $ref: '#/components/responses/NotFound'
+ *         '500':
+ *              $ref: '#/components/responses/ServerError'
+ */
+routes.get('/:id/lots', authenticate, tenant, authorize('inventory:read'), validateObjectId(), getLots)
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     PriceHistoryEntry:
+ *       type: object
+ *       properties:
+ *         _id:
+ *           type: string
+ *           example: 6612a0c4e1b2c3d4e5f607c1
+ *         product:
+ *           type: string
+ *           example: 60f5b9f9f8db4f32fdsds4
+ *         price:
+ *           type: number
+ *           example: 1199.99
+ *         currency:
+ *           type: string
+ *           description: Moneda de price, un cambio de moneda tambien queda en el historial
+ *           example: USD
+ *         previousPrice:
+ *           type: number
+ *           nullable: true
+ *           description: null en el precio con que se creo el producto
+ *           example: 1299.99
+ *         source:
+ *           type: string
+ *           enum: [create, update, scheduled]
+ *           description: Alta del producto, PUT o PATCH, o cambio programado
+ *           example: scheduled
+ *         scheduledPrice:
+ *           type: string
+ *           description: Solo en scheduled, cambio programado que se aplico
+ *           example: 6612a0c4e1b2c3d4e5f607d1
+ *         user:
+ *           type: string
+ *           example: 60d5ec9a1f2a4a3d98765432
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ *           example: 2026-12-01T05:00:00.000Z
+ *     ScheduledPrice:
+ *       type: object
+ *       properties:
+ *         _id:
+ *           type: string
+ *           example: 6612a0c4e1b2c3d4e5f607d1
+ *         product:
+ *           type: string
+ *           example: 60f5b9f9f8db4f32fdsds4
+ *         price:
+ *           type: number
+ *           example: 1199.99
+ *         effectiveAt:
+ *           type: string
+ *           format: date-time
+ *           example: 2026-12-01T05:00:00.000Z
+ *         status:
+ *           type: string
+ *           enum: [pending, applied, cancelled]
+ *           example: pending
+ *         appliedAt:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *           example: null
+ *         user:
+ *           type: string
+ *           example: 60d5ec9a1f2a4a3d98765432
+ */
+
+/**
+ * @swagger
+ * /:
+ * /product/{id}/price-history:
+ *  get:
+ *      tags: [Pricing Controller]
+ *      summary: Historial de precios de un producto
+ *      description: Cambios del precio de lista (alta, PUT o PATCH y cambios programados), del más reciente al más antiguo. Los productos de otra compañía responden 404
+ *      parameters:
+ *         -    in: path
+ *              name: id
+ *              schema:
+ *                  type: string
+ *              required: true
+ *              description: Identificador del producto en la BD
+ *         -    in: query
+ *              name: page
+ *              schema:
+ *                  type: integer
+ *                  minimum: 1
+ *                  default: 1
+ *         -    in: query
+ *              name: limit
+ *              schema:
+ *                  type: integer
+ *                  minimum: 1
+ *                  maximum: 100
+ *                  default: 20
+ *      responses:
+ *         '200':
+ *              description: Respuesta exitosa
  *              content:
  *                  application/json:
  *                      schema:
  *                          type: object
  *                          properties:
- *                            state:
- *                              type: boolean
- *                              description: Indica si se encontro el ID o no
- *                              example: false     
- *                            message:
- *                              type: string
- *                              description: Indica que error se presento
- *                              example: ID Company Not Found        
+ *                              state:
+ *                                  type: boolean
+ *                                  example: true
+ *                              data:
+ *                                  type: array
+ *                                  items:
+ *                                      $ref: '#/components/schemas/PriceHistoryEntry'
  *         '400':
- *              description: El servidor no pudo Restar lo solicitado
+ *              $ref: '#/components/responses/BadRequest'
+ *         '401':
+ *              $ref: '#/components/responses/Unauthorized'
+ *         '404':
+ *              $ref: '#/components/responses/NotFound'
+ *         '500':
+ *              $ref: '#/components/responses/ServerError'
+ */
+routes.get('/:id/price-history', authenticate, tenant, validateObjectId(), getPriceHistory)
+
+/**
+ * @swagger
+ * /:
+ * /product/{id}/scheduled-prices:
+ *  get:
+ *      tags: [Pricing Controller]
+ *      summary: Cambios de precio programados
+ *      description: Cambios de precio del producto (pendientes, aplicados y cancelados) por fecha
+ *      parameters:
+ *         -    in: path
+ *              name: id
+ *              schema:
+ *                  type: string
+ *              required: true
+ *              description: Identificador del producto en la BD
+ *      responses:
+ *         '200':
+ *              description: Respuesta exitosa
  *              content:
  *                  application/json:
  *                      schema:
  *                          type: object
  *                          properties:
- *                            state:
- *                              type: boolean
- *                              description: Indica si se encontro el ID o no
- *                              example: false     
- *                            message:
- *                              type: string
- *                              description: Indica que error se presento
- *                              example: Stock is less than 5
- *                              
- *                               
- *                                               
+ *                              state:
+ *                                  type: boolean
+ *                                  example: true
+ *                              data:
+ *                                  type: array
+ *                                  items:
+ *                                      $ref: '#/components/schemas/ScheduledPrice'
+ *         '401':
+ *              $ref: '#/components/responses/Unauthorized'
+ *         '404':
+ *              $ref: '#/components/responses/NotFound'
+ *         '500':
+ *              $ref: '#/components/responses/ServerError'
+ *  post:
+ *      tags: [Pricing Controller]
+ *      summary: Programar cambio de precio
+ *      description: El nuevo precio de lista se aplica cuando llega effectiveAt (la revisión corre cada SCHEDULED_PRICE_INTERVAL_MINUTES minutos) y queda en el historial de precios. Rol requerido admin o inventory_manager (permiso pricing:manage)
+ *      parameters:
+ *         -    in: path
+ *              name: id
+ *              schema:
+ *                  type: string
+ *              required: true
+ *              description: Identificador del producto en la BD
+ *      requestBody:
+ *          required: true
+ *          content:
+ *              application/json:
+ *                  schema:
+ *                      $ref: '#/components/schemas/ScheduledPriceInput'
+ *      responses:
+ *         '201':
+ *              description: Cambio programado
+ *              content:
+ *                  application/json:
+ *                      schema:
+ *                          type: object
+ *                          properties:
+ *                              state:
+ *                                  type: boolean
+ *                                  example: true
+ *                              data:
+ *                                  $ref: '#/components/schemas/ScheduledPrice'
+ *         '401':
+ *              $ref: '#/components/responses/Unauthorized'
+ *         '403':
+ *              $ref: '#/components/responses/Forbidden'
+ *         '404':
+ *              $ref: '#/components/responses/NotFound'
+ *         '422':
+ *              $ref: '#/components/responses/ValidationError'
+ *         '500':
+ *              $ref: '#/components/responses/ServerError'
+ */
+routes.get('/:id/scheduled-prices', authenticate, tenant, validateObjectId(), getScheduledPrices)
+routes.post('/:id/scheduled-prices', authenticate, tenant, authorize('pricing:manage'), validateObjectId(), validateBody(ScheduledPriceInput), schedulePrice)
+
+/**
+ * @swagger
+ * /:
+ * /product/{id}/scheduled-prices/{scheduleId}:
+ *  delete:
+ *      tags: [Pricing Controller]
+ *      summary: Cancelar cambio de precio programado
+ *      description: Solo los pendientes, uno ya aplicado o cancelado responde 409 SCHEDULED_PRICE_NOT_PENDING. Rol requerido admin o inventory_manager (permiso pricing:manage)
+ *      parameters:
+ *         -    in: path
+ *              name: id
+ *              schema:
+ *                  type: string
+ *              required: true
+ *              description: Identificador del producto en la BD
+ *         -    in: path
+ *              name: scheduleId
+ *              schema:
+ *                  type: string
+ *              required: true
+ *              description: Identificador del cambio programado
+ *      responses:
+ *         '200':
+ *              description: Cambio cancelado
+ *              content:
+ *                  application/json:
+ *                      schema:
+ *                          type: object
+ *                          properties:
+ *                              state:
+ *                                  type: boolean
+ *                                  example: true
+ *                              data:
+ *                                  $ref: '#/components/schemas/ScheduledPrice'
+ *         '401':
+ *              $ref: '#/components/responses/Unauthorized'
+ *         '403':
+ *              $ref: '#/components/responses/Forbidden'
+ *         '404':
+ *              $ref: '#/components/responses/NotFound'
+ *         '409':
+ *              $ref: '#/components/responses/Conflict'
+ *         '500':
+ *              $ref: '#/components/responses/ServerError'
+ */
+routes.delete('/:id/scheduled-prices/:scheduleId', authenticate, tenant, authorize('pricing:manage'), validateObjectId(), validateObjectId('scheduleId'), cancelScheduledPrice)
+
+/**
+ * @swagger
+ * /:
+ * /product/{id}/adjustments:
+ *  post:
+ *      tags: [Product Controller]
+ *      summary: Ajuste manual de stock
+ *      description: Suma o resta unidades al stock con un motivo (mermas, conteo fisico) y lo registra en el historial. El stock no puede quedar negativo. En productos con variantes se indica la variante (variant) y se ajusta su stock y el total. En productos con lotes un ajuste positivo crea un lote y uno negativo descuenta de los lotes sin vencer que vencen antes. Rol requerido admin o inventory_manager (permiso product:adjust)
+ *      parameters:
+ *         -    in: path
+ *              name: id
+ *              schema:
+ *                  type: string
+ *              required: true
+ *              description: Identificador del producto en la BD
+ *      requestBody:
+ *          required: true
+ *          content:
+ *              application/json:
+ *                  schema:
+ *                      $ref: '#/components/schemas/StockAdjustmentInput'
+ *      responses:
+ *         '201':
+ *              description: Stock ajustado
+ *              content:
+ *                  application/json:
+ *                      schema:
+ *                          type: object
+ *                          properties:
+ *                              state:
+ *                                  type: boolean
+ *                                  example: true
+ *                              data:
+ *                                  $ref: '#/components/schemas/BaseProduct'
+ *                              movement:
+ *                                  $ref: '#/components/schemas/StockMovement'
+ *         '400':
+ *              $ref: '#/components/responses/BadRequest'
+ *         '401':
+ *              $ref: '#/components/responses/Unauthorized'
+ *         '403':
+ *              $ref: '#/components/responses/Forbidden'
+ *         '404':
+ *              $ref: '#/components/responses/NotFound'
+ *         '422':
+ *              $ref: '#/components/responses/ValidationError'
+ *         '500':
+ *              $ref: '#/components/responses/ServerError'
  */
-routes.put('/sell/:id', sellProducts)
+routes.post('/:id/adjustments', authenticate, tenant, authorize('product:adjust'), validateObjectId(), validateBody(StockAdjustmentInput), adjustStock)
 
-export default routes
+export default routes
\ No newline at end of file
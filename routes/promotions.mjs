@@ -0,0 +1,252 @@
+import express from 'express'
+import { getPromotions, getPromotion, createPromotion, updatePromotion, deletePromotion } from '../controllers/controller-pricing.js'
+import { authenticate, authorize, tenant } from '../middlewares/auth.mjs'
+import { validateBody, validateObjectId } from '../middlewares/validate.mjs'
+import { PromotionInput } from '../schemas/pricing.mjs'
+
+const route = express.Router()
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Promotion:
+ *       type: object
+ *       properties:
+ *         _id:
+ *           type: string
+ *           example: 6612a0c4e1b2c3d4e5f607b1
+ *         name:
+ *           type: string
+ *           example: Black Friday Tecnologia
+ *         discountType:
+ *           type: string
+ *           enum: [percent, fixed]
+ *           example: percent
+ *         value:
+ *           type: number
+ *           example: 15
+ *         currency:
+ *           type: string
+ *           description: Moneda de value en las promociones fixed
+ *           example: USD
+ *         scope:
+ *           type: string
+ *           enum: [product, category, type]
+ *           example: type
+ *         product:
+ *           type: string
+ *           description: Solo con scope product
+ *           example: 60f5b9f9f8db4f32fdsds4
+ *         category:
+ *           type: string
+ *           description: Solo con scope category
+ *           example: Snacks
+ *         numberCategory:
+ *           type: integer
+ *           description: Solo con scope type
+ *           example: 1
+ *         startsAt:
+ *           type: string
+ *           format: date-time
+ *           example: 2026-11-27T05:00:00.000Z
+ *         endsAt:
+ *           type: string
+ *           format: date-time
+ *           example: 2026-11-30T05:00:00.000Z
+ *         user:
+ *           type: string
+ *           example: 60d5ec9a1f2a4a3d98765432
+ */
+
+/**
+ * @swagger
+ * /:
+ * /promotions:
+ *  get:
+ *      tags: [Pricing Controller]
+ *      summary: Listar promociones
+ *      description: Promociones de la compañía, de la que empieza más tarde a la más temprana. status filtra las vigentes (active), las que aun no empiezan (upcoming) o las terminadas (ended)
+ *      parameters:
+ *         -    in: query
+ *              name: status
+ *              schema:
+ *                  type: string
+ *                  enum: [active, upcoming, ended]
+ *         -    in: query
+ *              name: page
+ *              schema:
+ *                  type: integer
+ *                  minimum: 1
+ *                  default: 1
+ *         -    in: query
+ *              name: limit
+ *              schema:
+ *                  type: integer
+ *                  minimum: 1
+ *                  maximum: 100
+ *                  default: 20
+ *      responses:
+ *         '200':
+ *              description: Respuesta exitosa
+ *              content:
+ *                  application/json:
+ *                      schema:
+ *                          type: object
+ *                          properties:
+ *                              state:
+ *                                  type: boolean
+ *                                  example: true
+ *                              data:
+ *                                  type: array
+ *                                  items:
+ *                                      $ref: '#/components/schemas/Promotion'
+ *         '400':
+ *              $ref: '#/components/responses/BadRequest'
+ *         '401':
+ *              $ref: '#/components/responses/Unauthorized'
+ *         '500':
+ *              $ref: '#/components/responses/ServerError'
+ *  post:
+ *      tags: [Pricing Controller]
+ *      summary: Crear promoción
+ *      description: Descuento por porcentaje (percent) o valor fijo (fixed) sobre un producto, una categoría o un tipo (numberCategory) entre startsAt y endsAt. Solo se envia el campo del alcance (scope). Si varias promociones aplican al mismo producto se usa la que deja el menor precio, no se acumulan. Las ordenes cobran el precio efectivo. Rol requerido admin o inventory_manager (permiso pricing:manage)
+ *      requestBody:
+ *          required: true
+ *          content:
+ *              application/json:
+ *                  schema:
+ *                      $ref: '#/components/schemas/PromotionInput'
+ *      responses:
+ *         '201':
+ *              description: Promoción creada
+ *              content:
+ *                  application/json:
+ *                      schema:
+ *                          type: object
+ *                          properties:
+ *                              state:
+ *                                  type: boolean
+ *                                  example: true
+ *                              data:
+ *                                  $ref: '#/components/schemas/Promotion'
+ *         '401':
+ *              $ref: '#/components/responses/Unauthorized'
+ *         '403':
+ *              $ref: '#/components/responses/Forbidden'
+ *         '422':
+ *              $ref: '#/components/responses/ValidationError'
+ *         '500':
+ *              $ref: '#/components/responses/ServerError'
+ */
+route.get('/', authenticate, tenant, getPromotions)
+route.post('/', authenticate, tenant, authorize('pricing:manage'), validateBody(PromotionInput), createPromotion)
+
+/**
+ * @swagger
+ * /:
+ * /promotions/{id}:
+ *  get:
+ *      tags: [Pricing Controller]
+ *      summary: Buscar promoción por ID
+ *      parameters:
+ *         -    in: path
+ *              name: id
+ *              schema:
+ *                  type: string
+ *              required: true
+ *      responses:
+ *         '200':
+ *              description: Respuesta exitosa
+ *              content:
+ *                  application/json:
+ *                      schema:
+ *                          type: object
+ *                          properties:
+ *                              state:
+ *                                  type: boolean
+ *                                  example: true
+ *                              data:
+ *                                  $ref: '#/components/schemas/Promotion'
+ *         '401':
+ *              $ref: '#/components/responses/Unauthorized'
+ *         '404':
+ *              $ref: '#/components/responses/NotFound'
+ *         '500':
+ *              $ref: '#/components/responses/ServerError'
+ *  put:
+ *      tags: [Pricing Controller]
+ *      summary: Reemplazar promoción
+ *      description: Rol requerido admin o inventory_manager (permiso pricing:manage)
+ *      parameters:
+ *         -    in: path
+ *              name: id
+ *              schema:
+ *                  type: string
+ *              required: true
+ *      requestBody:
+ *          required: true
+ *          content:
+ *              application/json:
+ *                  schema:
+ *                      $ref: '#/components/schemas/PromotionInput'
+ *      responses:
+ *         '200':
+ *              description: Promoción actualizada
+ *              content:
+ *                  application/json:
+ *                      schema:
+ *                          type: object
+ *                          properties:
+ *                              state:
+ *                                  type: boolean
+ *                                  example: true
+ *                              data:
+ *                                  $ref: '#/components/schemas/Promotion'
+ *         '401':
+ *              $ref: '#/components/responses/Unauthorized'
+ *         '403':
+ *              $ref: '#/components/responses/Forbidden'
+ *         '404':
+ *              $ref: '#/components/responses/NotFound'
+ *         '422':
+ *              $ref: '#/components/responses/ValidationError'
+ *         '500':
+ *              $ref: '#/components/responses/ServerError'
+ *  delete:
+ *      tags: [Pricing Controller]
+ *      summary: Eliminar promoción
+ *      description: Las ordenes ya creadas conservan el precio cobrado. Rol requerido admin o inventory_manager (permiso pricing:manage)
+ *      parameters:
+ *         -    in: path
+ *              name: id
+ *              schema:
+ *                  type: string
+ *              required: true
+ *      responses:
+ *         '200':
+ *              description: Promoción eliminada
+ *              content:
+ *                  application/json:
+ *                      schema:
+ *                          type: object
+ *                          properties:
+ *                              state:
+ *                                  type: boolean
+ *                                  example: true
+ *                              data:
+ *                                  $ref: '#/components/schemas/Promotion'
+ *         '401':
+ *              $ref: '#/components/responses/Unauthorized'
+ *         '403':
+ *              $ref: '#/components/responses/Forbidden'
+ *         '404':
+ *              $ref: '#/components/responses/NotFound'
+ *         '500':
+ *              $ref: '#/components/responses/ServerError'
+ */
+route.get('/:id', authenticate, tenant, validateObjectId(), getPromotion)
+route.put('/:id', authenticate, tenant, authorize('pricing:manage'), validateObjectId(), validateBody(PromotionInput), updatePromotion)
+route.delete('/:id', authenticate, tenant, authorize('pricing:manage'), validateObjectId(), deletePromotion)
+
+export default route
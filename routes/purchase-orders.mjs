@@ -0,0 +1,331 @@
+import express from 'express'
+import { getPurchaseOrders, getPurchaseOrder, createPurchaseOrder, changeStatus, receive } from '../controllers/controller-purchase-orders.js'
+import { authenticate, authorize, tenant } from '../middlewares/auth.mjs'
+import { validateBody, validateObjectId } from '../middlewares/validate.mjs'
+import { PurchaseOrderInput, PurchaseOrderStatusInput, ReceiptInput } from '../schemas/purchase-order.mjs'
+
+const route = express.Router()
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     PurchaseOrder:
+ *       type: object
+ *       properties:
+ *         _id:
+ *           type: string
+ *           example: 6612a0c4e1b2c3d4e5f60740
+ *         supplier:
+ *           type: string
+ *           example: 6612a0c4e1b2c3d4e5f60730
+ *         lines:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               _id:
+ *                 type: string
+ *                 description: Identificador de la linea, se usa al recibir mercancia
+ *                 example: 6612a0c4e1b2c3d4e5f60741
+ *               product:
+ *                 type: string
+ *                 example: 60f5b9f9f8db4f32fdsds4
+ *               id:
+ *                 type: integer
+ *                 example: 1001
+ *               name:
+ *                 type: string
+ *                 example: Q-Phone Pro
+ *               variant:
+ *                 type: string
+ *                 description: Solo en productos con variantes, la mercancia entra al stock de la variante
+ *                 example: 6612a0c4e1b2c3d4e5f60761
+ *               sku:
+ *                 type: string
+ *                 example: ADI-TSH-M-NEG
+ *               quantity:
+ *                 type: integer
+ *                 example: 100
+ *               unitCost:
+ *                 type: number
+ *                 example: 850.5
+ *               received:
+ *                 type: integer
+ *                 example: 40
+ *         total:
+ *           type: number
+ *           description: Costo total pactado
+ *           example: 85050
+ *         status:
+ *           type: string
+ *           enum: [draft, sent, partially_received, received]
+ *           example: partially_received
+ *         statusHistory:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               status:
+ *                 type: string
+ *                 example: sent
+ *               at:
+ *                 type: string
+ *                 format: date-time
+ *                 example: 2025-04-08T15:30:00.000Z
+ *               user:
+ *                 type: string
+ *                 example: 60d5ec9a1f2a4a3d98765432
+ *         receipts:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               line:
+ *                 type: string
+ *                 example: 6612a0c4e1b2c3d4e5f60741
+ *               product:
+ *                 type: string
+ *                 example: 60f5b9f9f8db4f32fdsds4
+ *               variant:
+ *                 type: string
+ *                 example: 6612a0c4e1b2c3d4e5f60761
+ *               quantity:
+ *                 type: integer
+ *                 example: 40
+ *               unitCost:
+ *                 type: number
+ *                 example: 850.5
+ *               at:
+ *                 type: string
+ *                 format: date-time
+ *                 example: 2025-04-10T09:00:00.000Z
+ *               user:
+ *                 type: string
+ *                 example: 60d5ec9a1f2a4a3d98765432
+ *         notes:
+ *           type: string
+ *           example: Entrega en bodega principal
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ *           example: 2025-04-08T15:30:00.000Z
+ */
+
+/**
+ * @swagger
+ * /:
+ * /purchase-orders/:
+ *  get:
+ *      tags: [Purchasing Controller]
+ *      summary: Listar ordenes de compra
+ *      description: De la más reciente a la más antigua. Rol requerido admin o inventory_manager (permiso purchase:read)
+ *      parameters:
+ *         -    in: query
+ *              name: status
+ *              schema:
+ *                  type: string
+ *                  enum: [draft, sent, partially_received, received]
+ *         -    in: query
+ *              name: supplier
+ *              schema:
+ *                  type: string
+ *              description: Identificador del proveedor
+ *         -    in: query
+ *              name: page
+ *              schema:
+ *                  type: integer
+ *                  minimum: 1
+ *                  default: 1
+ *         -    in: query
+ *              name: limit
+ *              schema:
+ *                  type: integer
+ *                  minimum: 1
+ *                  maximum: 100
+ *                  default: 20
+ *      responses:
+ *         '200':
+ *              description: Respuesta exitosa
+ *              content:
+ *                  application/json:
+ *                      schema:
+ *                          type: object
+ *                          properties:
+ *                              state:
+ *                                  type: boolean
+ *                                  example: true
+ *                              data:
+ *                                  type: array
+ *                                  items:
+ *                                      $ref: '#/components/schemas/PurchaseOrder'
+ *         '400':
+ *              $ref: '#/components/responses/BadRequest'
+ *         '401':
+ *              $ref: '#/components/responses/Unauthorized'
+ *         '403':
+ *              $ref: '#/components/responses/Forbidden'
+ *         '500':
+ *              $ref: '#/components/responses/ServerError'
+ *  post:
+ *      tags: [Purchasing Controller]
+ *      summary: Crear orden de compra
+ *      description: Se crea en draft con los productos, cantidades y costos pactados. No cambia el stock. El proveedor debe existir y estar activo. Rol requerido admin o inventory_manager (permiso purchase:manage)
+ *      requestBody:
+ *          required: true
+ *          content:
+ *              application/json:
+ *                  schema:
+ *                      $ref: '#/components/schemas/PurchaseOrderInput'
+ *      responses:
+ *         '201':
+ *              description: Orden de compra creada
+ *              content:
+ *                  application/json:
+ *                      schema:
+ *                          type: object
+ *                          properties:
+ *                              state:
+ *                                  type: boolean
+ *                                  example: true
+ *                              data:
+ *                                  $ref: '#/components/schemas/PurchaseOrder'
+ *         '401':
+ *              $ref: '#/components/responses/Unauthorized'
+ *         '403':
+ *              $ref: '#/components/responses/Forbidden'
+ *         '422':
+ *              $ref: '#/components/responses/ValidationError'
+ *         '500':
+ *              $ref: '#/components/responses/ServerError'
+ */
+route.get('/', authenticate, tenant, authorize('purchase:read'), getPurchaseOrders)
+route.post('/', authenticate, tenant, authorize('purchase:manage'), validateBody(PurchaseOrderInput), createPurchaseOrder)
+
+/**
+ * @swagger
+ * /:
+ * /purchase-orders/{id}:
+ *  get:
+ *      tags: [Purchasing Controller]
+ *      summary: Buscar orden de compra por ID
+ *      description: Rol requerido admin o inventory_manager (permiso purchase:read)
+ *      parameters:
+ *         -    in: path
+ *              name: id
+ *              schema:
+ *                  type: string
+ *              required: true
+ *              description: Identificador de la orden de compra en la BD
+ *      responses:
+ *         '200':
+ *              description: Respuesta exitosa
+ *              content:
+ *                  application/json:
+ *                      schema:
+ *                          type: object
+ *                          properties:
+ *                              state:
+ *                                  type: boolean
+ *                                  example: true
+ *                              data:
+ *                                  $ref: '#/components/schemas/PurchaseOrder'
+ *         '401':
+ *              $ref: '#/components/responses/Unauthorized'
+ *         '403':
+ *              $ref: '#/components/responses/Forbidden'
+ *         '404':
+ *              $ref: '#/components/responses/NotFound'
+ *         '500':
+ *              $ref: '#/components/responses/ServerError'
+ */
+route.get('/:id', authenticate, tenant, authorize('purchase:read'), validateObjectId(), getPurchaseOrder)
+
+/**
+ * @swagger
+ * /:
+ * /purchase-orders/{id}/status:
+ *  put:
+ *      tags: [Purchasing Controller]
+ *      summary: Enviar orden de compra
+ *      description: Pasa la orden de draft a sent. Los estados partially_received y received los asigna la recepción de mercancia. Rol requerido admin o inventory_manager (permiso purchase:manage)
+ *      parameters:
+ *         -    in: path
+ *              name: id
+ *              schema:
+ *                  type: string
+ *              required: true
+ *      requestBody:
+ *          required: true
+ *          content:
+ *              application/json:
+ *                  schema:
+ *                      $ref: '#/components/schemas/PurchaseOrderStatusInput'
+ *      responses:
+ *         '200':
+ *              description: Estado actualizado
+ *         '401':
+ *              $ref: '#/components/responses/Unauthorized'
+ *         '403':
+ *              $ref: '#/components/responses/Forbidden'
+ *         '404':
+ *              $ref: '#/components/responses/NotFound'
+ *         '409':
+ *              $ref: '#/components/responses/Conflict'
+ *         '422':
+ *              $ref: '#/components/responses/ValidationError'
+ *         '500':
+ *              $ref: '#/components/responses/ServerError'
+ */
+route.put('/:id/status', authenticate, tenant, authorize('purchase:manage'), validateObjectId(), validateBody(PurchaseOrderStatusInput), changeStatus)
+
+/**
+ * @swagger
+ * /:
+ * /purchase-orders/{id}/receipts:
+ *  post:
+ *      tags: [Purchasing Controller]
+ *      summary: Recibir mercancia
+ *      description: Suma al stock las unidades recibidas contra las lineas de una orden en sent o partially_received. Cada linea queda como movimiento receipt con su costo unitario (si no se envia se usa el de la linea). No se puede recibir más de lo pedido. En productos con lotes (Food) cada item recibido crea un lote que vence en expiresAt o, si no se envia, expirationDays dias despues de recibido. Cuando todas las lineas estan completas la orden pasa a received, si no a partially_received. Rol requerido admin o inventory_manager (permiso product:restock)
+ *      parameters:
+ *         -    in: path
+ *              name: id
+ *              schema:
+ *                  type: string
+ *              required: true
+ *      requestBody:
+ *          required: true
+ *          content:
+ *              application/json:
+ *                  schema:
+ *                      $ref: '#/components/schemas/ReceiptInput'
+ *      responses:
+ *         '201':
+ *              description: Mercancia recibida
+ *              content:
+ *                  application/json:
+ *                      schema:
+ *                          type: object
+ *                          properties:
+ *                              state:
+ *                                  type: boolean
+ *                                  example: true
+ *                              data:
+ *                                  $ref: '#/components/schemas/PurchaseOrder'
+ *         '401':
+ *              $ref: '#/components/responses/Unauthorized'
+ *         '403':
+ *              $ref: '#/components/responses/Forbidden'
+ *         '404':
+ *              $ref: '#/components/responses/NotFound'
+ *         '409':
+ *              $ref: '#/components/responses/Conflict'
+ *         '422':
+ *              $ref: '#/components/responses/ValidationError'
+ *         '500':
+ *              $ref: '#/components/responses/ServerError'
+ */
+route.post('/:id/receipts', authenticate, tenant, authorize('product:restock'), validateObjectId(), validateBody(ReceiptInput), receive)
+
+
+export default route
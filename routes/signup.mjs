@@ -0,0 +1,72 @@
+import express from 'express'
+import { signup } from '../controllers/controller-signin.js'
+
+const route = express.Router()
+
+
+/**
+ * @swagger
+ * /:
+ * /signup/:
+ *  post:
+ *      tags: [Loggin Controller]
+ *      summary: Crear Usuario
+ *      description: Registro de un nuevo usuario, la contraseña se guarda cifrada (scrypt)
+ *      requestBody:
+ *          description: Correo y contraseña del nuevo usuario. La contraseña debe tener minimo 8 caracteres, una mayuscula, una minuscula, un numero y un simbolo
+ *          required: true
+ *          content:
+ *              application/json:
+ *                  schema:
+ *                      type: object    
+ *                      properties:
+ *                          mail:
+ *                              type: string
+ *                              description: Correo con el cual se registra
+ *                              example: example@gmail.com
+ *                          password:
+ *                              type: string
+ *                              description: Contraseña con la que se inicia sesión
+ *                              example: IsthismyP@ssw0rd
+ *      responses:
+ *         '201':
+ *              description: Usuario creado
+ *              content:
+ *                  application/json:
+ *                     schema:
+ *                         type: object
+ *                         properties:
+ *                            state:
+ *                              type: boolean
+ *                              description: Indica si se creo el usuario o no
+ *                              example: true
+ *                            message:
+ *                              type: string
+ *                              description: Indica el resultado de la solicitud
+ *                              example: User Created
+ *                            data:
+ *                              type: object
+ *                              properties:
+ *                                  _id:
+ *                                      type: string
+ *                                      example: 60d5ec9a1f2a4a3d98765432
+ *                                  mail:
+ *                                      type: string
+ *                                      example: example@gmail.com
+ *                                  roles:
+ *                                      type: array
+ *                                      items:
+ *                                          type: string
+ *                                      description: Los usuarios nuevos siempre quedan como viewer
+ *                                      example: [viewer]
+ *         '422':
+ *              $ref: '#/components/responses/ValidationError'
+ *         '409':
+ *              $ref: '#/components/responses/Conflict'
+ *         '500':
+ *              $ref: '#/components/responses/ServerError'
+ */
+route.post('/', signup);
+
+
+export default route
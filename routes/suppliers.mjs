@@ -0,0 +1,188 @@
+import express from 'express'
+import { getSuppliers, getSupplier, createSupplier, updateSupplier, deleteSupplier } from '../controllers/controller-suppliers.js'
+import { authenticate, authorize, tenant } from '../middlewares/auth.mjs'
+import { validateBody, validateObjectId } from '../middlewares/validate.mjs'
+import { SupplierInput } from '../schemas/purchase-order.mjs'
+
+const route = express.Router()
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Supplier:
+ *       type: object
+ *       properties:
+ *         _id:
+ *           type: string
+ *           example: 6612a0c4e1b2c3d4e5f60730
+ *         name:
+ *           type: string
+ *           example: Distribuidora Andina
+ *         mail:
+ *           type: string
+ *           example: ventas@andina.com
+ *         phone:
+ *           type: string
+ *           example: +57 601 555 0101
+ *         address:
+ *           type: string
+ *           example: Calle 10 # 20-30, Bogotá
+ *         active:
+ *           type: boolean
+ *           example: true
+ */
+
+/**
+ * @swagger
+ * /:
+ * /suppliers/:
+ *  get:
+ *      tags: [Purchasing Controller]
+ *      summary: Listar proveedores
+ *      description: Rol requerido admin o inventory_manager (permiso purchase:read)
+ *      responses:
+ *         '200':
+ *              description: Respuesta exitosa
+ *              content:
+ *                  application/json:
+ *                      schema:
+ *                          type: object
+ *                          properties:
+ *                              state:
+ *                                  type: boolean
+ *                                  example: true
+ *                              data:
+ *                                  type: array
+ *                                  items:
+ *                                      $ref: '#/components/schemas/Supplier'
+ *         '401':
+ *              $ref: '#/components/responses/Unauthorized'
+ *         '403':
+ *              $ref: '#/components/responses/Forbidden'
+ *         '500':
+ *              $ref: '#/components/responses/ServerError'
+ *  post:
+ *      tags: [Purchasing Controller]
+ *      summary: Crear proveedor
+ *      description: El nombre es unico. Rol requerido admin o inventory_manager (permiso supplier:manage)
+ *      requestBody:
+ *          required: true
+ *          content:
+ *              application/json:
+ *                  schema:
+ *                      $ref: '#/components/schemas/SupplierInput'
+ *      responses:
+ *         '201':
+ *              description: Proveedor creado
+ *              content:
+ *                  application/json:
+ *                      schema:
+ *                          type: object
+ *                          properties:
+ *                              state:
+ *                                  type: boolean
+ *                                  example: true
+ *                              data:
+ *                                  $ref: '#/components/schemas/Supplier'
+ *         '401':
+ *              $ref: '#/components/responses/Unauthorized'
+ *         '403':
+ *              $ref: '#/components/responses/Forbidden'
+ *         '409':
+ *              $ref: '#/components/responses/Conflict'
+ *         '422':
+ *              $ref: '#/components/responses/ValidationError'
+ *         '500':
+ *              $ref: '#/components/responses/ServerError'
+ */
+route.get('/', authenticate, tenant, authorize('purchase:read'), getSuppliers)
+route.post('/', authenticate, tenant, authorize('supplier:manage'), validateBody(SupplierInput), createSupplier)
+
+/**
+ * @swagger
+ * /:
+ * /suppliers/{id}:
+ *  get:
+ *      tags: [Purchasing Controller]
+ *      summary: Buscar proveedor por ID
+ *      description: Rol requerido admin o inventory_manager (permiso purchase:read)
+ *      parameters:
+ *         -    in: path
+ *              name: id
+ *              schema:
+ *                  type: string
+ *              required: true
+ *              description: Identificador del proveedor en la BD
+ *      responses:
+ *         '200':
+ *              description: Respuesta exitosa
+ *         '401':
+ *              $ref: '#/components/responses/Unauthorized'
+ *         '403':
+ *              $ref: '#/components/responses/Forbidden'
+ *         '404':
+ *              $ref: '#/components/responses/NotFound'
+ *         '500':
+ *              $ref: '#/components/responses/ServerError'
+ *  put:
+ *      tags: [Purchasing Controller]
+ *      summary: Actualizar proveedor
+ *      description: Reemplaza los datos del proveedor. Para que no reciba ordenes nuevas se envia active en false. Rol requerido admin o inventory_manager (permiso supplier:manage)
+ *      parameters:
+ *         -    in: path
+ *              name: id
+ *              schema:
+ *                  type: string
+ *              required: true
+ *      requestBody:
+ *          required: true
+ *          content:
+ *              application/json:
+ *                  schema:
+ *                      $ref: '#/components/schemas/SupplierInput'
+ *      responses:
+ *         '200':
+ *              description: Proveedor actualizado
+ *         '401':
+ *              $ref: '#/components/responses/Unauthorized'
+ *         '403':
+ *              $ref: '#/components/responses/Forbidden'
+ *         '404':
+ *              $ref: '#/components/responses/NotFound'
+ *         '409':
+ *              $ref: '#/components/responses/Conflict'
+ *         '422':
+ *              $ref: '#/components/responses/ValidationError'
+ *         '500':
+ *              $ref: '#/components/responses/ServerError'
+ *  delete:
+ *      tags: [Purchasing Controller]
+ *      summary: Eliminar proveedor
+ *      description: Solo se eliminan proveedores sin ordenes de compra, si tiene ordenes se responde 409 SUPPLIER_IN_USE. Rol requerido admin o inventory_manager (permiso supplier:manage)
+ *      parameters:
+ *         -    in: path
+ *              name: id
+ *              schema:
+ *                  type: string
+ *              required: true
+ *      responses:
+ *         '200':
+ *              description: Proveedor eliminado
+ *         '401':
+ *              $ref: '#/components/responses/Unauthorized'
+ *         '403':
+ *              $ref: '#/components/responses/Forbidden'
+ *         '404':
+ *              $ref: '#/components/responses/NotFound'
+ *         '409':
+ *              $ref: '#/components/responses/Conflict'
+ *         '500':
+ *              $ref: '#/components/responses/ServerError'
+ */
+route.get('/:id', authenticate, tenant, authorize('purchase:read'), validateObjectId(), getSupplier)
+route.put('/:id', authenticate, tenant, authorize('supplier:manage'), validateObjectId(), validateBody(SupplierInput), updateSupplier)
+route.delete('/:id', authenticate, tenant, authorize('supplier:manage'), validateObjectId(), deleteSupplier)
+
+
+export default route
@@ -0,0 +1,123 @@
+import express from 'express'
+import { getTaxRules, saveTaxRule, deleteTaxRule } from '../controllers/controller-pricing.js'
+import { authenticate, authorize, tenant } from '../middlewares/auth.mjs'
+import { validateBody } from '../middlewares/validate.mjs'
+import { TaxRuleInput } from '../schemas/pricing.mjs'
+
+const route = express.Router()
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     TaxRule:
+ *       type: object
+ *       properties:
+ *         _id:
+ *           type: string
+ *           example: 6612a0c4e1b2c3d4e5f607d1
+ *         category:
+ *           type: string
+ *           example: Snacks
+ *         name:
+ *           type: string
+ *           example: IVA
+ *         rate:
+ *           type: number
+ *           description: Porcentaje sobre el precio neto
+ *           example: 19
+ */
+
+/**
+ * @swagger
+ * /:
+ * /tax-rules/:
+ *  get:
+ *      tags: [Pricing Controller]
+ *      summary: Listar impuestos por categoría
+ *      description: Impuestos de la compañía por categoría y el porcentaje de las categorías sin regla (DEFAULT_TAX_RATE). Los precios de los productos son netos, las ventas y ordenes suman el impuesto
+ *      responses:
+ *         '200':
+ *              description: Respuesta exitosa
+ *              content:
+ *                  application/json:
+ *                      schema:
+ *                          type: object
+ *                          properties:
+ *                              state:
+ *                                  type: boolean
+ *                                  example: true
+ *                              defaultRate:
+ *                                  type: number
+ *                                  example: 0
+ *                              data:
+ *                                  type: array
+ *                                  items:
+ *                                      $ref: '#/components/schemas/TaxRule'
+ *         '401':
+ *              $ref: '#/components/responses/Unauthorized'
+ *         '500':
+ *              $ref: '#/components/responses/ServerError'
+ */
+route.get('/', authenticate, tenant, getTaxRules)
+
+/**
+ * @swagger
+ * /:
+ * /tax-rules/{category}:
+ *  put:
+ *      tags: [Pricing Controller]
+ *      summary: Guardar impuesto de una categoría
+ *      description: Crea o reemplaza el impuesto de la categoría, las ordenes ya creadas conservan el suyo. Rol requerido admin (permiso pricing:configure)
+ *      parameters:
+ *         -    in: path
+ *              name: category
+ *              schema:
+ *                  type: string
+ *              required: true
+ *              description: Categoría del producto (campo category)
+ *              example: Snacks
+ *      requestBody:
+ *          required: true
+ *          content:
+ *              application/json:
+ *                  schema:
+ *                      $ref: '#/components/schemas/TaxRuleInput'
+ *      responses:
+ *         '200':
+ *              description: Impuesto guardado
+ *         '401':
+ *              $ref: '#/components/responses/Unauthorized'
+ *         '403':
+ *              $ref: '#/components/responses/Forbidden'
+ *         '422':
+ *              $ref: '#/components/responses/ValidationError'
+ *         '500':
+ *              $ref: '#/components/responses/ServerError'
+ *  delete:
+ *      tags: [Pricing Controller]
+ *      summary: Eliminar impuesto de una categoría
+ *      description: La categoría vuelve al porcentaje por defecto. Rol requerido admin (permiso pricing:configure)
+ *      parameters:
+ *         -    in: path
+ *              name: category
+ *              schema:
+ *                  type: string
+ *              required: true
+ *      responses:
+ *         '200':
+ *              description: Impuesto eliminado
+ *         '401':
+ *              $ref: '#/components/responses/Unauthorized'
+ *         '403':
+ *              $ref: '#/components/responses/Forbidden'
+ *         '404':
+ *              $ref: '#/components/responses/NotFound'
+ *         '500':
+ *              $ref: '#/components/responses/ServerError'
+ */
+route.put('/:category', authenticate, tenant, authorize('pricing:configure'), validateBody(TaxRuleInput), saveTaxRule)
+route.delete('/:category', authenticate, tenant, authorize('pricing:configure'), deleteTaxRule)
+
+
+export default route
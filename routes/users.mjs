@@ -0,0 +1,135 @@
+import express from 'express'
+import { getUsers, assignRoles, assignCompany } from '../controllers/controller-users.js'
+import { authenticate, authorize } from '../middlewares/auth.mjs'
+import { validateBody, validateObjectId } from '../middlewares/validate.mjs'
+import { UserCompanyInput } from '../schemas/company.mjs'
+import { UserRolesInput } from '../schemas/user.mjs'
+
+const route = express.Router()
+
+/**
+ * @swagger
+ * /:
+ * /users/:
+ *  get:
+ *      tags: [User Controller]
+ *      summary: Listar Usuarios
+ *      description: Lista los usuarios de la compañía con sus roles; un platform_admin ve los de todas las compañías. Rol requerido admin o platform_admin (permiso user:manage)
+ *      responses:
+ *         '200':
+ *              description: Respuesta exitosa
+ *              content:
+ *                  application/json:
+ *                      schema:
+ *                          type: object
+ *                          properties:
+ *                            state:
+ *                              type: boolean
+ *                              example: true
+ *                            data:
+ *                              type: array
+ *                              items:
+ *                                  type: object
+ *                                  properties:
+ *                                      _id:
+ *                                          type: string
+ *                                          example: 60d5ec9a1f2a4a3d98765432
+ *                                      mail:
+ *                                          type: string
+ *                                          example: example@gmail.com
+ *                                      roles:
+ *                                          type: array
+ *                                          items:
+ *                                              type: string
+ *                                          example: [seller]
+ *                                      company:
+ *                                          type: string
+ *                                          nullable: true
+ *                                          example: 60d5ec9a1f2a4a3d98765432
+ *         '401':
+ *              $ref: '#/components/responses/Unauthorized'
+ *         '403':
+ *              $ref: '#/components/responses/Forbidden'
+ *         '500':
+ *              $ref: '#/components/responses/ServerError'
+ */
+route.get('/', authenticate, authorize('user:manage'), getUsers)
+
+/**
+ * @swagger
+ * /:
+ * /users/{id}/roles:
+ *  put:
+ *      tags: [User Controller]
+ *      summary: Asignar Roles
+ *      description: Reemplaza los roles de un usuario de la compañía (404 si es de otra). Solo un platform_admin puede asignar o quitar el rol platform_admin (403 PLATFORM_ADMIN_REQUIRED) y cambiar los roles de usuarios de otras compañías. Rol requerido admin o platform_admin (permiso user:manage)
+ *      parameters:
+ *         -    in: path
+ *              name: id
+ *              schema:
+ *                  type: string
+ *              required: true
+ *              description: Identificador del usuario en la BD
+ *      requestBody:
+ *          required: true
+ *          content:
+ *              application/json:
+ *                  schema:
+ *                      $ref: '#/components/schemas/UserRolesInput'
+ *      responses:
+ *         '200':
+ *              description: Roles actualizados
+ *         '400':
+ *              $ref: '#/components/responses/BadRequest'
+ *         '422':
+ *              $ref: '#/components/responses/ValidationError'
+ *         '401':
+ *              $ref: '#/components/responses/Unauthorized'
+ *         '403':
+ *              $ref: '#/components/responses/Forbidden'
+ *         '404':
+ *              $ref: '#/components/responses/NotFound'
+ *         '500':
+ *              $ref: '#/components/responses/ServerError'
+ */
+route.put('/:id/roles', authenticate, authorize('user:manage'), validateObjectId(), validateBody(UserRolesInput), assignRoles)
+
+/**
+ * @swagger
+ * /:
+ * /users/{id}/company:
+ *  put:
+ *      tags: [User Controller]
+ *      summary: Asignar Compañía
+ *      description: Asigna la compañía del usuario. Los productos, ordenes, proveedores y politicas que consulta o modifica son siempre los de su compañía; un usuario sin compañía recibe 403 COMPANY_REQUIRED. Un admin solo puede asignar su propia compañía a usuarios que aun no tienen una (otra compañía responde 403 PLATFORM_ADMIN_REQUIRED); mover usuarios entre compañías lo hace un platform_admin. Rol requerido admin o platform_admin (permiso user:manage)
+ *      parameters:
+ *         -    in: path
+ *              name: id
+ *              schema:
+ *                  type: string
+ *              required: true
+ *              description: Identificador del usuario en la BD
+ *      requestBody:
+ *          required: true
+ *          content:
+ *              application/json:
+ *                  schema:
+ *                      $ref: '#/components/schemas/UserCompanyInput'
+ *      responses:
+ *         '200':
+ *              description: Compañía asignada
+ *         '401':
+ *              $ref: '#/components/responses/Unauthorized'
+ *         '403':
+ *              $ref: '#/components/responses/Forbidden'
+ *         '404':
+ *              $ref: '#/components/responses/NotFound'
+ *         '422':
+ *              $ref: '#/components/responses/ValidationError'
+ *         '500':
+ *              $ref: '#/components/responses/ServerError'
+ */
+route.put('/:id/company', authenticate, authorize('user:manage'), validateObjectId(), validateBody(UserCompanyInput), assignCompany)
+
+
+export default route
@@ -0,0 +1,368 @@
+import express from 'express'
+import { getWarranties, getWarranty, createClaim, getClaims, changeClaimStatus } from '../controllers/controller-warranties.js'
+import { authenticate, authorize, tenant } from '../middlewares/auth.mjs'
+import { validateBody, validateObjectId } from '../middlewares/validate.mjs'
+import { WarrantyClaimInput, WarrantyClaimStatusInput } from '../schemas/warranty.mjs'
+
+const route = express.Router()
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Warranty:
+ *       type: object
+ *       properties:
+ *         _id:
+ *           type: string
+ *           example: 6612a0c4e1b2c3d4e5f60791
+ *         serialNumber:
+ *           type: string
+ *           example: SN-1001-9F3A2B1C
+ *         product:
+ *           type: string
+ *           example: 60f5b9f9f8db4f32fdsds4
+ *         id:
+ *           type: integer
+ *           description: id del producto al momento de la venta
+ *           example: 1001
+ *         name:
+ *           type: string
+ *           example: Q-Phone Pro
+ *         variant:
+ *           type: string
+ *           description: Solo en productos con variantes
+ *           example: 6612a0c4e1b2c3d4e5f60761
+ *         sku:
+ *           type: string
+ *           example: QPH-PRO-256
+ *         warrantyYears:
+ *           type: integer
+ *           example: 2
+ *         startsAt:
+ *           type: string
+ *           format: date-time
+ *           description: Fecha de la venta
+ *           example: 2025-04-08T15:30:00.000Z
+ *         endsAt:
+ *           type: string
+ *           format: date-time
+ *           description: startsAt mas warrantyYears años
+ *           example: 2027-04-08T15:30:00.000Z
+ *         status:
+ *           type: string
+ *           enum: [active, expired]
+ *           example: active
+ *         movement:
+ *           type: string
+ *           description: Movimiento sale de la venta
+ *           example: 6612a0c4e1b2c3d4e5f60718
+ *         order:
+ *           type: string
+ *           description: Solo si se vendio con POST /orders
+ *           example: 6612a0c4e1b2c3d4e5f60720
+ *     WarrantyClaim:
+ *       type: object
+ *       properties:
+ *         _id:
+ *           type: string
+ *           example: 6612a0c4e1b2c3d4e5f607a1
+ *         warranty:
+ *           type: string
+ *           example: 6612a0c4e1b2c3d4e5f60791
+ *         serialNumber:
+ *           type: string
+ *           example: SN-1001-9F3A2B1C
+ *         product:
+ *           type: string
+ *           example: 60f5b9f9f8db4f32fdsds4
+ *         description:
+ *           type: string
+ *           example: La pantalla no enciende despues de cargar
+ *         status:
+ *           type: string
+ *           enum: [submitted, in_review, approved, rejected, resolved]
+ *           example: submitted
+ *         statusHistory:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               status:
+ *                 type: string
+ *                 example: submitted
+ *               note:
+ *                 type: string
+ *                 nullable: true
+ *                 example: null
+ *               at:
+ *                 type: string
+ *                 format: date-time
+ *                 example: 2025-05-02T10:00:00.000Z
+ *               user:
+ *                 type: string
+ *                 example: 60d5ec9a1f2a4a3d98765432
+ *         user:
+ *           type: string
+ *           description: Usuario que registro el reclamo
+ *           example: 60d5ec9a1f2a4a3d98765432
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ *           example: 2025-05-02T10:00:00.000Z
+ */
+
+/**
+ * @swagger
+ * /:
+ * /warranties:
+ *  get:
+ *      tags: [Warranty Controller]
+ *      summary: Listar garantias
+ *      description: Garantias de las unidades vendidas por la compañía, de la venta más reciente a la más antigua. Rol requerido admin, inventory_manager o seller (permiso warranty:read)
+ *      parameters:
+ *         -    in: query
+ *              name: product
+ *              schema:
+ *                  type: string
+ *              description: Identificador del producto en la BD
+ *         -    in: query
+ *              name: status
+ *              schema:
+ *                  type: string
+ *                  enum: [active, expired]
+ *         -    in: query
+ *              name: page
+ *              schema:
+ *                  type: integer
+ *                  minimum: 1
+ *                  default: 1
+ *         -    in: query
+ *              name: limit
+ *              schema:
+ *                  type: integer
+ *                  minimum: 1
+ *                  maximum: 100
+ *                  default: 20
+ *      responses:
+ *         '200':
+ *              description: Respuesta exitosa
+ *              content:
+ *                  application/json:
+ *                      schema:
+ *                          type: object
+ *                          properties:
+ *                              state:
+ *                                  type: boolean
+ *                                  example: true
+ *                              data:
+ *                                  type: array
+ *                                  items:
+ *                                      $ref: '#/components/schemas/Warranty'
+ *         '400':
+ *              $ref: '#/components/responses/BadRequest'
+ *         '401':
+ *              $ref: '#/components/responses/Unauthorized'
+ *         '403':
+ *              $ref: '#/components/responses/Forbidden'
+ *         '500':
+ *              $ref: '#/components/responses/ServerError'
+ */
+route.get('/', authenticate, tenant, authorize('warranty:read'), getWarranties)
+
+/**
+ * @swagger
+ * /:
+ * /warranties/claims:
+ *  get:
+ *      tags: [Warranty Controller]
+ *      summary: Listar reclamos de garantia
+ *      description: Reclamos de la compañía, del más reciente al más antiguo. Rol requerido admin, inventory_manager o seller (permiso warranty:read)
+ *      parameters:
+ *         -    in: query
+ *              name: status
+ *              schema:
+ *                  type: string
+ *                  enum: [submitted, in_review, approved, rejected, resolved]
+ *         -    in: query
+ *              name: page
+ *              schema:
+ *                  type: integer
+ *                  minimum: 1
+ *                  default: 1
+ *         -    in: query
+ *              name: limit
+ *              schema:
+ *                  type: integer
+ *                  minimum: 1
+ *                  maximum: 100
+ *                  default: 20
+ *      responses:
+ *         '200':
+ *              description: Respuesta exitosa
+ *              content:
+ *                  application/json:
+ *                      schema:
+ *                          type: object
+ *                          properties:
+ *                              state:
+ *                                  type: boolean
+ *                                  example: true
+ *                              data:
+ *                                  type: array
+ *                                  items:
+ *                                      $ref: '#/components/schemas/WarrantyClaim'
+ *         '400':
+ *              $ref: '#/components/responses/BadRequest'
+ *         '401':
+ *              $ref: '#/components/responses/Unauthorized'
+ *         '403':
+ *              $ref: '#/components/responses/Forbidden'
+ *         '500':
+ *              $ref: '#/components/responses/ServerError'
+ */
+route.get('/claims', authenticate, tenant, authorize('warranty:read'), getClaims)
+
+/**
+ * @swagger
+ * /:
+ * /warranties/claims/{id}/status:
+ *  put:
+ *      tags: [Warranty Controller]
+ *      summary: Cambiar estado del reclamo
+ *      description: "Transiciones permitidas: submitted a in_review o rejected; in_review a approved o rejected; approved a resolved. La nota (diagnostico, motivo del rechazo o solución) queda en el historial. Rol requerido admin o inventory_manager (permiso warranty:manage)"
+ *      parameters:
+ *         -    in: path
+ *              name: id
+ *              schema:
+ *                  type: string
+ *              required: true
+ *              description: Identificador del reclamo en la BD
+ *      requestBody:
+ *          required: true
+ *          content:
+ *              application/json:
+ *                  schema:
+ *                      $ref: '#/components/schemas/WarrantyClaimStatusInput'
+ *      responses:
+ *         '200':
+ *              description: Estado actualizado
+ *              content:
+ *                  application/json:
+ *                      schema:
+ *                          type: object
+ *                          properties:
+ *                              state:
+ *                                  type: boolean
+ *                                  example: true
+ *                              data:
+ *                                  $ref: '#/components/schemas/WarrantyClaim'
+ *         '401':
+ *              $ref: '#/components/responses/Unauthorized'
+ *         '403':
+ *              $ref: '#/components/responses/Forbidden'
+ *         '404':
+ *              $ref: '#/components/responses/NotFound'
+ *         '409':
+ *              $ref: '#/components/responses/Conflict'
+ *         '422':
+ *              $ref: '#/components/responses/ValidationError'
+ *         '500':
+ *              $ref: '#/components/responses/ServerError'
+ */
+route.put('/claims/:id/status', authenticate, tenant, authorize('warranty:manage'), validateObjectId(), validateBody(WarrantyClaimStatusInput), changeClaimStatus)
+
+/**
+ * @swagger
+ * /:
+ * /warranties/{serialNumber}:
+ *  get:
+ *      tags: [Warranty Controller]
+ *      summary: Consultar garantia por número de serie
+ *      description: Estado de la garantia (active o expired) de una unidad vendida, con sus reclamos. Rol requerido admin, inventory_manager o seller (permiso warranty:read)
+ *      parameters:
+ *         -    in: path
+ *              name: serialNumber
+ *              schema:
+ *                  type: string
+ *              required: true
+ *      responses:
+ *         '200':
+ *              description: Respuesta exitosa
+ *              content:
+ *                  application/json:
+ *                      schema:
+ *                          type: object
+ *                          properties:
+ *                              state:
+ *                                  type: boolean
+ *                                  example: true
+ *                              data:
+ *                                  allOf:
+ *                                      - $ref: '#/components/schemas/Warranty'
+ *                                      - type: object
+ *                                        properties:
+ *                                          claims:
+ *                                              type: array
+ *                                              items:
+ *                                                  $ref: '#/components/schemas/WarrantyClaim'
+ *         '401':
+ *              $ref: '#/components/responses/Unauthorized'
+ *         '403':
+ *              $ref: '#/components/responses/Forbidden'
+ *         '404':
+ *              $ref: '#/components/responses/NotFound'
+ *         '500':
+ *              $ref: '#/components/responses/ServerError'
+ */
+route.get('/:serialNumber', authenticate, tenant, authorize('warranty:read'), getWarranty)
+
+/**
+ * @swagger
+ * /:
+ * /warranties/{serialNumber}/claims:
+ *  post:
+ *      tags: [Warranty Controller]
+ *      summary: Registrar reclamo de garantia
+ *      description: Abre un reclamo en estado submitted. La garantia debe estar vigente (409 WARRANTY_EXPIRED) y sin otro reclamo abierto (409 CLAIM_ALREADY_OPEN). Rol requerido admin o seller (permiso warranty:claim)
+ *      parameters:
+ *         -    in: path
+ *              name: serialNumber
+ *              schema:
+ *                  type: string
+ *              required: true
+ *      requestBody:
+ *          required: true
+ *          content:
+ *              application/json:
+ *                  schema:
+ *                      $ref: '#/components/schemas/WarrantyClaimInput'
+ *      responses:
+ *         '201':
+ *              description: Reclamo registrado
+ *              content:
+ *                  application/json:
+ *                      schema:
+ *                          type: object
+ *                          properties:
+ *                              state:
+ *                                  type: boolean
+ *                                  example: true
+ *                              data:
+ *                                  $ref: '#/components/schemas/WarrantyClaim'
+ *         '401':
+ *              $ref: '#/components/responses/Unauthorized'
+ *         '403':
+ *              $ref: '#/components/responses/Forbidden'
+ *         '404':
+ *              $ref: '#/components/responses/NotFound'
+ *         '409':
+ *              $ref: '#/components/responses/Conflict'
+ *         '422':
+ *              $ref: '#/components/responses/ValidationError'
+ *         '500':
+ *              $ref: '#/components/responses/ServerError'
+ */
+route.post('/:serialNumber/claims', authenticate, tenant, authorize('warranty:claim'), validateBody(WarrantyClaimInput), createClaim)
+
+export default route
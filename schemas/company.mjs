@@ -0,0 +1,32 @@
+//Esquemas de entrada de compañías, igual que schemas/product.mjs alimentan la validación y Swagger
+import { OBJECT_ID_PATTERN } from './product.mjs'
+
+const CompanyInput = {
+    type: 'object',
+    required: ['name'],
+    properties: {
+        name: { type: 'string', minLength: 1, description: 'Nombre de la compañía', example: 'Quantum Tech S.A.S.' },
+        nit: { type: 'string', minLength: 1, description: 'Identificación tributaria', example: '900123456-7' },
+        mail: { type: 'string', pattern: '^[^\\s@]+@[^\\s@]+\\.[^\\s@]+$', description: 'Correo de contacto', example: 'contacto@quantum.com' },
+        phone: { type: 'string', minLength: 1, description: 'Telefono de contacto', example: '+57 601 555 0100' },
+        address: { type: 'string', minLength: 1, description: 'Dirección', example: 'Carrera 7 # 71-21, Bogotá' }
+    },
+    additionalProperties: false
+}
+
+const UserCompanyInput = {
+    type: 'object',
+    required: ['company'],
+    properties: {
+        company: { type: 'string', pattern: OBJECT_ID_PATTERN, description: 'Identificador de la compañía', example: '60d5ec9a1f2a4a3d98765432' }
+    },
+    additionalProperties: false
+}
+
+const schemas = {
+    CompanyInput,
+    UserCompanyInput
+}
+
+export { CompanyInput, UserCompanyInput }
+export default schemas
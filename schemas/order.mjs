@@ -0,0 +1,43 @@
+//Esquemas de entrada de ordenes, igual que schemas/product.mjs alimentan la validación y Swagger
+import { OBJECT_ID_PATTERN, CURRENCY_PATTERN, VARIANT_REFERENCE, SERIAL_NUMBERS } from './product.mjs'
+
+const OrderInput = {
+    type: 'object',
+    required: ['items'],
+    properties: {
+        items: {
+            type: 'array',
+            minItems: 1,
+            items: {
+                type: 'object',
+                required: ['product', 'quantity'],
+                properties: {
+                    product: { type: 'string', pattern: OBJECT_ID_PATTERN, description: 'Identificador del producto en la BD', example: '60f5b9f9f8db4f32fdsds4' },
+                    variant: VARIANT_REFERENCE,
+                    quantity: { type: 'integer', minimum: 1, description: 'Unidades a vender', example: 2 },
+                    serialNumbers: SERIAL_NUMBERS
+                },
+                additionalProperties: false
+            }
+        },
+        currency: { type: 'string', pattern: CURRENCY_PATTERN, description: 'Moneda de la orden (ISO 4217), si se omite la del primer producto', example: 'EUR' }
+    },
+    additionalProperties: false
+}
+
+const OrderStatusInput = {
+    type: 'object',
+    required: ['status'],
+    properties: {
+        status: { type: 'string', enum: ['paid', 'shipped', 'cancelled', 'refunded'], description: 'Nuevo estado de la orden', example: 'paid' }
+    },
+    additionalProperties: false
+}
+
+const schemas = {
+    OrderInput,
+    OrderStatusInput
+}
+
+export { OrderInput, OrderStatusInput }
+export default schemas
@@ -0,0 +1,59 @@
+//Esquemas de entrada de precios, promociones, tasas de cambio e impuestos, igual que schemas/product.mjs alimentan la validación y Swagger
+import { OBJECT_ID_PATTERN, CURRENCY_PATTERN } from './product.mjs'
+
+const ScheduledPriceInput = {
+    type: 'object',
+    required: ['price', 'effectiveAt'],
+    properties: {
+        price: { type: 'number', minimum: 0, description: 'Nuevo precio de lista', example: 1199.99 },
+        effectiveAt: { type: 'string', minLength: 1, description: 'Fecha (ISO 8601) desde la que rige el precio, debe ser futura', example: '2026-12-01T05:00:00.000Z' }
+    },
+    additionalProperties: false
+}
+
+const PromotionInput = {
+    type: 'object',
+    required: ['name', 'discountType', 'value', 'scope', 'startsAt', 'endsAt'],
+    properties: {
+        name: { type: 'string', minLength: 1, description: 'Nombre de la promoción', example: 'Black Friday Tecnologia' },
+        discountType: { type: 'string', enum: ['percent', 'fixed'], description: 'percent resta un porcentaje del precio, fixed un valor', example: 'percent' },
+        value: { type: 'number', minimum: 0, description: 'Porcentaje (mayor que 0 y hasta 100) o valor a restar (mayor que 0)', example: 15 },
+        currency: { type: 'string', pattern: CURRENCY_PATTERN, description: 'Solo con discountType fixed, moneda de value (ISO 4217); si se omite la de BASE_CURRENCY', example: 'USD' },
+        scope: { type: 'string', enum: ['product', 'category', 'type'], description: 'A que productos aplica: uno (product), una categoría (category) o un tipo (numberCategory)', example: 'type' },
+        product: { type: 'string', pattern: OBJECT_ID_PATTERN, description: 'Solo con scope product, identificador del producto en la BD', example: '60f5b9f9f8db4f32fdsds4' },
+        category: { type: 'string', minLength: 1, description: 'Solo con scope category', example: 'Snacks' },
+        numberCategory: { type: 'integer', description: 'Solo con scope type', example: 1 },
+        startsAt: { type: 'string', minLength: 1, description: 'Inicio (ISO 8601)', example: '2026-11-27T05:00:00.000Z' },
+        endsAt: { type: 'string', minLength: 1, description: 'Fin (ISO 8601), posterior a startsAt', example: '2026-11-30T05:00:00.000Z' }
+    },
+    additionalProperties: false
+}
+
+const ExchangeRateInput = {
+    type: 'object',
+    required: ['rate'],
+    properties: {
+        rate: { type: 'number', minimum: 0, description: 'Valor de una unidad de la moneda en BASE_CURRENCY, mayor que 0', example: 1.08 }
+    },
+    additionalProperties: false
+}
+
+const TaxRuleInput = {
+    type: 'object',
+    required: ['rate'],
+    properties: {
+        name: { type: 'string', minLength: 1, description: 'Nombre del impuesto', example: 'IVA' },
+        rate: { type: 'number', minimum: 0, description: 'Porcentaje sobre el precio neto, hasta 100', example: 19 }
+    },
+    additionalProperties: false
+}
+
+const schemas = {
+    ScheduledPriceInput,
+    PromotionInput,
+    ExchangeRateInput,
+    TaxRuleInput
+}
+
+export { ScheduledPriceInput, PromotionInput, ExchangeRateInput, TaxRuleInput }
+export default schemas
@@ -0,0 +1,35 @@
+//Esquemas de entrada de tipos de producto, igual que schemas/product.mjs alimentan la validación y Swagger
+
+const ProductTypeFieldInput = {
+    type: 'object',
+    required: ['name', 'type'],
+    properties: {
+        name: { type: 'string', pattern: '^[a-zA-Z][a-zA-Z0-9]*$', description: 'Nombre del campo en el producto', example: 'voltage' },
+        type: { type: 'string', enum: ['string', 'number', 'integer', 'boolean', 'date', 'array'], description: 'date se envia como texto ISO 8601', example: 'integer' },
+        items: { type: 'string', enum: ['string', 'number', 'integer', 'boolean'], description: 'Tipo de los elementos cuando type es array (string por defecto)', example: 'string' },
+        required: { type: 'boolean', description: 'Obligatorio al crear o reemplazar el producto', example: true },
+        default: { description: 'Valor por defecto, debe ser del tipo del campo', example: 110 },
+        description: { type: 'string', description: 'Descripción del campo', example: 'Voltaje de operación' }
+    },
+    additionalProperties: false
+}
+
+const ProductTypeInput = {
+    type: 'object',
+    required: ['numberCategory', 'name', 'label', 'fields'],
+    properties: {
+        numberCategory: { type: 'integer', minimum: 1, description: 'Número de categoría que usaran los productos de este tipo', example: 5 },
+        name: { type: 'string', pattern: '^[A-Z][A-Za-z0-9]*$', description: 'Nombre del tipo (discriminador __t)', example: 'Appliance' },
+        label: { type: 'string', minLength: 1, description: 'Nombre para mostrar', example: 'Electrodomestico' },
+        fields: { type: 'array', minItems: 1, items: ProductTypeFieldInput }
+    },
+    additionalProperties: false
+}
+
+const schemas = {
+    ProductTypeFieldInput,
+    ProductTypeInput
+}
+
+export { ProductTypeFieldInput, ProductTypeInput }
+export default schemas
@@ -0,0 +1,208 @@
+//Esquemas de entrada de productos. Se usan para validar las solicitudes (middlewares/validate.mjs)
+//y se publican en los components de Swagger (swagger.js), asi la documentación no se separa de la validación
+
+const OBJECT_ID_PATTERN = '^[0-9a-fA-F]{24}$'
+//Código de moneda ISO 4217
+const CURRENCY_PATTERN = '^[A-Z]{3}$'
+
+const stringList = (example) => ({
+    type: 'array',
+    minItems: 1,
+    items: { type: 'string', minLength: 1 },
+    example
+})
+
+//Campos de reabastecimiento, opcionales en el producto y en la politica de cada categoría
+const POLICY_PROPERTIES = {
+    safetyStock: { type: 'integer', minimum: 0, description: 'Stock minimo que debe quedar despues de una venta', example: 5 },
+    reorderPoint: { type: 'integer', minimum: 0, description: 'Al llegar a este stock se genera una alerta de reabastecimiento', example: 20 },
+    reorderQuantity: { type: 'integer', minimum: 1, description: 'Cantidad sugerida para reabastecer', example: 100 },
+    backorderPolicy: { type: 'string', enum: ['reject', 'allow'], description: 'reject rechaza las ventas que dejan el stock bajo safetyStock, allow las deja pasar como pedido pendiente', example: 'reject' }
+}
+
+const BASE_PROPERTIES = {
+    id: { type: 'integer', minimum: 0, description: 'ID numérico del producto', example: 1001 },
+    name: { type: 'string', minLength: 1, description: 'Nombre del producto', example: 'Q-Phone Pro' },
+    description: { type: 'string', description: 'Descripción del producto', example: 'Smartphone de última generación' },
+    category: { type: 'string', minLength: 1, description: 'Categoría principal del producto', example: 'Electrónica' },
+    numberCategory: { type: 'integer', description: '1 = Tecnologia, 2 = Comida, 3 = Automovil, 4 = Ropa o el de un tipo creado en POST /product-types', example: 1 },
+    price: { type: 'number', minimum: 0, description: 'Precio de lista del producto (neto, sin impuestos)', example: 1299.99 },
+    currency: { type: 'string', pattern: CURRENCY_PATTERN, description: 'Moneda del precio (ISO 4217), si se omite la de BASE_CURRENCY', example: 'USD' },
+    stock: { type: 'integer', minimum: 0, description: 'Cantidad disponible en inventario', example: 1500 },
+    ...POLICY_PROPERTIES
+}
+
+const BASE_REQUIRED = ['id', 'name', 'category', 'numberCategory', 'price']
+
+function productInput(properties, required) {
+    return {
+        type: 'object',
+        required: [...BASE_REQUIRED, ...required],
+        properties: { ...BASE_PROPERTIES, ...properties },
+        additionalProperties: false
+    }
+}
+
+const ElectronicsProductInput = productInput({
+    features: stringList(['Pantalla 6.7" AMOLED', '256GB almacenamiento']),
+    warrantyYears: { type: 'integer', minimum: 0, example: 2 }
+}, ['features'])
+
+const FoodProductInput = productInput({
+    ingredients: stringList(['Proteína de guisante', 'Dátiles', 'Almendras']),
+    weightOrVolume: { type: 'string', minLength: 1, example: '250g' },
+    flavors: stringList(['Original', 'Chocolate']),
+    expirationDays: { type: 'integer', minimum: 1, example: 90 },
+    //Una venta pendiente no sale de ningún lote y el stock dejaria de ser la suma de los lotes
+    backorderPolicy: { ...POLICY_PROPERTIES.backorderPolicy, enum: ['reject'], description: 'Los productos con lotes solo admiten reject' }
+}, ['ingredients', 'weightOrVolume'])
+
+const AutomotiveProductInput = productInput({
+    specs: {
+        type: 'object',
+        additionalProperties: { type: 'string' },
+        example: { range: '450km', battery: '85kWh' }
+    },
+    warrantyYears: { type: 'integer', minimum: 0, example: 3 },
+    modelYear: { type: 'integer', minimum: 1886, example: 2024 }
+}, ['specs', 'modelYear'])
+
+const ClothingProductInput = productInput({
+    sizesAvaiable: stringList(['S', 'M', 'L', 'XL']),
+    colors: stringList(['Negro', 'Azul', 'Blanco']),
+    material: { type: 'string', minLength: 1, example: 'Algodón orgánico' }
+}, ['sizesAvaiable', 'colors', 'material'])
+
+//Variante de la venta, recepción o ajuste: obligatoria en productos con variantes, no se acepta en los demas
+const VARIANT_REFERENCE = { type: 'string', pattern: OBJECT_ID_PATTERN, description: 'Identificador (_id) de la variante, obligatorio si el producto tiene variantes', example: '6612a0c4e1b2c3d4e5f60761' }
+
+//Números de serie de una venta (PUT /product/sell/:id y lineas de POST /orders)
+const SERIAL_NUMBERS = {
+    type: 'array',
+    minItems: 1,
+    items: { type: 'string', minLength: 1 },
+    description: 'Solo en productos con garantia, un número de serie por unidad vendida. Si se omite se generan',
+    example: ['QP-2025-000981']
+}
+
+const StockSaleInput = {
+    type: 'object',
+    required: ['sStock'],
+    properties: {
+        sStock: { type: 'integer', minimum: 1, description: 'Numero de productos a restar al inventario', example: 10 },
+        variant: VARIANT_REFERENCE,
+        serialNumbers: SERIAL_NUMBERS
+    },
+    additionalProperties: false
+}
+
+const StockAdjustmentInput = {
+    type: 'object',
+    required: ['quantity', 'reason'],
+    properties: {
+        quantity: { type: 'integer', description: 'Cantidad a sumar (positiva) o restar (negativa) del stock, distinta de 0', example: -3 },
+        reason: { type: 'string', minLength: 1, description: 'Motivo del ajuste', example: 'Unidades dañadas en bodega' },
+        variant: VARIANT_REFERENCE
+    },
+    additionalProperties: false
+}
+
+const VARIANT_PROPERTIES = {
+    sku: { type: 'string', minLength: 1, description: 'Código de la variante, unico en la compañía', example: 'ADI-TSH-M-NEG' },
+    barcode: { type: 'string', minLength: 1, description: 'Código de barras, unico en la compañía', example: '7701234567890' },
+    attributes: {
+        type: 'object',
+        additionalProperties: { type: 'string', minLength: 1 },
+        description: 'Ropa: size (de sizesAvaiable) y color (de colors). Comida: flavor (de flavors) y weight',
+        example: { size: 'M', color: 'Negro' }
+    },
+    price: { type: 'number', minimum: 0, description: 'Precio de la variante, si se omite se usa el del producto', example: 49.9 }
+}
+
+const VariantInput = {
+    type: 'object',
+    required: ['sku', 'attributes'],
+    properties: {
+        ...VARIANT_PROPERTIES,
+        stock: { type: 'integer', minimum: 0, description: 'Stock inicial de la variante, despues solo cambia con los endpoints de inventario', example: 20 }
+    },
+    additionalProperties: false
+}
+
+//Reemplaza los datos de la variante, su stock no cambia
+const VariantUpdateInput = {
+    type: 'object',
+    required: ['sku', 'attributes'],
+    properties: VARIANT_PROPERTIES,
+    additionalProperties: false
+}
+
+//JSON Patch (RFC 6902) para PATCH /product/:id con Content-Type application/json-patch+json
+const JsonPatchInput = {
+    type: 'array',
+    minItems: 1,
+    items: {
+        type: 'object',
+        required: ['op', 'path'],
+        properties: {
+            op: { type: 'string', enum: ['add', 'remove', 'replace', 'move', 'copy', 'test'], example: 'replace' },
+            path: { type: 'string', description: 'JSON Pointer del campo', example: '/price' },
+            from: { type: 'string', description: 'Origen para move y copy', example: '/features/0' },
+            value: { description: 'Valor para add, replace y test', example: 1199.99 }
+        },
+        additionalProperties: false
+    },
+    example: [{ op: 'test', path: '/price', value: 1299.99 }, { op: 'replace', path: '/price', value: 1199.99 }, { op: 'add', path: '/features/-', value: 'Carga inalambrica' }]
+}
+
+const InventoryPolicyInput = {
+    type: 'object',
+    properties: POLICY_PROPERTIES,
+    additionalProperties: false
+}
+
+//Cambio de tipo: numberCategory y los campos del nuevo tipo. El resultado se valida con el esquema del nuevo tipo
+const ProductTypeChangeInput = {
+    type: 'object',
+    required: ['numberCategory'],
+    properties: {
+        numberCategory: { type: 'integer', description: 'numberCategory del nuevo tipo', example: 4 }
+    },
+    additionalProperties: true,
+    example: { numberCategory: 4, sizesAvaiable: ['S', 'M'], colors: ['Negro'], material: 'Algodón' }
+}
+
+const schemas = {
+    ElectronicsProductInput,
+    FoodProductInput,
+    AutomotiveProductInput,
+    ClothingProductInput,
+    StockSaleInput,
+    StockAdjustmentInput,
+    VariantInput,
+    VariantUpdateInput,
+    JsonPatchInput,
+    ProductTypeChangeInput,
+    InventoryPolicyInput
+}
+
+export {
+    OBJECT_ID_PATTERN,
+    CURRENCY_PATTERN,
+    BASE_PROPERTIES,
+    productInput,
+    ElectronicsProductInput,
+    FoodProductInput,
+    AutomotiveProductInput,
+    ClothingProductInput,
+    StockSaleInput,
+    StockAdjustmentInput,
+    VARIANT_REFERENCE,
+    SERIAL_NUMBERS,
+    VariantInput,
+    VariantUpdateInput,
+    JsonPatchInput,
+    ProductTypeChangeInput,
+    InventoryPolicyInput
+}
+export default schemas
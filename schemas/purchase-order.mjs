@@ -0,0 +1,84 @@
+//Esquemas de entrada de proveedores y ordenes de compra, igual que schemas/product.mjs alimentan la validación y Swagger
+import { OBJECT_ID_PATTERN, VARIANT_REFERENCE } from './product.mjs'
+
+const SUPPLIER_PROPERTIES = {
+    name: { type: 'string', minLength: 1, description: 'Nombre del proveedor', example: 'Distribuidora Andina' },
+    mail: { type: 'string', pattern: '^[^\\s@]+@[^\\s@]+\\.[^\\s@]+$', description: 'Correo de contacto', example: 'ventas@andina.com' },
+    phone: { type: 'string', minLength: 1, description: 'Telefono de contacto', example: '+57 601 555 0101' },
+    address: { type: 'string', minLength: 1, description: 'Dirección', example: 'Calle 10 # 20-30, Bogotá' },
+    active: { type: 'boolean', description: 'Los proveedores inactivos no reciben ordenes nuevas', example: true }
+}
+
+const SupplierInput = {
+    type: 'object',
+    required: ['name'],
+    properties: SUPPLIER_PROPERTIES,
+    additionalProperties: false
+}
+
+const PurchaseOrderInput = {
+    type: 'object',
+    required: ['supplier', 'lines'],
+    properties: {
+        supplier: { type: 'string', pattern: OBJECT_ID_PATTERN, description: 'Identificador del proveedor en la BD', example: '6612a0c4e1b2c3d4e5f60730' },
+        lines: {
+            type: 'array',
+            minItems: 1,
+            items: {
+                type: 'object',
+                required: ['product', 'quantity', 'unitCost'],
+                properties: {
+                    product: { type: 'string', pattern: OBJECT_ID_PATTERN, description: 'Identificador del producto en la BD', example: '60f5b9f9f8db4f32fdsds4' },
+                    variant: VARIANT_REFERENCE,
+                    quantity: { type: 'integer', minimum: 1, description: 'Unidades pedidas', example: 100 },
+                    unitCost: { type: 'number', minimum: 0, description: 'Costo unitario pactado con el proveedor', example: 850.5 }
+                },
+                additionalProperties: false
+            }
+        },
+        notes: { type: 'string', description: 'Observaciones', example: 'Entrega en bodega principal' }
+    },
+    additionalProperties: false
+}
+
+const PurchaseOrderStatusInput = {
+    type: 'object',
+    required: ['status'],
+    properties: {
+        status: { type: 'string', enum: ['sent'], description: 'Nuevo estado de la orden de compra (la recepción asigna partially_received y received)', example: 'sent' }
+    },
+    additionalProperties: false
+}
+
+const ReceiptInput = {
+    type: 'object',
+    required: ['items'],
+    properties: {
+        items: {
+            type: 'array',
+            minItems: 1,
+            items: {
+                type: 'object',
+                required: ['line', 'quantity'],
+                properties: {
+                    line: { type: 'string', pattern: OBJECT_ID_PATTERN, description: 'Identificador (_id) de la linea de la orden de compra', example: '6612a0c4e1b2c3d4e5f60741' },
+                    quantity: { type: 'integer', minimum: 1, description: 'Unidades recibidas', example: 40 },
+                    unitCost: { type: 'number', minimum: 0, description: 'Costo unitario real, si se omite se usa el de la linea', example: 850.5 },
+                    expiresAt: { type: 'string', description: 'Vencimiento del lote (fecha ISO 8601) en productos con lotes, si se omite vence expirationDays despues de recibido', example: '2026-12-31T00:00:00.000Z' }
+                },
+                additionalProperties: false
+            }
+        }
+    },
+    additionalProperties: false
+}
+
+const schemas = {
+    SupplierInput,
+    PurchaseOrderInput,
+    PurchaseOrderStatusInput,
+    ReceiptInput
+}
+
+export { SupplierInput, PurchaseOrderInput, PurchaseOrderStatusInput, ReceiptInput }
+export default schemas
@@ -0,0 +1,24 @@
+//Esquemas de entrada de usuarios, igual que schemas/product.mjs alimentan la validación y Swagger
+import { ROLES } from '../utils/permissions.mjs'
+
+const UserRolesInput = {
+    type: 'object',
+    required: ['roles'],
+    properties: {
+        roles: {
+            type: 'array',
+            minItems: 1,
+            items: { type: 'string', enum: ROLES },
+            description: 'Roles del usuario, reemplazan los que tiene',
+            example: ['inventory_manager', 'seller']
+        }
+    },
+    additionalProperties: false
+}
+
+const schemas = {
+    UserRolesInput
+}
+
+export { UserRolesInput }
+export default schemas
@@ -0,0 +1,28 @@
+//Esquemas de entrada de garantias y reclamos, igual que schemas/product.mjs alimentan la validación y Swagger
+
+const WarrantyClaimInput = {
+    type: 'object',
+    required: ['description'],
+    properties: {
+        description: { type: 'string', minLength: 1, description: 'Falla reportada por el cliente', example: 'La pantalla no enciende despues de cargar' }
+    },
+    additionalProperties: false
+}
+
+const WarrantyClaimStatusInput = {
+    type: 'object',
+    required: ['status'],
+    properties: {
+        status: { type: 'string', enum: ['in_review', 'approved', 'rejected', 'resolved'], description: 'Nuevo estado del reclamo', example: 'in_review' },
+        note: { type: 'string', minLength: 1, description: 'Diagnostico, motivo del rechazo o solución aplicada', example: 'Se reemplaza la pantalla' }
+    },
+    additionalProperties: false
+}
+
+const schemas = {
+    WarrantyClaimInput,
+    WarrantyClaimStatusInput
+}
+
+export { WarrantyClaimInput, WarrantyClaimStatusInput }
+export default schemas
@@ -0,0 +1,42 @@
+//Asigna un rol a una cuenta ya registrada con POST /signup. Se corre en el servidor, con acceso a la BD,
+//para crear el primer platform_admin o admin: el registro nunca entrega roles distintos de viewer
+//  npm run grant-role -- <mail> <rol> [companyId]
+import 'dotenv/config'
+import mongoose from '../driver/connect-db.mjs'
+import User from '../models/user.mjs'
+import Company from '../models/company.mjs'
+import { ROLES } from '../utils/permissions.mjs'
+import { snapshot, recordAudit } from '../utils/audit.mjs'
+
+async function grantRole([mail, role, company]) {
+    if (!mail || !ROLES.includes(role)) {
+        throw new Error(`Usage: npm run grant-role -- <mail> <${ROLES.join('|')}> [companyId]`)
+    }
+    const user = await User.findOne({ mail })
+    if (!user) {
+        throw new Error(`User ${mail} not found, register it first with POST /signup`)
+    }
+    if (company !== undefined && !await Company.exists({ _id: company })) {
+        throw new Error(`Company ${company} not found`)
+    }
+
+    const before = snapshot(user)
+    user.roles = [...new Set([...user.roles, role])]
+    if (company !== undefined) {
+        user.company = company
+    }
+    const result = await user.save()
+    //Sin usuario del token: en la auditoria queda sin actor, como las tareas de la API
+    await recordAudit({}, 'user', 'update', { entityId: result._id, company: result.company, before, after: result, actor: {} })
+    return result
+}
+
+try {
+    const user = await grantRole(process.argv.slice(2))
+    console.log(`${user.mail} roles: ${user.roles.join(', ')}`)
+} catch (err) {
+    console.log(err.message)
+    process.exitCode = 1
+} finally {
+    await mongoose.disconnect()
+}
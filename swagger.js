@@ -1,4 +1,31 @@
 import swaggerJSDoc from 'swagger-jsdoc';
+import productSchemas from './schemas/product.mjs';
+import orderSchemas from './schemas/order.mjs';
+import purchaseSchemas from './schemas/purchase-order.mjs';
+import companySchemas from './schemas/company.mjs';
+import userSchemas from './schemas/user.mjs';
+import productTypeSchemas from './schemas/product-type.mjs';
+import warrantySchemas from './schemas/warranty.mjs';
+import pricingSchemas from './schemas/pricing.mjs';
+import { productTypeSchemas as customProductSchemas, productTypeNames } from './utils/product-types.mjs';
+
+//Respuesta de error con el cuerpo Problem
+const problem = (description, status, title, code, detail) => ({
+    description,
+    content: {
+        'application/problem+json': {
+            schema: { $ref: '#/components/schemas/Problem' },
+            example: {
+                type: 'about:blank',
+                title,
+                status,
+                code,
+                detail,
+                correlationId: '3ca965da-ea1f-45df-977a-faa9e9c6af71'
+            }
+        }
+    }
+})
 
 const swaggerDefinition = {
 
@@ -20,15 +47,92 @@ const swaggerDefinition = {
         name: "Loggin Controller",
         description: "Creación de usuario e inicio de sesión"
     },
+    {
+        name: "Company Controller",
+        description: "Compañías. Cada usuario pertenece a una y solo ve los productos, ordenes y proveedores de ella"
+    },
     {
         name: "Product Controller",
         description: "Gestión y administración de productos pertenecientes la compañía"
+    },
+    {
+        name: "Inventory Controller",
+        description: "Politicas de reabastecimiento por categoría (stock de seguridad, punto y cantidad de reorden)"
+    },
+    {
+        name: "Pricing Controller",
+        description: "Historial de precios, cambios de precio programados y promociones"
+    },
+    {
+        name: "Order Controller",
+        description: "Ordenes de venta con varias lineas, descuento de inventario en una sola transacción y estados"
+    },
+    {
+        name: "Warranty Controller",
+        description: "Garantias de las unidades vendidas de productos con warrantyYears y sus reclamos"
+    },
+    {
+        name: "Purchasing Controller",
+        description: "Proveedores y ordenes de compra. El reabastecimiento se hace recibiendo mercancia contra una orden de compra"
+    },
+    {
+        name: "Audit Controller",
+        description: "Registro de cambios de productos y usuarios e inicios de sesión, con exportación CSV"
+    },
+    {
+        name: "User Controller",
+        description: "Administración de usuarios y roles (platform_admin, admin, inventory_manager, seller, viewer)"
     }],
     servers:[{
         url: 'https://parcial-2025-04-08-api-s.onrender.com',
         description: 'Development API Products'
     }],
     components: {
+        //Los mismos esquemas que usa la validación de las solicitudes
+        schemas: {
+            ...productSchemas,
+            ...orderSchemas,
+            ...purchaseSchemas,
+            ...companySchemas,
+            ...userSchemas,
+            ...productTypeSchemas,
+            ...warrantySchemas,
+            ...pricingSchemas,
+            Problem: {
+                type: 'object',
+                description: 'Error en formato application/problem+json (RFC 7807)',
+                properties: {
+                    type: { type: 'string', example: 'about:blank' },
+                    title: { type: 'string', example: 'Not Found' },
+                    status: { type: 'integer', example: 404 },
+                    code: { type: 'string', description: 'Codigo estable del error', example: 'PRODUCT_NOT_FOUND' },
+                    detail: { type: 'string', example: 'ID Product Not Found' },
+                    instance: { type: 'string', example: '/product/60d5ec9a1f2a4a3d98765432' },
+                    correlationId: { type: 'string', description: 'Tambien se envia en el header X-Correlation-ID', example: '3ca965da-ea1f-45df-977a-faa9e9c6af71' },
+                    errors: {
+                        type: 'array',
+                        description: 'Errores por campo (solo en 400 y 422)',
+                        items: {
+                            type: 'object',
+                            properties: {
+                                field: { type: 'string', example: 'price' },
+                                message: { type: 'string', example: 'must be of type number' }
+                            }
+                        }
+                    }
+                }
+            }
+        },
+        responses: {
+            BadRequest: problem('Solicitud mal formada o parametros no validos', 400, 'Bad Request', 'INVALID_QUERY', 'Invalid query parameters'),
+            Unauthorized: problem('Es necesario autenticar para obtener la respuesta solicitada', 401, 'Unauthorized', 'TOKEN_EXPIRED', 'Session Expired'),
+            Forbidden: problem('El usuario no tiene el rol necesario para la operación', 403, 'Forbidden', 'FORBIDDEN', 'Missing permissions: product:delete'),
+            NotFound: problem('El servidor no pudo encontrar el contenido solicitado', 404, 'Not Found', 'PRODUCT_NOT_FOUND', 'ID Product Not Found'),
+            Conflict: problem('El registro ya existe (valor único repetido) o fue modificado al mismo tiempo por otra solicitud', 409, 'Conflict', 'DUPLICATE_KEY', 'Duplicate value for: id'),
+            PreconditionFailed: problem('El ETag de If-Match no coincide con la versión actual', 412, 'Precondition Failed', 'VERSION_MISMATCH', 'Product was modified, reload it and try again'),
+            ValidationError: problem('La solicitud no cumple el esquema, se indica el error de cada campo', 422, 'Unprocessable Entity', 'VALIDATION_FAILED', 'Validation Failed'),
+            ServerError: problem('Error en el servidor', 500, 'Internal Server Error', 'INTERNAL_ERROR', 'Unexpected error, use the correlationId to report it')
+        },
         securitySchemes: {
             bearerAuth: {
                 type: 'http',
@@ -52,4 +156,29 @@ const options = {
 
 const swaggerSepc = swaggerJSDoc(options);
 
+//Spec con los tipos creados en POST /product-types: su esquema en components y en los cuerpos de POST y PUT /product.
+//index.js la genera en cada consulta de /docs
+function currentSpec() {
+    const custom = customProductSchemas();
+    if (Object.keys(custom).length === 0) {
+        return swaggerSepc;
+    }
+
+    const spec = structuredClone(swaggerSepc);
+    Object.assign(spec.components.schemas, custom);
+    const refs = Object.keys(custom).map((name) => ({ $ref: `#/components/schemas/${name}` }));
+    for (const operation of [spec.paths['/product/']?.post, spec.paths['/product/{id}']?.put]) {
+        operation?.requestBody?.content?.['application/json']?.schema?.oneOf?.push(...refs);
+    }
+    //?type de la lista y de la busqueda acepta tambien los tipos creados
+    for (const operation of [spec.paths['/product/']?.get, spec.paths['/product/search']?.get]) {
+        const parameter = operation?.parameters?.find((item) => item.in === 'query' && item.name === 'type');
+        if (parameter) {
+            parameter.schema.enum = productTypeNames();
+        }
+    }
+    return spec;
+}
+
+export { currentSpec };
 export default swaggerSepc;
@@ -0,0 +1,13 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { matchesVersion } from '../utils/etag.mjs'
+
+test('If-Match compara las etiquetas en forma fuerte', () => {
+    const doc = { __v: 3 }
+
+    assert.equal(matchesVersion('"3"', doc), true)
+    assert.equal(matchesVersion('"2", "3"', doc), true)
+    assert.equal(matchesVersion('*', doc), true)
+    assert.equal(matchesVersion('W/"3"', doc), false)
+    assert.equal(matchesVersion('"2"', doc), false)
+})
@@ -0,0 +1,64 @@
+import { test, describe, before, after } from 'node:test'
+import assert from 'node:assert/strict'
+import mongoose from 'mongoose'
+import { MongoMemoryServer } from 'mongodb-memory-server'
+import { Product } from '../models/product.mjs'
+import { takeStock } from '../utils/stock.mjs'
+
+const POLICY = { backorderPolicy: 'reject', safetyStock: 5 }
+const SALES = 30
+
+//Lanza SALES ventas de una unidad al mismo tiempo y devuelve las que se aplicaron
+async function sellConcurrently(productId, options) {
+    const results = await Promise.all(Array.from({ length: SALES }, () => takeStock(productId, 1, POLICY, options)))
+    return results.filter((result) => result !== null)
+}
+
+//Las ventas corren contra MongoDB: el de MONGODB_TEST_URI o, si no se indica, uno en memoria
+//(mongodb-memory-server). Solo se crean y eliminan productos de una compañía de prueba
+describe('takeStock con ventas simultaneas', () => {
+    const company = new mongoose.Types.ObjectId()
+    let server
+
+    before(async () => {
+        if (!process.env.MONGODB_TEST_URI) {
+            server = await MongoMemoryServer.create()
+        }
+        await mongoose.connect(process.env.MONGODB_TEST_URI ?? server.getUri())
+    })
+    after(async () => {
+        await Product.collection.deleteMany({ company })
+        await mongoose.disconnect()
+        await server?.stop()
+    })
+
+    //Igual que un producto guardado por la API, sin pasar por sus validaciones
+    async function insertProduct(id, stock, variants = []) {
+        const _id = new mongoose.Types.ObjectId()
+        await Product.collection.insertOne({ _id, company, id, name: 'Concurrency test', price: 1, stock, variants, deletedAt: null, __v: 0 })
+        return _id
+    }
+
+    test('nunca deja el stock bajo safetyStock', async () => {
+        const _id = await insertProduct(-1, 20)
+
+        const sold = await sellConcurrently(_id)
+        const product = await Product.collection.findOne({ _id })
+
+        assert.equal(sold.length, 20 - POLICY.safetyStock)
+        assert.equal(product.stock, POLICY.safetyStock)
+    })
+
+    test('la variante no vende más unidades de las que tiene', async () => {
+        const variant = new mongoose.Types.ObjectId()
+        const _id = await insertProduct(-2, 40, [{ _id: variant, stock: 8 }, { _id: new mongoose.Types.ObjectId(), stock: 32 }])
+
+        const sold = await sellConcurrently(_id, { variant })
+        const product = await Product.collection.findOne({ _id })
+
+        assert.equal(sold.length, 8)
+        assert.equal(product.stock, 32)
+        assert.equal(product.variants[0].stock, 0)
+        assert.equal(product.variants[1].stock, 32)
+    })
+})
@@ -0,0 +1,49 @@
+import AuditEntry from '../models/audit-entry.mjs'
+
+//Campos que cambian en cada escritura y no aportan al registro
+const IGNORED_FIELDS = ['_id', '__v', 'createdAt', 'updatedAt', 'password']
+
+//Copia plana de un documento, para guardar el estado anterior antes de modificarlo
+function snapshot(doc) {
+    if (!doc) {
+        return {}
+    }
+    return typeof doc.toObject === 'function' ? doc.toObject({ depopulate: true, flattenMaps: true }) : doc
+}
+
+//Diferencia campo a campo (primer nivel) entre dos versiones de un documento
+function diff(before, after) {
+    const previous = snapshot(before)
+    const next = snapshot(after)
+    const fields = new Set([...Object.keys(previous), ...Object.keys(next)])
+    const changes = []
+
+    for (const field of fields) {
+        if (IGNORED_FIELDS.includes(field)) {
+            continue
+        }
+        if (JSON.stringify(previous[field]) !== JSON.stringify(next[field])) {
+            changes.push({ field, before: previous[field], after: next[field] })
+        }
+    }
+    return changes
+}
+
+//Registra quien (usuario del JWT), desde donde (IP) y en que solicitud (correlation ID) se hizo el cambio.
+//options.actor reemplaza a req.user cuando aun no hay sesión (inicio de sesión)
+async function recordAudit(req, entity, action, { entityId = null, company = null, before = null, after = null, actor } = {}) {
+    const user = actor ?? req.user ?? {}
+    return AuditEntry.create({
+        entity,
+        entityId,
+        action,
+        changes: diff(before, after),
+        actor: user.id ?? null,
+        actorMail: user.mail ?? null,
+        company: company ?? user.company ?? null,
+        ip: req.ip ?? null,
+        requestId: req.id ?? null
+    })
+}
+
+export { snapshot, diff, recordAudit }
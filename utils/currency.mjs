@@ -0,0 +1,51 @@
+import ExchangeRate from '../models/exchange-rate.mjs'
+import { ValidationError } from './errors.mjs'
+import { CURRENCY_PATTERN } from '../schemas/product.mjs'
+
+//Moneda de referencia de las tasas de cambio y moneda de los productos que no indican otra
+const BASE_CURRENCY = (process.env.BASE_CURRENCY || 'USD').toUpperCase()
+
+//Decimales de la moneda segun ISO 4217 (JPY 0, USD 2, KWD 3)
+function minorUnits(currency) {
+    return new Intl.NumberFormat('en', { style: 'currency', currency }).resolvedOptions().maximumFractionDigits
+}
+
+//Redondeo a los decimales de la moneda, la mitad hacia arriba
+function roundMoney(amount, currency = BASE_CURRENCY) {
+    const factor = 10 ** minorUnits(currency)
+    return Math.round((amount + Number.EPSILON) * factor) / factor
+}
+
+//Tasas de la compañía por moneda, BASE_CURRENCY siempre vale 1
+async function loadRates(company) {
+    const rates = await ExchangeRate.find({ company })
+    return new Map([[BASE_CURRENCY, 1], ...rates.map((rate) => [rate.currency, rate.rate])])
+}
+
+//Factor para pasar de una moneda a otra. 422 EXCHANGE_RATE_NOT_FOUND si falta la tasa de alguna
+function exchangeRate(rates, from, to, field = 'currency') {
+    if (from === to) {
+        return 1
+    }
+    const missing = [from, to].filter((currency) => !rates?.has(currency))
+    if (missing.length > 0) {
+        throw new ValidationError([{ field, message: `no exchange rate for ${missing.join(', ')}` }], 'Missing exchange rate', 'EXCHANGE_RATE_NOT_FOUND')
+    }
+    return rates.get(from) / rates.get(to)
+}
+
+//Expresión de agregación del precio convertido a target, para comparar precios de un catálogo con varias
+//monedas (currencies). Los productos sin currency (anteriores a las monedas) estan en BASE_CURRENCY
+function priceExpression(currencies, rates, target) {
+    const others = currencies.filter((currency) => currency !== target)
+    if (others.length === 0) {
+        return '$price'
+    }
+    const branches = others.map((currency) => ({
+        case: { $eq: [{ $ifNull: ['$currency', BASE_CURRENCY] }, currency] },
+        then: exchangeRate(rates, currency, target)
+    }))
+    return { $multiply: ['$price', { $switch: { branches, default: 1 } }] }
+}
+
+export { BASE_CURRENCY, CURRENCY_PATTERN, minorUnits, roundMoney, loadRates, exchangeRate, priceExpression }
@@ -0,0 +1,80 @@
+//Errores tipados de la API. El manejador central (middlewares/error-handler.mjs) los convierte
+//en un cuerpo application/problem+json (RFC 7807)
+
+class HttpError extends Error {
+    constructor(status, code, message, extra = {}) {
+        super(message)
+        this.name = this.constructor.name
+        this.status = status
+        this.code = code
+        this.extra = extra
+    }
+}
+
+class BadRequestError extends HttpError {
+    constructor(message, code = 'BAD_REQUEST', extra) {
+        super(400, code, message, extra)
+    }
+}
+
+class UnauthorizedError extends HttpError {
+    constructor(message, code = 'UNAUTHORIZED', extra) {
+        super(401, code, message, extra)
+    }
+}
+
+class ForbiddenError extends HttpError {
+    constructor(message, code = 'FORBIDDEN', extra) {
+        super(403, code, message, extra)
+    }
+}
+
+class NotFoundError extends HttpError {
+    constructor(message, code = 'NOT_FOUND', extra) {
+        super(404, code, message, extra)
+    }
+}
+
+class ConflictError extends HttpError {
+    constructor(message, code = 'CONFLICT', extra) {
+        super(409, code, message, extra)
+    }
+}
+
+class PreconditionFailedError extends HttpError {
+    constructor(message, code = 'PRECONDITION_FAILED', extra) {
+        super(412, code, message, extra)
+    }
+}
+
+class PayloadTooLargeError extends HttpError {
+    constructor(message, code = 'PAYLOAD_TOO_LARGE', extra) {
+        super(413, code, message, extra)
+    }
+}
+
+class UnsupportedMediaTypeError extends HttpError {
+    constructor(message, code = 'UNSUPPORTED_MEDIA_TYPE', extra) {
+        super(415, code, message, extra)
+    }
+}
+
+//errors: lista de { field, message }
+class ValidationError extends HttpError {
+    constructor(errors, message = 'Validation Failed', code = 'VALIDATION_FAILED') {
+        super(422, code, message, { errors })
+    }
+}
+
+export {
+    HttpError,
+    BadRequestError,
+    UnauthorizedError,
+    ForbiddenError,
+    NotFoundError,
+    ConflictError,
+    PreconditionFailedError,
+    PayloadTooLargeError,
+    UnsupportedMediaTypeError,
+    ValidationError
+}
@@ -0,0 +1,17 @@
+//ETag basado en la versión (__v) del documento
+
+function versionTag(doc) {
+    return `"${doc.__v ?? 0}"`
+}
+
+//If-Match admite "*" o una lista separada por comas. La comparación es fuerte (RFC 9110): una
+//etiqueta debil (W/"3") nunca coincide
+function matchesVersion(header, doc) {
+    if (header.trim() === '*') {
+        return true
+    }
+    const current = versionTag(doc)
+    return header.split(',').some((tag) => tag.trim() === current)
+}
+
+export { versionTag, matchesVersion }
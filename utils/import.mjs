@@ -0,0 +1,130 @@
+import { BadRequestError } from './errors.mjs'
+
+//Filas de un CSV (RFC 4180): campos entre comillas con comas, saltos de linea y comillas dobles ("")
+//Cada fila guarda la linea del archivo en que empieza para el reporte de errores
+function csvRows(text) {
+    const rows = []
+    let row = []
+    let field = ''
+    let quoted = false
+    let line = 1
+    let start = 1
+
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i]
+        if (quoted) {
+            if (char === '"' && text[i + 1] === '"') {
+                field += '"'
+                i++
+            } else if (char === '"') {
+                quoted = false
+            } else {
+                if (char === '\n') line++
+                field += char
+            }
+        } else if (char === '"' && field === '') {
+            quoted = true
+        } else if (char === ',') {
+            row.push(field)
+            field = ''
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text[i + 1] === '\n') i++
+            row.push(field)
+            rows.push({ line: start, values: row })
+            row = []
+            field = ''
+            line++
+            start = line
+        } else {
+            field += char
+        }
+    }
+    if (quoted) {
+        throw new BadRequestError(`Unterminated quoted field starting on line ${start}`, 'MALFORMED_CSV')
+    }
+    if (field !== '' || row.length > 0) {
+        row.push(field)
+        rows.push({ line: start, values: row })
+    }
+    //Las lineas vacias no son filas
+    return rows.filter(({ values }) => values.length > 1 || values[0].trim() !== '')
+}
+
+//Registros de un CSV con encabezado. Las columnas con punto (specs.range) arman un objeto
+function parseCsv(text) {
+    const [header, ...rows] = csvRows(text.replace(/^\uFEFF/, ''))
+    if (!header) {
+        return []
+    }
+    const columns = header.values.map((column) => column.trim())
+    const repeated = columns.find((column, index) => column === '' || columns.indexOf(column) !== index)
+    if (repeated !== undefined) {
+        throw new BadRequestError(repeated === '' ? 'The CSV header has an empty column' : `The CSV header repeats the column ${repeated}`, 'MALFORMED_CSV')
+    }
+
+    return rows.map(({ line, values }) => {
+        if (values.length !== columns.length) {
+            return { row: line, errors: [{ field: 'row', message: `has ${values.length} columns, the header has ${columns.length}` }] }
+        }
+        const data = {}
+        columns.forEach((column, index) => {
+            const [field, key] = column.split('.', 2)
+            if (key === undefined) {
+                data[field] = values[index]
+            } else if (values[index] !== '') {
+                data[field] = { ...data[field], [key]: values[index] }
+            }
+        })
+        return { row: line, data }
+    })
+}
+
+//Registros de un NDJSON, un objeto JSON por linea
+function parseNdjson(text) {
+    const records = []
+    text.split(/\r?\n/).forEach((content, index) => {
+        if (content.trim() === '') {
+            return
+        }
+        try {
+            const data = JSON.parse(content)
+            records.push(data !== null && typeof data === 'object' && !Array.isArray(data)
+                ? { row: index + 1, data }
+                : { row: index + 1, errors: [{ field: 'row', message: 'must be a JSON object' }] })
+        } catch {
+            records.push({ row: index + 1, errors: [{ field: 'row', message: 'is not valid JSON' }] })
+        }
+    })
+    return records
+}
+
+function toNumber(value) {
+    return value.trim() === '' || Number.isNaN(Number(value)) ? value : Number(value)
+}
+
+function coerceValue(value, property, delimiter) {
+    switch (property?.type) {
+        case 'integer':
+        case 'number': return toNumber(value)
+        case 'boolean': return value === 'true' ? true : value === 'false' ? false : value
+        case 'array': return value.split(delimiter).map((item) => item.trim()).filter((item) => item !== '')
+            .map((item) => coerceValue(item, property.items, delimiter))
+        default: return value
+    }
+}
+
+//En CSV todos los valores son texto: se convierten segun el esquema del tipo (números, booleanos y
+//listas separadas por delimiter). Las celdas vacias se omiten. Lo que no se puede convertir queda
+//como texto para que la validación lo reporte
+function coerceRow(data, schema, delimiter) {
+    const result = {}
+    for (const [field, value] of Object.entries(data)) {
+        if (value === '') {
+            continue
+        }
+        result[field] = typeof value === 'string' ? coerceValue(value, schema.properties[field], delimiter) : value
+    }
+    return result
+}
+
+export { parseCsv, parseNdjson, coerceRow }
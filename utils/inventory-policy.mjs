@@ -0,0 +1,57 @@
+import { EventEmitter } from 'events'
+import InventoryPolicy from '../models/inventory-policy.mjs'
+import { PRODUCT_TYPES } from './product-types.mjs'
+
+//Valor numérico de una variable de entorno; si falta o no es un número se usa fallback. 0 es un valor valido
+function envNumber(name, fallback) {
+    const value = process.env[name]
+    return value === undefined || value.trim() === '' || Number.isNaN(Number(value)) ? fallback : Number(value)
+}
+
+//Valores usados cuando ni el producto ni su categoría los definen
+const DEFAULT_POLICY = {
+    safetyStock: envNumber('DEFAULT_SAFETY_STOCK', 5),
+    reorderPoint: envNumber('DEFAULT_REORDER_POINT', 10),
+    reorderQuantity: envNumber('DEFAULT_REORDER_QUANTITY', 50),
+    backorderPolicy: 'reject'
+}
+
+const POLICY_FIELDS = Object.keys(DEFAULT_POLICY)
+
+//Eventos de inventario: 'low-stock' cuando una venta cruza el punto de reorden
+const inventoryEvents = new EventEmitter()
+
+inventoryEvents.on('low-stock', (alert) => {
+    console.log(`Low stock: product ${alert.id} (${alert.name}) has ${alert.stock}, reorder point ${alert.reorderPoint}, suggested order ${alert.reorderQuantity}`)
+})
+
+//Politica efectiva: producto, luego categoría (de la misma compañía), luego valores por defecto.
+//Los tipos con lotes siempre usan reject: con allow lo vendido sin stock no sale de ningún lote y
+//el stock dejaria de ser la suma de sus lotes (la politica de la categoría puede ser de otros tipos)
+async function resolvePolicy(product) {
+    const category = await InventoryPolicy.findOne({ company: product.company, category: product.category }).lean()
+    const policy = {}
+    for (const field of POLICY_FIELDS) {
+        policy[field] = product[field] ?? category?.[field] ?? DEFAULT_POLICY[field]
+    }
+    if (PRODUCT_TYPES.get(product.numberCategory)?.lots) {
+        policy.backorderPolicy = 'reject'
+    }
+    return policy
+}
+
+//Filtro de los productos con stock en o bajo su punto de reorden efectivo, el mismo criterio del reporte
+//GET /product/alerts/low-stock. Las politicas de categoría de la compañía entran como ramas de un $switch
+async function lowStockFilter(company) {
+    const policies = await InventoryPolicy.find({ company, reorderPoint: { $ne: null } }).lean()
+    //$switch necesita al menos una rama
+    const category = policies.length === 0 ? DEFAULT_POLICY.reorderPoint : {
+        $switch: {
+            branches: policies.map((policy) => ({ case: { $eq: ['$category', policy.category] }, then: policy.reorderPoint })),
+            default: DEFAULT_POLICY.reorderPoint
+        }
+    }
+    return { $expr: { $lte: ['$stock', { $ifNull: ['$reorderPoint', category] }] } }
+}
+
+export { DEFAULT_POLICY, POLICY_FIELDS, inventoryEvents, resolvePolicy, lowStockFilter }
@@ -0,0 +1,19 @@
+import StockMovement from '../models/stock-movement.mjs'
+
+//Registra un movimiento de stock. balance es el stock del producto ya actualizado.
+//options.session permite registrarlo dentro de una transacción y options.details agrega
+//campos propios del tipo de movimiento (purchaseOrder y unitCost en las recepciones)
+async function recordMovement(product, type, quantity, user, reason = null, options = {}) {
+    const [movement] = await StockMovement.create([{
+        product: product._id,
+        type: type,
+        quantity: quantity,
+        balance: product.stock,
+        reason: reason,
+        user: user?.id ?? null,
+        ...options.details
+    }], { session: options.session })
+    return movement
+}
+
+export { recordMovement }
@@ -0,0 +1,75 @@
+import Lot from '../models/lot.mjs'
+import { BadRequestError, ConflictError } from './errors.mjs'
+
+const DAY = 24 * 60 * 60 * 1000
+
+//Lotes de los productos con vencimiento. Cada función recibe options.session para trabajar dentro de la
+//misma transacción que mueve el stock del producto, asi el stock siempre es la suma de los lotes disponibles.
+//Las funciones devuelven los lotes tocados como [{ lot, quantity }] para el historial de stock
+
+//Lote de una entrada de unidades (stock inicial, recepción o ajuste positivo). Vence expirationDays
+//despues de recibido, salvo que options.expiresAt indique la fecha real
+async function createLot(product, quantity, options = {}) {
+    const receivedAt = new Date()
+    const [lot] = await Lot.create([{
+        company: product.company,
+        product: product._id,
+        variant: options.variant,
+        sku: options.sku,
+        quantity: quantity,
+        received: quantity,
+        receivedAt: receivedAt,
+        expiresAt: options.expiresAt ?? new Date(receivedAt.getTime() + product.expirationDays * DAY),
+        purchaseOrder: options.purchaseOrder
+    }], { session: options.session })
+    return [{ lot: lot._id, quantity }]
+}
+
+//Consume unidades de los lotes disponibles y sin vencer, primero los que vencen antes (FEFO).
+//Con options.strict (backorder "reject" y ajustes) falla si no alcanzan; si no, lo que falta queda pendiente
+async function consumeLots(productId, quantity, options = {}) {
+    const filter = { product: productId, status: 'available', quantity: { $gt: 0 }, expiresAt: { $gt: new Date() } }
+    if (options.variant) {
+        filter.variant = options.variant
+    }
+    const lots = await Lot.find(filter).sort({ expiresAt: 1, _id: 1 }).session(options.session ?? null)
+
+    const consumed = []
+    let pending = quantity
+    for (const lot of lots) {
+        if (pending === 0) {
+            break
+        }
+        const taken = Math.min(pending, lot.quantity)
+        const { modifiedCount } = await Lot.updateOne(
+            { _id: lot._id, status: 'available', quantity: { $gte: taken } },
+            { $inc: { quantity: -taken } },
+            { session: options.session }
+        )
+        if (modifiedCount === 0) {
+            throw new ConflictError('Lots changed while taking stock, try again', 'LOTS_CHANGED')
+        }
+        consumed.push({ lot: lot._id, quantity: taken })
+        pending -= taken
+    }
+
+    if (pending > 0 && options.strict) {
+        throw new BadRequestError(`Only ${quantity - pending} units in unexpired lots`, 'INSUFFICIENT_STOCK')
+    }
+    return consumed
+}
+
+//Devuelve a sus lotes las unidades de una venta cancelada. Las de lotes ya en cuarentena no vuelven
+//a estar disponibles: se devuelve cuantas son para no sumarlas al stock del producto
+async function restoreLots(consumed = [], options = {}) {
+    let quarantined = 0
+    for (const { lot, quantity } of consumed) {
+        const result = await Lot.findOneAndUpdate({ _id: lot }, { $inc: { quantity } }, { new: true, session: options.session })
+        if (result?.status === 'quarantined') {
+            quarantined += quantity
+        }
+    }
+    return quarantined
+}
+
+export { createLot, consumeLots, restoreLots }
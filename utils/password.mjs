@@ -0,0 +1,55 @@
+import crypto from 'crypto'
+import { promisify } from 'util'
+
+const scrypt = promisify(crypto.scrypt)
+
+const KEY_LENGTH = 64
+const SALT_BYTES = 16
+const PREFIX = 'scrypt'
+
+//Politica de contraseñas: minimo 8 caracteres, mayuscula, minuscula, numero y simbolo
+const POLICY = [
+    { test: (p) => p.length >= 8, message: 'Password must be at least 8 characters long' },
+    { test: (p) => /[A-Z]/.test(p), message: 'Password must contain an uppercase letter' },
+    { test: (p) => /[a-z]/.test(p), message: 'Password must contain a lowercase letter' },
+    { test: (p) => /[0-9]/.test(p), message: 'Password must contain a number' },
+    { test: (p) => /[^A-Za-z0-9]/.test(p), message: 'Password must contain a symbol' }
+]
+
+function checkPasswordPolicy(password) {
+    if (typeof password !== 'string') {
+        return ['Password required']
+    }
+    return POLICY.filter((rule) => !rule.test(password)).map((rule) => rule.message)
+}
+
+function isHashed(stored) {
+    return typeof stored === 'string' && stored.startsWith(PREFIX + '$')
+}
+
+//Formato guardado: scrypt$<salt hex>$<hash hex>
+async function hashPassword(password) {
+    const salt = crypto.randomBytes(SALT_BYTES).toString('hex')
+    const hash = await scrypt(password, salt, KEY_LENGTH)
+    return `${PREFIX}$${salt}$${hash.toString('hex')}`
+}
+
+async function verifyPassword(password, stored) {
+    if (typeof password !== 'string' || typeof stored !== 'string') {
+        return false
+    }
+
+    if (!isHashed(stored)) {
+        //Registros antiguos guardados en texto plano
+        const a = Buffer.from(password)
+        const b = Buffer.from(stored)
+        return a.length === b.length && crypto.timingSafeEqual(a, b)
+    }
+
+    const [, salt, hash] = stored.split('$')
+    const expected = Buffer.from(hash, 'hex')
+    const actual = await scrypt(password, salt, expected.length)
+    return crypto.timingSafeEqual(actual, expected)
+}
+
+export { checkPasswordPolicy, isHashed, hashPassword, verifyPassword }
@@ -0,0 +1,155 @@
+import { ConflictError, ValidationError } from './errors.mjs'
+
+//Claves que no se aceptan en un patch para no alterar el prototipo de los objetos
+const FORBIDDEN_KEYS = ['__proto__', 'constructor', 'prototype']
+
+const isObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value)
+const clone = (value) => (value === undefined ? undefined : JSON.parse(JSON.stringify(value)))
+
+function checkKey(key, field) {
+    if (FORBIDDEN_KEYS.includes(key)) {
+        throw new ValidationError([{ field, message: `"${key}" is not allowed` }], 'Invalid Patch', 'INVALID_PATCH')
+    }
+}
+
+//JSON Merge Patch (RFC 7396): las claves con null se eliminan, los objetos se mezclan y el resto se reemplaza
+function applyMergePatch(target, patch, field = '') {
+    if (!isObject(patch)) {
+        return clone(patch)
+    }
+    const result = isObject(target) ? clone(target) : {}
+    for (const [key, value] of Object.entries(patch)) {
+        checkKey(key, field ? `${field}.${key}` : key)
+        if (value === null) {
+            delete result[key]
+        } else {
+            result[key] = applyMergePatch(result[key], value, field ? `${field}.${key}` : key)
+        }
+    }
+    return result
+}
+
+//JSON Pointer (RFC 6901): "/specs/range" -> ['specs', 'range']
+function parsePointer(pointer, field) {
+    if (pointer === '') {
+        return []
+    }
+    if (!pointer.startsWith('/')) {
+        throw new ValidationError([{ field, message: 'must be a JSON Pointer starting with /' }], 'Invalid Patch', 'INVALID_PATCH')
+    }
+    return pointer.slice(1).split('/').map((token) => {
+        const key = token.replace(/~1/g, '/').replace(/~0/g, '~')
+        checkKey(key, field)
+        return key
+    })
+}
+
+function arrayIndex(array, key, field, allowEnd) {
+    if (allowEnd && key === '-') {
+        return array.length
+    }
+    const index = /^(0|[1-9][0-9]*)$/.test(key) ? Number(key) : NaN
+    if (Number.isNaN(index) || index > array.length || (!allowEnd && index === array.length)) {
+        throw new ValidationError([{ field, message: `index ${key} is out of range` }], 'Invalid Patch', 'INVALID_PATCH')
+    }
+    return index
+}
+
+//Devuelve el contenedor del ultimo token de la ruta
+function resolveParent(document, tokens, field) {
+    let current = document
+    for (const key of tokens.slice(0, -1)) {
+        const next = Array.isArray(current) ? current[arrayIndex(current, key, field, false)] : current?.[key]
+        if (next === null || typeof next !== 'object') {
+            throw new ValidationError([{ field, message: 'path does not exist' }], 'Invalid Patch', 'INVALID_PATCH')
+        }
+        current = next
+    }
+    return current
+}
+
+function getValue(document, pointer, field) {
+    const tokens = parsePointer(pointer, field)
+    if (tokens.length === 0) {
+        return document
+    }
+    const parent = resolveParent(document, tokens, field)
+    const key = tokens[tokens.length - 1]
+    const value = Array.isArray(parent) ? parent[arrayIndex(parent, key, field, false)] : parent[key]
+    if (value === undefined) {
+        throw new ValidationError([{ field, message: 'path does not exist' }], 'Invalid Patch', 'INVALID_PATCH')
+    }
+    return value
+}
+
+function addValue(document, pointer, value, field) {
+    const tokens = parsePointer(pointer, field)
+    if (tokens.length === 0) {
+        return value
+    }
+    const parent = resolveParent(document, tokens, field)
+    const key = tokens[tokens.length - 1]
+    if (Array.isArray(parent)) {
+        parent.splice(arrayIndex(parent, key, field, true), 0, value)
+    } else {
+        parent[key] = value
+    }
+    return document
+}
+
+function removeValue(document, pointer, field) {
+    const tokens = parsePointer(pointer, field)
+    getValue(document, pointer, field)
+    const parent = resolveParent(document, tokens, field)
+    const key = tokens[tokens.length - 1]
+    if (Array.isArray(parent)) {
+        parent.splice(arrayIndex(parent, key, field, false), 1)
+    } else {
+        delete parent[key]
+    }
+    return document
+}
+
+//JSON Patch (RFC 6902). Las operaciones se aplican en orden sobre una copia; si una falla no se aplica ninguna
+function applyJsonPatch(target, operations) {
+    let document = clone(target)
+
+    operations.forEach((operation, i) => {
+        const field = `[${i}].path`
+        const { op, path, value, from } = operation
+        if (['add', 'replace', 'test'].includes(op) && !('value' in operation)) {
+            throw new ValidationError([{ field: `[${i}].value`, message: `is required for ${op}` }], 'Invalid Patch', 'INVALID_PATCH')
+        }
+        if (['move', 'copy'].includes(op) && typeof from !== 'string') {
+            throw new ValidationError([{ field: `[${i}].from`, message: `is required for ${op}` }], 'Invalid Patch', 'INVALID_PATCH')
+        }
+        switch (op) {
+            case 'add':
+                document = addValue(document, path, clone(value), field)
+                break
+            case 'remove':
+                document = removeValue(document, path, field)
+                break
+            case 'replace':
+                getValue(document, path, field)
+                document = addValue(removeValue(document, path, field), path, clone(value), field)
+                break
+            case 'move': {
+                const moved = getValue(document, from, `[${i}].from`)
+                document = addValue(removeValue(document, from, `[${i}].from`), path, moved, field)
+                break
+            }
+            case 'copy':
+                document = addValue(document, path, clone(getValue(document, from, `[${i}].from`)), field)
+                break
+            case 'test':
+                if (JSON.stringify(getValue(document, path, field)) !== JSON.stringify(value)) {
+                    throw new ConflictError(`Test operation ${i} failed at ${path}`, 'PATCH_TEST_FAILED')
+                }
+                break
+        }
+    })
+    return document
+}
+
+export { applyMergePatch, applyJsonPatch }
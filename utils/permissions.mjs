@@ -0,0 +1,66 @@
+const ROLES = ['platform_admin', 'admin', 'inventory_manager', 'seller', 'viewer']
+
+//Permisos que otorga cada rol
+const ROLE_PERMISSIONS = {
+    //Operaciones entre compañías: compañías y usuarios de cualquier compañía
+    platform_admin: [
+        'company:manage',
+        'user:manage',
+        'user:manage-any'
+    ],
+    admin: [
+        'product:create',
+        'product:update',
+        'product:delete',
+        'product:purge',
+        'product:restock',
+        'product:adjust',
+        'product:sell',
+        'product-type:manage',
+        'pricing:manage',
+        'pricing:configure',
+        'inventory:read',
+        'inventory:configure',
+        'order:create',
+        'order:read',
+        'order:update',
+        'warranty:read',
+        'warranty:claim',
+        'warranty:manage',
+        'supplier:manage',
+        'purchase:read',
+        'purchase:manage',
+        'audit:read',
+        'user:manage'
+    ],
+    inventory_manager: [
+        'product:create',
+        'product:update',
+        'product:restock',
+        'product:adjust',
+        'pricing:manage',
+        'inventory:read',
+        'inventory:configure',
+        'order:read',
+        'warranty:read',
+        'warranty:manage',
+        'supplier:manage',
+        'purchase:read',
+        'purchase:manage'
+    ],
+    seller: [
+        'product:sell',
+        'order:create',
+        'order:read',
+        'order:update',
+        'warranty:read',
+        'warranty:claim'
+    ],
+    viewer: []
+}
+
+function permissionsOf(roles = []) {
+    return new Set(roles.flatMap((role) => ROLE_PERMISSIONS[role] ?? []))
+}
+
+export { ROLES, ROLE_PERMISSIONS, permissionsOf }
@@ -0,0 +1,105 @@
+import PriceHistory from '../models/price-history.mjs'
+import Promotion from '../models/promotion.mjs'
+import { BASE_CURRENCY, roundMoney, exchangeRate } from './currency.mjs'
+
+//Registra un cambio del precio de lista. Igual que recordMovement, options.session permite registrarlo
+//dentro de una transacción y options.details agrega campos propios del origen (scheduledPrice)
+async function recordPrice(product, previousPrice, source, user, options = {}) {
+    const [entry] = await PriceHistory.create([{
+        company: product.company,
+        product: product._id,
+        price: product.price,
+        currency: product.currency,
+        previousPrice: previousPrice,
+        source: source,
+        user: user?.id ?? null,
+        ...options.details
+    }], { session: options.session })
+    return entry
+}
+
+//Promociones de la compañía vigentes en la fecha indicada
+async function activePromotions(company, now = new Date()) {
+    return Promotion.find({ company, startsAt: { $lte: now }, endsAt: { $gt: now } })
+}
+
+function appliesTo(promotion, product) {
+    switch (promotion.scope) {
+        case 'product': return promotion.product?.equals(product._id) ?? false
+        case 'category': return promotion.category === product.category
+        case 'type': return promotion.numberCategory === product.numberCategory
+        default: return false
+    }
+}
+
+//Valor de una promoción fixed en la moneda del producto, null si falta la tasa de cambio de alguna de las dos
+function fixedDiscount(promotion, currency, rates) {
+    const from = promotion.currency ?? BASE_CURRENCY
+    if (from !== currency && !(rates?.has(from) && rates.has(currency))) {
+        return null
+    }
+    return promotion.value * exchangeRate(rates, from, currency)
+}
+
+//Precio con el descuento de la promoción, nunca negativo. fixed se convierte a la moneda del producto con rates
+function discounted(price, promotion, currency, rates) {
+    if (!promotion) {
+        return price
+    }
+    const result = promotion.discountType === 'percent'
+        ? price * (1 - promotion.value / 100)
+        : price - fixedDiscount(promotion, currency, rates)
+    return Math.max(0, roundMoney(result, currency))
+}
+
+//La promoción que deja el menor precio entre las que aplican al producto, null si ninguna aplica. Una
+//promoción fixed no aplica a productos de otra moneda mientras falte la tasa de cambio entre ambas
+function bestPromotion(product, promotions, price = product.price, rates) {
+    let best = null
+    for (const promotion of promotions) {
+        const convertible = promotion.discountType === 'percent' || fixedDiscount(promotion, product.currency, rates) !== null
+        if (appliesTo(promotion, product) && convertible
+            && (!best || discounted(price, promotion, product.currency, rates) < discounted(price, best, product.currency, rates))) {
+            best = promotion
+        }
+    }
+    return best
+}
+
+//Precio de lista y efectivo (con la mejor promoción vigente) de un precio del producto, en la moneda pedida
+function priced(product, promotions, price, currency, rates) {
+    const rate = exchangeRate(rates, product.currency, currency)
+    const promotion = bestPromotion(product, promotions, price, rates)
+    return {
+        listPrice: roundMoney(price * rate, currency),
+        effectivePrice: roundMoney(discounted(price, promotion, product.currency, rates) * rate, currency),
+        promotion
+    }
+}
+
+//Producto con su precio de lista y su precio efectivo, y los de sus variantes. price y currency son los
+//guardados; listPrice y effectivePrice estan en display.currency (convertidos con display.rates) o en la del producto
+function withPricing(product, promotions, display = {}) {
+    const currency = display.currency ?? product.currency
+    const rate = exchangeRate(display.rates, product.currency, currency)
+    const { listPrice, effectivePrice, promotion } = priced(product, promotions, product.price, currency, display.rates)
+    const result = {
+        ...product.toJSON(),
+        priceCurrency: currency,
+        listPrice,
+        effectivePrice,
+        promotion: promotion ? { _id: promotion._id, name: promotion.name, discountType: promotion.discountType, value: promotion.value, currency: promotion.currency, endsAt: promotion.endsAt } : null
+    }
+    if (currency !== product.currency) {
+        result.exchangeRate = rate
+    }
+    if (result.variants) {
+        result.variants = result.variants.map((variant) => {
+            const { listPrice, effectivePrice } = priced(product, promotions, variant.price ?? product.price, currency, display.rates)
+            return { ...variant, listPrice, effectivePrice }
+        })
+    }
+    return result
+}
+
+export { recordPrice, activePromotions, bestPromotion, discounted, withPricing }
@@ -0,0 +1,194 @@
+import { CURRENCY_PATTERN } from './currency.mjs'
+import { productTypeNames } from './product-types.mjs'
+
+const DEFAULT_LIMIT = 20
+const MAX_LIMIT = 100
+
+const SORT_FIELDS = ['price', 'stock', 'name']
+
+//Unicos parametros aceptados en GET /product, cualquier otro se rechaza
+const ALLOWED_PARAMS = ['page', 'limit', 'sort', 'category', 'type', 'minPrice', 'maxPrice', 'lowStock', 'q', 'currency']
+const SEARCH_PARAMS = ['page', 'limit', 'category', 'type', 'minPrice', 'maxPrice', 'q', 'currency']
+
+function escapeRegex(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')
+}
+
+function toNumber(value) {
+    if (typeof value !== 'string' || value.trim() === '') {
+        return NaN
+    }
+    return Number(value)
+}
+
+function checkParams(query, allowed, errors) {
+    for (const param of Object.keys(query)) {
+        if (!allowed.includes(param)) {
+            errors.push({ field: param, message: 'is not an allowed query parameter' })
+        } else if (typeof query[param] !== 'string') {
+            errors.push({ field: param, message: 'must be a single value' })
+        }
+    }
+}
+
+function parsePagination(query, errors) {
+    const page = query.page === undefined ? 1 : toNumber(query.page)
+    if (!Number.isInteger(page) || page < 1) {
+        errors.push({ field: 'page', message: 'must be a positive integer' })
+    }
+
+    const limit = query.limit === undefined ? DEFAULT_LIMIT : toNumber(query.limit)
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIMIT) {
+        errors.push({ field: 'limit', message: `must be an integer between 1 and ${MAX_LIMIT}` })
+    }
+    return { page, limit }
+}
+
+function parseDate(query, param, errors) {
+    if (query[param] === undefined) {
+        return undefined
+    }
+    const date = new Date(query[param])
+    if (Number.isNaN(date.getTime())) {
+        errors.push({ field: param, message: 'must be a valid date (ISO 8601)' })
+    }
+    return date
+}
+
+//Moneda en que se muestran los precios (?currency=EUR), undefined para la de cada producto
+function parseCurrency(query, errors) {
+    if (query.currency === undefined) {
+        return undefined
+    }
+    const currency = query.currency.toUpperCase()
+    if (!new RegExp(CURRENCY_PATTERN).test(currency)) {
+        errors.push({ field: 'currency', message: 'must be an ISO 4217 currency code' })
+    }
+    return currency
+}
+
+//Filtros comunes: categoría, tipo y rango de precio
+function parseFilters(query, errors) {
+    const filter = {}
+
+    if (query.category !== undefined) {
+        filter.category = query.category
+    }
+
+    //Los tipos del registro, incluidos los creados con POST /product-types
+    if (query.type !== undefined) {
+        const types = productTypeNames()
+        if (types.includes(query.type)) {
+            filter.__t = query.type
+        } else {
+            errors.push({ field: 'type', message: `must be one of: ${types.join(', ')}` })
+        }
+    }
+
+    for (const [param, operator] of [['minPrice', '$gte'], ['maxPrice', '$lte']]) {
+        if (query[param] !== undefined) {
+            const value = toNumber(query[param])
+            if (Number.isNaN(value)) {
+                errors.push({ field: param, message: 'must be a number' })
+            } else {
+                filter.price = { ...filter.price, [operator]: value }
+            }
+        }
+    }
+    return filter
+}
+
+//Convierte el query string en filtro, orden y paginación de Mongo. Solo se leen valores de texto,
+//asi que no es posible enviar operadores como $where o $ne
+function buildProductQuery(query) {
+    const errors = []
+
+    checkParams(query, ALLOWED_PARAMS, errors)
+    if (errors.length > 0) {
+        return { errors }
+    }
+
+    const { page, limit } = parsePagination(query, errors)
+
+    const sort = {}
+    if (query.sort !== undefined) {
+        for (const field of query.sort.split(',')) {
+            const name = field.replace(/^-/, '')
+            if (SORT_FIELDS.includes(name)) {
+                sort[name] = field.startsWith('-') ? -1 : 1
+            } else {
+                errors.push({ field: 'sort', message: `must use: ${SORT_FIELDS.join(', ')} (prefix - for descending)` })
+            }
+        }
+    }
+    //Desempate estable para que las paginas no repitan ni salten documentos
+    sort._id = 1
+
+    const filter = parseFilters(query, errors)
+    const currency = parseCurrency(query, errors)
+
+    //El filtro depende de las politicas de inventario de la compañía, lo arma lowStockFilter
+    const lowStock = query.lowStock === 'true'
+    if (query.lowStock !== undefined && !lowStock && query.lowStock !== 'false') {
+        errors.push({ field: 'lowStock', message: 'must be true or false' })
+    }
+
+    if (query.q !== undefined && query.q.trim() !== '') {
+        const regex = new RegExp(escapeRegex(query.q.trim()), 'i')
+        filter.$or = [{ name: regex }, { description: regex }]
+    }
+
+    if (errors.length > 0) {
+        return { errors }
+    }
+    return { filter, sort, page, limit, currency, lowStock }
+}
+
+//Igual que buildProductQuery pero q es obligatorio y se resuelve con el indice de texto
+function buildSearchQuery(query) {
+    const errors = []
+
+    checkParams(query, SEARCH_PARAMS, errors)
+    if (errors.length > 0) {
+        return { errors }
+    }
+
+    if (query.q === undefined || query.q.trim() === '') {
+        errors.push({ field: 'q', message: 'is required' })
+    }
+
+    const { page, limit } = parsePagination(query, errors)
+    const filter = parseFilters(query, errors)
+    const currency = parseCurrency(query, errors)
+
+    if (errors.length > 0) {
+        return { errors }
+    }
+    return { text: query.q.trim(), filter, page, limit, currency }
+}
+
+//Con precios en varias monedas el rango de minPrice y maxPrice se compara con el precio convertido (price,
+//expresión de priceExpression en utils/currency.mjs), que solo se puede calcular con $expr
+function priceFilter(filter, price) {
+    if (!filter.price || price === '$price') {
+        return filter
+    }
+    const { price: range, ...rest } = filter
+    return { ...rest, $expr: { $and: Object.entries(range).map(([operator, value]) => ({ [operator]: [price, value] })) } }
+}
+
+//Links de navegación conservando los demas parametros de la consulta
+function pageLinks(req, page, pages) {
+    const link = (target) => {
+        const params = new URLSearchParams(req.query)
+        params.set('page', target)
+        return `${req.baseUrl}${req.path === '/' ? '' : req.path}?${params.toString()}`
+    }
+    return {
+        self: link(page),
+        next: page < pages ? link(page + 1) : null,
+        prev: page > 1 ? link(Math.min(page - 1, Math.max(pages, 1))) : null
+    }
+}
+
+export { buildProductQuery, buildSearchQuery, priceFilter, checkParams, parsePagination, parseDate, parseCurrency, pageLinks }
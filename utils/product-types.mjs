@@ -0,0 +1,188 @@
+import mongoose from 'mongoose'
+import { Product, ElectronicsProduct, FoodProduct, AutomotiveProduct, ClothingProduct } from '../models/product.mjs'
+import ProductType from '../models/product-type.mjs'
+import {
+    BASE_PROPERTIES,
+    productInput,
+    ElectronicsProductInput,
+    FoodProductInput,
+    AutomotiveProductInput,
+    ClothingProductInput
+} from '../schemas/product.mjs'
+import { validateSchema } from './validator.mjs'
+import { ValidationError } from './errors.mjs'
+
+const {Schema} = mongoose
+
+//Registro de tipos de producto: cada numberCategory con su discriminador (model) y su esquema de entrada (schema).
+//Crear, reemplazar, validar y cambiar de tipo usan este registro, no hay otra tabla de categorías.
+//variants son los atributos de sus variantes y la lista del producto que limita cada uno (utils/variants.mjs),
+//null si el tipo no tiene variantes. lots indica si su stock se lleva por lotes con vencimiento (utils/lots.mjs,
+//usa expirationDays del producto) y warranty si sus ventas registran garantias (utils/warranties.mjs, usa warrantyYears).
+//Los tipos de POST /product-types se agregan con registerProductType (custom: true)
+const PRODUCT_TYPES = new Map([
+    [1, { numberCategory: 1, name: 'Electronics', label: 'Tecnologia', model: ElectronicsProduct, schema: ElectronicsProductInput, variants: null, lots: false, warranty: true, custom: false }],
+    [2, { numberCategory: 2, name: 'Food', label: 'Comida', model: FoodProduct, schema: FoodProductInput, variants: { flavor: 'flavors', weight: null }, lots: true, warranty: false, custom: false }],
+    [3, { numberCategory: 3, name: 'Automotive', label: 'Automovil', model: AutomotiveProduct, schema: AutomotiveProductInput, variants: null, lots: false, warranty: true, custom: false }],
+    [4, { numberCategory: 4, name: 'Clothing', label: 'Ropa', model: ClothingProduct, schema: ClothingProductInput, variants: { size: 'sizesAvaiable', color: 'colors' }, lots: false, warranty: false, custom: false }]
+])
+
+//Campos que un tipo no puede redefinir: los del modelo base (comunes, internos y variants), los de la
+//entrada comun y los nombres que mongoose reserva para los documentos
+const RESERVED_FIELDS = new Set([
+    ...Object.keys(Product.schema.paths).map((path) => path.split('.')[0]),
+    ...Object.keys(BASE_PROPERTIES),
+    ...Object.keys(Schema.reserved)
+])
+
+const JSON_TYPES = {
+    string: { type: 'string' },
+    number: { type: 'number' },
+    integer: { type: 'integer' },
+    boolean: { type: 'boolean' },
+    date: { type: 'string', format: 'date-time' }
+}
+
+const MONGOOSE_TYPES = {
+    string: String,
+    number: Number,
+    integer: Number,
+    boolean: Boolean,
+    date: Date
+}
+
+//Esquema de entrada (validación y Swagger) de un campo definido en POST /product-types
+function fieldSchema(field) {
+    const schema = field.type === 'array'
+        ? { type: 'array', items: { ...JSON_TYPES[field.items ?? 'string'] } }
+        : { ...JSON_TYPES[field.type] }
+    if (field.required && field.type === 'string') schema.minLength = 1
+    if (field.required && field.type === 'array') schema.minItems = 1
+    if (field.description) schema.description = field.description
+    if (field.default !== undefined) schema.default = field.default
+    return schema
+}
+
+//Path de Mongoose del mismo campo
+function fieldPath(field) {
+    const path = {
+        type: field.type === 'array' ? [MONGOOSE_TYPES[field.items ?? 'string']] : MONGOOSE_TYPES[field.type],
+        required: field.required ?? false
+    }
+    if (field.default !== undefined) path.default = field.default
+    return path
+}
+
+//Errores de una definición que el esquema de entrada no puede detectar
+function checkDefinition(definition) {
+    const errors = []
+    const seen = new Set()
+    definition.fields.forEach((field, index) => {
+        const name = `fields[${index}]`
+        if (RESERVED_FIELDS.has(field.name)) {
+            errors.push({ field: `${name}.name`, message: 'is reserved by the base product model' })
+        } else if (seen.has(field.name)) {
+            errors.push({ field: `${name}.name`, message: 'is duplicated' })
+        }
+        seen.add(field.name)
+        if (field.items !== undefined && field.type !== 'array') {
+            errors.push({ field: `${name}.items`, message: 'is only allowed when type is array' })
+        }
+        if (field.default !== undefined) {
+            errors.push(...validateSchema(fieldSchema(field), field.default, `${name}.default`))
+        }
+    })
+    return errors
+}
+
+//Registra un tipo definido en tiempo de ejecución como discriminador de Product
+function registerProductType(definition) {
+    const { numberCategory, name, label, fields } = definition.toObject?.() ?? definition
+    const properties = {}
+    const paths = {}
+    for (const field of fields) {
+        properties[field.name] = fieldSchema(field)
+        paths[field.name] = fieldPath(field)
+    }
+    const required = fields.filter((field) => field.required).map((field) => field.name)
+    //Igual que Electronics y Automotive, un tipo con warrantyYears numérico registra garantias en sus ventas
+    const warranty = fields.some((field) => field.name === 'warrantyYears' && ['integer', 'number'].includes(field.type))
+
+    //Otra solicitud pudo registrar el mismo discriminador mientras se consultaba la BD
+    const model = Product.discriminators?.[name] ?? Product.discriminator(name, new Schema(paths))
+    const type = { numberCategory, name, label, model, schema: productInput(properties, required), variants: null, lots: false, warranty, custom: true }
+    PRODUCT_TYPES.set(numberCategory, type)
+    return type
+}
+
+//Una definición guardada que no se puede registrar (por ejemplo un name que ya usa otro modelo) se
+//informa y se omite, para que no impida registrar los demas tipos
+function registerSaved(definition) {
+    try {
+        return registerProductType(definition)
+    } catch (err) {
+        console.log(`Product type ${definition.name} (${definition.numberCategory}) not registered:`, err.message)
+        return null
+    }
+}
+
+//Se llama al iniciar la API
+async function loadProductTypes() {
+    const definitions = await ProductType.find({})
+    return definitions.filter((definition) => registerSaved(definition) !== null).length
+}
+
+//Tipo de un numberCategory, 422 UNKNOWN_PRODUCT_TYPE si no esta registrado
+async function productType(numberCategory) {
+    if (!PRODUCT_TYPES.has(numberCategory) && Number.isInteger(numberCategory)) {
+        //Otra instancia de la API pudo crear el tipo despues de que esta inicio
+        const definition = await ProductType.findOne({ numberCategory })
+        if (definition) {
+            registerSaved(definition)
+        }
+    }
+
+    const type = PRODUCT_TYPES.get(numberCategory)
+    if (!type) {
+        throw new ValidationError([{
+            field: 'numberCategory',
+            message: `is required and must be one of: ${[...PRODUCT_TYPES.keys()].join(', ')}`
+        }], 'Unknown product type', 'UNKNOWN_PRODUCT_TYPE')
+    }
+    return type
+}
+
+//Documento nuevo con el discriminador que corresponde a body.numberCategory
+async function buildProduct(body) {
+    const { model } = await productType(body?.numberCategory)
+    return new model(body)
+}
+
+//Campos editables de un tipo (los de su esquema de entrada)
+function typeFields(type) {
+    return Object.keys(type.schema.properties)
+}
+
+//Esquemas de entrada de los tipos creados en tiempo de ejecución, para Swagger
+//Nombres (discriminador __t) de los tipos registrados, para filtrar por tipo
+function productTypeNames() {
+    return [...PRODUCT_TYPES.values()].map((type) => type.name)
+}
+
+function productTypeSchemas() {
+    return Object.fromEntries([...PRODUCT_TYPES.values()]
+        .filter((type) => type.custom)
+        .map((type) => [`${type.name}ProductInput`, type.schema]))
+}
+
+export {
+    PRODUCT_TYPES,
+    checkDefinition,
+    registerProductType,
+    loadProductTypes,
+    productType,
+    buildProduct,
+    typeFields,
+    productTypeNames,
+    productTypeSchemas
+}
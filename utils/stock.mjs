@@ -0,0 +1,70 @@
+import { Product } from '../models/product.mjs'
+import { inventoryEvents } from './inventory-policy.mjs'
+
+//Descuenta stock en una sola actualización condicional. Con backorder "reject" solo se aplica
+//si deja al menos safetyStock. Con options.variant se descuenta tambien de la variante, que con "reject"
+//debe tener las unidades (el stock de seguridad se revisa sobre el total). Devuelve null si no se pudo descontar
+async function takeStock(productId, quantity, policy, options = {}) {
+    const condition = { _id: productId }
+    if (policy.backorderPolicy === 'reject') {
+        condition.stock = { $gte: quantity + policy.safetyStock }
+    }
+    if (options.variant) {
+        condition.variants = { $elemMatch: { _id: options.variant } }
+        if (policy.backorderPolicy === 'reject') {
+            condition.variants.$elemMatch.stock = { $gte: quantity }
+        }
+    }
+
+    return Product.findOneAndUpdate(condition, stockUpdate(-quantity, options.variant), {
+        new: true,
+        session: options.session,
+        arrayFilters: variantFilter(options.variant)
+    })
+}
+
+//Suma unidades al inventario (recepciones de compra y cancelaciones). Aplica tambien a productos
+//en la papelera: las unidades existen y deben estar si el producto se restaura
+async function addStock(productId, quantity, options = {}) {
+    const condition = { _id: productId }
+    if (options.variant) {
+        condition['variants._id'] = options.variant
+    }
+
+    return Product.findOneAndUpdate(condition, stockUpdate(quantity, options.variant), {
+        new: true,
+        session: options.session,
+        withDeleted: true,
+        arrayFilters: variantFilter(options.variant)
+    })
+}
+
+//El stock del producto y el de la variante cambian en la misma actualización, asi el total siempre es la suma
+function stockUpdate(quantity, variant) {
+    const $inc = { stock: quantity, __v: 1 }
+    if (variant) {
+        $inc['variants.$[variant].stock'] = quantity
+    }
+    return { $inc }
+}
+
+function variantFilter(variant) {
+    return variant ? [{ 'variant._id': variant }] : undefined
+}
+
+//Emite 'low-stock' si la salida de quantity unidades cruzo el punto de reorden
+function notifyReorder(product, quantity, policy) {
+    const previous = product.stock + quantity
+    if (previous > policy.reorderPoint && product.stock <= policy.reorderPoint) {
+        inventoryEvents.emit('low-stock', {
+            product: product._id,
+            id: product.id,
+            name: product.name,
+            stock: product.stock,
+            reorderPoint: policy.reorderPoint,
+            reorderQuantity: policy.reorderQuantity
+        })
+    }
+}
+
+export { takeStock, addStock, stockUpdate, variantFilter, notifyReorder }
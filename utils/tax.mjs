@@ -0,0 +1,25 @@
+import TaxRule from '../models/tax-rule.mjs'
+import { roundMoney } from './currency.mjs'
+
+//Impuesto (porcentaje) de las categorías sin regla
+const DEFAULT_TAX_RATE = Number(process.env.DEFAULT_TAX_RATE) || 0
+
+//Porcentaje de impuesto por categoría de la compañía
+async function loadTaxRules(company) {
+    const rules = await TaxRule.find({ company })
+    return new Map(rules.map((rule) => [rule.category, rule.rate]))
+}
+
+function taxRateOf(rules, product) {
+    return rules.get(product.category) ?? DEFAULT_TAX_RATE
+}
+
+//Los precios son netos: el impuesto se calcula sobre el neto ya redondeado y el bruto es la suma,
+//asi neto + impuesto = bruto siempre en los decimales de la moneda
+function taxAmounts(net, taxRate, currency) {
+    const rounded = roundMoney(net, currency)
+    const tax = roundMoney(rounded * taxRate / 100, currency)
+    return { net: rounded, taxRate, tax, gross: roundMoney(rounded + tax, currency) }
+}
+
+export { DEFAULT_TAX_RATE, loadTaxRules, taxRateOf, taxAmounts }
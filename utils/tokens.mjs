@@ -0,0 +1,38 @@
+import crypto from 'crypto'
+import jwt from 'jsonwebtoken'
+import RefreshToken from '../models/refresh-token.mjs'
+
+const key = process.env.SECRET
+
+const ACCESS_EXPIRES_IN = '30m'
+const REFRESH_DAYS = Number(process.env.REFRESH_DAYS) || 7
+
+function hashToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex')
+}
+
+//iat y exp en segundos (estandar JWT), jti permite revocar el token
+function signAccessToken(user) {
+    return jwt.sign({
+        sub: user._id.toString(),
+        mail: user.mail
+    }, key, { expiresIn: ACCESS_EXPIRES_IN, jwtid: crypto.randomUUID() })
+}
+
+async function issueRefreshToken(userId, family = crypto.randomUUID()) {
+    const token = crypto.randomBytes(48).toString('base64url')
+    const hash = hashToken(token)
+    await RefreshToken.create({
+        tokenHash: hash,
+        user: userId,
+        family: family,
+        expiresAt: new Date(Date.now() + REFRESH_DAYS * 24 * 60 * 60 * 1000)
+    })
+    return { token, hash }
+}
+
+async function revokeFamily(family) {
+    await RefreshToken.updateMany({ family: family, revokedAt: null }, { revokedAt: new Date() })
+}
+
+export { hashToken, signAccessToken, issueRefreshToken, revokeFamily }
@@ -0,0 +1,78 @@
+//Validador para el subconjunto de JSON Schema (OpenAPI) que se usa en schemas/
+//Devuelve la lista de errores por campo, vacia si el valor es valido
+
+function typeOf(value) {
+    if (value === null) return 'null'
+    if (Array.isArray(value)) return 'array'
+    if (Number.isInteger(value)) return 'integer'
+    return typeof value
+}
+
+function matchesType(type, value) {
+    const actual = typeOf(value)
+    if (type === 'number') {
+        return (actual === 'number' || actual === 'integer') && Number.isFinite(value)
+    }
+    return actual === type
+}
+
+function validateSchema(schema, value, field = '') {
+    const errors = []
+    const error = (message) => errors.push({ field: field || '(body)', message })
+
+    if (schema.type && !matchesType(schema.type, value)) {
+        error(`must be ${schema.type === 'integer' ? 'an integer' : `of type ${schema.type}`}`)
+        return errors
+    }
+
+    if (schema.enum && !schema.enum.includes(value)) {
+        error(`must be one of: ${schema.enum.join(', ')}`)
+    }
+
+    if (typeof value === 'number' && schema.minimum !== undefined && value < schema.minimum) {
+        error(`must be greater than or equal to ${schema.minimum}`)
+    }
+
+    if (typeof value === 'string') {
+        if (schema.minLength !== undefined && value.trim().length < schema.minLength) {
+            error(`must have at least ${schema.minLength} characters`)
+        }
+        if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+            error('has an invalid format')
+        }
+    }
+
+    if (Array.isArray(value)) {
+        if (schema.minItems !== undefined && value.length < schema.minItems) {
+            error(`must have at least ${schema.minItems} items`)
+        }
+        if (schema.items) {
+            value.forEach((item, i) => errors.push(...validateSchema(schema.items, item, `${field}[${i}]`)))
+        }
+    }
+
+    if (typeOf(value) === 'object') {
+        const child = (key) => (field ? `${field}.${key}` : key)
+        const properties = schema.properties ?? {}
+
+        for (const key of schema.required ?? []) {
+            if (value[key] === undefined) {
+                errors.push({ field: child(key), message: 'is required' })
+            }
+        }
+
+        for (const [key, item] of Object.entries(value)) {
+            if (properties[key]) {
+                errors.push(...validateSchema(properties[key], item, child(key)))
+            } else if (schema.additionalProperties === false) {
+                errors.push({ field: child(key), message: 'is not allowed' })
+            } else if (typeof schema.additionalProperties === 'object') {
+                errors.push(...validateSchema(schema.additionalProperties, item, child(key)))
+            }
+        }
+    }
+
+    return errors
+}
+
+export { validateSchema }
@@ -0,0 +1,69 @@
+//Reglas de las variantes de producto. Los atributos que acepta cada tipo estan en su entrada del registro
+//(utils/product-types.mjs, campo variants): el valor de cada atributo debe estar en la lista del producto
+//indicada (por ejemplo size en sizesAvaiable) o es libre si la lista es null
+
+//Variante de product que indica una venta, recepción o ajuste. En productos con variantes es obligatoria
+//y en los demas no se acepta. Devuelve { variant } o { error } con el mensaje para el campo
+function pickVariant(product, variantId) {
+    if (!(product.variants?.length > 0)) {
+        return variantId === undefined ? { variant: null } : { error: 'is only allowed for products with variants' }
+    }
+    if (variantId === undefined) {
+        return { error: 'is required, the product has variants' }
+    }
+    const variant = product.variants.id(variantId)
+    return variant ? { variant } : { error: 'is not a variant of this product' }
+}
+
+//Campos del movimiento de stock de una variante
+function variantDetails(variant) {
+    return variant ? { variant: variant._id, sku: variant.sku } : {}
+}
+
+function attributesOf(variant) {
+    return Object.fromEntries(variant.attributes instanceof Map ? variant.attributes : Object.entries(variant.attributes))
+}
+
+function sameAttributes(a, b) {
+    const keys = Object.keys(a)
+    return keys.length === Object.keys(b).length && keys.every((key) => a[key] === b[key])
+}
+
+//Errores de una variante nueva o modificada: atributos que el tipo no tiene o con valores fuera de la lista
+//del producto, y SKU, código de barras o combinación de atributos repetidos en el mismo producto
+function checkVariant(product, type, input, current = null) {
+    const errors = []
+    if (!type.variants) {
+        errors.push({ field: 'numberCategory', message: `products of type ${type.name} can't have variants` })
+        return errors
+    }
+
+    for (const [key, value] of Object.entries(input.attributes)) {
+        if (!(key in type.variants)) {
+            errors.push({ field: `attributes.${key}`, message: `is not allowed, use: ${Object.keys(type.variants).join(', ')}` })
+            continue
+        }
+        const list = type.variants[key] && product.get(type.variants[key])
+        if (list && !list.includes(value)) {
+            errors.push({ field: `attributes.${key}`, message: `must be one of the product ${type.variants[key]}: ${list.join(', ')}` })
+        }
+    }
+
+    for (const other of product.variants ?? []) {
+        if (current && other._id.equals(current._id)) {
+            continue
+        }
+        if (other.sku === input.sku) {
+            errors.push({ field: 'sku', message: 'is already used by another variant of this product' })
+        }
+        if (input.barcode !== undefined && other.barcode === input.barcode) {
+            errors.push({ field: 'barcode', message: 'is already used by another variant of this product' })
+        }
+        if (sameAttributes(attributesOf(other), input.attributes)) {
+            errors.push({ field: 'attributes', message: `the variant ${other.sku} already has these attributes` })
+        }
+    }
+    return errors
+}
+
+export { pickVariant, variantDetails, attributesOf, checkVariant }
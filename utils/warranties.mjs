@@ -0,0 +1,64 @@
+import { randomBytes } from 'node:crypto'
+import Warranty from '../models/warranty.mjs'
+import { ValidationError } from './errors.mjs'
+
+//Número de serie para las unidades vendidas sin uno: id del producto y un sufijo aleatorio
+function serialNumber(product) {
+    return `SN-${product.id}-${randomBytes(4).toString('hex').toUpperCase()}`
+}
+
+//Fin de la garantia: la misma fecha de inicio warrantyYears años despues
+function warrantyEnd(startsAt, years) {
+    const endsAt = new Date(startsAt)
+    endsAt.setFullYear(endsAt.getFullYear() + years)
+    return endsAt
+}
+
+//Números de serie enviados en la venta de un producto con garantia, field es el campo que se informa en los errores
+function checkSerialNumbers(serialNumbers, quantity, warranty, field = 'serialNumbers') {
+    if (!warranty) {
+        throw new ValidationError([{ field, message: 'is only allowed for products with warranty' }])
+    }
+    const errors = []
+    if (serialNumbers.length !== quantity) {
+        errors.push({ field, message: `must have one serial number per unit sold (${quantity})` })
+    }
+    serialNumbers.forEach((serial, index) => {
+        if (serialNumbers.indexOf(serial) !== index) {
+            errors.push({ field: `${field}[${index}]`, message: 'is duplicated' })
+        }
+    })
+    if (errors.length > 0) {
+        throw new ValidationError(errors)
+    }
+}
+
+//Una garantia por unidad vendida. options.serialNumbers trae los números de serie de la venta
+//(uno por unidad), si no se generan. options.session permite crearlas en la transacción de la venta
+//y options.order las asocia a la orden en que se vendieron
+async function createWarranties(product, quantity, options = {}) {
+    const startsAt = new Date()
+    const warranties = Array.from({ length: quantity }, (_, index) => ({
+        company: product.company,
+        serialNumber: options.serialNumbers?.[index] ?? serialNumber(product),
+        product: product._id,
+        id: product.id,
+        name: product.name,
+        variant: options.variant?._id,
+        sku: options.variant?.sku,
+        warrantyYears: product.warrantyYears,
+        startsAt: startsAt,
+        endsAt: warrantyEnd(startsAt, product.warrantyYears),
+        movement: options.movement,
+        order: options.order,
+        user: options.user?.id ?? null
+    }))
+    return Warranty.insertMany(warranties, { session: options.session })
+}
+
+//Estado de la garantia en la fecha indicada
+function warrantyStatus(warranty, now = new Date()) {
+    return warranty.endsAt > now ? 'active' : 'expired'
+}
+
+export { checkSerialNumbers, createWarranties, warrantyStatus }